@@ -7,23 +7,34 @@ require('dotenv').config();
 // Import database connection
 const connectDB = require('./config/db');
 
+const Journal = require('./models/Journal');
+
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/error');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const mealRoutes = require('./routes/meals');
+const mealTemplateRoutes = require('./routes/mealTemplates');
+const recipeRoutes = require('./routes/recipes');
+const foodRoutes = require('./routes/foods');
 const medicineRoutes = require('./routes/medicines');
 const testRoutes = require('./routes/tests');
 const bodyStatRoutes = require('./routes/bodyStats');
 const journalRoutes = require('./routes/journals');
 const aiRoutes = require('./routes/ai');
+const jobRoutes = require('./routes/jobs');
 
 // Initialize express app
 const app = express();
 
-// Connect to database (with serverless-friendly caching inside connectDB)
-connectDB();
+// Connect to database (with serverless-friendly caching inside connectDB),
+// then replace a journal text index left over from before multilingual search
+connectDB().then(() => Journal.migrateTextIndex()
+  .then(({ dropped }) => {
+    if (dropped.length > 0) console.log(`Rebuilt journal text index, dropped ${dropped.join(', ')}`);
+  })
+  .catch(error => console.error('Journal text index migration error:', error.message)));
 
 // Security middleware
 app.use(helmet());
@@ -48,11 +59,15 @@ if (process.env.NODE_ENV === 'development') {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/meals', mealRoutes);
+app.use('/api/meal-templates', mealTemplateRoutes);
+app.use('/api/recipes', recipeRoutes);
+app.use('/api/foods', foodRoutes);
 app.use('/api/medicines', medicineRoutes);
 app.use('/api/tests', testRoutes);
 app.use('/api/body-stats', bodyStatRoutes);
 app.use('/api/journals', journalRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,282 @@
+import React, { useState } from 'react';
+import { Check, X, Save } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../../services/api';
+
+const TIME_OPTIONS = ['morning', 'noon', 'evening', 'night'];
+
+const BODY_STAT_FIELDS = [
+  { key: 'waterIntakeLiters', label: 'Water (L)' },
+  { key: 'weightKg', label: 'Weight (kg)' },
+  { key: 'sleepHours', label: 'Sleep (h)' },
+  { key: 'steps', label: 'Steps' }
+];
+
+// Every staged item starts selected
+const initialSelection = (parsedData) => ({
+  meals: (parsedData.meals || []).map(meal => meal._id),
+  medicines: (parsedData.medicines || []).map(medicine => medicine._id),
+  tests: (parsedData.tests || []).map(test => test._id),
+  bodyStats: Boolean(parsedData.bodyStats && Object.keys(parsedData.bodyStats).length > 0)
+});
+
+const DraftReview = ({ journal, onReviewed }) => {
+  const [draft, setDraft] = useState(() => ({
+    meals: journal.parsedData?.meals || [],
+    medicines: journal.parsedData?.medicines || [],
+    tests: journal.parsedData?.tests || [],
+    bodyStats: journal.parsedData?.bodyStats || {},
+    notes: journal.parsedData?.notes || ''
+  }));
+  const [selection, setSelection] = useState(() => initialSelection(journal.parsedData || {}));
+  const [isDirty, setIsDirty] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const updateItem = (kind, index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      [kind]: prev[kind].map((item, i) => (i === index ? { ...item, ...changes } : item))
+    }));
+    setIsDirty(true);
+  };
+
+  const updateBodyStat = (key, value) => {
+    setDraft(prev => ({
+      ...prev,
+      bodyStats: { ...prev.bodyStats, [key]: value === '' ? undefined : Number(value) }
+    }));
+    setIsDirty(true);
+  };
+
+  const toggleItem = (kind, id) => {
+    setSelection(prev => ({
+      ...prev,
+      [kind]: prev[kind].includes(id) ? prev[kind].filter(itemId => itemId !== id) : [...prev[kind], id]
+    }));
+  };
+
+  // Persist edits first so the accepted records reflect them
+  const saveEdits = async () => {
+    const response = await api.put(`/api/ai/draft/${journal._id}`, { parsedData: draft });
+    const parsedData = response.data.data.parsedData;
+    setDraft({
+      meals: parsedData.meals || [],
+      medicines: parsedData.medicines || [],
+      tests: parsedData.tests || [],
+      bodyStats: parsedData.bodyStats || {},
+      notes: parsedData.notes || ''
+    });
+    setIsDirty(false);
+    return parsedData;
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      await saveEdits();
+      toast.success('Draft saved');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save draft');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAccept = async (acceptAll) => {
+    try {
+      setIsSaving(true);
+      if (isDirty) {
+        await saveEdits();
+      }
+
+      const response = await api.post(
+        `/api/ai/draft/${journal._id}/accept`,
+        acceptAll ? {} : { items: selection }
+      );
+      toast.success('Extraction accepted');
+      onReviewed(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to accept extraction');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    try {
+      setIsSaving(true);
+      const response = await api.post(`/api/ai/draft/${journal._id}/discard`);
+      toast.success('Extraction discarded');
+      onReviewed(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to discard extraction');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const hasBodyStats = BODY_STAT_FIELDS.some(({ key }) => draft.bodyStats[key] !== undefined) ||
+    draft.bodyStats.mood || draft.bodyStats.energy;
+
+  return (
+    <div className="space-y-4 border-t border-gray-200 pt-4">
+      <h4 className="text-sm font-medium text-gray-900">Review extracted items</h4>
+
+      {draft.meals.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs font-medium text-gray-500 uppercase">Meals</p>
+          {draft.meals.map((meal, index) => (
+            <div key={meal._id || index} className="flex flex-wrap items-center gap-2 p-2 bg-gray-50 rounded-md">
+              <input
+                type="checkbox"
+                checked={selection.meals.includes(meal._id)}
+                onChange={() => toggleItem('meals', meal._id)}
+                className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+              />
+              <select
+                value={meal.time}
+                onChange={(e) => updateItem('meals', index, { time: e.target.value })}
+                className="input w-32"
+              >
+                {TIME_OPTIONS.map(time => <option key={time} value={time}>{time}</option>)}
+              </select>
+              <input
+                value={meal.items.join(', ')}
+                onChange={(e) => updateItem('meals', index, { items: e.target.value.split(',').map(item => item.trim()) })}
+                className="input flex-1"
+                placeholder="Food items, comma separated"
+              />
+              <input
+                value={meal.quantity || ''}
+                onChange={(e) => updateItem('meals', index, { quantity: e.target.value })}
+                className="input w-32"
+                placeholder="Quantity"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {draft.medicines.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs font-medium text-gray-500 uppercase">Medicines</p>
+          {draft.medicines.map((medicine, index) => (
+            <div key={medicine._id || index} className="flex flex-wrap items-center gap-2 p-2 bg-gray-50 rounded-md">
+              <input
+                type="checkbox"
+                checked={selection.medicines.includes(medicine._id)}
+                onChange={() => toggleItem('medicines', medicine._id)}
+                className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+              />
+              <input
+                value={medicine.name}
+                onChange={(e) => updateItem('medicines', index, { name: e.target.value })}
+                className="input flex-1"
+                placeholder="Medicine name"
+              />
+              <input
+                value={medicine.dosage || ''}
+                onChange={(e) => updateItem('medicines', index, { dosage: e.target.value })}
+                className="input w-32"
+                placeholder="Dosage"
+              />
+              <select
+                value={medicine.time}
+                onChange={(e) => updateItem('medicines', index, { time: e.target.value })}
+                className="input w-32"
+              >
+                {TIME_OPTIONS.map(time => <option key={time} value={time}>{time}</option>)}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {draft.tests.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs font-medium text-gray-500 uppercase">Tests</p>
+          {draft.tests.map((test, index) => (
+            <div key={test._id || index} className="flex flex-wrap items-center gap-2 p-2 bg-gray-50 rounded-md">
+              <input
+                type="checkbox"
+                checked={selection.tests.includes(test._id)}
+                onChange={() => toggleItem('tests', test._id)}
+                className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+              />
+              <input
+                value={test.testName}
+                onChange={(e) => updateItem('tests', index, { testName: e.target.value })}
+                className="input flex-1"
+                placeholder="Test name"
+              />
+              <input
+                value={test.result || ''}
+                onChange={(e) => updateItem('tests', index, { result: e.target.value })}
+                className="input w-40"
+                placeholder="Result"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {hasBodyStats && (
+        <div className="space-y-2">
+          <p className="text-xs font-medium text-gray-500 uppercase">Body Stats</p>
+          <div className="flex flex-wrap items-center gap-2 p-2 bg-gray-50 rounded-md">
+            <input
+              type="checkbox"
+              checked={selection.bodyStats}
+              onChange={() => setSelection(prev => ({ ...prev, bodyStats: !prev.bodyStats }))}
+              className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+            />
+            {BODY_STAT_FIELDS.map(({ key, label }) => (
+              <label key={key} className="flex items-center gap-1 text-xs text-gray-600">
+                {label}
+                <input
+                  type="number"
+                  step="any"
+                  value={draft.bodyStats[key] ?? ''}
+                  onChange={(e) => updateBodyStat(key, e.target.value)}
+                  className="input w-24"
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {journal.validationErrors?.length > 0 && (
+        <details className="text-xs text-gray-500">
+          <summary>{journal.validationErrors.length} field(s) were corrected during parsing</summary>
+          <ul className="mt-1 list-disc list-inside">
+            {journal.validationErrors.map((error, index) => (
+              <li key={index}>{error.field}: {error.message} ({error.value})</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button type="button" className="btn-success" disabled={isSaving} onClick={() => handleAccept(false)}>
+          <Check className="w-4 h-4 mr-1" />
+          Accept selected
+        </button>
+        <button type="button" className="btn-primary" disabled={isSaving} onClick={() => handleAccept(true)}>
+          <Check className="w-4 h-4 mr-1" />
+          Accept all
+        </button>
+        <button type="button" className="btn-outline" disabled={isSaving || !isDirty} onClick={handleSave}>
+          <Save className="w-4 h-4 mr-1" />
+          Save edits
+        </button>
+        <button type="button" className="btn-danger" disabled={isSaving} onClick={handleDiscard}>
+          <X className="w-4 h-4 mr-1" />
+          Discard
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DraftReview;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+
+const KIND_STYLES = {
+  meals: { label: 'Meal', className: 'bg-success-100 text-success-800' },
+  medicines: { label: 'Medicine', className: 'bg-primary-100 text-primary-800' },
+  tests: { label: 'Test', className: 'bg-warning-100 text-warning-800' },
+  bodyStats: { label: 'Body stats', className: 'bg-danger-100 text-danger-800' }
+};
+
+// Cut the text at every span boundary and note which entries cover each piece
+const buildPieces = (text, entries) => {
+  const boundaries = new Set([0, text.length]);
+  entries.forEach(entry => entry.sourceSpans.forEach(span => {
+    boundaries.add(span.start);
+    boundaries.add(span.end);
+  }));
+
+  const points = [...boundaries].filter(point => point <= text.length).sort((a, b) => a - b);
+  return points.slice(0, -1).map((start, index) => {
+    const end = points[index + 1];
+    return {
+      start,
+      text: text.slice(start, end),
+      covering: entries
+        .map((entry, entryIndex) => (entry.sourceSpans.some(span => span.start <= start && span.end >= end) ? entryIndex : null))
+        .filter(entryIndex => entryIndex !== null)
+    };
+  });
+};
+
+const ProvenanceView = ({ journalId }) => {
+  const [provenance, setProvenance] = useState(null);
+  const [active, setActive] = useState(null);
+
+  useEffect(() => {
+    const fetchProvenance = async () => {
+      try {
+        const response = await api.get(`/api/journals/${journalId}/provenance`);
+        setProvenance(response.data.data);
+      } catch (error) {
+        console.error('Error fetching provenance:', error);
+      }
+    };
+
+    fetchProvenance();
+  }, [journalId]);
+
+  if (!provenance) {
+    return <div className="loading-spinner" />;
+  }
+
+  // Saved records take precedence; a pending draft only has staged items
+  const entries = provenance.records.length > 0 ? provenance.records : provenance.staged;
+  const pieces = buildPieces(provenance.rawText, entries);
+
+  return (
+    <div className="space-y-3">
+      <p className="text-gray-900 whitespace-pre-line">
+        {pieces.map(piece => {
+          if (piece.covering.length === 0) {
+            return <span key={piece.start}>{piece.text}</span>;
+          }
+
+          const entry = entries[piece.covering[0]];
+          const isActive = piece.covering.includes(active);
+          return (
+            <mark
+              key={piece.start}
+              title={piece.covering.map(index => entries[index].label).join('\n')}
+              className={`${KIND_STYLES[entry.kind].className} rounded px-0.5 ${isActive ? 'ring-2 ring-primary-500' : ''}`}
+              onMouseEnter={() => setActive(piece.covering[0])}
+              onMouseLeave={() => setActive(null)}
+            >
+              {piece.text}
+            </mark>
+          );
+        })}
+      </p>
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No records were extracted from this entry.</p>
+      ) : (
+        <ul className="space-y-1">
+          {entries.map((entry, index) => (
+            <li
+              key={entry.recordId || entry.itemId || index}
+              className={`flex items-center gap-2 text-sm rounded px-1 ${active === index ? 'bg-gray-100' : ''}`}
+              onMouseEnter={() => setActive(index)}
+              onMouseLeave={() => setActive(null)}
+            >
+              <span className={`badge ${KIND_STYLES[entry.kind].className}`}>{KIND_STYLES[entry.kind].label}</span>
+              <span className="text-gray-900">{entry.label}</span>
+              {entry.sourceSpans.length === 0 && (
+                <span className="text-xs text-gray-400">source not found in text</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ProvenanceView;
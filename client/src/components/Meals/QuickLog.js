@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Repeat, BookmarkPlus, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../../services/api';
+
+const describeItems = (foodItems) => foodItems.map(item => item.name).join(', ');
+
+// Saved templates and frequently eaten meals, each loggable with one tap
+const QuickLog = ({ date, onLogged }) => {
+  const [templates, setTemplates] = useState([]);
+  const [frequentMeals, setFrequentMeals] = useState([]);
+
+  const fetchQuickLog = useCallback(async () => {
+    try {
+      const [templatesResponse, frequentResponse] = await Promise.all([
+        api.get('/api/meal-templates'),
+        api.get('/api/meal-templates/frequent')
+      ]);
+      setTemplates(templatesResponse.data.data.templates);
+      setFrequentMeals(frequentResponse.data.data.frequentMeals);
+    } catch (error) {
+      console.error('Error fetching meal templates:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQuickLog();
+  }, [fetchQuickLog]);
+
+  const logTemplate = async (template) => {
+    try {
+      const response = await api.post(`/api/meal-templates/${template._id}/log`, {
+        date,
+        time: template.time || 'morning'
+      });
+      toast.success(response.data.message);
+      fetchQuickLog();
+      onLogged();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to log meal');
+    }
+  };
+
+  const logFrequentMeal = async (meal) => {
+    if (meal.templateId) {
+      const template = templates.find(t => t._id === meal.templateId);
+      if (template) return logTemplate({ ...template, time: template.time || meal.time });
+    }
+
+    try {
+      await api.post('/api/meals', { date, time: meal.time, foodItems: meal.foodItems });
+      toast.success('Meal logged');
+      fetchQuickLog();
+      onLogged();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to log meal');
+    }
+  };
+
+  const saveAsTemplate = async (meal) => {
+    const name = window.prompt('Template name', describeItems(meal.foodItems));
+    if (!name) return;
+
+    try {
+      await api.post('/api/meal-templates', { name, time: meal.time, foodItems: meal.foodItems });
+      toast.success('Template saved');
+      fetchQuickLog();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save template');
+    }
+  };
+
+  const deleteTemplate = async (template) => {
+    try {
+      await api.delete(`/api/meal-templates/${template._id}`);
+      fetchQuickLog();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete template');
+    }
+  };
+
+  if (templates.length === 0 && frequentMeals.length === 0) return null;
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900">Quick Log</h3>
+      </div>
+      <div className="card-body space-y-4">
+        {templates.length > 0 && (
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Saved meals</h4>
+            <div className="space-y-2">
+              {templates.map((template) => (
+                <div key={template._id} className="flex items-center justify-between p-2 bg-gray-50 rounded-md">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{template.name}</p>
+                    <p className="text-xs text-gray-500">
+                      {describeItems(template.foodItems)} · {template.totalCalories} cal
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button type="button" onClick={() => logTemplate(template)} className="btn-primary">
+                      <Repeat className="w-4 h-4 mr-1" />
+                      Log
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => deleteTemplate(template)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Delete template"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {frequentMeals.length > 0 && (
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">You often eat</h4>
+            <div className="space-y-2">
+              {frequentMeals.map((meal) => (
+                <div key={meal.signature} className="flex items-center justify-between p-2 bg-gray-50 rounded-md">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{describeItems(meal.foodItems)}</p>
+                    <p className="text-xs text-gray-500 capitalize">
+                      {meal.time} · {meal.count} times · ~{meal.averageCalories} cal
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button type="button" onClick={() => logFrequentMeal(meal)} className="btn-secondary">
+                      <Repeat className="w-4 h-4 mr-1" />
+                      Log
+                    </button>
+                    {!meal.templateId && (
+                      <button
+                        type="button"
+                        onClick={() => saveAsTemplate(meal)}
+                        className="text-gray-400 hover:text-gray-600"
+                        title="Save as template"
+                      >
+                        <BookmarkPlus className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuickLog;
@@ -0,0 +1,53 @@
+import React from 'react';
+
+export const NUTRIENT_LABELS = {
+  calories: { label: 'Calories', unit: 'kcal' },
+  protein: { label: 'Protein', unit: 'g' },
+  carbs: { label: 'Carbs', unit: 'g' },
+  fat: { label: 'Fat', unit: 'g' },
+  fiber: { label: 'Fiber', unit: 'g' },
+  sugar: { label: 'Sugar', unit: 'g' },
+  sodium: { label: 'Sodium', unit: 'mg' }
+};
+
+// Goals fill up green; limits turn red once exceeded
+const barColor = (entry) => {
+  if (entry.type === 'limit') {
+    return entry.onTrack ? 'bg-primary-500' : 'bg-danger-500';
+  }
+  return entry.onTrack ? 'bg-success-500' : 'bg-warning-500';
+};
+
+// Intake against target bars for the `vsTarget` object returned by the meal
+// summary and stats endpoints
+const NutritionProgress = ({ vsTarget, nutrients = Object.keys(NUTRIENT_LABELS) }) => {
+  if (!vsTarget) return null;
+
+  return (
+    <div className="space-y-3">
+      {nutrients.filter(nutrient => vsTarget[nutrient]).map(nutrient => {
+        const entry = vsTarget[nutrient];
+        const { label, unit } = NUTRIENT_LABELS[nutrient];
+        return (
+          <div key={nutrient}>
+            <div className="flex items-center justify-between text-sm">
+              <span className="font-medium text-gray-700">{label}</span>
+              <span className="text-gray-500">
+                {Math.round(entry.intake)} / {Math.round(entry.target)} {unit}
+                {entry.type === 'limit' && ' limit'}
+              </span>
+            </div>
+            <div className="mt-1 h-2 w-full rounded-full bg-gray-200">
+              <div
+                className={`h-2 rounded-full ${barColor(entry)}`}
+                style={{ width: `${Math.min(entry.percent || 0, 100)}%` }}
+              />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default NutritionProgress;
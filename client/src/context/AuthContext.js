@@ -95,7 +95,10 @@ export const AuthProvider = ({ children }) => {
   const register = async (userData) => {
     try {
       dispatch({ type: 'AUTH_START' });
-      const response = await api.post('/api/auth/register', userData);
+      const response = await api.post('/api/auth/register', {
+        ...userData,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      });
       
       const { user, token } = response.data.data;
       localStorage.setItem('token', token);
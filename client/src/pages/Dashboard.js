@@ -12,6 +12,7 @@ import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContai
 import { format } from 'date-fns';
 import api from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import NutritionProgress from '../components/Nutrition/NutritionProgress';
 
 const Dashboard = () => {
   const { user } = useAuth();
@@ -22,7 +23,9 @@ const Dashboard = () => {
     weightTrend: [],
     waterTrend: [],
     recentMeals: [],
-    medicineChecklist: {}
+    nutritionVsTarget: null,
+    medicineChecklist: {},
+    asNeededMedicines: []
   });
   const [loading, setLoading] = useState(true);
 
@@ -51,7 +54,9 @@ const Dashboard = () => {
           weightTrend: weightTrend.data.data.trendData.slice(-7),
           waterTrend: waterTrend.data.data.trendData.slice(-7),
           recentMeals: mealSummary.data.data.meals.slice(0, 5),
-          medicineChecklist: medicineChecklist.data.data.checklist
+          nutritionVsTarget: mealSummary.data.data.summary.vsTarget,
+          medicineChecklist: medicineChecklist.data.data.checklist,
+          asNeededMedicines: medicineChecklist.data.data.asNeeded
         });
       } catch (error) {
         console.error('Error fetching dashboard data:', error);
@@ -263,14 +268,18 @@ const Dashboard = () => {
                   <div className="space-y-2">
                     {medicines.map((medicine) => (
                       <div
-                        key={medicine._id}
+                        key={`${medicine._id}-${medicine.scheduledTime || ''}`}
                         className={`flex items-center justify-between p-2 rounded-md ${
                           medicine.isTaken ? 'bg-success-50 border border-success-200' : 'bg-gray-50 border border-gray-200'
                         }`}
                       >
                         <div>
                           <p className="text-sm font-medium text-gray-900">{medicine.name}</p>
-                          <p className="text-xs text-gray-500">{medicine.dosage}</p>
+                          <p className="text-xs text-gray-500">
+                            {medicine.dosage}
+                            {medicine.scheduledTime && ` · ${medicine.scheduledTime}`}
+                            {medicine.status && medicine.status !== 'taken' && ` · ${medicine.status}`}
+                          </p>
                         </div>
                         <div className={`w-3 h-3 rounded-full ${
                           medicine.isTaken ? 'bg-success-500' : 'bg-gray-300'
@@ -283,10 +292,35 @@ const Dashboard = () => {
                 )}
               </div>
             ))}
+            {dashboardData.asNeededMedicines.length > 0 && (
+              <div>
+                <h4 className="text-sm font-medium text-gray-700 mb-2">As needed</h4>
+                <p className="text-xs text-gray-500">
+                  {dashboardData.asNeededMedicines
+                    .map((medicine) => `${medicine.name} (${medicine.takenToday} today)`)
+                    .join(', ')}
+                </p>
+              </div>
+            )}
           </div>
         </div>
       </div>
 
+      {/* Today's Nutrition */}
+      {dashboardData.nutritionVsTarget && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Today's Nutrition</h3>
+          </div>
+          <div className="card-body">
+            <NutritionProgress
+              vsTarget={dashboardData.nutritionVsTarget}
+              nutrients={['calories', 'protein', 'carbs', 'fat', 'fiber']}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Recent Meals */}
       {dashboardData.recentMeals.length > 0 && (
         <div className="card">
@@ -1,18 +1,248 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Send, Sparkles, RefreshCw, Eye, EyeOff } from 'lucide-react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import DraftReview from '../components/Journal/DraftReview';
+import ProvenanceView from '../components/Journal/ProvenanceView';
+
+const REVIEW_BADGES = {
+  pending: { label: 'Awaiting review', className: 'badge-warning' },
+  accepted: { label: 'Accepted', className: 'badge-success' },
+  'partially-accepted': { label: 'Partially accepted', className: 'badge-info' },
+  discarded: { label: 'Discarded', className: 'badge-danger' }
+};
+
+const LANGUAGE_LABELS = {
+  ur: 'Urdu',
+  hi: 'Hindi',
+  ks: 'Kashmiri',
+  'ur-Latn': 'Roman Urdu',
+  'ks-Latn': 'Roman Kashmiri'
+};
+
+const STATUS_POLL_INTERVAL = 3000;
+
+const isInFlight = (journal) => ['pending', 'processing'].includes(journal.processingStatus);
 
 const Journal = () => {
+  const [journals, setJournals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [rawText, setRawText] = useState('');
+  const [reviewFirst, setReviewFirst] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [sourcesShownFor, setSourcesShownFor] = useState(null);
+
+  const fetchJournals = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/api/journals?limit=20');
+      setJournals(response.data.data.journals);
+    } catch (error) {
+      console.error('Error fetching journals:', error);
+      toast.error('Failed to load journal entries');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchJournals();
+  }, [fetchJournals]);
+
+  // Poll background processing until every queued entry has settled
+  const [unqueuedIds, setUnqueuedIds] = useState([]);
+  const inFlightIds = journals
+    .filter(journal => isInFlight(journal) && !unqueuedIds.includes(journal._id))
+    .map(journal => journal._id)
+    .join(',');
+
+  useEffect(() => {
+    if (!inFlightIds) return undefined;
+
+    const timer = setInterval(async () => {
+      try {
+        const statuses = await Promise.all(
+          inFlightIds.split(',').map(id => api.get(`/api/ai/status/${id}`))
+        );
+        const results = statuses.map(response => response.data.data);
+
+        // Entries saved before background processing existed have no job
+        const unqueued = results.filter(data => !data.job).map(data => data.journalId);
+        if (unqueued.length > 0) {
+          setUnqueuedIds(prev => [...prev, ...unqueued]);
+        }
+
+        if (results.some(data => data.job && !isInFlight(data))) {
+          fetchJournals();
+        }
+      } catch (error) {
+        console.error('Error polling processing status:', error);
+      }
+    }, STATUS_POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [inFlightIds, fetchJournals]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!rawText.trim()) return;
+
+    try {
+      setIsSubmitting(true);
+      await api.post('/api/journals', {
+        rawText,
+        draft: reviewFirst
+      });
+      toast.success('Entry saved, extracting items in the background');
+      setRawText('');
+      fetchJournals();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to parse journal entry');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleReparse = async (journalId) => {
+    try {
+      const response = await api.post(`/api/ai/reparse/${journalId}`);
+      toast.success(response.data.message);
+      fetchJournals();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to re-parse journal entry');
+    }
+  };
+
+  const handleReviewed = (journalId, { reviewStatus }) => {
+    setJournals(prev => prev.map(journal => (
+      journal._id === journalId ? { ...journal, reviewStatus } : journal
+    )));
+  };
+
   return (
     <div className="space-y-6">
       <div>
         <h1 className="text-2xl font-bold text-gray-900">Health Journal</h1>
         <p className="text-gray-600">AI-powered journal with natural language processing</p>
       </div>
-      
+
       <div className="card">
         <div className="card-body">
-          <p className="text-gray-500">Journal page coming soon...</p>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <textarea
+              value={rawText}
+              onChange={(e) => setRawText(e.target.value)}
+              rows={4}
+              maxLength={5000}
+              className="input"
+              placeholder="e.g. Had nun chai and girda for breakfast, took metformin 500mg, drank 2 litres of water"
+            />
+            <div className="flex items-center justify-between">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={reviewFirst}
+                  onChange={(e) => setReviewFirst(e.target.checked)}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                <span className="ml-2">Review extracted items before saving</span>
+              </label>
+              <button type="submit" className="btn-primary" disabled={isSubmitting || !rawText.trim()}>
+                {isSubmitting ? (
+                  <div className="loading-spinner mr-2" />
+                ) : (
+                  <Send className="w-4 h-4 mr-2" />
+                )}
+                Parse entry
+              </button>
+            </div>
+          </form>
         </div>
       </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="loading-spinner"></div>
+        </div>
+      ) : journals.length === 0 ? (
+        <div className="card">
+          <div className="card-body">
+            <p className="text-gray-500">No journal entries yet.</p>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {journals.map((journal) => {
+            const badge = REVIEW_BADGES[journal.reviewStatus];
+            return (
+              <div key={journal._id} className="card">
+                <div className="card-body space-y-3">
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm text-gray-500">
+                      {format(new Date(journal.date), 'EEEE, MMM d, yyyy')}
+                    </p>
+                    <div className="flex items-center gap-2">
+                      {LANGUAGE_LABELS[journal.detectedLanguage?.code] && (
+                        <span className="badge bg-gray-100 text-gray-700">
+                          {LANGUAGE_LABELS[journal.detectedLanguage.code]}
+                          {journal.detectedLanguage.mixed && ' + English'}
+                        </span>
+                      )}
+                      {journal.parser?.method && (
+                        <span className="badge bg-gray-100 text-gray-700">
+                          <Sparkles className="w-3 h-3 mr-1" />
+                          {journal.parser.method === 'llm' ? journal.parser.provider : 'rule-based'}
+                        </span>
+                      )}
+                      {badge && <span className={badge.className}>{badge.label}</span>}
+                      {isInFlight(journal) && (
+                        <span className="badge-info">
+                          {journal.processingStatus === 'processing' ? 'Processing…' : 'Queued'}
+                        </span>
+                      )}
+                      {journal.processingStatus === 'failed' && (
+                        <span className="badge-danger" title={journal.processingError}>Failed</span>
+                      )}
+                      {journal.isProcessed && (
+                        <button
+                          type="button"
+                          onClick={() => setSourcesShownFor(sourcesShownFor === journal._id ? null : journal._id)}
+                          className="text-gray-400 hover:text-gray-600"
+                          title={sourcesShownFor === journal._id ? 'Hide sources' : 'Show which words produced which records'}
+                        >
+                          {sourcesShownFor === journal._id ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                        </button>
+                      )}
+                      {journal.processingStatus !== 'processing' && (
+                        <button
+                          type="button"
+                          onClick={() => handleReparse(journal._id)}
+                          className="text-gray-400 hover:text-gray-600"
+                          title="Re-parse entry"
+                        >
+                          <RefreshCw className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  {sourcesShownFor === journal._id ? (
+                    <ProvenanceView journalId={journal._id} />
+                  ) : (
+                    <p className="text-gray-900 whitespace-pre-line">{journal.rawText}</p>
+                  )}
+                  {journal.reviewStatus === 'pending' && (
+                    <DraftReview
+                      journal={journal}
+                      onReviewed={(result) => handleReviewed(journal._id, result)}
+                    />
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
     </div>
   );
 };
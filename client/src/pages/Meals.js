@@ -1,18 +1,246 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { format, subDays } from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import NutritionProgress, { NUTRIENT_LABELS } from '../components/Nutrition/NutritionProgress';
+import QuickLog from '../components/Meals/QuickLog';
 
 const Meals = () => {
+  const [date, setDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [summary, setSummary] = useState(null);
+  const [meals, setMeals] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [fasting, setFasting] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const fetchMeals = async () => {
+      try {
+        setLoading(true);
+        const weekStart = format(subDays(new Date(`${date}T00:00:00`), 6), 'yyyy-MM-dd');
+        const [summaryResponse, statsResponse, fastingResponse] = await Promise.all([
+          api.get(`/api/meals/summary?date=${date}`),
+          api.get('/api/meals/stats'),
+          api.get(`/api/meals/fasting?startDate=${weekStart}&endDate=${date}`)
+        ]);
+        setSummary(summaryResponse.data.data.summary);
+        setMeals(summaryResponse.data.data.meals);
+        setStats(statsResponse.data.data);
+        setFasting(fastingResponse.data.data);
+      } catch (error) {
+        console.error('Error fetching meals:', error);
+        toast.error('Failed to load meals');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMeals();
+  }, [date, refreshKey]);
+
   return (
     <div className="space-y-6">
-      <div>
-        <h1 className="text-2xl font-bold text-gray-900">Food Log</h1>
-        <p className="text-gray-600">Track your daily meals and nutrition</p>
-      </div>
-      
-      <div className="card">
-        <div className="card-body">
-          <p className="text-gray-500">Meals page coming soon...</p>
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Food Log</h1>
+          <p className="text-gray-600">Track your daily meals and nutrition</p>
         </div>
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="input w-auto"
+        />
       </div>
+
+      <QuickLog date={date} onLogged={() => setRefreshKey(key => key + 1)} />
+
+      {loading ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="loading-spinner"></div>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Intake against daily targets */}
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Nutrition vs Targets</h3>
+              </div>
+              <div className="card-body">
+                <NutritionProgress vsTarget={summary?.vsTarget} />
+                {summary?.totalGrams > 0 && (
+                  <p className="mt-4 text-xs text-gray-500">{summary.totalGrams} g of food logged</p>
+                )}
+              </div>
+            </div>
+
+            {/* Meals for the selected day */}
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Meals ({meals.length})</h3>
+              </div>
+              <div className="card-body">
+                {meals.length === 0 ? (
+                  <p className="text-gray-500">No meals logged for this day.</p>
+                ) : (
+                  <div className="space-y-3">
+                    {meals.map((meal) => (
+                      <div key={meal._id} className="p-3 bg-gray-50 rounded-md">
+                        <div className="flex items-center justify-between">
+                          <p className="text-sm font-medium text-gray-900 capitalize">
+                            {meal.time}
+                            {meal.eatenAt && (
+                              <span className="ml-2 text-xs font-normal text-gray-500">
+                                {format(new Date(meal.eatenAt), 'HH:mm')}
+                              </span>
+                            )}
+                          </p>
+                          <p className="text-sm font-medium text-gray-900">{meal.totalCalories} cal</p>
+                        </div>
+                        <ul className="mt-1 space-y-1">
+                          {meal.foodItems.map((item) => (
+                            <li key={item._id} className="flex items-center justify-between text-xs text-gray-500">
+                              <span>
+                                {item.name} · {item.quantity}
+                                {item.grams ? ` (${Math.round(item.grams)} g)` : ''}
+                              </span>
+                              <span>
+                                {item.protein !== undefined && `P ${item.protein}g · C ${item.carbs}g · F ${item.fat}g`}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* Daily calories over the last 30 days */}
+          {stats?.daily?.length > 0 && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Daily Calories</h3>
+              </div>
+              <div className="card-body">
+                <ResponsiveContainer width="100%" height={260}>
+                  <BarChart data={stats.daily.map(day => ({ date: day.date, calories: day.intake.calories }))}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis
+                      dataKey="date"
+                      tickFormatter={(day) => format(new Date(`${day}T00:00:00`), 'MMM d')}
+                    />
+                    <YAxis />
+                    <Tooltip
+                      labelFormatter={(day) => format(new Date(`${day}T00:00:00`), 'MMM d, yyyy')}
+                      formatter={(value) => [`${value} kcal`, 'Calories']}
+                    />
+                    <ReferenceLine y={stats.targets.calories} stroke="#ef4444" strokeDasharray="4 4" />
+                    <Bar dataKey="calories" fill="#22c55e" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          )}
+
+          {/* Fasts and eating windows over the week ending on the selected day */}
+          {fasting?.daily?.length > 0 && (
+            <div className="card">
+              <div className="card-header flex items-center justify-between">
+                <h3 className="text-lg font-medium text-gray-900">Fasting This Week</h3>
+                <div className="flex items-center space-x-2">
+                  <span className="badge-info">{fasting.targetHours}h target</span>
+                  <span className={fasting.summary.currentStreak > 0 ? 'badge-success' : 'badge-warning'}>
+                    {fasting.summary.currentStreak} day streak
+                  </span>
+                </div>
+              </div>
+              <div className="card-body">
+                <ResponsiveContainer width="100%" height={260}>
+                  <BarChart
+                    data={fasting.daily.map(day => ({
+                      date: day.date,
+                      fast: day.longestFastHours,
+                      window: day.eatingWindowHours
+                    }))}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis
+                      dataKey="date"
+                      tickFormatter={(day) => format(new Date(`${day}T00:00:00`), 'EEE')}
+                    />
+                    <YAxis unit="h" />
+                    <Tooltip
+                      labelFormatter={(day) => format(new Date(`${day}T00:00:00`), 'MMM d, yyyy')}
+                      formatter={(value, name) => [
+                        value === null ? 'Not known' : `${value} h`,
+                        name === 'fast' ? 'Longest fast' : 'Eating window'
+                      ]}
+                    />
+                    <ReferenceLine y={fasting.targetHours} stroke="#ef4444" strokeDasharray="4 4" />
+                    <Bar dataKey="fast" fill="#3b82f6" />
+                    <Bar dataKey="window" fill="#f59e0b" />
+                  </BarChart>
+                </ResponsiveContainer>
+                <p className="mt-2 text-xs text-gray-500">
+                  Met the target on {fasting.summary.daysMetTarget} of {fasting.summary.daysTracked} logged days.
+                  {fasting.daily.some(day => day.estimated) && ' Meals without an exact time are placed at the usual time for their slot.'}
+                </p>
+              </div>
+            </div>
+          )}
+
+          {/* Weekly averages against daily targets */}
+          {stats?.weekly?.length > 0 && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Weekly Averages</h3>
+              </div>
+              <div className="card-body overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="py-2 pr-4 font-medium">Week of</th>
+                      <th className="py-2 pr-4 font-medium">Days</th>
+                      {Object.entries(NUTRIENT_LABELS).map(([nutrient, { label }]) => (
+                        <th key={nutrient} className="py-2 pr-4 font-medium">{label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.weekly.map((week) => (
+                      <tr key={week.weekStart} className="border-t border-gray-100">
+                        <td className="py-2 pr-4 text-gray-900">
+                          {format(new Date(`${week.weekStart}T00:00:00`), 'MMM d')}
+                        </td>
+                        <td className="py-2 pr-4 text-gray-500">{week.daysLogged}</td>
+                        {Object.keys(NUTRIENT_LABELS).map((nutrient) => {
+                          const entry = week.vsTarget[nutrient];
+                          return (
+                            <td
+                              key={nutrient}
+                              className={`py-2 pr-4 ${entry.onTrack ? 'text-success-700' : 'text-warning-700'}`}
+                              title={`${entry.percent}% of ${entry.target} ${NUTRIENT_LABELS[nutrient].unit}`}
+                            >
+                              {Math.round(week.dailyAverage[nutrient])}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="mt-2 text-xs text-gray-500">Average per logged day</p>
+              </div>
+            </div>
+          )}
+        </>
+      )}
     </div>
   );
 };
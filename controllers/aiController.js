@@ -1,16 +1,36 @@
-const axios = require('axios');
 const Journal = require('../models/Journal');
-const Meal = require('../models/Meal');
-const Medicine = require('../models/Medicine');
-const BodyStat = require('../models/BodyStat');
-const Test = require('../models/Test');
-
-// @desc    Parse journal entry using Perplexity AI
+const { validationResult } = require('express-validator');
+const { parseJournalText } = require('../services/ai/journalParser');
+const { validateParsedData } = require('../services/ai/parsedDataSchema');
+const {
+  processJournal,
+  markProcessingFailed,
+  isProcessingStale,
+  findLatestJournalJob
+} = require('../services/journalProcessor');
+const { runDueJobs, isWorkerRunning } = require('../services/jobQueue');
+const {
+  materializeParsedData,
+  reconcileParsedData,
+  selectParsedItems,
+  countParsedItems
+} = require('../services/journalRecords');
+
+// @desc    Parse journal entry using the configured LLM provider, falling back to rules
 // @route   POST /api/ai/parse-journal
 // @access  Private
 const parseJournalEntry = async (req, res) => {
   try {
-    const { rawText, date } = req.body;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { rawText, date, draft } = req.body;
     const userId = req.user.id;
 
     if (!rawText || !rawText.trim()) {
@@ -29,189 +49,52 @@ const parseJournalEntry = async (req, res) => {
     });
 
     try {
-      // Prepare the prompt for Perplexity AI
-      const systemPrompt = `You are a health data parser. Parse the following health journal entry into structured JSON format. Focus on Kashmiri and South Asian food items, medicines, and health metrics.
-
-Output format:
-{
-  "meals": [
-    {
-      "time": "morning|noon|evening|night",
-      "items": ["food item names"],
-      "quantity": "amount description",
-      "calories": number
-    }
-  ],
-  "medicines": [
-    {
-      "name": "medicine name",
-      "time": "morning|noon|evening|night",
-      "dosage": "dosage description"
-    }
-  ],
-  "bodyStats": {
-    "waterIntakeLiters": number,
-    "weightKg": number,
-    "sleepHours": number,
-    "steps": number,
-    "mood": "excellent|good|okay|poor|terrible",
-    "energy": "high|medium|low"
-  },
-  "tests": [
-    {
-      "testName": "test name",
-      "result": "result description",
-      "resultValue": number,
-      "unit": "unit of measurement",
-      "referenceRange": {
-        "min": number,
-        "max": number,
-        "unit": "unit of measurement"
-      }
-    }
-  ],
-  "notes": "additional notes"
-}
-
-Parse this journal entry: "${rawText.trim()}"`;
-
-      // Call Perplexity AI API
-      const response = await axios.post(
-        process.env.PERPLEXITY_API_URL,
-        {
-          model: 'llama-3.1-sonar-small-128k-online',
-          messages: [
-            {
-              role: 'system',
-              content: systemPrompt
-            }
-          ],
-          max_tokens: 2000,
-          temperature: 0.1
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.PERPLEXITY_API_KEY}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      // Extract the parsed data from AI response
-      const aiResponse = response.data.choices[0].message.content;
-      let parsedData;
-
-      try {
-        // Try to parse the JSON response
-        parsedData = JSON.parse(aiResponse);
-      } catch (parseError) {
-        console.error('AI response parsing error:', parseError);
-        // Update journal entry with error status
-        await Journal.findByIdAndUpdate(journalEntry._id, {
-          processingStatus: 'failed',
-          processingError: 'Failed to parse AI response as JSON',
-          aiResponse
-        });
+      // Extract structured data (LLM first, rule-based parser as fallback)
+      const { parsedData, validationErrors, aiResponse, parser } = await parseJournalText(rawText.trim(), {
+        date,
+        timeZone: req.user.timezone
+      });
 
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to parse AI response',
+      // In draft mode the extraction is staged on the journal for review
+      if (draft === true || draft === 'true') {
+        const stagedJournal = await Journal.findByIdAndUpdate(
+          journalEntry._id,
+          {
+            parsedData,
+            isProcessed: true,
+            processingStatus: 'completed',
+            reviewStatus: 'pending',
+            aiResponse,
+            parser,
+            validationErrors
+          },
+          { new: true }
+        );
+
+        return res.status(200).json({
+          success: true,
+          message: 'Journal entry parsed and awaiting review',
           data: {
             journalId: journalEntry._id,
-            rawResponse: aiResponse
+            parsedData: stagedJournal.parsedData,
+            parser,
+            validationErrors,
+            reviewStatus: stagedJournal.reviewStatus
           }
         });
       }
 
-      // Update journal entry with parsed data
-      await Journal.findByIdAndUpdate(journalEntry._id, {
-        parsedData,
-        isProcessed: true,
-        processingStatus: 'completed',
-        aiResponse
-      });
-
-      // Create meals from parsed data
-      if (parsedData.meals && parsedData.meals.length > 0) {
-        for (const mealData of parsedData.meals) {
-          await Meal.create({
-            userId,
-            date: date || new Date(),
-            time: mealData.time,
-            foodItems: mealData.items.map(item => ({
-              name: item,
-              quantity: mealData.quantity || '1 serving',
-              calories: mealData.calories || 0
-            })),
-            notes: `Parsed from journal entry`,
-            isFromJournal: true,
-            journalEntryId: journalEntry._id
-          });
-        }
-      }
-
-      // Create medicines from parsed data
-      if (parsedData.medicines && parsedData.medicines.length > 0) {
-        for (const medicineData of parsedData.medicines) {
-          await Medicine.create({
-            userId,
-            name: medicineData.name,
-            dosage: medicineData.dosage,
-            time: medicineData.time,
-            startDate: date || new Date(),
-            isFromJournal: true,
-            journalEntryId: journalEntry._id
-          });
-        }
-      }
-
-      // Create body stats from parsed data
-      if (parsedData.bodyStats) {
-        const bodyStatsData = {
-          userId,
-          date: date || new Date(),
-          isFromJournal: true,
-          journalEntryId: journalEntry._id
-        };
-
-        if (parsedData.bodyStats.waterIntakeLiters) {
-          bodyStatsData.waterIntake = parsedData.bodyStats.waterIntakeLiters;
-        }
-        if (parsedData.bodyStats.weightKg) {
-          bodyStatsData.weight = parsedData.bodyStats.weightKg;
-        }
-        if (parsedData.bodyStats.sleepHours) {
-          bodyStatsData.sleepHours = parsedData.bodyStats.sleepHours;
-        }
-        if (parsedData.bodyStats.steps) {
-          bodyStatsData.steps = parsedData.bodyStats.steps;
-        }
-        if (parsedData.bodyStats.mood) {
-          bodyStatsData.mood = parsedData.bodyStats.mood;
-        }
-        if (parsedData.bodyStats.energy) {
-          bodyStatsData.energy = parsedData.bodyStats.energy;
-        }
-
-        await BodyStat.create(bodyStatsData);
-      }
-
-      // Create tests from parsed data
-      if (parsedData.tests && parsedData.tests.length > 0) {
-        for (const testData of parsedData.tests) {
-          await Test.create({
-            userId,
-            testName: testData.testName,
-            date: date || new Date(),
-            result: testData.result,
-            resultValue: testData.resultValue,
-            unit: testData.unit,
-            referenceRange: testData.referenceRange,
-            isFromJournal: true,
-            journalEntryId: journalEntry._id
-          });
+      // Create derived records and mark the journal completed in one unit of work
+      const createdItems = await materializeParsedData(journalEntry, parsedData, {
+        journalUpdate: {
+          parsedData,
+          isProcessed: true,
+          processingStatus: 'completed',
+          aiResponse,
+          parser,
+          validationErrors
         }
-      }
+      });
 
       res.status(200).json({
         success: true,
@@ -219,12 +102,9 @@ Parse this journal entry: "${rawText.trim()}"`;
         data: {
           journalId: journalEntry._id,
           parsedData,
-          createdItems: {
-            meals: parsedData.meals?.length || 0,
-            medicines: parsedData.medicines?.length || 0,
-            bodyStats: parsedData.bodyStats ? 1 : 0,
-            tests: parsedData.tests?.length || 0
-          }
+          parser,
+          validationErrors,
+          createdItems
         }
       });
 
@@ -237,9 +117,9 @@ Parse this journal entry: "${rawText.trim()}"`;
         processingError: aiError.message || 'AI API call failed'
       });
 
-      return res.status(500).json({
+      return res.status(aiError.statusCode || 500).json({
         success: false,
-        message: 'Failed to process journal entry with AI',
+        message: aiError.statusCode ? aiError.message : 'Failed to process journal entry with AI',
         error: aiError.message,
         data: {
           journalId: journalEntry._id
@@ -265,6 +145,12 @@ const getProcessingStatus = async (req, res) => {
     const { journalId } = req.params;
     const userId = req.user.id;
 
+    // Serverless deployments have no worker, so clients polling for their
+    // entry run the next due job instead of waiting for the daily cron
+    if (!isWorkerRunning()) {
+      await runDueJobs(1);
+    }
+
     const journal = await Journal.findOne({
       _id: journalId,
       userId
@@ -277,6 +163,9 @@ const getProcessingStatus = async (req, res) => {
       });
     }
 
+    // Background processing progress, when the entry was queued
+    const job = await findLatestJournalJob(journal._id);
+
     res.status(200).json({
       success: true,
       data: {
@@ -284,7 +173,18 @@ const getProcessingStatus = async (req, res) => {
         processingStatus: journal.processingStatus,
         isProcessed: journal.isProcessed,
         processingError: journal.processingError,
-        parsedData: journal.parsedData
+        parser: journal.parser,
+        validationErrors: journal.validationErrors,
+        reviewStatus: journal.reviewStatus,
+        parsedData: journal.parsedData,
+        job: job ? {
+          status: job.status,
+          attempts: job.attempts,
+          maxAttempts: job.maxAttempts,
+          nextAttemptAt: job.status === 'queued' ? job.runAt : null,
+          lastError: job.lastError,
+          completedAt: job.completedAt
+        } : null
       }
     });
   } catch (error) {
@@ -297,6 +197,77 @@ const getProcessingStatus = async (req, res) => {
   }
 };
 
+// Process a journal inside the request, marking it failed if that fails
+const reprocessJournal = async (journal, options) => {
+  try {
+    return await processJournal(journal, options);
+  } catch (error) {
+    await markProcessingFailed(journal._id, error);
+    throw error;
+  }
+};
+
+// @desc    Re-run extraction on an existing journal entry and reconcile its records
+// @route   POST /api/ai/reparse/:journalId
+// @access  Private
+const reparseJournal = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const journal = await Journal.findOne({
+      _id: req.params.journalId,
+      userId: req.user.id
+    });
+
+    if (!journal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Journal entry not found'
+      });
+    }
+
+    if (journal.processingStatus === 'processing' && !isProcessingStale(journal)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Journal entry is already being processed'
+      });
+    }
+
+    const job = await findLatestJournalJob(journal._id);
+    if (job && job.status === 'queued') {
+      return res.status(409).json({
+        success: false,
+        message: 'Journal entry is queued for processing'
+      });
+    }
+
+    const { draft } = req.body;
+    const data = await reprocessJournal(journal, { draft: draft === true || draft === 'true' });
+
+    res.status(200).json({
+      success: true,
+      message: data.reviewStatus === 'pending'
+        ? 'Journal entry re-parsed and awaiting review'
+        : 'Journal entry re-parsed successfully',
+      data
+    });
+  } catch (error) {
+    console.error('Reparse journal error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error during journal re-parsing',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Retry failed journal processing
 // @route   POST /api/ai/retry/:journalId
 // @access  Private
@@ -317,35 +288,181 @@ const retryProcessing = async (req, res) => {
       });
     }
 
-    if (journal.processingStatus !== 'failed') {
+    // Entries stuck in processing are retried like failed ones
+    if (journal.processingStatus !== 'failed' && !isProcessingStale(journal)) {
       return res.status(400).json({
         success: false,
         message: 'Journal entry is not in failed status'
       });
     }
 
-    // Reset processing status
-    await Journal.findByIdAndUpdate(journalId, {
-      processingStatus: 'pending',
-      processingError: null
+    // Process the original entry again rather than creating a new one
+    const data = await reprocessJournal(journal);
+
+    res.status(200).json({
+      success: true,
+      message: 'Journal entry processed successfully',
+      data
+    });
+
+  } catch (error) {
+    console.error('Retry processing error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error during retry',
+      error: error.message
+    });
+  }
+};
+
+// Load a journal that is waiting for its extraction to be reviewed
+const findPendingDraft = async (req, res) => {
+  const journal = await Journal.findOne({
+    _id: req.params.journalId,
+    userId: req.user.id
+  });
+
+  if (!journal) {
+    res.status(404).json({
+      success: false,
+      message: 'Journal entry not found'
+    });
+    return null;
+  }
+
+  if (journal.reviewStatus !== 'pending') {
+    res.status(400).json({
+      success: false,
+      message: 'Journal entry has no extraction awaiting review'
     });
+    return null;
+  }
+
+  return journal;
+};
+
+// @desc    Edit the staged extraction of a journal entry
+// @route   PUT /api/ai/draft/:journalId
+// @access  Private
+const updateDraft = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
-    // Call the parse function again
-    const result = await parseJournalEntry({
-      body: {
-        rawText: journal.rawText,
-        date: journal.date
-      },
-      user: { id: userId }
-    }, res);
+    const journal = await findPendingDraft(req, res);
+    if (!journal) return;
+
+    const { parsedData, errors: validationErrors } = validateParsedData(req.body.parsedData, {
+      date: journal.date,
+      timeZone: req.user.timezone,
+      rawText: journal.rawText
+    });
 
-    return result;
+    journal.parsedData = parsedData;
+    journal.validationErrors = validationErrors;
+    await journal.save();
 
+    res.status(200).json({
+      success: true,
+      message: 'Draft updated successfully',
+      data: {
+        journalId: journal._id,
+        parsedData: journal.parsedData,
+        validationErrors: journal.validationErrors
+      }
+    });
   } catch (error) {
-    console.error('Retry processing error:', error);
+    console.error('Update draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during draft update',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept all or some staged items and create their records
+// @route   POST /api/ai/draft/:journalId/accept
+// @access  Private
+const acceptDraft = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const journal = await findPendingDraft(req, res);
+    if (!journal) return;
+
+    // Without an item selection everything staged is accepted
+    const { items } = req.body;
+    const stagedData = journal.toObject().parsedData;
+    const acceptedData = items ? selectParsedItems(stagedData, items) : stagedData;
+
+    const reviewStatus = countParsedItems(acceptedData) < countParsedItems(stagedData)
+      ? 'partially-accepted'
+      : 'accepted';
+
+    // Reconcile rather than replace: a re-parsed journal may already have records
+    const changes = await reconcileParsedData(journal, acceptedData, {
+      journalUpdate: { reviewStatus, reviewedAt: new Date() }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Journal extraction accepted',
+      data: {
+        journalId: journal._id,
+        reviewStatus,
+        createdItems: changes.created,
+        changes
+      }
+    });
+  } catch (error) {
+    console.error('Accept draft error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while accepting draft',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Discard the staged extraction of a journal entry
+// @route   POST /api/ai/draft/:journalId/discard
+// @access  Private
+const discardDraft = async (req, res) => {
+  try {
+    const journal = await findPendingDraft(req, res);
+    if (!journal) return;
+
+    journal.reviewStatus = 'discarded';
+    journal.reviewedAt = new Date();
+    await journal.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Journal extraction discarded',
+      data: {
+        journalId: journal._id,
+        reviewStatus: journal.reviewStatus
+      }
+    });
+  } catch (error) {
+    console.error('Discard draft error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during retry',
+      message: 'Server error while discarding draft',
       error: error.message
     });
   }
@@ -354,5 +471,9 @@ const retryProcessing = async (req, res) => {
 module.exports = {
   parseJournalEntry,
   getProcessingStatus,
-  retryProcessing
+  retryProcessing,
+  reparseJournal,
+  updateDraft,
+  acceptDraft,
+  discardDraft
 };
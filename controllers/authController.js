@@ -23,7 +23,7 @@ const register = async (req, res) => {
       });
     }
 
-    const { name, email, password, height, weightGoal, currentWeight, medicalConditions } = req.body;
+    const { name, email, password, height, weightGoal, currentWeight, medicalConditions, timezone } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -42,7 +42,8 @@ const register = async (req, res) => {
       height,
       weightGoal,
       currentWeight,
-      medicalConditions: medicalConditions || []
+      medicalConditions: medicalConditions || [],
+      timezone
     });
 
     // Generate token
@@ -169,18 +170,48 @@ const getMe = async (req, res) => {
 // @access  Private
 const updateProfile = async (req, res) => {
   try {
-    const { name, height, weightGoal, currentWeight, medicalConditions } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, height, weightGoal, currentWeight, medicalConditions, timezone, nutritionTargets, fastingTargetHours } = req.body;
+
+    const update = {
+      name,
+      height,
+      weightGoal,
+      currentWeight,
+      medicalConditions,
+      timezone
+    };
+
+    // Targets are updated one by one so unmentioned ones are kept; null
+    // clears a target, and the fasting target, back to the default
+    const unset = {};
+    Object.entries(nutritionTargets || {}).forEach(([nutrient, value]) => {
+      if (value === null) {
+        unset[`nutritionTargets.${nutrient}`] = 1;
+      } else if (value !== undefined) {
+        update[`nutritionTargets.${nutrient}`] = value;
+      }
+    });
+    if (fastingTargetHours === null) {
+      unset.fastingTargetHours = 1;
+    } else if (fastingTargetHours !== undefined) {
+      update.fastingTargetHours = fastingTargetHours;
+    }
+    if (Object.keys(unset).length > 0) {
+      update.$unset = unset;
+    }
 
     // Find user and update
     const user = await User.findByIdAndUpdate(
       req.user.id,
-      {
-        name,
-        height,
-        weightGoal,
-        currentWeight,
-        medicalConditions
-      },
+      update,
       {
         new: true,
         runValidators: true
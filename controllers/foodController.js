@@ -0,0 +1,85 @@
+const { validationResult } = require('express-validator');
+const { findFood, nutritionFor, measureFoodItem, searchFoods } = require('../services/nutrition');
+
+// @desc    Search the food database
+// @route   GET /api/foods
+// @access  Private
+const getFoods = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { q, category, region, limit = 20 } = req.query;
+    const foods = await searchFoods({ q, category, region, limit: parseInt(limit) });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        foods
+      }
+    });
+  } catch (error) {
+    console.error('Get foods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Look up nutrition for a food name or alias
+// @route   GET /api/foods/lookup
+// @access  Private
+const lookupFood = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, quantity } = req.query;
+    const food = await findFood(name);
+
+    if (!food) {
+      return res.status(404).json({
+        success: false,
+        message: `No food found matching "${name}"`
+      });
+    }
+
+    // A quantity ("2 cups", "150g") takes precedence over a servings count
+    const measure = quantity
+      ? measureFoodItem(quantity, food)
+      : { servings: parseFloat(req.query.servings || 1) };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        food,
+        ...measure,
+        nutrition: nutritionFor(food, measure.servings)
+      }
+    });
+  } catch (error) {
+    console.error('Lookup food error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getFoods,
+  lookupFood
+};
@@ -0,0 +1,35 @@
+const { runDueJobs } = require('../services/jobQueue');
+// Registers the journal processing job handler
+require('../services/journalProcessor');
+// Registers the course sweep job handler
+const { scheduleCourseSweep } = require('../services/medicineLifecycle');
+
+// @desc    Run due background jobs (serverless deployments have no worker)
+// @route   GET /api/jobs/run
+// @access  Cron
+const runJobs = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+    // Serverless deployments have no startup hook, so the first run starts the course sweep
+    await scheduleCourseSweep();
+    const processed = await runDueJobs(limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        processed
+      }
+    });
+  } catch (error) {
+    console.error('Run jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while running jobs',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  runJobs
+};
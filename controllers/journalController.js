@@ -1,5 +1,14 @@
 const Journal = require('../models/Journal');
 const { validationResult } = require('express-validator');
+const { enqueueJournalProcessing, cancelJournalProcessing } = require('../services/journalProcessor');
+const { detectLanguage, textSearchLanguage } = require('../services/language');
+const {
+  countDerivedRecords,
+  findDerivedRecords,
+  deleteJournalWithRecords,
+  findOrphanedRecords,
+  resolveOrphanedRecords
+} = require('../services/journalRecords');
 
 // @desc    Get all journal entries for user
 // @route   GET /api/journals
@@ -97,6 +106,81 @@ const getJournal = async (req, res) => {
   }
 };
 
+// Short description of a derived record or staged item for provenance views.
+// Handles both saved records (foodItems, waterIntake) and parsedData items.
+const describeExtraction = (kind, item) => {
+  switch (kind) {
+    case 'meals': {
+      const names = item.foodItems ? item.foodItems.map(food => food.name) : item.items;
+      return `${item.time}: ${(names || []).join(', ')}`;
+    }
+    case 'medicines':
+      return `${item.name} ${item.dosage || ''}`.trim();
+    case 'tests':
+      return `${item.testName}: ${item.result}`;
+    default:
+      return 'Body stats';
+  }
+};
+
+const toProvenanceEntries = (kind, items, idKey) => items.map(item => ({
+  kind,
+  [idKey]: item._id,
+  label: describeExtraction(kind, item),
+  sourceSpans: item.sourceSpans || []
+}));
+
+// @desc    Show which parts of a journal entry produced which records
+// @route   GET /api/journals/:id/provenance
+// @access  Private
+const getJournalProvenance = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const journal = await Journal.findOne({ _id: id, userId });
+
+    if (!journal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Journal entry not found'
+      });
+    }
+
+    const derived = await findDerivedRecords(journal._id);
+    const records = Object.entries(derived)
+      .flatMap(([kind, items]) => toProvenanceEntries(kind, items, 'recordId'));
+
+    // Items of an extraction that is still awaiting review have no records yet
+    let staged = [];
+    if (journal.reviewStatus === 'pending') {
+      const parsedData = journal.toObject().parsedData || {};
+      staged = ['meals', 'medicines', 'tests']
+        .flatMap(kind => toProvenanceEntries(kind, parsedData[kind] || [], 'itemId'));
+      if (parsedData.bodyStats?.sourceSpans?.length > 0) {
+        staged.push(...toProvenanceEntries('bodyStats', [parsedData.bodyStats], 'itemId'));
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        journalId: journal._id,
+        rawText: journal.rawText,
+        records,
+        staged
+      }
+    });
+  } catch (error) {
+    console.error('Get journal provenance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Create new journal entry
 // @route   POST /api/journals
 // @access  Private
@@ -112,9 +196,9 @@ const createJournal = async (req, res) => {
     }
 
     const userId = req.user.id;
-    const { date, rawText, mood, energy } = req.body;
+    const { date, rawText, mood, energy, draft } = req.body;
 
-    const journal = await Journal.create({
+    const created = await Journal.create({
       userId,
       date: date || new Date(),
       rawText,
@@ -122,11 +206,15 @@ const createJournal = async (req, res) => {
       energy
     });
 
+    // Extraction runs in the background; poll GET /api/ai/status/:journalId
+    const { journal, job } = await enqueueJournalProcessing(created, { draft: draft === true || draft === 'true' });
+
     res.status(201).json({
       success: true,
-      message: 'Journal entry created successfully',
+      message: 'Journal entry created and queued for processing',
       data: {
-        journal
+        journal,
+        jobId: job._id
       }
     });
   } catch (error) {
@@ -191,10 +279,22 @@ const updateJournal = async (req, res) => {
 // @access  Private
 const deleteJournal = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
     const userId = req.user.id;
+    // cascade: delete derived records, detach: keep them unlinked, refuse: keep the journal.
+    // Deleting always succeeded before derived records were tracked, so detach is the default.
+    const { derived = 'detach' } = req.query;
 
-    const journal = await Journal.findOneAndDelete({ _id: id, userId });
+    const journal = await Journal.findOne({ _id: id, userId });
 
     if (!journal) {
       return res.status(404).json({
@@ -203,15 +303,100 @@ const deleteJournal = async (req, res) => {
       });
     }
 
+    const derivedRecords = await countDerivedRecords(journal._id);
+    const hasDerivedRecords = Object.values(derivedRecords).some(count => count > 0);
+
+    if (hasDerivedRecords && derived === 'refuse') {
+      return res.status(409).json({
+        success: false,
+        message: 'Journal entry has derived records. Delete with derived=cascade or derived=detach',
+        data: {
+          derivedRecords
+        }
+      });
+    }
+
+    const affected = await deleteJournalWithRecords(journal, derived === 'cascade' ? 'cascade' : 'detach');
+
+    // Nothing left to process for this entry; a job already running skips committing
+    await cancelJournalProcessing(journal._id);
+
     res.status(200).json({
       success: true,
-      message: 'Journal entry deleted successfully'
+      message: 'Journal entry deleted successfully',
+      data: {
+        [derived === 'cascade' ? 'deletedRecords' : 'detachedRecords']: affected
+      }
     });
   } catch (error) {
     console.error('Delete journal error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error during journal deletion',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Report records derived from journal entries that no longer exist
+// @route   GET /api/journals/maintenance/orphans
+// @access  Private
+const getOrphanedRecords = async (req, res) => {
+  try {
+    const orphans = await findOrphanedRecords(req.user.id);
+
+    const counts = {};
+    Object.entries(orphans).forEach(([kind, records]) => {
+      counts[kind] = records.length;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+        counts,
+        orphans
+      }
+    });
+  } catch (error) {
+    console.error('Get orphaned records error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during journal deletion',
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete or detach orphaned journal-derived records
+// @route   POST /api/journals/maintenance/orphans
+// @access  Private
+const cleanupOrphanedRecords = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { action } = req.body;
+    const resolved = await resolveOrphanedRecords(req.user.id, action);
+
+    res.status(200).json({
+      success: true,
+      message: action === 'delete' ? 'Orphaned records deleted' : 'Orphaned records detached',
+      data: {
+        [action === 'delete' ? 'deletedRecords' : 'detachedRecords']: resolved
+      }
+    });
+  } catch (error) {
+    console.error('Cleanup orphaned records error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during orphan cleanup',
       error: error.message
     });
   }
@@ -232,10 +417,13 @@ const searchJournals = async (req, res) => {
       });
     }
 
-    // Build search query
+    // Build search query, stemming the query like entries in its language
     const searchQuery = {
       userId,
-      $text: { $search: q.trim() }
+      $text: {
+        $search: q.trim(),
+        $language: textSearchLanguage(detectLanguage(q).code)
+      }
     };
 
     // Calculate pagination
@@ -449,9 +637,12 @@ const getJournalSummary = async (req, res) => {
 module.exports = {
   getJournals,
   getJournal,
+  getJournalProvenance,
   createJournal,
   updateJournal,
   deleteJournal,
+  getOrphanedRecords,
+  cleanupOrphanedRecords,
   searchJournals,
   getJournalStats,
   getJournalSummary
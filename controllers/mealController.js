@@ -1,5 +1,15 @@
 const Meal = require('../models/Meal');
+const User = require('../models/User');
 const { validationResult } = require('express-validator');
+const {
+  resolveFoodItems,
+  nutritionTargetsFor,
+  sumNutrition,
+  compareWithTargets,
+  summarizeIntake
+} = require('../services/nutrition');
+const { resolveTiming, calendarDay, storedDay, zonedParts, slotForClock } = require('../services/timeOfDay');
+const { analyzeFasting, DEFAULT_FASTING_TARGET_HOURS } = require('../services/fasting');
 
 // @desc    Get all meals for user
 // @route   GET /api/meals
@@ -103,13 +113,17 @@ const createMeal = async (req, res) => {
     }
 
     const userId = req.user.id;
-    const { date, time, foodItems, notes } = req.body;
+    const { date, time, eatenAt, foodItems, notes } = req.body;
+
+    // An exact time fills in the slot when none is given
+    const timing = resolveTiming({ date, slot: time, at: eatenAt }, req.user.timezone);
 
     const meal = await Meal.create({
       userId,
-      date: date || new Date(),
-      time,
-      foodItems,
+      date: timing.date,
+      time: timing.slot,
+      eatenAt: timing.at,
+      foodItems: await resolveFoodItems(foodItems, { userId }),
       notes
     });
 
@@ -137,21 +151,9 @@ const updateMeal = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const { date, time, foodItems, notes } = req.body;
-
-    const meal = await Meal.findOneAndUpdate(
-      { _id: id, userId },
-      {
-        date,
-        time,
-        foodItems,
-        notes
-      },
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    const { date, time, eatenAt, foodItems, notes } = req.body;
+
+    const meal = await Meal.findOne({ _id: id, userId });
 
     if (!meal) {
       return res.status(404).json({
@@ -160,6 +162,28 @@ const updateMeal = async (req, res) => {
       });
     }
 
+    // Saved rather than updated in place so the totals are recalculated
+    if (date || time || eatenAt) {
+      // A meal moved to another day keeps its clock time; a new slot drops
+      // an exact time that falls outside it
+      let at = eatenAt;
+      if (!at && meal.eatenAt) {
+        const { clock } = zonedParts(meal.eatenAt, req.user.timezone);
+        if (!time || slotForClock(clock) === time) at = clock;
+      }
+      const timing = resolveTiming({
+        date: date || storedDay(meal.date, req.user.timezone),
+        slot: time || (at ? undefined : meal.time),
+        at
+      }, req.user.timezone);
+      if (date) meal.date = timing.date;
+      meal.time = timing.slot;
+      meal.eatenAt = timing.at;
+    }
+    if (foodItems) meal.foodItems = await resolveFoodItems(foodItems, { userId });
+    if (notes !== undefined) meal.notes = notes;
+    await meal.save();
+
     res.status(200).json({
       success: true,
       message: 'Meal updated successfully',
@@ -223,14 +247,20 @@ const getDailySummary = async (req, res) => {
     const endDate = new Date(targetDate);
     endDate.setHours(23, 59, 59, 999);
 
-    const meals = await Meal.find({
-      userId,
-      date: { $gte: startDate, $lte: endDate }
-    }).sort({ time: 1 });
+    const [meals, user] = await Promise.all([
+      Meal.find({
+        userId,
+        date: { $gte: startDate, $lte: endDate }
+      }).sort({ time: 1 }),
+      User.findById(userId).select('nutritionTargets')
+    ]);
 
     // Calculate totals
     const totalCalories = meals.reduce((sum, meal) => sum + (meal.totalCalories || 0), 0);
+    const totalGrams = meals.reduce((sum, meal) => sum + (meal.totalGrams || 0), 0);
     const mealCount = meals.length;
+    const totalNutrition = sumNutrition(meals);
+    const targets = nutritionTargetsFor(user);
 
     // Group by time
     const mealsByTime = {
@@ -259,6 +289,10 @@ const getDailySummary = async (req, res) => {
         date: targetDate,
         summary: {
           totalCalories,
+          totalGrams,
+          totalNutrition,
+          targets,
+          vsTarget: compareWithTargets(totalNutrition, targets),
           mealCount,
           mealsByTime,
           topFoodItems
@@ -286,6 +320,8 @@ const getMealStats = async (req, res) => {
 
     // Build date range
     const query = { userId };
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
     if (startDate && endDate) {
       query.date = {
         $gte: new Date(startDate),
@@ -293,12 +329,14 @@ const getMealStats = async (req, res) => {
       };
     } else {
       // Default to last 30 days
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
       query.date = { $gte: thirtyDaysAgo };
     }
 
-    const meals = await Meal.find(query);
+    const [meals, user] = await Promise.all([
+      Meal.find(query).sort({ date: 1 }),
+      User.findById(userId).select('nutritionTargets')
+    ]);
+    const targets = nutritionTargetsFor(user);
 
     // Calculate statistics
     const totalCalories = meals.reduce((sum, meal) => sum + (meal.totalCalories || 0), 0);
@@ -331,6 +369,9 @@ const getMealStats = async (req, res) => {
         totalMeals: meals.length,
         totalCalories,
         avgCaloriesPerDay: Math.round(avgCaloriesPerDay),
+        totalNutrition: sumNutrition(meals),
+        targets,
+        ...summarizeIntake(meals, targets, { timeZone: req.user.timezone }),
         mostCommonFoods,
         timeDistribution
       }
@@ -345,6 +386,56 @@ const getMealStats = async (req, res) => {
   }
 };
 
+// @desc    Get eating windows, fasts and fasting streaks
+// @route   GET /api/meals/fasting
+// @access  Private
+const getFastingStats = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const timeZone = req.user.timezone;
+    const targetHours = parseFloat(req.query.targetHours || req.user.fastingTargetHours || DEFAULT_FASTING_TARGET_HOURS);
+
+    // Default to the last 30 days, today included
+    const toDay = calendarDay(req.query.endDate, timeZone);
+    const from = new Date(`${toDay}T00:00:00Z`);
+    from.setUTCDate(from.getUTCDate() - 29);
+    const fromDay = req.query.startDate ? calendarDay(req.query.startDate, timeZone) : from.toISOString().slice(0, 10);
+
+    // Fetch a day either side: the day before gives the fast into the first
+    // day, and timezones shift stored dates across midnight
+    const since = new Date(`${fromDay}T00:00:00Z`);
+    since.setUTCDate(since.getUTCDate() - 2);
+    const until = new Date(`${toDay}T00:00:00Z`);
+    until.setUTCDate(until.getUTCDate() + 2);
+
+    const meals = await Meal.find({ userId, date: { $gte: since, $lt: until } })
+      .select('date time eatenAt createdAt');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...analyzeFasting(meals, { timeZone, targetHours, fromDay, toDay }),
+        period: { startDate: fromDay, endDate: toDay }
+      }
+    });
+  } catch (error) {
+    console.error('Get fasting stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getMeals,
   getMeal,
@@ -352,5 +443,6 @@ module.exports = {
   updateMeal,
   deleteMeal,
   getDailySummary,
-  getMealStats
+  getMealStats,
+  getFastingStats
 };
@@ -0,0 +1,358 @@
+const MealTemplate = require('../models/MealTemplate');
+const Meal = require('../models/Meal');
+const { validationResult } = require('express-validator');
+const { resolveFoodItems } = require('../services/nutrition');
+const { resolveTiming } = require('../services/timeOfDay');
+
+// Food item fields copied from a template or past meal into a new meal
+const FOOD_ITEM_FIELDS = ['name', 'quantity', 'calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium', 'category', 'recipeId'];
+
+const copyFoodItems = (foodItems) => foodItems.map(item => {
+  const copy = {};
+  FOOD_ITEM_FIELDS.forEach(field => {
+    if (item[field] !== undefined && item[field] !== null) copy[field] = item[field];
+  });
+  return copy;
+});
+
+// Meals with the same foods count as the same meal, whatever the quantities
+const mealSignature = (foodItems) => [...new Set(
+  foodItems.map(item => item.name.trim().toLowerCase())
+)].sort().join(' + ');
+
+const mostCommon = (values) => {
+  const counts = {};
+  values.forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+  return Object.entries(counts).sort(([, a], [, b]) => b - a)[0][0];
+};
+
+// @desc    Get all meal templates for user
+// @route   GET /api/meal-templates
+// @access  Private
+const getTemplates = async (req, res) => {
+  try {
+    const templates = await MealTemplate.find({ userId: req.user.id })
+      .sort({ usageCount: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        templates
+      }
+    });
+  } catch (error) {
+    console.error('Get meal templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single meal template
+// @route   GET /api/meal-templates/:id
+// @access  Private
+const getTemplate = async (req, res) => {
+  try {
+    const template = await MealTemplate.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meal template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    console.error('Get meal template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create meal template
+// @route   POST /api/meal-templates
+// @access  Private
+const createTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const { name, time, foodItems, notes } = req.body;
+
+    const existingTemplate = await MealTemplate.findOne({ userId, name });
+    if (existingTemplate) {
+      return res.status(400).json({
+        success: false,
+        message: 'A meal template with this name already exists'
+      });
+    }
+
+    const template = await MealTemplate.create({
+      userId,
+      name,
+      time,
+      foodItems: await resolveFoodItems(foodItems, { userId }),
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Meal template created successfully',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    console.error('Create meal template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during meal template creation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update meal template
+// @route   PUT /api/meal-templates/:id
+// @access  Private
+const updateTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { name, time, foodItems, notes } = req.body;
+
+    const template = await MealTemplate.findOne({ _id: id, userId });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meal template not found'
+      });
+    }
+
+    if (name !== template.name && await MealTemplate.exists({ userId, name, _id: { $ne: id } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A meal template with this name already exists'
+      });
+    }
+
+    template.name = name;
+    if (time !== undefined) template.time = time;
+    template.foodItems = await resolveFoodItems(foodItems, { userId });
+    if (notes !== undefined) template.notes = notes;
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Meal template updated successfully',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    console.error('Update meal template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during meal template update',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete meal template
+// @route   DELETE /api/meal-templates/:id
+// @access  Private
+const deleteTemplate = async (req, res) => {
+  try {
+    const template = await MealTemplate.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meal template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Meal template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete meal template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during meal template deletion',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log a meal from a template
+// @route   POST /api/meal-templates/:id/log
+// @access  Private
+const logFromTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const { date, time, eatenAt, notes } = req.body;
+
+    const template = await MealTemplate.findOne({ _id: req.params.id, userId });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meal template not found'
+      });
+    }
+
+    const timing = resolveTiming({ date, slot: time, at: eatenAt }, req.user.timezone);
+
+    if (!timing.slot && !template.time) {
+      return res.status(400).json({
+        success: false,
+        message: 'Time is required for templates without a default time'
+      });
+    }
+
+    const meal = await Meal.create({
+      userId,
+      date: timing.date,
+      time: timing.slot || template.time,
+      eatenAt: timing.at,
+      foodItems: await resolveFoodItems(copyFoodItems(template.foodItems), { userId }),
+      notes: notes !== undefined ? notes : template.notes
+    });
+
+    template.usageCount += 1;
+    template.lastUsedAt = new Date();
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Meal logged from "${template.name}"`,
+      data: {
+        meal
+      }
+    });
+  } catch (error) {
+    console.error('Log meal from template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during meal creation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get meals the user eats often, derived from meal history
+// @route   GET /api/meal-templates/frequent
+// @access  Private
+const getFrequentMeals = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const days = parseInt(req.query.days || 60);
+    const minCount = parseInt(req.query.minCount || 2);
+    const limit = parseInt(req.query.limit || 10);
+
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    const [meals, templates] = await Promise.all([
+      Meal.find({ userId, date: { $gte: since }, 'foodItems.0': { $exists: true } }).sort({ date: -1 }),
+      MealTemplate.find({ userId }).select('name foodItems')
+    ]);
+
+    // Group by foods eaten; meals are newest first, so the first of each
+    // group is the most recent
+    const groups = {};
+    meals.forEach(meal => {
+      const signature = mealSignature(meal.foodItems);
+      (groups[signature] = groups[signature] || []).push(meal);
+    });
+
+    const templateIds = {};
+    templates.forEach(template => {
+      templateIds[mealSignature(template.foodItems)] = template._id;
+    });
+
+    const frequentMeals = Object.entries(groups)
+      .filter(([, group]) => group.length >= minCount)
+      .sort(([, a], [, b]) => b.length - a.length || b[0].date - a[0].date)
+      .slice(0, limit)
+      .map(([signature, group]) => ({
+        signature,
+        count: group.length,
+        time: mostCommon(group.map(meal => meal.time)),
+        lastEatenAt: group[0].date,
+        averageCalories: Math.round(group.reduce((sum, meal) => sum + (meal.totalCalories || 0), 0) / group.length),
+        foodItems: copyFoodItems(group[0].foodItems),
+        templateId: templateIds[signature] || null
+      }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        frequentMeals,
+        period: { days, since }
+      }
+    });
+  } catch (error) {
+    console.error('Get frequent meals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  logFromTemplate,
+  getFrequentMeals
+};
@@ -1,5 +1,50 @@
 const Medicine = require('../models/Medicine');
 const { validationResult } = require('express-validator');
+const {
+  parseClockTime,
+  slotForClock,
+  slotForDate,
+  resolveTiming,
+  calendarDay,
+  storedDay,
+  zonedParts,
+  shiftDay
+} = require('../services/timeOfDay');
+const {
+  isAsNeeded,
+  doseDate,
+  normalizeSchedule,
+  expectedDoses,
+  findDose
+} = require('../services/medicationSchedule');
+const { analyzeAdherence, DEFAULT_LATE_AFTER_MINUTES } = require('../services/adherence');
+const { forecastSupply } = require('../services/inventory');
+const { checkInteractions, hasWarnings } = require('../services/interactions');
+const { parseDosage, formatDosage } = require('../services/dosage');
+const { dailyIntake } = require('../services/intake');
+const { groupDuplicates } = require('../services/medicineMatching');
+const { runAtomically } = require('../services/journalRecords');
+
+// Slot of a medicine from what was sent: the slot itself, else that of its
+// exact time or first scheduled dose
+const slotFor = (time, clock, schedule) => {
+  if (time) return time;
+  if (clock) return slotForClock(clock);
+  return schedule && schedule.times.length > 0 ? schedule.times[0].slot : undefined;
+};
+
+// Dosage text and details from what was sent, each filled in from the
+// other; details are cleared when new text cannot be parsed
+const dosageFor = (dosage, dosageDetails) => {
+  if (dosage === undefined && dosageDetails === undefined) return {};
+  const details = dosageDetails || parseDosage(dosage);
+  return { dosage: dosage || formatDosage(details), dosageDetails: details || null };
+};
+
+// Courses whose doses count towards adherence: paused, completed and
+// discontinued ones still count up to when they stopped, but medicines
+// switched off before lifecycle statuses were recorded do not
+const COUNTED_COURSES = { $nor: [{ isActive: false, status: { $exists: false } }] };
 
 // @desc    Get all medicines for user
 // @route   GET /api/medicines
@@ -7,7 +52,7 @@ const { validationResult } = require('express-validator');
 const getMedicines = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { isActive, category, page = 1, limit = 10 } = req.query;
+    const { isActive, status, category, page = 1, limit = 10 } = req.query;
 
     // Build query
     const query = { userId };
@@ -15,6 +60,10 @@ const getMedicines = async (req, res) => {
     if (isActive !== undefined) {
       query.isActive = isActive === 'true';
     }
+
+    if (status) {
+      query.status = status;
+    }
     
     if (category) {
       query.category = category;
@@ -72,7 +121,8 @@ const getMedicine = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        medicine
+        medicine,
+        supply: forecastSupply(medicine, { timeZone: req.user.timezone })
       }
     });
   } catch (error) {
@@ -100,25 +150,42 @@ const createMedicine = async (req, res) => {
     }
 
     const userId = req.user.id;
-    const { name, dosage, time, frequency, startDate, duration, notes, category } = req.body;
+    const { name, dosage, dosageDetails, time, scheduledTime, frequency, schedule, inventory, startDate, duration, notes, category } = req.body;
+
+    // An exact time of day or scheduled dose fills in the slot when none is given
+    const clock = scheduledTime ? parseClockTime(scheduledTime) : undefined;
+    const doseSchedule = normalizeSchedule(schedule);
 
     const medicine = await Medicine.create({
       userId,
       name,
-      dosage,
-      time,
+      ...dosageFor(dosage, dosageDetails),
+      time: slotFor(time, clock, doseSchedule),
+      scheduledTime: clock,
       frequency,
+      schedule: doseSchedule,
+      inventory,
       startDate: startDate || new Date(),
       duration,
       notes,
       category
     });
 
+    // Warn about, but don't block, interactions with the user's other active medicines
+    const others = await Medicine.find({ userId, isActive: true, _id: { $ne: medicine._id } }).select('name');
+    const warnings = checkInteractions(others, {
+      conditions: req.user.medicalConditions,
+      candidate: medicine
+    });
+
     res.status(201).json({
       success: true,
-      message: 'Medicine added successfully',
+      message: hasWarnings(warnings)
+        ? 'Medicine added with interaction warnings'
+        : 'Medicine added successfully',
       data: {
-        medicine
+        medicine,
+        warnings
       }
     });
   } catch (error) {
@@ -136,22 +203,47 @@ const createMedicine = async (req, res) => {
 // @access  Private
 const updateMedicine = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
     const userId = req.user.id;
-    const { name, dosage, time, frequency, startDate, duration, notes, category, isActive } = req.body;
+    const { name, dosage, dosageDetails, time, scheduledTime, frequency, schedule, inventory, startDate, duration, notes, category, isActive } = req.body;
+
+    const clock = scheduledTime ? parseClockTime(scheduledTime) : undefined;
+    const doseSchedule = normalizeSchedule(schedule);
+    const fields = {
+      name,
+      ...dosageFor(dosage, dosageDetails),
+      time: slotFor(time, clock, doseSchedule),
+      scheduledTime: clock,
+      frequency,
+      schedule: doseSchedule,
+      inventory,
+      startDate,
+      duration,
+      notes,
+      category
+    };
+
+    // A new start date or duration moves the end date with it
+    if (startDate !== undefined || duration !== undefined) {
+      const current = await Medicine.findOne({ _id: id, userId });
+      if (current) fields.endDate = current.endDateFor({ startDate, duration });
+    }
+    const changes = Object.keys(fields).filter(field => fields[field] !== undefined);
 
     const medicine = await Medicine.findOneAndUpdate(
       { _id: id, userId },
       {
-        name,
-        dosage,
-        time,
-        frequency,
-        startDate,
-        duration,
-        notes,
-        category,
-        isActive
+        ...fields,
+        ...(changes.length > 0 && { $push: { history: { event: 'updated', at: new Date(), changes } } })
       },
       {
         new: true,
@@ -166,6 +258,14 @@ const updateMedicine = async (req, res) => {
       });
     }
 
+    // `isActive` restarts or discontinues the course through its lifecycle
+    if (isActive !== undefined && isActive !== medicine.isActive) {
+      const status = isActive ? 'active' : 'discontinued';
+      if (medicine.canChangeStatusTo(status)) {
+        await medicine.changeStatus(status, { timeZone: req.user.timezone });
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: 'Medicine updated successfully',
@@ -214,16 +314,163 @@ const deleteMedicine = async (req, res) => {
   }
 };
 
+// Response message for each recorded dose state
+const DOSE_MESSAGES = {
+  taken: 'Medicine marked as taken',
+  skipped: 'Dose marked as skipped',
+  missed: 'Dose marked as missed',
+  delayed: 'Dose marked as taken late',
+  partial: 'Partial dose recorded'
+};
+
+// Record what happened to one of a medicine's doses. The dose is picked from
+// the day's schedule: in `time` when given, closest to `scheduledTime` or
+// `takenAt` (a time of day on `date`, or a full timestamp; default now).
+const recordDoseStatus = async (req, res, status) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { date, time, scheduledTime, takenAt, reason, note, portion } = req.body;
+
+  const medicine = await Medicine.findOne({ _id: id, userId });
+
+  if (!medicine) {
+    return res.status(404).json({
+      success: false,
+      message: 'Medicine not found'
+    });
+  }
+
+  const timeZone = req.user.timezone;
+  const timing = resolveTiming({ date, slot: time, at: takenAt }, timeZone);
+  const taken = timing.at || new Date();
+  const day = date ? calendarDay(date, timeZone) : zonedParts(taken, timeZone).day;
+  const clock = scheduledTime ? parseClockTime(scheduledTime) : zonedParts(taken, timeZone).clock;
+
+  let dose;
+  if (isAsNeeded(medicine)) {
+    dose = { slot: time || (timing.at ? slotForDate(taken, timeZone) : medicine.time) };
+  } else {
+    dose = findDose(medicine, day, { slot: time, clock }, timeZone);
+  }
+
+  if (!dose) {
+    return res.status(400).json({
+      success: false,
+      message: `${medicine.name} has no dose scheduled${time ? ` in the ${time}` : ''} on ${day}`,
+      data: {
+        expectedDoses: expectedDoses(medicine, day, timeZone)
+      }
+    });
+  }
+
+  await medicine.recordDose(doseDate(day), dose.slot, {
+    status,
+    scheduledTime: dose.scheduledTime,
+    takenAt: taken,
+    reason,
+    note,
+    portion,
+    timeZone
+  });
+
+  res.status(200).json({
+    success: true,
+    message: DOSE_MESSAGES[status],
+    data: {
+      medicine
+    }
+  });
+};
+
+const handleDoseError = (res, error) => {
+  console.error('Record dose error:', error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+};
+
 // @desc    Mark medicine as taken
 // @route   POST /api/medicines/:id/taken
 // @access  Private
 const markAsTaken = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id;
-    const { date, time } = req.body;
+    await recordDoseStatus(req, res, 'taken');
+  } catch (error) {
+    handleDoseError(res, error);
+  }
+};
 
-    const medicine = await Medicine.findOne({ _id: id, userId });
+// @desc    Mark a dose as intentionally skipped
+// @route   POST /api/medicines/:id/skipped
+// @access  Private
+const markAsSkipped = async (req, res) => {
+  try {
+    await recordDoseStatus(req, res, 'skipped');
+  } catch (error) {
+    handleDoseError(res, error);
+  }
+};
+
+// @desc    Mark a dose as missed
+// @route   POST /api/medicines/:id/missed
+// @access  Private
+const markAsMissed = async (req, res) => {
+  try {
+    await recordDoseStatus(req, res, 'missed');
+  } catch (error) {
+    handleDoseError(res, error);
+  }
+};
+
+// @desc    Mark a dose as taken late
+// @route   POST /api/medicines/:id/delayed
+// @access  Private
+const markAsDelayed = async (req, res) => {
+  try {
+    await recordDoseStatus(req, res, 'delayed');
+  } catch (error) {
+    handleDoseError(res, error);
+  }
+};
+
+// @desc    Record a partially taken dose
+// @route   POST /api/medicines/:id/partial
+// @access  Private
+const markAsPartial = async (req, res) => {
+  try {
+    await recordDoseStatus(req, res, 'partial');
+  } catch (error) {
+    handleDoseError(res, error);
+  }
+};
+
+// @desc    Undo whatever was recorded for a dose
+// @route   POST /api/medicines/:id/undo
+// @access  Private
+const undoDose = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { date, time, scheduledTime } = req.body;
+    const timeZone = req.user.timezone;
+
+    const medicine = await Medicine.findOne({ _id: req.params.id, userId: req.user.id });
 
     if (!medicine) {
       return res.status(404).json({
@@ -232,20 +479,38 @@ const markAsTaken = async (req, res) => {
       });
     }
 
-    const targetDate = date ? new Date(date) : new Date();
-    const targetTime = time || medicine.time;
+    const day = calendarDay(date, timeZone);
+    const clock = scheduledTime ? parseClockTime(scheduledTime) : zonedParts(new Date(), timeZone).clock;
+
+    // As-needed doses are not scheduled, so the latest one recorded is undone
+    let dose;
+    if (isAsNeeded(medicine)) {
+      const latest = medicine.takenStatus
+        .filter(entry => storedDay(entry.date, timeZone) === day && (!time || entry.time === time))
+        .pop();
+      dose = latest && { slot: latest.time, scheduledTime: latest.scheduledTime };
+    } else {
+      dose = findDose(medicine, day, { slot: time, clock, recorded: true }, timeZone);
+    }
+
+    const removed = dose && await medicine.undoDose(doseDate(day), dose.slot, dose.scheduledTime, timeZone);
 
-    await medicine.markAsTaken(targetDate, targetTime);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: `Nothing is recorded for ${medicine.name}${time ? ` in the ${time}` : ''} on ${day}`
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Medicine marked as taken',
+      message: `Undid ${removed.status || 'taken'} dose`,
       data: {
         medicine
       }
     });
   } catch (error) {
-    console.error('Mark as taken error:', error);
+    console.error('Undo dose error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -260,8 +525,9 @@ const markAsTaken = async (req, res) => {
 const getDailyChecklist = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { date } = req.query;
-    const targetDate = date ? new Date(date) : new Date();
+    const timeZone = req.user.timezone;
+    const day = calendarDay(req.query.date, timeZone);
+    const targetDate = doseDate(day);
 
     // Get active medicines
     const medicines = await Medicine.find({
@@ -280,31 +546,53 @@ const getDailyChecklist = async (req, res) => {
       evening: [],
       night: []
     };
+    const asNeeded = [];
 
     medicines.forEach(medicine => {
-      const isTaken = medicine.isTakenFor(targetDate, medicine.time);
-      const checklistItem = {
-        _id: medicine._id,
-        name: medicine.name,
-        dosage: medicine.dosage,
-        time: medicine.time,
-        isTaken,
-        category: medicine.category
-      };
+      if (isAsNeeded(medicine)) {
+        asNeeded.push({
+          _id: medicine._id,
+          name: medicine.name,
+          dosage: medicine.dosage,
+          takenToday: medicine.takenStatus.filter(
+            entry => storedDay(entry.date, timeZone) === day && entry.taken
+          ).length,
+          category: medicine.category
+        });
+        return;
+      }
 
-      checklist[medicine.time].push(checklistItem);
+      // One item per dose due today, so twice-daily medicines appear twice
+      expectedDoses(medicine, day, timeZone).forEach(dose => {
+        const entry = medicine.doseStatusFor(targetDate, dose.slot, dose.scheduledTime, timeZone);
+        checklist[dose.slot].push({
+          _id: medicine._id,
+          name: medicine.name,
+          dosage: dose.dosage,
+          time: dose.slot,
+          scheduledTime: dose.scheduledTime,
+          isTaken: Boolean(entry && entry.taken),
+          status: entry ? entry.status || 'taken' : undefined,
+          reason: entry ? entry.reason : undefined,
+          takenAt: entry ? entry.takenAt : undefined,
+          category: medicine.category
+        });
+      });
     });
 
-    // Sort each time slot by name
+    // Sort each time slot by exact time, then name
     Object.keys(checklist).forEach(time => {
-      checklist[time].sort((a, b) => a.name.localeCompare(b.name));
+      checklist[time].sort((a, b) =>
+        (a.scheduledTime || '99:99').localeCompare(b.scheduledTime || '99:99') || a.name.localeCompare(b.name)
+      );
     });
 
     res.status(200).json({
       success: true,
       data: {
         date: targetDate,
-        checklist
+        checklist,
+        asNeeded
       }
     });
   } catch (error) {
@@ -344,7 +632,9 @@ const getMedicineStats = async (req, res) => {
     // Calculate statistics
     const totalMedicines = medicines.length;
     const activeMedicines = medicines.filter(m => m.isActive).length;
-    const completedMedicines = medicines.filter(m => m.endDate && m.endDate < new Date()).length;
+    const pausedMedicines = medicines.filter(m => m.status === 'paused').length;
+    const completedMedicines = medicines.filter(m => m.status === 'completed').length;
+    const discontinuedMedicines = medicines.filter(m => m.status === 'discontinued').length;
 
     // Medicines by category
     const categoryStats = {};
@@ -360,36 +650,39 @@ const getMedicineStats = async (req, res) => {
       night: medicines.filter(m => m.time === 'night').length
     };
 
-    // Adherence rate (last 7 days)
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-    
-    const recentMedicines = medicines.filter(m => 
-      m.isActive && (!m.endDate || m.endDate >= sevenDaysAgo)
-    );
-
-    let totalDoses = 0;
-    let takenDoses = 0;
-
-    recentMedicines.forEach(medicine => {
-      const dosesInPeriod = medicine.takenStatus.filter(status => 
-        status.date >= sevenDaysAgo
-      );
-      totalDoses += dosesInPeriod.length;
-      takenDoses += dosesInPeriod.filter(status => status.taken).length;
+    // Adherence rate (last 7 days), over every course running in the period
+    // rather than only those started in it, and against the doses the
+    // schedules expected rather than just those logged
+    const today = calendarDay(undefined, req.user.timezone);
+    const recentMedicines = await Medicine.find({
+      userId,
+      ...COUNTED_COURSES,
+      $or: [
+        { endDate: { $exists: false } },
+        { endDate: { $gte: doseDate(shiftDay(today, -7)) } }
+      ]
     });
-
-    const adherenceRate = totalDoses > 0 ? (takenDoses / totalDoses) * 100 : 0;
+    const { overall } = analyzeAdherence(recentMedicines, {
+      fromDay: shiftDay(today, -6),
+      toDay: today,
+      timeZone: req.user.timezone
+    });
+    const adherenceRate = overall.adherenceRate || 0;
 
     res.status(200).json({
       success: true,
       data: {
         totalMedicines,
         activeMedicines,
+        pausedMedicines,
         completedMedicines,
+        discontinuedMedicines,
         categoryStats,
         timeStats,
-        adherenceRate: Math.round(adherenceRate)
+        adherenceRate,
+        onTimeRate: overall.onTimeRate || 0,
+        missedDoses: overall.missed,
+        skippedDoses: overall.skipped
       }
     });
   } catch (error) {
@@ -402,6 +695,442 @@ const getMedicineStats = async (req, res) => {
   }
 };
 
+const STATUS_MESSAGES = {
+  active: 'Medicine resumed',
+  paused: 'Medicine paused',
+  discontinued: 'Medicine discontinued'
+};
+
+// Move a medicine's course to another status, rejecting moves its current
+// status does not allow (e.g. resuming a course that is not paused)
+const changeCourseStatus = async (req, res, status, { from } = {}) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { reason, note } = req.body;
+
+  const medicine = await Medicine.findOne({ _id: req.params.id, userId: req.user.id });
+
+  if (!medicine) {
+    return res.status(404).json({
+      success: false,
+      message: 'Medicine not found'
+    });
+  }
+
+  if (!medicine.canChangeStatusTo(status) || (from && medicine.status !== from)) {
+    return res.status(400).json({
+      success: false,
+      message: `${medicine.name} is ${medicine.status} and cannot be ${status === 'active' ? 'resumed' : status}`
+    });
+  }
+
+  await medicine.changeStatus(status, { reason, note, timeZone: req.user.timezone });
+
+  res.status(200).json({
+    success: true,
+    message: STATUS_MESSAGES[status],
+    data: {
+      medicine
+    }
+  });
+};
+
+const handleStatusError = (res, error) => {
+  console.error('Change medicine status error:', error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+};
+
+// @desc    Pause a course; no doses are due until it is resumed
+// @route   POST /api/medicines/:id/pause
+// @access  Private
+const pauseMedicine = async (req, res) => {
+  try {
+    await changeCourseStatus(req, res, 'paused');
+  } catch (error) {
+    handleStatusError(res, error);
+  }
+};
+
+// @desc    Resume a paused course, moving its end date out by the days paused
+// @route   POST /api/medicines/:id/resume
+// @access  Private
+const resumeMedicine = async (req, res) => {
+  try {
+    await changeCourseStatus(req, res, 'active', { from: 'paused' });
+  } catch (error) {
+    handleStatusError(res, error);
+  }
+};
+
+// @desc    Stop a course before it ends, with a reason
+// @route   POST /api/medicines/:id/discontinue
+// @access  Private
+const discontinueMedicine = async (req, res) => {
+  try {
+    await changeCourseStatus(req, res, 'discontinued');
+  } catch (error) {
+    handleStatusError(res, error);
+  }
+};
+
+// @desc    Get a medicine's history: lifecycle changes, edits and recorded doses
+// @route   GET /api/medicines/:id/history
+// @access  Private
+const getMedicineHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const medicine = await Medicine.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!medicine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Medicine not found'
+      });
+    }
+
+    const timeline = medicine.history.map(event => ({
+      type: 'status',
+      event: event.event,
+      at: event.at,
+      reason: event.reason,
+      note: event.note,
+      changes: event.changes && event.changes.length > 0 ? event.changes : undefined,
+      endDate: event.endDate
+    }));
+
+    if (req.query.doses !== 'false') {
+      medicine.takenStatus.forEach(entry => timeline.push({
+        type: 'dose',
+        event: entry.status || (entry.taken ? 'taken' : 'missed'),
+        at: entry.takenAt || entry.date,
+        date: entry.date,
+        time: entry.time,
+        scheduledTime: entry.scheduledTime,
+        reason: entry.reason,
+        note: entry.note
+      }));
+    }
+
+    timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        medicineId: medicine._id,
+        name: medicine.name,
+        status: medicine.status,
+        statusReason: medicine.statusReason,
+        startDate: medicine.startDate,
+        endDate: medicine.endDate,
+        timeline
+      }
+    });
+  } catch (error) {
+    console.error('Get medicine history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get adherence against scheduled doses
+// @route   GET /api/medicines/adherence
+// @access  Private
+const getAdherence = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const timeZone = req.user.timezone;
+    const { medicineId, lateAfter = DEFAULT_LATE_AFTER_MINUTES } = req.query;
+
+    // Default to the last 30 days, today included
+    const toDay = calendarDay(req.query.endDate, timeZone);
+    const fromDay = req.query.startDate ? calendarDay(req.query.startDate, timeZone) : shiftDay(toDay, -29);
+
+    // Courses that overlap the period; pauses and stops are left out by the schedule
+    const query = {
+      userId,
+      ...COUNTED_COURSES,
+      startDate: { $lt: doseDate(shiftDay(toDay, 2)) },
+      $or: [
+        { endDate: { $exists: false } },
+        { endDate: { $gte: doseDate(shiftDay(fromDay, -1)) } }
+      ]
+    };
+    if (medicineId) {
+      query._id = medicineId;
+    }
+
+    const medicines = await Medicine.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: analyzeAdherence(medicines, {
+        fromDay,
+        toDay,
+        timeZone,
+        lateAfterMinutes: parseInt(lateAfter)
+      })
+    });
+  } catch (error) {
+    console.error('Get adherence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the active ingredient scheduled and taken on a day, in mg or IU
+// @route   GET /api/medicines/intake
+// @access  Private
+const getIntake = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const timeZone = req.user.timezone;
+    const day = calendarDay(req.query.date, timeZone);
+
+    const medicines = await Medicine.find({
+      userId: req.user.id,
+      ...COUNTED_COURSES,
+      startDate: { $lt: doseDate(shiftDay(day, 2)) },
+      $or: [
+        { endDate: { $exists: false } },
+        { endDate: { $gte: doseDate(shiftDay(day, -1)) } }
+      ]
+    }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: dailyIntake(medicines, day, timeZone)
+    });
+  } catch (error) {
+    console.error('Get intake error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get medicines projected to run out soon
+// @route   GET /api/medicines/refills
+// @access  Private
+const getRefills = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const days = parseInt(req.query.days || 7);
+
+    const medicines = await Medicine.find({
+      userId: req.user.id,
+      isActive: true,
+      'inventory.stock': { $exists: true }
+    });
+
+    const refills = medicines
+      .map(medicine => ({
+        medicineId: medicine._id,
+        name: medicine.name,
+        dosage: medicine.dosage,
+        ...forecastSupply(medicine, { timeZone: req.user.timezone })
+      }))
+      .filter(supply => supply.runOutDate && supply.daysLeft <= days)
+      .sort((a, b) => a.daysLeft - b.daysLeft || a.name.localeCompare(b.name));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        refills,
+        days
+      }
+    });
+  } catch (error) {
+    console.error('Get refills error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check active medicines, or one about to be added, for interactions
+// @route   GET /api/medicines/interactions
+// @access  Private
+const getInteractions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.query;
+
+    const medicines = await Medicine.find({ userId: req.user.id, isActive: true }).select('name');
+
+    const result = checkInteractions(medicines, {
+      conditions: req.user.medicalConditions,
+      candidate: name ? { name } : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        hasWarnings: hasWarnings(result)
+      }
+    });
+  } catch (error) {
+    console.error('Get interactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get groups of active medicines that look like the same medicine
+// @route   GET /api/medicines/duplicates
+// @access  Private
+const getDuplicates = async (req, res) => {
+  try {
+    const medicines = await Medicine.find({ userId: req.user.id, isActive: true })
+      .select('name dosage dosageDetails time startDate journalEntryId')
+      .sort({ startDate: 1 });
+
+    const groups = groupDuplicates(medicines);
+
+    res.status(200).json({
+      success: true,
+      count: groups.length,
+      data: {
+        groups
+      }
+    });
+  } catch (error) {
+    console.error('Get duplicate medicines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Merge duplicate medicines into one, keeping their dose records and stock
+// @route   POST /api/medicines/merge
+// @access  Private
+const mergeMedicines = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { targetId } = req.body;
+    const sourceIds = [...new Set(req.body.sourceIds)];
+
+    if (sourceIds.includes(targetId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A medicine cannot be merged into itself'
+      });
+    }
+
+    const userId = req.user.id;
+    const count = await Medicine.countDocuments({ _id: { $in: [targetId, ...sourceIds] }, userId });
+
+    if (count !== sourceIds.length + 1) {
+      return res.status(404).json({
+        success: false,
+        message: 'Medicine not found'
+      });
+    }
+
+    // The target takes over the doses and the sources are deleted together,
+    // so a failure part way never leaves doses on both
+    let target;
+    let sources;
+    await runAtomically(async (session) => {
+      // Loaded on every attempt, transactions may retry this callback
+      target = await Medicine.findOne({ _id: targetId, userId }).session(session);
+      sources = await Medicine.find({ _id: { $in: sourceIds }, userId }).session(session);
+      if (!target || sources.length !== sourceIds.length) {
+        throw new Error('Medicine not found');
+      }
+
+      target.$session(session);
+      await target.mergeFrom(sources, { timeZone: req.user.timezone });
+      await Medicine.deleteMany({ _id: { $in: sourceIds }, userId }, { session });
+    }, { records: { medicines: { _id: { $in: [targetId, ...sourceIds] }, userId } } });
+
+    res.status(200).json({
+      success: true,
+      message: `Merged ${sources.length} medicine${sources.length === 1 ? '' : 's'} into ${target.name}`,
+      data: {
+        medicine: target,
+        merged: sourceIds
+      }
+    });
+  } catch (error) {
+    console.error('Merge medicines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getMedicines,
   getMedicine,
@@ -409,6 +1138,21 @@ module.exports = {
   updateMedicine,
   deleteMedicine,
   markAsTaken,
+  markAsSkipped,
+  markAsMissed,
+  markAsDelayed,
+  markAsPartial,
+  undoDose,
+  pauseMedicine,
+  resumeMedicine,
+  discontinueMedicine,
+  getMedicineHistory,
   getDailyChecklist,
-  getMedicineStats
+  getMedicineStats,
+  getAdherence,
+  getRefills,
+  getIntake,
+  getInteractions,
+  getDuplicates,
+  mergeMedicines
 };
@@ -0,0 +1,233 @@
+const Recipe = require('../models/Recipe');
+const { validationResult } = require('express-validator');
+const { resolveIngredients, searchIngredients } = require('../services/recipes');
+
+// @desc    Get all recipes for user
+// @route   GET /api/recipes
+// @access  Private
+const getRecipes = async (req, res) => {
+  try {
+    const recipes = await Recipe.find({ userId: req.user.id }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recipes
+      }
+    });
+  } catch (error) {
+    console.error('Get recipes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Search the ingredient nutrition table
+// @route   GET /api/recipes/ingredients
+// @access  Private
+const getIngredients = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { q, category, limit = 20 } = req.query;
+    const ingredients = searchIngredients({ q, category, limit: parseInt(limit) });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ingredients
+      }
+    });
+  } catch (error) {
+    console.error('Get ingredients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single recipe
+// @route   GET /api/recipes/:id
+// @access  Private
+const getRecipe = async (req, res) => {
+  try {
+    const recipe = await Recipe.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recipe
+      }
+    });
+  } catch (error) {
+    console.error('Get recipe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create recipe
+// @route   POST /api/recipes
+// @access  Private
+const createRecipe = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const { name, servings, ingredients, instructions, notes } = req.body;
+
+    const existingRecipe = await Recipe.findOne({ userId, name });
+    if (existingRecipe) {
+      return res.status(400).json({
+        success: false,
+        message: 'A recipe with this name already exists'
+      });
+    }
+
+    const recipe = await Recipe.create({
+      userId,
+      name,
+      servings,
+      ingredients: resolveIngredients(ingredients),
+      instructions,
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Recipe created successfully',
+      data: {
+        recipe
+      }
+    });
+  } catch (error) {
+    console.error('Create recipe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during recipe creation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update recipe
+// @route   PUT /api/recipes/:id
+// @access  Private
+const updateRecipe = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { name, servings, ingredients, instructions, notes } = req.body;
+
+    const recipe = await Recipe.findOne({ _id: id, userId });
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    if (name !== recipe.name && await Recipe.exists({ userId, name, _id: { $ne: id } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A recipe with this name already exists'
+      });
+    }
+
+    // Saved rather than updated in place so the nutrition is recalculated
+    recipe.name = name;
+    recipe.servings = servings;
+    recipe.ingredients = resolveIngredients(ingredients);
+    if (instructions !== undefined) recipe.instructions = instructions;
+    if (notes !== undefined) recipe.notes = notes;
+    await recipe.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recipe updated successfully',
+      data: {
+        recipe
+      }
+    });
+  } catch (error) {
+    console.error('Update recipe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during recipe update',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete recipe
+// @route   DELETE /api/recipes/:id
+// @access  Private
+const deleteRecipe = async (req, res) => {
+  try {
+    const recipe = await Recipe.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Recipe deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete recipe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during recipe deletion',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRecipes,
+  getIngredients,
+  getRecipe,
+  createRecipe,
+  updateRecipe,
+  deleteRecipe
+};
@@ -0,0 +1,149 @@
+// Bundled drug interaction table used by services/interactions.js, so checks
+// work offline. It covers common medicines and well-known interactions only
+// and is a prompt to ask a doctor or pharmacist, not a complete reference.
+//
+// `drugs` maps medicine and brand names to their active ingredients and drug
+// classes. Interactions are between ingredients or classes; condition
+// interactions are between an ingredient or class and a medical condition,
+// matched against User.medicalConditions by name or alias. Severity is one of
+// minor, moderate, major or contraindicated.
+
+const drug = (name, ingredients, classes = [], aliases = []) => ({ name, ingredients, classes, aliases });
+
+const interaction = (a, b, severity, description) => ({ between: [a, b], severity, description });
+
+const condition = (name, aliases = []) => ({ name, aliases });
+
+const conditionInteraction = (drugOrClass, conditionName, severity, description) => ({
+  drug: drugOrClass,
+  condition: conditionName,
+  severity,
+  description
+});
+
+const drugs = [
+  // Pain relief and anti-inflammatories
+  drug('Paracetamol', ['paracetamol'], ['analgesic'], ['acetaminophen', 'crocin', 'calpol', 'dolo', 'tylenol']),
+  drug('Ibuprofen', ['ibuprofen'], ['nsaid'], ['brufen', 'advil']),
+  drug('Diclofenac', ['diclofenac'], ['nsaid'], ['voveran', 'voltaren']),
+  drug('Naproxen', ['naproxen'], ['nsaid'], ['naprosyn']),
+  drug('Aspirin', ['aspirin'], ['nsaid', 'antiplatelet'], ['ecosprin', 'disprin']),
+  drug('Combiflam', ['ibuprofen', 'paracetamol'], ['nsaid', 'analgesic']),
+  drug('Tramadol', ['tramadol'], ['opioid'], ['ultracet', 'contramal']),
+  drug('Prednisolone', ['prednisolone'], ['corticosteroid'], ['wysolone', 'omnacortil']),
+  drug('Prednisone', ['prednisone'], ['corticosteroid']),
+
+  // Blood thinners and heart
+  drug('Warfarin', ['warfarin'], ['anticoagulant'], ['coumadin']),
+  drug('Clopidogrel', ['clopidogrel'], ['antiplatelet'], ['clopilet', 'plavix']),
+  drug('Digoxin', ['digoxin'], ['cardiac glycoside'], ['lanoxin']),
+  drug('Nitroglycerin', ['nitroglycerin'], ['nitrate'], ['glyceryl trinitrate', 'sorbitrate', 'isosorbide']),
+  drug('Sildenafil', ['sildenafil'], ['pde5 inhibitor'], ['viagra']),
+
+  // Blood pressure and cholesterol
+  drug('Amlodipine', ['amlodipine'], ['calcium channel blocker'], ['amlong', 'norvasc']),
+  drug('Telmisartan', ['telmisartan'], ['arb'], ['telma']),
+  drug('Losartan', ['losartan'], ['arb'], ['losar', 'cozaar']),
+  drug('Ramipril', ['ramipril'], ['ace inhibitor'], ['cardace']),
+  drug('Enalapril', ['enalapril'], ['ace inhibitor'], ['envas']),
+  drug('Spironolactone', ['spironolactone'], ['potassium-sparing diuretic'], ['aldactone']),
+  drug('Atorvastatin', ['atorvastatin'], ['statin'], ['atorva', 'lipitor']),
+  drug('Simvastatin', ['simvastatin'], ['statin'], ['zocor']),
+  drug('Rosuvastatin', ['rosuvastatin'], ['statin'], ['rosuvas', 'crestor']),
+
+  // Diabetes and thyroid
+  drug('Metformin', ['metformin'], ['antidiabetic'], ['glycomet', 'glucophage']),
+  drug('Glimepiride', ['glimepiride'], ['sulfonylurea', 'antidiabetic'], ['amaryl']),
+  drug('Insulin', ['insulin'], ['antidiabetic']),
+  drug('Levothyroxine', ['levothyroxine'], ['thyroid hormone'], ['thyronorm', 'eltroxin', 'thyrox']),
+
+  // Stomach
+  drug('Omeprazole', ['omeprazole'], ['ppi'], ['omez', 'prilosec']),
+  drug('Pantoprazole', ['pantoprazole'], ['ppi'], ['pantop', 'pan 40', 'pan-d']),
+
+  // Antibiotics
+  drug('Amoxicillin', ['amoxicillin'], ['penicillin'], ['amoxycillin', 'mox']),
+  drug('Augmentin', ['amoxicillin', 'clavulanic acid'], ['penicillin'], ['amoxiclav', 'co-amoxiclav']),
+  drug('Azithromycin', ['azithromycin'], ['macrolide'], ['azithral', 'azee']),
+  drug('Clarithromycin', ['clarithromycin'], ['macrolide'], ['claribid']),
+  drug('Ciprofloxacin', ['ciprofloxacin'], ['fluoroquinolone'], ['ciplox', 'cipro']),
+
+  // Mood
+  drug('Sertraline', ['sertraline'], ['ssri'], ['zoloft', 'serta']),
+  drug('Fluoxetine', ['fluoxetine'], ['ssri'], ['prozac', 'fludac']),
+
+  // Allergy, vitamins and minerals
+  drug('Cetirizine', ['cetirizine'], ['antihistamine'], ['cetzine', 'zyrtec']),
+  drug('Calcium Supplement', ['calcium'], ['mineral'], ['calcium tablet', 'shelcal', 'calcium carbonate']),
+  drug('Iron Supplement', ['iron'], ['mineral'], ['iron tablet', 'ferrous sulfate', 'livogen']),
+  drug('Potassium Chloride', ['potassium'], ['mineral'], ['potassium supplement', 'k-cl'])
+];
+
+const interactions = [
+  interaction('warfarin', 'nsaid', 'major', 'Raises the risk of serious bleeding'),
+  interaction('warfarin', 'antiplatelet', 'major', 'Raises the risk of serious bleeding'),
+  interaction('warfarin', 'macrolide', 'major', 'Can raise INR and the risk of bleeding'),
+  interaction('warfarin', 'fluoroquinolone', 'major', 'Can raise INR and the risk of bleeding'),
+  interaction('warfarin', 'paracetamol', 'minor', 'Regular high doses of paracetamol can raise INR'),
+  interaction('nsaid', 'nsaid', 'moderate', 'Two anti-inflammatories together add stomach and kidney side effects without more benefit'),
+  interaction('aspirin', 'ibuprofen', 'moderate', 'Ibuprofen can block the heart-protective effect of low-dose aspirin'),
+  interaction('clopidogrel', 'omeprazole', 'moderate', 'Omeprazole reduces how well clopidogrel works; pantoprazole is usually preferred'),
+  interaction('nsaid', 'ace inhibitor', 'moderate', 'Can reduce the blood pressure effect and strain the kidneys'),
+  interaction('nsaid', 'arb', 'moderate', 'Can reduce the blood pressure effect and strain the kidneys'),
+  interaction('nsaid', 'corticosteroid', 'moderate', 'Raises the risk of stomach ulcers and bleeding'),
+  interaction('nsaid', 'ssri', 'moderate', 'Raises the risk of stomach bleeding'),
+  interaction('ace inhibitor', 'potassium-sparing diuretic', 'major', 'Can raise potassium to dangerous levels'),
+  interaction('arb', 'potassium-sparing diuretic', 'major', 'Can raise potassium to dangerous levels'),
+  interaction('ace inhibitor', 'potassium', 'major', 'Can raise potassium to dangerous levels'),
+  interaction('arb', 'potassium', 'major', 'Can raise potassium to dangerous levels'),
+  interaction('simvastatin', 'clarithromycin', 'contraindicated', 'Greatly raises simvastatin levels and the risk of muscle damage'),
+  interaction('atorvastatin', 'clarithromycin', 'moderate', 'Raises atorvastatin levels and the risk of muscle pain'),
+  interaction('digoxin', 'clarithromycin', 'major', 'Can raise digoxin to toxic levels'),
+  interaction('levothyroxine', 'calcium', 'moderate', 'Calcium reduces levothyroxine absorption; take them 4 hours apart'),
+  interaction('levothyroxine', 'iron', 'moderate', 'Iron reduces levothyroxine absorption; take them 4 hours apart'),
+  interaction('levothyroxine', 'ppi', 'minor', 'Acid reducers can lower levothyroxine absorption'),
+  interaction('ciprofloxacin', 'calcium', 'moderate', 'Calcium reduces ciprofloxacin absorption; take them apart'),
+  interaction('ciprofloxacin', 'iron', 'moderate', 'Iron reduces ciprofloxacin absorption; take them apart'),
+  interaction('sulfonylurea', 'fluoroquinolone', 'moderate', 'Can cause low or unstable blood sugar'),
+  interaction('ssri', 'tramadol', 'major', 'Raises the risk of serotonin syndrome and seizures'),
+  interaction('ssri', 'ssri', 'major', 'Two SSRIs together raise the risk of serotonin syndrome'),
+  interaction('sildenafil', 'nitrate', 'contraindicated', 'Can cause a dangerous drop in blood pressure')
+];
+
+const conditions = [
+  condition('kidney disease', ['chronic kidney disease', 'ckd', 'renal failure', 'kidney failure', 'renal disease']),
+  condition('liver disease', ['fatty liver', 'cirrhosis', 'hepatitis', 'liver failure']),
+  condition('peptic ulcer', ['stomach ulcer', 'gastric ulcer', 'duodenal ulcer']),
+  condition('hypertension', ['high blood pressure', 'high bp', 'bp']),
+  condition('heart failure', ['congestive heart failure', 'chf']),
+  condition('asthma', []),
+  condition('diabetes', ['type 2 diabetes', 'type 1 diabetes', 'diabetic']),
+  condition('epilepsy', ['seizures', 'seizure disorder']),
+  condition('pregnancy', ['pregnant'])
+];
+
+const conditionInteractions = [
+  conditionInteraction('nsaid', 'kidney disease', 'major', 'Anti-inflammatories can worsen kidney function'),
+  conditionInteraction('nsaid', 'peptic ulcer', 'major', 'Anti-inflammatories can cause ulcer bleeding'),
+  conditionInteraction('nsaid', 'heart failure', 'major', 'Anti-inflammatories cause fluid retention'),
+  conditionInteraction('nsaid', 'hypertension', 'moderate', 'Anti-inflammatories can raise blood pressure'),
+  conditionInteraction('nsaid', 'asthma', 'moderate', 'Can trigger attacks in aspirin-sensitive asthma'),
+  conditionInteraction('metformin', 'kidney disease', 'major', 'Needs a lower dose or stopping when kidney function is reduced'),
+  conditionInteraction('sulfonylurea', 'kidney disease', 'moderate', 'Raises the risk of low blood sugar'),
+  conditionInteraction('paracetamol', 'liver disease', 'moderate', 'Keep to lower daily doses with liver disease'),
+  conditionInteraction('statin', 'liver disease', 'moderate', 'Liver function should be monitored'),
+  conditionInteraction('corticosteroid', 'diabetes', 'moderate', 'Steroids raise blood sugar'),
+  conditionInteraction('tramadol', 'epilepsy', 'major', 'Lowers the seizure threshold'),
+  conditionInteraction('fluoroquinolone', 'epilepsy', 'moderate', 'Can lower the seizure threshold'),
+  conditionInteraction('ace inhibitor', 'pregnancy', 'contraindicated', 'Can harm the developing baby'),
+  conditionInteraction('arb', 'pregnancy', 'contraindicated', 'Can harm the developing baby'),
+  conditionInteraction('warfarin', 'pregnancy', 'contraindicated', 'Can harm the developing baby'),
+  conditionInteraction('statin', 'pregnancy', 'contraindicated', 'Not recommended during pregnancy')
+];
+
+module.exports = {
+  drugs,
+  interactions,
+  conditions,
+  conditionInteractions
+};
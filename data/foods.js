@@ -0,0 +1,85 @@
+// Bundled regional food database, loaded into the foods collection by
+// `npm run seed:foods` and used directly when a food is not in the collection.
+// Values are per serving and approximate, for typical home-style preparation.
+// Names match the canonical food names of the rule-based parser
+// (services/ai/ruleParser.js), whose aliases also resolve here.
+
+const food = (name, category, region, serving, grams, calories, protein, carbs, fat, fiber, aliases = []) => ({
+  name,
+  aliases,
+  category,
+  region,
+  serving: { description: serving, grams },
+  calories,
+  protein,
+  carbs,
+  fat,
+  fiber
+});
+
+module.exports = [
+  // Kashmiri breakfast, breads and tea
+  food('Nun Chai', 'beverage', 'kashmiri', '1 cup (240 ml)', 240, 120, 4, 10, 7, 0, ['noon chai', 'sheer chai', 'pink tea']),
+  food('Kahwa', 'beverage', 'kashmiri', '1 cup (200 ml)', 200, 60, 1, 10, 2, 0.5, ['kehwa']),
+  food('Girda', 'bread', 'kashmiri', '1 piece', 80, 220, 6, 42, 3, 1.5),
+  food('Lavasa', 'bread', 'kashmiri', '1 piece', 60, 170, 5, 34, 1, 1.5, ['lavas']),
+  food('Tsochvoru', 'bread', 'kashmiri', '1 piece', 70, 240, 5, 38, 8, 1, ['tsot', 'czot']),
+  food('Bakarkhani', 'bread', 'kashmiri', '1 piece', 60, 250, 4, 30, 12, 1),
+  food('Kulcha', 'bread', 'kashmiri', '1 piece', 50, 230, 4, 28, 11, 0.8),
+
+  // Wazwan
+  food('Rogan Josh', 'wazwan', 'kashmiri', '1 bowl (200 g)', 200, 380, 28, 6, 27, 1),
+  food('Yakhni', 'wazwan', 'kashmiri', '1 bowl (200 g)', 200, 300, 24, 8, 19, 0.5),
+  food('Gushtaba', 'wazwan', 'kashmiri', '1 bowl (250 g)', 250, 450, 30, 10, 32, 0),
+  food('Rista', 'wazwan', 'kashmiri', '1 bowl (200 g)', 200, 380, 26, 6, 28, 0.5),
+  food('Tabak Maaz', 'wazwan', 'kashmiri', '2 ribs (100 g)', 100, 350, 20, 2, 29, 0),
+  food('Kabargah', 'wazwan', 'kashmiri', '2 pieces (120 g)', 120, 400, 22, 6, 32, 0),
+  food('Aab Gosh', 'wazwan', 'kashmiri', '1 bowl (200 g)', 200, 360, 26, 10, 24, 0),
+  food('Methi Maaz', 'wazwan', 'kashmiri', '1 bowl (150 g)', 150, 300, 20, 6, 22, 3),
+  food('Marchwangan Korma', 'wazwan', 'kashmiri', '1 bowl (200 g)', 200, 360, 26, 8, 25, 1.5),
+  food('Waza Kokur', 'wazwan', 'kashmiri', '1 bowl (200 g)', 200, 340, 30, 6, 21, 1),
+  food('Daniwal Korma', 'wazwan', 'kashmiri', '1 bowl (200 g)', 200, 340, 26, 8, 22, 2),
+  food('Kashmiri Pulao', 'wazwan', 'kashmiri', '1 plate (250 g)', 250, 450, 8, 70, 15, 3),
+  food('Modur Pulav', 'dessert', 'kashmiri', '1 plate (250 g)', 250, 480, 6, 80, 15, 2, ['sweet pulao']),
+  food('Firni', 'dessert', 'kashmiri', '1 bowl (150 g)', 150, 220, 6, 34, 7, 0.5, ['phirni']),
+
+  // Kashmiri vegetables
+  food('Haakh', 'vegetable', 'kashmiri', '1 bowl (150 g)', 150, 90, 4, 9, 5, 4, ['collard greens']),
+  food('Nadru', 'vegetable', 'kashmiri', '1 bowl (150 g)', 150, 150, 3, 20, 7, 5, ['lotus stem']),
+  food('Dum Aloo', 'vegetable', 'kashmiri', '1 bowl (200 g)', 200, 280, 4, 30, 16, 4),
+
+  // South Asian staples
+  food('Rajma', 'curry', 'south-asian', '1 bowl (200 g)', 200, 240, 13, 36, 5, 11),
+  food('Dal', 'curry', 'south-asian', '1 bowl (200 g)', 200, 180, 10, 26, 4, 7, ['daal']),
+  food('Rice', 'staple', 'south-asian', '1 plate cooked (200 g)', 200, 260, 5, 56, 0.6, 0.8, ['chawal', 'bhaat']),
+  food('Roti', 'bread', 'south-asian', '1 piece', 40, 110, 3.5, 20, 1.5, 3, ['chapati', 'phulka']),
+  food('Naan', 'bread', 'south-asian', '1 piece', 90, 260, 8, 45, 5, 2),
+  food('Paratha', 'bread', 'south-asian', '1 piece', 80, 260, 5, 32, 12, 3),
+  food('Biryani', 'staple', 'south-asian', '1 plate (300 g)', 300, 500, 22, 60, 18, 3),
+  food('Pulao', 'staple', 'south-asian', '1 plate (250 g)', 250, 380, 7, 62, 11, 2.5),
+  food('Khichdi', 'staple', 'south-asian', '1 bowl (250 g)', 250, 280, 10, 45, 6, 5),
+  food('Samosa', 'snack', 'south-asian', '1 piece', 80, 260, 4, 28, 15, 2),
+  food('Pakora', 'snack', 'south-asian', '4 pieces (80 g)', 80, 250, 6, 22, 15, 3),
+  food('Vegetables', 'vegetable', 'south-asian', '1 bowl sabzi (150 g)', 150, 130, 3, 14, 7, 4, ['sabzi']),
+  food('Lassi', 'dairy', 'south-asian', '1 glass (250 ml)', 250, 180, 7, 25, 5, 0),
+
+  // Generic foods
+  food('Chicken', 'protein', 'generic', '1 serving curry (150 g)', 150, 280, 28, 6, 16, 1),
+  food('Mutton', 'protein', 'generic', '1 serving curry (150 g)', 150, 330, 26, 5, 23, 1),
+  food('Fish', 'protein', 'generic', '1 serving (150 g)', 150, 250, 30, 4, 12, 0.5),
+  food('Eggs', 'protein', 'generic', '1 piece', 50, 78, 6, 0.6, 5, 0, ['egg', 'boiled egg']),
+  food('Bread', 'bread', 'generic', '1 slice', 30, 80, 3, 14, 1, 1, ['toast']),
+  food('Oats', 'staple', 'generic', '1 bowl (40 g dry)', 40, 150, 5, 27, 3, 4, ['oatmeal', 'porridge']),
+  food('Curd', 'dairy', 'generic', '1 bowl (150 g)', 150, 90, 5, 7, 5, 0, ['yogurt', 'dahi']),
+  food('Milk', 'dairy', 'generic', '1 glass (250 ml)', 250, 150, 8, 12, 8, 0),
+  food('Tea', 'beverage', 'generic', '1 cup with milk and sugar (150 ml)', 150, 60, 1.5, 9, 2, 0, ['chai']),
+  food('Coffee', 'beverage', 'generic', '1 cup with milk (150 ml)', 150, 60, 2, 7, 2.5, 0),
+  food('Salad', 'vegetable', 'generic', '1 bowl (100 g)', 100, 30, 1, 6, 0.2, 2),
+  food('Soup', 'other', 'generic', '1 bowl (250 ml)', 250, 100, 4, 12, 4, 2),
+  food('Fruit', 'fruit', 'generic', '1 serving (150 g)', 150, 80, 1, 20, 0.3, 3),
+  food('Apple', 'fruit', 'generic', '1 medium', 180, 95, 0.5, 25, 0.3, 4.4),
+  food('Banana', 'fruit', 'generic', '1 medium', 120, 105, 1.3, 27, 0.4, 3.1),
+  food('Walnuts', 'nuts', 'kashmiri', '1 handful (28 g)', 28, 185, 4.3, 3.9, 18.5, 1.9),
+  food('Almonds', 'nuts', 'generic', '1 handful (28 g)', 28, 164, 6, 6, 14, 3.5),
+  food('Dates', 'fruit', 'generic', '3 pieces', 24, 70, 0.6, 18, 0.1, 2)
+];
@@ -0,0 +1,80 @@
+// Bundled ingredient nutrition table used by the recipe builder
+// (services/recipes.js). Values are per 100 g of the ingredient as it goes
+// into the pot (raw meat, dry rice and pulses) and approximate. Sodium is in
+// milligrams, everything else besides calories in grams. `units` gives the
+// weight in grams of one piece, cup, tablespoon, etc. where it differs from
+// the generic household measures in services/quantity.js; a "piece" of
+// greens is a bunch and of garlic a clove.
+
+const ingredient = (name, category, [calories, protein, carbs, fat, fiber, sugar, sodium], units = {}, aliases = []) => ({
+  name,
+  aliases,
+  category,
+  per100g: { calories, protein, carbs, fat, fiber, sugar, sodium },
+  units
+});
+
+module.exports = [
+  // Meat, fish and eggs
+  ingredient('Mutton', 'meat', [294, 25, 0, 21, 0, 0, 72], {}, ['lamb', 'goat meat', 'gosht', 'maaz']),
+  ingredient('Minced Mutton', 'meat', [282, 17, 0, 23, 0, 0, 59], {}, ['keema', 'mutton mince', 'minced lamb']),
+  ingredient('Chicken', 'meat', [215, 18.6, 0, 15, 0, 0, 70], {}, ['murgh', 'kokur']),
+  ingredient('Chicken Breast', 'meat', [120, 22.5, 0, 2.6, 0, 0, 45]),
+  ingredient('Fish', 'meat', [128, 20, 0, 5, 0, 0, 60], {}, ['gaad', 'trout', 'machli']),
+  ingredient('Egg', 'meat', [143, 12.6, 0.7, 9.5, 0, 0.4, 142], { piece: 50 }, ['eggs', 'anda', 'thool']),
+
+  // Vegetables and greens
+  ingredient('Collard Greens', 'vegetable', [32, 3, 5.4, 0.6, 4, 0.5, 17], { piece: 250, cup: 36 }, ['haakh', 'haak', 'kashmiri saag']),
+  ingredient('Spinach', 'vegetable', [23, 2.9, 3.6, 0.4, 2.2, 0.4, 79], { piece: 250, cup: 30 }, ['palak', 'palak saag']),
+  ingredient('Onion', 'vegetable', [40, 1.1, 9.3, 0.1, 1.7, 4.2, 4], { piece: 110, cup: 160 }, ['onions', 'pyaz', 'gande']),
+  ingredient('Tomato', 'vegetable', [18, 0.9, 3.9, 0.2, 1.2, 2.6, 5], { piece: 120, cup: 180 }, ['tomatoes', 'tamatar', 'ruwangun']),
+  ingredient('Potato', 'vegetable', [77, 2, 17, 0.1, 2.2, 0.8, 6], { piece: 170, cup: 150 }, ['potatoes', 'aloo', 'olav']),
+  ingredient('Lotus Stem', 'vegetable', [74, 2.6, 17, 0.1, 4.9, 0.5, 40], { piece: 150 }, ['nadru', 'nadur', 'kamal kakdi']),
+  ingredient('Turnip', 'vegetable', [28, 0.9, 6.4, 0.1, 1.8, 3.8, 67], { piece: 120 }, ['shalgam', 'gogji']),
+  ingredient('Eggplant', 'vegetable', [25, 1, 5.9, 0.2, 3, 3.5, 2], { piece: 250 }, ['brinjal', 'baingan', 'wangun']),
+  ingredient('Cauliflower', 'vegetable', [25, 1.9, 5, 0.3, 2, 1.9, 30], { piece: 600, cup: 100 }, ['gobi', 'phool gobi']),
+  ingredient('Peas', 'vegetable', [81, 5.4, 14.5, 0.4, 5.1, 5.7, 5], { cup: 145 }, ['green peas', 'matar']),
+  ingredient('Carrot', 'vegetable', [41, 0.9, 9.6, 0.2, 2.8, 4.7, 69], { piece: 60, cup: 128 }, ['carrots', 'gajar']),
+  ingredient('Green Chili', 'vegetable', [40, 2, 9.5, 0.2, 1.5, 5.1, 7], { piece: 5 }, ['green chilli', 'hari mirch']),
+  ingredient('Garlic', 'vegetable', [149, 6.4, 33, 0.5, 2.1, 1, 17], { piece: 3 }, ['lehsun', 'rohan']),
+  ingredient('Ginger', 'vegetable', [80, 1.8, 18, 0.8, 2, 1.7, 13], { piece: 10 }, ['adrak']),
+
+  // Pulses, grains and flour
+  ingredient('Rice', 'grain', [365, 7.1, 80, 0.7, 1.3, 0.1, 5], { cup: 185 }, ['basmati rice', 'raw rice', 'chawal', 'bati']),
+  ingredient('Kidney Beans', 'pulse', [333, 24, 60, 0.8, 25, 2.2, 24], { cup: 184 }, ['rajma', 'razma']),
+  ingredient('Lentils', 'pulse', [352, 24.6, 63, 1.1, 10.7, 2, 6], { cup: 192 }, ['dal', 'daal', 'masoor dal', 'moong dal']),
+  ingredient('Chickpeas', 'pulse', [364, 19, 61, 6, 17, 10.7, 24], { cup: 200 }, ['chana', 'chole']),
+  ingredient('Wheat Flour', 'grain', [340, 13, 72, 2.5, 10.7, 0.4, 2], { cup: 120 }, ['atta', 'whole wheat flour']),
+  ingredient('Refined Flour', 'grain', [364, 10, 76, 1, 2.7, 0.3, 2], { cup: 125 }, ['maida', 'all purpose flour']),
+
+  // Dairy and fats
+  ingredient('Yogurt', 'dairy', [61, 3.5, 4.7, 3.3, 0, 4.7, 46], { cup: 245 }, ['curd', 'dahi', 'zamut dodh']),
+  ingredient('Milk', 'dairy', [61, 3.2, 4.8, 3.3, 0, 5, 43], { cup: 244 }, ['doodh', 'dodh']),
+  ingredient('Cream', 'dairy', [340, 2.8, 2.7, 36, 0, 2.9, 27], { tbsp: 15 }, ['malai', 'fresh cream']),
+  ingredient('Paneer', 'dairy', [265, 18.3, 1.2, 20.8, 0, 1.2, 18], { cup: 150 }, ['cottage cheese']),
+  ingredient('Mustard Oil', 'fat', [884, 0, 0, 100, 0, 0, 0], { tbsp: 14, tsp: 4.5, cup: 218 }, ['sarson oil', 'oil', 'cooking oil']),
+  ingredient('Ghee', 'fat', [900, 0, 0, 99.5, 0, 0, 2], { tbsp: 13, tsp: 4.3 }, ['clarified butter', 'desi ghee']),
+  ingredient('Butter', 'fat', [717, 0.9, 0.1, 81, 0, 0.1, 11], { tbsp: 14, tsp: 4.7 }, ['makhan']),
+
+  // Spices and seasoning
+  ingredient('Salt', 'spice', [0, 0, 0, 0, 0, 0, 38758], { tsp: 6, tbsp: 18 }, ['namak', 'noon']),
+  ingredient('Kashmiri Red Chili Powder', 'spice', [282, 13.5, 50, 14, 35, 10, 91], { tsp: 2.5, tbsp: 7.5 }, ['red chili powder', 'chili powder', 'lal mirch', 'kashmiri mirch']),
+  ingredient('Turmeric', 'spice', [312, 9.7, 67, 3.3, 22.7, 3.2, 27], { tsp: 3, tbsp: 9 }, ['haldi', 'lader']),
+  ingredient('Fennel Powder', 'spice', [345, 15.8, 52, 14.9, 39.8, 0, 88], { tsp: 2, tbsp: 6 }, ['saunf', 'bodi badyan', 'fennel']),
+  ingredient('Dry Ginger Powder', 'spice', [335, 9, 72, 4.2, 14, 3.4, 27], { tsp: 1.8, tbsp: 5.4 }, ['sonth', 'shonth', 'ground ginger']),
+  ingredient('Garam Masala', 'spice', [379, 14, 45, 15, 29, 2, 96], { tsp: 2, tbsp: 6 }),
+  ingredient('Cumin', 'spice', [375, 17.8, 44, 22, 10.5, 2.3, 168], { tsp: 2, tbsp: 6 }, ['jeera', 'zeer']),
+  ingredient('Cardamom', 'spice', [311, 10.8, 68, 6.7, 28, 0, 18], { piece: 0.2, tsp: 2 }, ['elaichi', 'alubukhar']),
+  ingredient('Cloves', 'spice', [274, 6, 65, 13, 34, 2.4, 277], { piece: 0.1, tsp: 2 }, ['laung', 'rong']),
+  ingredient('Cinnamon', 'spice', [247, 4, 81, 1.2, 53, 2.2, 10], { piece: 2, tsp: 2.6 }, ['dalchini', 'dalchin']),
+  ingredient('Asafoetida', 'spice', [297, 4, 68, 1.1, 4.1, 0, 0], { tsp: 3 }, ['hing', 'yange']),
+  ingredient('Dried Mint', 'spice', [285, 20, 52, 6, 30, 0, 344], { tsp: 0.5, tbsp: 1.5 }, ['pudina', 'pudin']),
+
+  // Nuts, dried fruit and sugar
+  ingredient('Almonds', 'nuts', [579, 21, 22, 50, 12.5, 4.4, 1], { piece: 1.2, cup: 143 }, ['badam', 'badaam']),
+  ingredient('Walnuts', 'nuts', [654, 15, 14, 65, 6.7, 2.6, 2], { piece: 4, cup: 100 }, ['akhrot', 'doon']),
+  ingredient('Cashews', 'nuts', [553, 18, 30, 44, 3.3, 5.9, 12], { piece: 1.5, cup: 137 }, ['kaju']),
+  ingredient('Raisins', 'nuts', [299, 3.1, 79, 0.5, 3.7, 59, 11], { tbsp: 9, cup: 145 }, ['kishmish']),
+  ingredient('Sugar', 'sweetener', [387, 0, 100, 0, 0, 100, 1], { tsp: 4.2, tbsp: 12.5, cup: 200 }, ['cheeni', 'khaand']),
+  ingredient('Water', 'other', [0, 0, 0, 0, 0, 0, 0], {}, ['paani', 'aab'])
+];
@@ -79,8 +79,23 @@ const admin = (req, res, next) => {
   }
 };
 
+// Scheduled callers (e.g. Vercel Cron) authenticate with CRON_SECRET
+const cronAuth = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   protect,
   optionalAuth,
-  admin
+  admin,
+  cronAuth
 };
@@ -1,4 +1,10 @@
 const { body, param, query } = require('express-validator');
+const { isClockTime, isValidTimeZone } = require('../services/timeOfDay');
+const { DOSAGE_FORMS, DOSE_UNITS, STRENGTH_UNITS } = require('../services/dosage');
+
+// An exact time given either as a clock time ("07:45") or an ISO timestamp
+const isExactTime = (value) => isClockTime(value) ||
+  (/^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)));
 
 // Auth validation rules
 const registerValidation = [
@@ -24,7 +30,11 @@ const registerValidation = [
   body('currentWeight')
     .optional()
     .isFloat({ min: 20, max: 500 })
-    .withMessage('Current weight must be between 20 and 500 kg')
+    .withMessage('Current weight must be between 20 and 500 kg'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be an IANA name such as Asia/Kolkata')
 ];
 
 const loginValidation = [
@@ -37,15 +47,49 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
-// Meal validation rules
-const mealValidation = [
-  body('date')
+// Profile update validation rules
+const profileValidation = [
+  body('name')
     .optional()
-    .isISO8601()
-    .withMessage('Date must be a valid ISO date'),
-  body('time')
-    .isIn(['morning', 'noon', 'evening', 'night'])
-    .withMessage('Time must be morning, noon, evening, or night'),
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('height')
+    .optional()
+    .isFloat({ min: 50, max: 300 })
+    .withMessage('Height must be between 50 and 300 cm'),
+  body(['weightGoal', 'currentWeight'])
+    .optional()
+    .isFloat({ min: 20, max: 500 })
+    .withMessage('Weight must be between 20 and 500 kg'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be an IANA name such as Asia/Kolkata'),
+  body('nutritionTargets')
+    .optional()
+    .isObject()
+    .withMessage('Nutrition targets must be an object'),
+  body([
+    'nutritionTargets.calories',
+    'nutritionTargets.protein',
+    'nutritionTargets.carbs',
+    'nutritionTargets.fat',
+    'nutritionTargets.fiber',
+    'nutritionTargets.sugar',
+    'nutritionTargets.sodium'
+  ])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Nutrition targets must be positive numbers'),
+  body('fastingTargetHours')
+    .optional({ nullable: true })
+    .isFloat({ min: 1, max: 72 })
+    .withMessage('Fasting target must be between 1 and 72 hours')
+];
+
+// Meal validation rules
+const foodItemValidation = [
   body('foodItems')
     .isArray({ min: 1 })
     .withMessage('At least one food item is required'),
@@ -61,6 +105,35 @@ const mealValidation = [
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Calories must be a positive number'),
+  body(['foodItems.*.protein', 'foodItems.*.carbs', 'foodItems.*.fat', 'foodItems.*.fiber', 'foodItems.*.sugar', 'foodItems.*.sodium'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Nutrient amounts must be positive numbers'),
+  body('foodItems.*.recipeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid recipe ID format'),
+  body('foodItems.*.servings')
+    .optional()
+    .isFloat({ min: 0.01, max: 100 })
+    .withMessage('Servings must be a positive number')
+];
+
+const mealValidation = [
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid ISO date'),
+  // The slot may be left out when an exact time is given
+  body('time')
+    .if((value, { req }) => value !== undefined || !req.body.eatenAt)
+    .isIn(['morning', 'noon', 'evening', 'night'])
+    .withMessage('Time must be morning, noon, evening, or night'),
+  body('eatenAt')
+    .optional()
+    .custom(isExactTime)
+    .withMessage('Eaten at must be a time like 07:45 or an ISO timestamp'),
+  ...foodItemValidation,
   body('notes')
     .optional()
     .trim()
@@ -68,23 +141,244 @@ const mealValidation = [
     .withMessage('Notes cannot exceed 500 characters')
 ];
 
-// Medicine validation rules
-const medicineValidation = [
+// Meal template validation rules
+const mealTemplateValidation = [
   body('name')
     .trim()
     .isLength({ min: 1, max: 100 })
-    .withMessage('Medicine name must be between 1 and 100 characters'),
-  body('dosage')
+    .withMessage('Template name must be between 1 and 100 characters'),
+  body('time')
+    .optional()
+    .isIn(['morning', 'noon', 'evening', 'night'])
+    .withMessage('Time must be morning, noon, evening, or night'),
+  ...foodItemValidation,
+  body('notes')
+    .optional()
     .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Dosage must be between 1 and 50 characters'),
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const logFromTemplateValidation = [
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid ISO date'),
   body('time')
+    .optional()
     .isIn(['morning', 'noon', 'evening', 'night'])
     .withMessage('Time must be morning, noon, evening, or night'),
+  body('eatenAt')
+    .optional()
+    .custom(isExactTime)
+    .withMessage('Eaten at must be a time like 07:45 or an ISO timestamp'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const frequentMealsValidation = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365'),
+  query('minCount')
+    .optional()
+    .isInt({ min: 2 })
+    .withMessage('Minimum count must be at least 2'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+const fastingValidation = [
+  query('targetHours')
+    .optional()
+    .isFloat({ min: 1, max: 72 })
+    .withMessage('Target hours must be between 1 and 72')
+];
+
+// Recipe validation rules
+const recipeValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Recipe name must be between 1 and 100 characters'),
+  body('servings')
+    .isFloat({ min: 0.5, max: 100 })
+    .withMessage('Servings must be between 0.5 and 100'),
+  body('ingredients')
+    .isArray({ min: 1 })
+    .withMessage('At least one ingredient is required'),
+  body('ingredients.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Ingredient name must be between 1 and 100 characters'),
+  body('ingredients.*.quantity')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Ingredient quantity must be between 1 and 50 characters'),
+  body('instructions')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Instructions cannot exceed 5000 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const ingredientSearchValidation = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search query cannot exceed 100 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Food database validation rules
+const foodSearchValidation = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search query cannot exceed 100 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const foodLookupValidation = [
+  query('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Food name must be between 1 and 100 characters'),
+  query('servings')
+    .optional()
+    .isFloat({ min: 0.01, max: 100 })
+    .withMessage('Servings must be a positive number'),
+  query('quantity')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Quantity must be between 1 and 50 characters')
+];
+
+// Rules for a medicine's fields other than its name, dosage and time, the
+// same whether it is created or updated
+const medicineFieldValidation = [
+  body('dosageDetails')
+    .optional()
+    .isObject()
+    .withMessage('Dosage details must be an object')
+    .bail()
+    .custom(details => details.amount !== undefined || (details.strength && details.strength.value !== undefined))
+    .withMessage('Dosage details need an amount or a strength'),
+  body('dosageDetails.amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Dose amount must be positive'),
+  body('dosageDetails.unit')
+    .optional()
+    .isIn(DOSE_UNITS)
+    .withMessage(`Dose unit must be one of ${DOSE_UNITS.join(', ')}`),
+  body('dosageDetails.form')
+    .optional()
+    .isIn(DOSAGE_FORMS)
+    .withMessage(`Form must be one of ${DOSAGE_FORMS.join(', ')}`),
+  body('dosageDetails.strength.value')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Strength must be positive'),
+  body('dosageDetails.strength.unit')
+    .optional()
+    .isIn(STRENGTH_UNITS)
+    .withMessage(`Strength unit must be one of ${STRENGTH_UNITS.join(', ')}`),
+  body('dosageDetails.strength.per')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Strength volume must be positive'),
+  body('scheduledTime')
+    .optional()
+    .custom(isClockTime)
+    .withMessage('Scheduled time must be a time of day like 07:45'),
   body('frequency')
     .optional()
     .isIn(['daily', 'twice-daily', 'thrice-daily', 'weekly', 'as-needed'])
     .withMessage('Invalid frequency'),
+  body('schedule')
+    .optional()
+    .isObject()
+    .withMessage('Schedule must be an object'),
+  body(['schedule.times', 'schedule.taper', 'schedule.taper.*.times'])
+    .optional()
+    .isArray()
+    .withMessage('Schedule times and taper must be arrays'),
+  body(['schedule.times.*', 'schedule.taper.*.times.*'])
+    .custom(dose => Boolean(dose && (dose.slot || dose.time)))
+    .withMessage('Each dose needs a slot or a time'),
+  body(['schedule.times.*.slot', 'schedule.taper.*.times.*.slot'])
+    .optional()
+    .isIn(['morning', 'noon', 'evening', 'night'])
+    .withMessage('Dose slot must be morning, noon, evening, or night'),
+  body(['schedule.times.*.time', 'schedule.taper.*.times.*.time'])
+    .optional()
+    .custom(isClockTime)
+    .withMessage('Dose time must be a time of day like 07:45'),
+  body(['schedule.times.*.dosage', 'schedule.taper.*.times.*.dosage'])
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Dose dosage must be between 1 and 50 characters'),
+  body('schedule.daysOfWeek')
+    .optional()
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Days of week must be a list of 1 to 7 days'),
+  body('schedule.daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)'),
+  body('schedule.everyNDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Interval must be between 1 and 365 days'),
+  body('schedule.taper.*.days')
+    .isInt({ min: 1 })
+    .withMessage('Taper step must last at least 1 day'),
+  body('schedule.taper.*.dosage')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Taper step dosage must be between 1 and 50 characters'),
+  body('inventory')
+    .optional()
+    .isObject()
+    .withMessage('Inventory must be an object'),
+  body('inventory.stock')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Stock cannot be negative'),
+  body('inventory.packSize')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Pack size must be a positive integer'),
+  body('inventory.unitsPerDose')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Units per dose must be positive'),
+  body('inventory.unit')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Unit must be between 1 and 20 characters'),
   body('startDate')
     .optional()
     .isISO8601()
@@ -104,6 +398,167 @@ const medicineValidation = [
     .withMessage('Notes cannot exceed 500 characters')
 ];
 
+// Medicine validation rules
+const medicineValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Medicine name must be between 1 and 100 characters'),
+  body('dosage')
+    .if((value, { req }) => value !== undefined || !req.body.dosageDetails)
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Dosage must be between 1 and 50 characters'),
+  body('time')
+    .if((value, { req }) => value !== undefined || (!req.body.scheduledTime && !req.body.schedule?.times?.length))
+    .isIn(['morning', 'noon', 'evening', 'night'])
+    .withMessage('Time must be morning, noon, evening, or night'),
+  ...medicineFieldValidation
+];
+
+// Medicine update validation rules: only the fields sent are checked
+const medicineUpdateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Medicine name must be between 1 and 100 characters'),
+  body('dosage')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Dosage must be between 1 and 50 characters'),
+  body('time')
+    .optional()
+    .isIn(['morning', 'noon', 'evening', 'night'])
+    .withMessage('Time must be morning, noon, evening, or night'),
+  ...medicineFieldValidation
+];
+
+const markTakenValidation = [
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid ISO date'),
+  body('time')
+    .optional()
+    .isIn(['morning', 'noon', 'evening', 'night'])
+    .withMessage('Time must be morning, noon, evening, or night'),
+  body('scheduledTime')
+    .optional()
+    .custom(isClockTime)
+    .withMessage('Scheduled time must be a time of day like 07:45'),
+  body('takenAt')
+    .optional()
+    .custom(isExactTime)
+    .withMessage('Taken at must be a time like 07:45 or an ISO timestamp')
+];
+
+// Skipped, missed, delayed and partial doses
+const doseStatusValidation = [
+  ...markTakenValidation,
+  body('reason')
+    .optional()
+    .isIn(['side-effects', 'ran-out', 'forgot', 'felt-better', 'doctor-advised', 'other'])
+    .withMessage('Reason must be side-effects, ran-out, forgot, felt-better, doctor-advised, or other'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters'),
+  body('portion')
+    .optional()
+    .isFloat({ gt: 0, lt: 1 })
+    .withMessage('Portion must be between 0 and 1, e.g. 0.5 for half a dose')
+];
+
+const undoDoseValidation = [
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid ISO date'),
+  body('time')
+    .optional()
+    .isIn(['morning', 'noon', 'evening', 'night'])
+    .withMessage('Time must be morning, noon, evening, or night'),
+  body('scheduledTime')
+    .optional()
+    .custom(isClockTime)
+    .withMessage('Scheduled time must be a time of day like 07:45')
+];
+
+const adherenceValidation = [
+  query('medicineId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid medicine ID format'),
+  query('lateAfter')
+    .optional()
+    .isInt({ min: 0, max: 720 })
+    .withMessage('Late after must be between 0 and 720 minutes')
+];
+
+const refillsValidation = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365')
+];
+
+const intakeValidation = [
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid ISO date')
+];
+
+const courseStatusValidation = [
+  body('reason')
+    .optional()
+    .isIn(['side-effects', 'not-effective', 'doctor-advised', 'felt-better', 'ran-out', 'other'])
+    .withMessage('Reason must be side-effects, not-effective, doctor-advised, felt-better, ran-out, or other'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters')
+];
+
+// Discontinuing a course needs a reason
+const discontinueValidation = [
+  body('reason')
+    .exists()
+    .withMessage('Reason is required to discontinue a medicine'),
+  ...courseStatusValidation
+];
+
+const historyValidation = [
+  query('doses')
+    .optional()
+    .isBoolean()
+    .withMessage('Doses must be true or false')
+];
+
+const interactionsValidation = [
+  query('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Medicine name must be between 1 and 100 characters')
+];
+
+const mergeValidation = [
+  body('targetId')
+    .isMongoId()
+    .withMessage('Target medicine ID must be valid'),
+  body('sourceIds')
+    .isArray({ min: 1 })
+    .withMessage('Source medicine IDs must be a non-empty array'),
+  body('sourceIds.*')
+    .isMongoId()
+    .withMessage('Each source medicine ID must be valid')
+];
+
 // Test validation rules
 const testValidation = [
   body('testName')
@@ -216,7 +671,11 @@ const journalValidation = [
   body('energy')
     .optional()
     .isIn(['high', 'medium', 'low'])
-    .withMessage('Invalid energy level')
+    .withMessage('Invalid energy level'),
+  body('draft')
+    .optional()
+    .isBoolean()
+    .withMessage('Draft must be a boolean')
 ];
 
 // AI validation rules
@@ -228,7 +687,69 @@ const aiValidation = [
   body('date')
     .optional()
     .isISO8601()
-    .withMessage('Date must be a valid ISO date')
+    .withMessage('Date must be a valid ISO date'),
+  body('draft')
+    .optional()
+    .isBoolean()
+    .withMessage('Draft must be a boolean')
+];
+
+const reparseValidation = [
+  body('draft')
+    .optional()
+    .isBoolean()
+    .withMessage('Draft must be a boolean')
+];
+
+// AI draft review validation rules
+const draftUpdateValidation = [
+  body('parsedData')
+    .isObject()
+    .withMessage('Parsed data must be an object'),
+  body('parsedData.meals')
+    .optional()
+    .isArray()
+    .withMessage('Meals must be an array'),
+  body('parsedData.medicines')
+    .optional()
+    .isArray()
+    .withMessage('Medicines must be an array'),
+  body('parsedData.tests')
+    .optional()
+    .isArray()
+    .withMessage('Tests must be an array')
+];
+
+const draftAcceptValidation = [
+  body('items')
+    .optional()
+    .isObject()
+    .withMessage('Items must be an object'),
+  body(['items.meals', 'items.medicines', 'items.tests'])
+    .optional()
+    .isArray()
+    .withMessage('Accepted item lists must be arrays of IDs'),
+  body(['items.meals.*', 'items.medicines.*', 'items.tests.*'])
+    .isMongoId()
+    .withMessage('Invalid item ID format'),
+  body('items.bodyStats')
+    .optional()
+    .isBoolean()
+    .withMessage('Body stats selection must be a boolean')
+];
+
+// Journal deletion: what happens to the records derived from it
+const journalDeleteValidation = [
+  query('derived')
+    .optional()
+    .isIn(['cascade', 'detach', 'refuse'])
+    .withMessage('Derived records handling must be cascade, detach, or refuse')
+];
+
+const orphanCleanupValidation = [
+  body('action')
+    .isIn(['delete', 'detach'])
+    .withMessage('Action must be delete or detach')
 ];
 
 // ID validation for routes with parameters
@@ -238,6 +759,13 @@ const idValidation = [
     .withMessage('Invalid ID format')
 ];
 
+// Journal ID validation for AI routes
+const journalIdValidation = [
+  param('journalId')
+    .isMongoId()
+    .withMessage('Invalid journal ID format')
+];
+
 // Pagination validation
 const paginationValidation = [
   query('page')
@@ -265,13 +793,40 @@ const dateRangeValidation = [
 module.exports = {
   registerValidation,
   loginValidation,
+  profileValidation,
   mealValidation,
+  mealTemplateValidation,
+  logFromTemplateValidation,
+  frequentMealsValidation,
+  fastingValidation,
+  recipeValidation,
+  ingredientSearchValidation,
+  foodSearchValidation,
+  foodLookupValidation,
   medicineValidation,
+  medicineUpdateValidation,
+  markTakenValidation,
+  doseStatusValidation,
+  undoDoseValidation,
+  adherenceValidation,
+  refillsValidation,
+  intakeValidation,
+  courseStatusValidation,
+  discontinueValidation,
+  historyValidation,
+  interactionsValidation,
+  mergeValidation,
   testValidation,
   bodyStatValidation,
   journalValidation,
   aiValidation,
+  reparseValidation,
+  draftUpdateValidation,
+  draftAcceptValidation,
+  journalDeleteValidation,
+  orphanCleanupValidation,
   idValidation,
+  journalIdValidation,
   paginationValidation,
   dateRangeValidation
 };
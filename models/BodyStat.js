@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const sourceSpanSchema = require('./schemas/sourceSpan');
 
 const bodyStatSchema = new mongoose.Schema({
   userId: {
@@ -74,7 +75,9 @@ const bodyStatSchema = new mongoose.Schema({
   journalEntryId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Journal'
-  }
+  },
+  // Parts of the journal's rawText this record was extracted from
+  sourceSpans: [sourceSpanSchema]
 }, {
   timestamps: true
 });
@@ -109,4 +112,7 @@ bodyStatSchema.index({ userId: 1, date: 1 });
 // Compound index for date range queries
 bodyStatSchema.index({ userId: 1, date: 1, weight: 1 });
 
+// Index for looking up records derived from a journal entry
+bodyStatSchema.index({ journalEntryId: 1 });
+
 module.exports = mongoose.model('BodyStat', bodyStatSchema);
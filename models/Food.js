@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const foodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Food name is required'],
+    unique: true,
+    trim: true
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  category: {
+    type: String,
+    enum: ['wazwan', 'bread', 'staple', 'curry', 'vegetable', 'protein', 'snack', 'dairy', 'beverage', 'fruit', 'nuts', 'dessert', 'other'],
+    default: 'other'
+  },
+  region: {
+    type: String,
+    enum: ['kashmiri', 'south-asian', 'generic'],
+    default: 'generic'
+  },
+  serving: {
+    description: {
+      type: String, // e.g. "1 cup (240 ml)"
+      required: [true, 'Serving description is required'],
+      trim: true
+    },
+    grams: {
+      type: Number, // Weight (or ml for drinks) of one serving
+      min: [0, 'Serving size cannot be negative']
+    }
+  },
+  // Nutrition per serving
+  calories: {
+    type: Number,
+    required: [true, 'Calories are required'],
+    min: [0, 'Calories cannot be negative']
+  },
+  protein: {
+    type: Number, // grams
+    min: [0, 'Protein cannot be negative'],
+    default: 0
+  },
+  carbs: {
+    type: Number, // grams
+    min: [0, 'Carbs cannot be negative'],
+    default: 0
+  },
+  fat: {
+    type: Number, // grams
+    min: [0, 'Fat cannot be negative'],
+    default: 0
+  },
+  fiber: {
+    type: Number, // grams
+    min: [0, 'Fiber cannot be negative'],
+    default: 0
+  },
+  sugar: {
+    type: Number, // grams, unset when unknown
+    min: [0, 'Sugar cannot be negative']
+  },
+  sodium: {
+    type: Number, // milligrams, unset when unknown
+    min: [0, 'Sodium cannot be negative']
+  },
+  searchNames: [{
+    type: String, // Lowercased name and aliases for lookups
+    lowercase: true,
+    trim: true
+  }]
+}, {
+  timestamps: true
+});
+
+// Keep lookup names in sync with the name and aliases
+foodSchema.pre('save', function(next) {
+  this.searchNames = [...new Set([this.name, ...(this.aliases || [])].map(name => name.toLowerCase().trim()))];
+  next();
+});
+
+// Index for efficient queries
+foodSchema.index({ searchNames: 1 });
+foodSchema.index({ category: 1, region: 1 });
+
+module.exports = mongoose.model('Food', foodSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journal'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: [1, 'Max attempts must be at least 1']
+  },
+  runAt: {
+    type: Date, // Earliest time the next attempt may start
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lockedBy: {
+    type: String
+  },
+  lastError: {
+    type: String,
+    trim: true
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for claiming due jobs
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ journalId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const sourceSpanSchema = require('./schemas/sourceSpan');
+const dosageSchema = require('./schemas/dosage');
+const { detectLanguage, textSearchLanguage, generateTags } = require('../services/language');
 
 const journalSchema = new mongoose.Schema({
   userId: {
@@ -24,7 +27,8 @@ const journalSchema = new mongoose.Schema({
       },
       items: [String],
       quantity: String,
-      calories: Number
+      calories: Number,
+      sourceSpans: [sourceSpanSchema]
     }],
     medicines: [{
       name: String,
@@ -32,7 +36,9 @@ const journalSchema = new mongoose.Schema({
         type: String,
         enum: ['morning', 'noon', 'evening', 'night']
       },
-      dosage: String
+      dosage: String,
+      dosageDetails: dosageSchema,
+      sourceSpans: [sourceSpanSchema]
     }],
     bodyStats: {
       waterIntakeLiters: Number,
@@ -46,7 +52,8 @@ const journalSchema = new mongoose.Schema({
       energy: {
         type: String,
         enum: ['high', 'medium', 'low']
-      }
+      },
+      sourceSpans: [sourceSpanSchema]
     },
     tests: [{
       testName: String,
@@ -57,7 +64,8 @@ const journalSchema = new mongoose.Schema({
         min: Number,
         max: Number,
         unit: String
-      }
+      },
+      sourceSpans: [sourceSpanSchema]
     }],
     notes: String
   },
@@ -78,10 +86,50 @@ const journalSchema = new mongoose.Schema({
     type: String, // Raw AI response for debugging
     trim: true
   },
+  parser: {
+    method: {
+      type: String,
+      enum: ['llm', 'rules']
+    },
+    provider: String,
+    model: String,
+    fallbackReason: String // Why the rule-based parser was used instead of the LLM
+  },
+  reviewStatus: {
+    type: String,
+    enum: ['none', 'pending', 'accepted', 'partially-accepted', 'discarded'],
+    default: 'none' // 'none' means records were created without review
+  },
+  reviewedAt: {
+    type: Date
+  },
+  recordsLockedUntil: {
+    type: Date // Held while derived records change on servers without transactions
+  },
+  validationErrors: [{
+    field: String, // e.g. "meals[0].time"
+    message: String,
+    value: String
+  }],
   tags: [{
     type: String,
     trim: true
   }],
+  detectedLanguage: {
+    code: {
+      type: String,
+      enum: ['en', 'ur', 'hi', 'ks', 'ur-Latn', 'ks-Latn']
+    },
+    script: {
+      type: String,
+      enum: ['latin', 'arabic', 'devanagari']
+    },
+    mixed: Boolean // Code-mixed, e.g. Roman Urdu with English words
+  },
+  searchLanguage: {
+    type: String, // MongoDB text search language, see the text index below
+    default: 'english'
+  },
   mood: {
     type: String,
     enum: ['excellent', 'good', 'okay', 'poor', 'terrible']
@@ -94,43 +142,27 @@ const journalSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Auto-generate tags based on content
+// Detect the language and auto-generate tags based on content
+const applyTextAnalysis = (target) => {
+  const detectedLanguage = detectLanguage(target.rawText);
+  target.detectedLanguage = detectedLanguage;
+  target.searchLanguage = textSearchLanguage(detectedLanguage.code);
+  target.tags = generateTags(target.rawText);
+};
+
 journalSchema.pre('save', function(next) {
   if (this.rawText) {
-    const text = this.rawText.toLowerCase();
-    const tags = [];
-    
-    // Food-related tags
-    if (text.includes('ate') || text.includes('food') || text.includes('meal') || 
-        text.includes('breakfast') || text.includes('lunch') || text.includes('dinner')) {
-      tags.push('food');
-    }
-    
-    // Medicine-related tags
-    if (text.includes('medicine') || text.includes('pill') || text.includes('tablet') || 
-        text.includes('medication') || text.includes('prescription')) {
-      tags.push('medicine');
-    }
-    
-    // Water/hydration tags
-    if (text.includes('water') || text.includes('drank') || text.includes('hydration') || 
-        text.includes('glass') || text.includes('litre') || text.includes('liter')) {
-      tags.push('hydration');
-    }
-    
-    // Exercise tags
-    if (text.includes('exercise') || text.includes('workout') || text.includes('walk') || 
-        text.includes('run') || text.includes('gym')) {
-      tags.push('exercise');
-    }
-    
-    // Health tags
-    if (text.includes('pain') || text.includes('fever') || text.includes('sick') || 
-        text.includes('test') || text.includes('doctor')) {
-      tags.push('health');
-    }
-    
-    this.tags = [...new Set(tags)]; // Remove duplicates
+    applyTextAnalysis(this);
+  }
+  next();
+});
+
+// Keep language and tags in sync when rawText is edited through an update query
+journalSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const fields = update.$set || update;
+  if (typeof fields.rawText === 'string') {
+    applyTextAnalysis(fields);
   }
   next();
 });
@@ -159,7 +191,43 @@ journalSchema.index({ userId: 1, tags: 1 });
 journalSchema.index({ userId: 1, processingStatus: 1 });
 journalSchema.index({ userId: 1, mood: 1 });
 
-// Text index for search functionality
-journalSchema.index({ rawText: 'text' });
+// Text index for search functionality. Each entry is stemmed in its own
+// searchLanguage: 'english' or 'none' for Urdu, Hindi and Kashmiri, which
+// MongoDB does not support. Tags are indexed too, so searching "food" also
+// finds entries written in other languages.
+const TEXT_INDEX_NAME = 'journal_text_search';
+journalSchema.index(
+  { rawText: 'text', tags: 'text' },
+  {
+    name: TEXT_INDEX_NAME,
+    default_language: 'english',
+    language_override: 'searchLanguage',
+    weights: { rawText: 10, tags: 2 }
+  }
+);
+
+// A collection can only have one text index, so databases created before
+// journal_text_search keep the English-only { rawText: 'text' } index and
+// building the new one fails. Drop any other text index, then build it.
+journalSchema.statics.migrateTextIndex = async function() {
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    // No journals collection yet; autoIndex builds the index with it
+    if (error.codeName === 'NamespaceNotFound') return { dropped: [] };
+    throw error;
+  }
+
+  const stale = indexes.filter(index => index.key._fts === 'text' && index.name !== TEXT_INDEX_NAME);
+  for (const index of stale) {
+    await this.collection.dropIndex(index.name);
+  }
+  if (stale.length > 0 || !indexes.some(index => index.name === TEXT_INDEX_NAME)) {
+    await this.createIndexes();
+  }
+
+  return { dropped: stale.map(index => index.name) };
+};
 
 module.exports = mongoose.model('Journal', journalSchema);
@@ -1,26 +1,6 @@
 const mongoose = require('mongoose');
-
-const foodItemSchema = new mongoose.Schema({
-  name: {
-    type: String,
-    required: [true, 'Food item name is required'],
-    trim: true
-  },
-  quantity: {
-    type: String,
-    required: [true, 'Quantity is required'],
-    trim: true
-  },
-  calories: {
-    type: Number,
-    min: [0, 'Calories cannot be negative']
-  },
-  category: {
-    type: String,
-    enum: ['breakfast', 'lunch', 'dinner', 'snack', 'beverage'],
-    default: 'snack'
-  }
-});
+const sourceSpanSchema = require('./schemas/sourceSpan');
+const foodItemSchema = require('./schemas/foodItem');
 
 const mealSchema = new mongoose.Schema({
   userId: {
@@ -39,12 +19,28 @@ const mealSchema = new mongoose.Schema({
     enum: ['morning', 'noon', 'evening', 'night'],
     default: 'morning'
   },
+  eatenAt: {
+    type: Date // Exact time, when known; `time` is then the slot it falls in
+  },
   foodItems: [foodItemSchema],
   totalCalories: {
     type: Number,
     min: [0, 'Total calories cannot be negative'],
     default: 0
   },
+  totalGrams: {
+    type: Number,
+    min: [0, 'Total grams cannot be negative'],
+    default: 0
+  },
+  totalNutrition: {
+    protein: { type: Number, default: 0 },
+    carbs: { type: Number, default: 0 },
+    fat: { type: Number, default: 0 },
+    fiber: { type: Number, default: 0 },
+    sugar: { type: Number, default: 0 },
+    sodium: { type: Number, default: 0 }
+  },
   notes: {
     type: String,
     trim: true,
@@ -57,17 +53,26 @@ const mealSchema = new mongoose.Schema({
   journalEntryId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Journal'
-  }
+  },
+  // Parts of the journal's rawText this record was extracted from
+  sourceSpans: [sourceSpanSchema]
 }, {
   timestamps: true
 });
 
-// Calculate total calories before saving
+// Calculate total calories, grams and nutrients before saving
 mealSchema.pre('save', function(next) {
   if (this.foodItems && this.foodItems.length > 0) {
     this.totalCalories = this.foodItems.reduce((total, item) => {
       return total + (item.calories || 0);
     }, 0);
+
+    this.totalGrams = Math.round(this.foodItems.reduce((total, item) => total + (item.grams || 0), 0));
+
+    ['protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium'].forEach(nutrient => {
+      const total = this.foodItems.reduce((sum, item) => sum + (item[nutrient] || 0), 0);
+      this.totalNutrition[nutrient] = Math.round(total * 10) / 10;
+    });
   }
   next();
 });
@@ -75,5 +80,9 @@ mealSchema.pre('save', function(next) {
 // Index for efficient queries
 mealSchema.index({ userId: 1, date: -1 });
 mealSchema.index({ userId: 1, date: 1, time: 1 });
+mealSchema.index({ userId: 1, eatenAt: 1 });
+
+// Index for looking up records derived from a journal entry
+mealSchema.index({ journalEntryId: 1 });
 
 module.exports = mongoose.model('Meal', mealSchema);
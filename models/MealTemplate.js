@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const foodItemSchema = require('./schemas/foodItem');
+
+const mealTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  time: {
+    type: String, // Default time slot when logging from the template
+    enum: ['morning', 'noon', 'evening', 'night']
+  },
+  foodItems: {
+    type: [foodItemSchema],
+    validate: [items => items.length > 0, 'At least one food item is required']
+  },
+  totalCalories: {
+    type: Number,
+    min: [0, 'Total calories cannot be negative'],
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+// Calculate total calories before saving
+mealTemplateSchema.pre('save', function(next) {
+  this.totalCalories = this.foodItems.reduce((total, item) => total + (item.calories || 0), 0);
+  next();
+});
+
+// Index for efficient queries
+mealTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+mealTemplateSchema.index({ userId: 1, usageCount: -1 });
+
+module.exports = mongoose.model('MealTemplate', mealTemplateSchema);
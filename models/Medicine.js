@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const sourceSpanSchema = require('./schemas/sourceSpan');
+const medicineScheduleSchema = require('./schemas/medicineSchedule');
+const dosageSchema = require('./schemas/dosage');
+const { zonedParts, storedDay, DEFAULT_TIMEZONE } = require('../services/timeOfDay');
 
 const takenStatusSchema = new mongoose.Schema({
   date: {
@@ -10,13 +14,87 @@ const takenStatusSchema = new mongoose.Schema({
     enum: ['morning', 'noon', 'evening', 'night'],
     required: true
   },
+  scheduledTime: {
+    type: String // Exact time of the scheduled dose, telling apart doses in the same slot
+  },
   taken: {
     type: Boolean,
     default: false
   },
+  // What happened to the dose; `taken` is true for taken, delayed and partial
+  // doses. Entries from before states were recorded only have `taken`.
+  status: {
+    type: String,
+    enum: ['taken', 'skipped', 'missed', 'delayed', 'partial']
+  },
+  reason: {
+    type: String,
+    enum: ['side-effects', 'ran-out', 'forgot', 'felt-better', 'doctor-advised', 'other']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Dose note cannot exceed 200 characters']
+  },
+  portion: {
+    type: Number, // Share of the dose taken, for partial doses
+    min: [0, 'Portion cannot be negative'],
+    max: [1, 'Portion cannot exceed 1']
+  },
+  unitsTaken: {
+    type: Number // Units taken from stock for this dose, put back when it is undone
+  },
   takenAt: {
+    type: Date // Exact time the dose was taken
+  },
+  journalEntryId: {
+    type: mongoose.Schema.Types.ObjectId, // Journal entry the dose was recorded from
+    ref: 'Journal'
+  }
+});
+
+const TAKEN_STATUSES = ['taken', 'delayed', 'partial'];
+
+const STATUS_REASONS = ['side-effects', 'not-effective', 'doctor-advised', 'felt-better', 'ran-out', 'other'];
+
+// A period the course was paused or stopped; no doses are due from the day
+// it started until the day it ended. Open periods have no end yet.
+const offPeriodSchema = new mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
     type: Date
   }
+}, {
+  _id: false
+});
+
+// One entry in a medicine's history timeline
+const historyEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: ['started', 'updated', 'paused', 'resumed', 'completed', 'discontinued', 'restarted', 'merged'],
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    enum: STATUS_REASONS
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  changes: [String], // Fields sent in an update
+  endDate: {
+    type: Date // End date after the event, when it moved
+  }
 });
 
 const medicineSchema = new mongoose.Schema({
@@ -35,16 +113,24 @@ const medicineSchema = new mongoose.Schema({
     required: [true, 'Dosage is required'],
     trim: true
   },
+  // `dosage` broken down into amount, unit, form and strength, when it can be
+  dosageDetails: dosageSchema,
   time: {
     type: String,
     required: [true, 'Time to take is required'],
     enum: ['morning', 'noon', 'evening', 'night']
   },
+  scheduledTime: {
+    type: String, // Exact time of day to take it ("HH:mm"); `time` is its slot
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Scheduled time must be in HH:mm format']
+  },
   frequency: {
     type: String,
     enum: ['daily', 'twice-daily', 'thrice-daily', 'weekly', 'as-needed'],
     default: 'daily'
   },
+  // Times, weekdays, intervals and tapering; see services/medicationSchedule.js
+  schedule: medicineScheduleSchema,
   startDate: {
     type: Date,
     required: [true, 'Start date is required'],
@@ -57,7 +143,44 @@ const medicineSchema = new mongoose.Schema({
     type: Number, // in days
     min: [1, 'Duration must be at least 1 day']
   },
+  // Supply on hand; stock is only tracked once it has been set
+  inventory: {
+    stock: {
+      type: Number, // units (tablets, ml, puffs) on hand
+      min: [0, 'Stock cannot be negative']
+    },
+    packSize: {
+      type: Number, // units per pack
+      min: [1, 'Pack size must be at least 1']
+    },
+    unitsPerDose: {
+      type: Number, // defaults to the dosage amount, then 1, when unset
+      min: [0.01, 'Units per dose must be positive']
+    },
+    unit: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Unit cannot exceed 20 characters']
+    }
+  },
   takenStatus: [takenStatusSchema],
+  // Lifecycle of the course; `isActive` is kept in step and true only while active
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed', 'discontinued'],
+    default: 'active'
+  },
+  statusReason: {
+    type: String, // Why the course was paused or discontinued
+    enum: STATUS_REASONS
+  },
+  statusNote: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Status note cannot exceed 200 characters']
+  },
+  offPeriods: [offPeriodSchema],
+  history: [historyEventSchema],
   isActive: {
     type: Boolean,
     default: true
@@ -79,7 +202,9 @@ const medicineSchema = new mongoose.Schema({
   journalEntryId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Journal'
-  }
+  },
+  // Parts of the journal's rawText this record was extracted from
+  sourceSpans: [sourceSpanSchema]
 }, {
   timestamps: true
 });
@@ -90,41 +215,230 @@ medicineSchema.pre('save', function(next) {
     this.endDate = new Date(this.startDate);
     this.endDate.setDate(this.endDate.getDate() + this.duration);
   }
+  if (this.isNew && this.history.length === 0) {
+    this.history.push({ event: 'started', at: this.startDate, endDate: this.endDate });
+  }
+  if (this.isModified('status')) {
+    this.isActive = this.status === 'active';
+  }
   next();
 });
 
-// Method to mark medicine as taken for a specific date and time
-medicineSchema.methods.markAsTaken = function(date, time) {
-  const statusIndex = this.takenStatus.findIndex(
-    status => status.date.toDateString() === date.toDateString() && status.time === time
+// A status entry for a dose on a date and slot. Entries or doses without an
+// exact scheduled time match any dose in the slot. Dates are compared as
+// calendar days in the user's timezone, so entries recorded at a time of day
+// match the dose date they fall on.
+const isStatusFor = (status, date, time, scheduledTime, timeZone = DEFAULT_TIMEZONE) =>
+  storedDay(status.date, timeZone) === storedDay(date, timeZone) &&
+  status.time === time &&
+  (!status.scheduledTime || !scheduledTime || status.scheduledTime === scheduledTime);
+
+const isStockTracked = (medicine) => medicine.inventory && typeof medicine.inventory.stock === 'number';
+
+// Units of stock one dose takes: as set, otherwise the amount of the dosage
+// ("2 tablets"), otherwise one
+medicineSchema.methods.stockPerDose = function() {
+  return (this.inventory && this.inventory.unitsPerDose) ||
+    (this.dosageDetails && this.dosageDetails.amount) || 1;
+};
+
+// Add (or with a negative change, take) units to the stock, when tracked
+const adjustStock = (medicine, change) => {
+  if (!isStockTracked(medicine) || !change) return;
+  medicine.inventory.stock = Math.max(0, Math.round((medicine.inventory.stock + change) * 100) / 100);
+};
+
+// Method to record what happened to a dose on a specific date and time,
+// replacing anything recorded for it before. `takenAt` defaults to now for
+// doses that were taken. Taken doses come out of the stock, partial ones in
+// proportion. `journalEntryId` marks doses recorded from a journal entry.
+medicineSchema.methods.recordDose = function(date, time, { status, scheduledTime, takenAt, reason, note, portion, journalEntryId, timeZone } = {}) {
+  const taken = TAKEN_STATUSES.includes(status);
+  const unitsTaken = taken && isStockTracked(this)
+    ? this.stockPerDose() * (status === 'partial' && portion ? portion : 1)
+    : undefined;
+  const entry = {
+    date,
+    time,
+    scheduledTime,
+    status,
+    taken,
+    takenAt: taken ? takenAt || new Date() : undefined,
+    reason,
+    note,
+    portion: status === 'partial' ? portion : undefined,
+    unitsTaken,
+    journalEntryId
+  };
+
+  const existing = this.takenStatus.find(
+    recorded => isStatusFor(recorded, date, time, scheduledTime, timeZone)
   );
-  
-  if (statusIndex >= 0) {
-    this.takenStatus[statusIndex].taken = true;
-    this.takenStatus[statusIndex].takenAt = new Date();
+
+  adjustStock(this, (existing && existing.unitsTaken || 0) - (unitsTaken || 0));
+
+  if (existing) {
+    entry.scheduledTime = scheduledTime || existing.scheduledTime;
+    existing.set(entry);
   } else {
-    this.takenStatus.push({
-      date: date,
-      time: time,
-      taken: true,
-      takenAt: new Date()
-    });
+    this.takenStatus.push(entry);
   }
-  
+
   return this.save();
 };
 
-// Method to check if medicine is taken for a specific date and time
-medicineSchema.methods.isTakenFor = function(date, time) {
-  return this.takenStatus.some(
-    status => status.date.toDateString() === date.toDateString() && 
-              status.time === time && 
-              status.taken
+// Method to mark medicine as taken for a specific date and time. `takenAt`
+// is when the dose was actually taken and defaults to now.
+medicineSchema.methods.markAsTaken = function(date, time, takenAt = new Date(), scheduledTime, { journalEntryId, timeZone } = {}) {
+  return this.recordDose(date, time, { status: 'taken', scheduledTime, takenAt, journalEntryId, timeZone });
+};
+
+// Method to remove whatever was recorded for a dose, putting any units it
+// took back into stock; returns the removed entry, or null when nothing was
+// recorded
+medicineSchema.methods.undoDose = async function(date, time, scheduledTime, timeZone) {
+  const entry = this.doseStatusFor(date, time, scheduledTime, timeZone);
+  if (!entry) return null;
+
+  adjustStock(this, entry.unitsTaken);
+  this.takenStatus.pull(entry._id);
+  await this.save();
+  return entry;
+};
+
+// Statuses a course can move to from each status
+const STATUS_TRANSITIONS = {
+  active: ['paused', 'completed', 'discontinued'],
+  paused: ['active', 'completed', 'discontinued'],
+  completed: ['active'],
+  discontinued: ['active']
+};
+
+// Method to work out the end date after moving the start date or changing
+// the duration. A course that already has an end date keeps the days its
+// pauses added to it.
+medicineSchema.methods.endDateFor = function({ startDate = this.startDate, duration = this.duration } = {}) {
+  if (!duration) return this.endDate;
+  if (!this.endDate || !this.duration) {
+    const endDate = new Date(startDate);
+    endDate.setDate(endDate.getDate() + Number(duration));
+    return endDate;
+  }
+  const shift = (new Date(startDate) - this.startDate) + (Number(duration) - this.duration) * 86400000;
+  return new Date(this.endDate.getTime() + shift);
+};
+
+// Method to check whether the course can move to a status
+medicineSchema.methods.canChangeStatusTo = function(status) {
+  return STATUS_TRANSITIONS[this.status || 'active'].includes(status);
+};
+
+// Method to move the course to another status at `at` (default now), adding
+// it to the history. Leaving `active` starts an off period; coming back ends
+// it, and resuming a paused course moves the end date out by the days it was
+// paused, counted in the user's timezone.
+medicineSchema.methods.changeStatus = function(status, { at = new Date(), reason, note, timeZone = DEFAULT_TIMEZONE } = {}) {
+  const previous = this.status || 'active';
+  const open = this.offPeriods.find(period => !period.endDate);
+
+  let event = status;
+  if (status === 'active') {
+    event = previous === 'paused' ? 'resumed' : 'restarted';
+    if (open) {
+      open.endDate = at;
+      if (previous === 'paused' && this.endDate) {
+        const days = (Date.parse(zonedParts(at, timeZone).day) - Date.parse(zonedParts(open.startDate, timeZone).day)) / 86400000;
+        this.endDate = new Date(this.endDate.getTime() + days * 86400000);
+      }
+    }
+  } else if (!open) {
+    this.offPeriods.push({ startDate: at });
+  }
+
+  this.status = status;
+  this.statusReason = status === 'active' ? undefined : reason;
+  this.statusNote = status === 'active' ? undefined : note;
+  this.history.push({ event, at, reason, note, endDate: this.endDate });
+
+  return this.save();
+};
+
+// Method to remove the doses recorded from a journal entry, putting their
+// units back into stock; returns how many were removed
+medicineSchema.methods.undoJournalDoses = async function(journalEntryId) {
+  const entries = this.takenStatus.filter(
+    entry => entry.journalEntryId && entry.journalEntryId.toString() === journalEntryId.toString()
   );
+  if (entries.length === 0) return 0;
+
+  entries.forEach(entry => {
+    adjustStock(this, entry.unitsTaken);
+    this.takenStatus.pull(entry._id);
+  });
+  await this.save();
+  return entries.length;
+};
+
+// Method to take over the dose records and stock of duplicate medicines.
+// Where both recorded the same dose, a taken entry wins over one that was
+// not, and this medicine's entry wins otherwise; doses are the same when they
+// fall on the same day in the owner's timezone. The caller deletes the
+// duplicates.
+medicineSchema.methods.mergeFrom = function(duplicates, { timeZone } = {}) {
+  duplicates.forEach(duplicate => {
+    duplicate.takenStatus.forEach(entry => {
+      const existing = this.takenStatus.find(
+        recorded => isStatusFor(recorded, entry.date, entry.time, entry.scheduledTime, timeZone)
+      );
+      const { _id, ...fields } = entry.toObject();
+      if (!existing) {
+        this.takenStatus.push(fields);
+      } else if (entry.taken && !existing.taken) {
+        existing.set(fields);
+      }
+    });
+
+    if (isStockTracked(duplicate)) {
+      if (isStockTracked(this)) adjustStock(this, duplicate.inventory.stock);
+      else this.inventory = duplicate.toObject().inventory;
+    }
+    if (duplicate.startDate < this.startDate) {
+      this.startDate = duplicate.startDate;
+    }
+
+    this.history.push({ event: 'merged', note: `Merged ${duplicate.name} (${duplicate.dosage})`.slice(0, 200) });
+  });
+
+  return this.save();
+};
+
+// Method to get whatever was recorded for a dose on a specific date and time
+medicineSchema.methods.doseStatusFor = function(date, time, scheduledTime, timeZone) {
+  return this.takenStatus.find(
+    status => isStatusFor(status, date, time, scheduledTime, timeZone) && (status.status || status.taken)
+  );
+};
+
+// Method to get the taken status entry for a specific date and time, if taken
+medicineSchema.methods.takenStatusFor = function(date, time, scheduledTime, timeZone) {
+  return this.takenStatus.find(
+    status => isStatusFor(status, date, time, scheduledTime, timeZone) && status.taken
+  );
+};
+
+// Method to check if medicine is taken for a specific date and time
+medicineSchema.methods.isTakenFor = function(date, time, scheduledTime, timeZone) {
+  return Boolean(this.takenStatusFor(date, time, scheduledTime, timeZone));
 };
 
 // Index for efficient queries
 medicineSchema.index({ userId: 1, isActive: 1 });
 medicineSchema.index({ userId: 1, startDate: -1 });
 
+// Index for finding courses past their end date
+medicineSchema.index({ status: 1, endDate: 1 });
+
+// Index for looking up records derived from a journal entry
+medicineSchema.index({ journalEntryId: 1 });
+
 module.exports = mongoose.model('Medicine', medicineSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const nutritionFields = {
+  calories: { type: Number, default: 0 },
+  protein: { type: Number, default: 0 }, // grams
+  carbs: { type: Number, default: 0 }, // grams
+  fat: { type: Number, default: 0 }, // grams
+  fiber: { type: Number, default: 0 }, // grams
+  sugar: { type: Number, default: 0 }, // grams
+  sodium: { type: Number, default: 0 } // milligrams
+};
+
+const NUTRIENTS = Object.keys(nutritionFields);
+
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Ingredient name is required'],
+    trim: true
+  },
+  quantity: {
+    type: String,
+    required: [true, 'Quantity is required'],
+    trim: true
+  },
+  grams: {
+    type: Number, // weight of the quantity, if it could be worked out
+    min: [0, 'Grams cannot be negative']
+  },
+  // Ingredient table entry (data/ingredients.js) the nutrition came from;
+  // unset when the name or the quantity could not be matched
+  matchedIngredient: String,
+  ...nutritionFields
+}, {
+  _id: false
+});
+
+const recipeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Recipe name is required'],
+    trim: true,
+    maxlength: [100, 'Recipe name cannot exceed 100 characters']
+  },
+  searchName: {
+    type: String, // Lowercased name for lookups from meal food items
+    lowercase: true,
+    trim: true
+  },
+  servings: {
+    type: Number, // servings the recipe makes
+    required: [true, 'Number of servings is required'],
+    min: [0.5, 'Servings must be at least 0.5']
+  },
+  ingredients: {
+    type: [ingredientSchema],
+    validate: [items => items.length > 0, 'At least one ingredient is required']
+  },
+  totalNutrition: nutritionFields,
+  nutritionPerServing: nutritionFields,
+  totalGrams: {
+    type: Number, // raw ingredient weight
+    default: 0
+  },
+  gramsPerServing: {
+    type: Number,
+    default: 0
+  },
+  // Ingredients not found in the ingredient table, left out of the nutrition
+  unmatchedIngredients: [String],
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Instructions cannot exceed 5000 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Calculate totals and per-serving nutrition before saving
+recipeSchema.pre('save', function(next) {
+  this.searchName = this.name;
+
+  NUTRIENTS.forEach(nutrient => {
+    const total = this.ingredients.reduce((sum, ingredient) => sum + (ingredient[nutrient] || 0), 0);
+    this.totalNutrition[nutrient] = round(total);
+    this.nutritionPerServing[nutrient] = round(total / this.servings);
+  });
+
+  this.totalGrams = Math.round(this.ingredients.reduce((sum, ingredient) => sum + (ingredient.grams || 0), 0));
+  this.gramsPerServing = Math.round(this.totalGrams / this.servings);
+  this.unmatchedIngredients = this.ingredients
+    .filter(ingredient => !ingredient.matchedIngredient)
+    .map(ingredient => ingredient.name);
+  next();
+});
+
+// Index for efficient queries
+recipeSchema.index({ userId: 1, name: 1 }, { unique: true });
+recipeSchema.index({ userId: 1, searchName: 1 });
+
+module.exports = mongoose.model('Recipe', recipeSchema);
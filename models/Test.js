@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const sourceSpanSchema = require('./schemas/sourceSpan');
 
 const testSchema = new mongoose.Schema({
   userId: {
@@ -63,7 +64,9 @@ const testSchema = new mongoose.Schema({
   journalEntryId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Journal'
-  }
+  },
+  // Parts of the journal's rawText this record was extracted from
+  sourceSpans: [sourceSpanSchema]
 }, {
   timestamps: true
 });
@@ -113,4 +116,7 @@ testSchema.index({ userId: 1, date: -1 });
 testSchema.index({ userId: 1, testName: 1, date: -1 });
 testSchema.index({ userId: 1, category: 1 });
 
+// Index for looking up records derived from a journal entry
+testSchema.index({ journalEntryId: 1 });
+
 module.exports = mongoose.model('Test', testSchema);
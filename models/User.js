@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../services/timeOfDay');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -36,6 +37,29 @@ const userSchema = new mongoose.Schema({
     min: [20, 'Current weight must be at least 20kg'],
     max: [500, 'Current weight cannot exceed 500kg']
   },
+  timezone: {
+    type: String, // IANA name; exact meal and dose times are read in it
+    default: DEFAULT_TIMEZONE,
+    validate: [isValidTimeZone, 'Invalid timezone']
+  },
+  // Daily nutrition targets; unset ones fall back to the defaults in
+  // services/nutrition.js. Sugar and sodium are upper limits.
+  nutritionTargets: {
+    calories: { type: Number, min: [0, 'Calorie target cannot be negative'] },
+    protein: { type: Number, min: [0, 'Protein target cannot be negative'] }, // grams
+    carbs: { type: Number, min: [0, 'Carbs target cannot be negative'] }, // grams
+    fat: { type: Number, min: [0, 'Fat target cannot be negative'] }, // grams
+    fiber: { type: Number, min: [0, 'Fiber target cannot be negative'] }, // grams
+    sugar: { type: Number, min: [0, 'Sugar limit cannot be negative'] }, // grams
+    sodium: { type: Number, min: [0, 'Sodium limit cannot be negative'] } // milligrams
+  },
+  // Hours without eating aimed for each day, e.g. 16 for 16:8; unset falls
+  // back to the default in services/fasting.js
+  fastingTargetHours: {
+    type: Number,
+    min: [1, 'Fasting target must be at least 1 hour'],
+    max: [72, 'Fasting target cannot exceed 72 hours']
+  },
   medicalConditions: [{
     type: String,
     trim: true
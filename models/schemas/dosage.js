@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { DOSAGE_FORMS, DOSE_UNITS, STRENGTH_UNITS } = require('../../services/dosage');
+
+// A dosage broken down by services/dosage.js: `amount` units of the
+// medicine make one dose, and `strength` is the active ingredient in one
+// unit, or in `per` ml for liquids ("250mg/5ml")
+const dosageSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    min: [0, 'Dose amount cannot be negative']
+  },
+  unit: {
+    type: String,
+    enum: DOSE_UNITS
+  },
+  form: {
+    type: String,
+    enum: DOSAGE_FORMS
+  },
+  strength: {
+    value: {
+      type: Number,
+      min: [0, 'Strength cannot be negative']
+    },
+    unit: {
+      type: String,
+      enum: STRENGTH_UNITS
+    },
+    per: {
+      type: Number, // ml the strength is given per, for liquids
+      min: [0, 'Strength volume cannot be negative']
+    }
+  }
+}, {
+  _id: false
+});
+
+module.exports = dosageSchema;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A food item of a meal or meal template, with nutrition for the amount eaten
+const foodItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Food item name is required'],
+    trim: true
+  },
+  quantity: {
+    type: String,
+    required: [true, 'Quantity is required'],
+    trim: true
+  },
+  // Quantity parsed into a number and a unit (see services/quantity.js)
+  amount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative']
+  },
+  unit: {
+    type: String,
+    enum: ['g', 'ml', 'cup', 'glass', 'bowl', 'plate', 'piece', 'roti', 'slice', 'tbsp', 'tsp', 'handful', 'serving']
+  },
+  servings: {
+    type: Number, // servings of the matched food or recipe
+    min: [0, 'Servings cannot be negative']
+  },
+  grams: {
+    type: Number, // weight in grams (ml for drinks)
+    min: [0, 'Grams cannot be negative']
+  },
+  calories: {
+    type: Number,
+    min: [0, 'Calories cannot be negative']
+  },
+  protein: {
+    type: Number, // grams
+    min: [0, 'Protein cannot be negative']
+  },
+  carbs: {
+    type: Number, // grams
+    min: [0, 'Carbs cannot be negative']
+  },
+  fat: {
+    type: Number, // grams
+    min: [0, 'Fat cannot be negative']
+  },
+  fiber: {
+    type: Number, // grams
+    min: [0, 'Fiber cannot be negative']
+  },
+  sugar: {
+    type: Number, // grams
+    min: [0, 'Sugar cannot be negative']
+  },
+  sodium: {
+    type: Number, // milligrams
+    min: [0, 'Sodium cannot be negative']
+  },
+  foodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Food' // Food database entry the nutrition came from
+  },
+  recipeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe' // User's recipe the nutrition came from
+  },
+  nutritionSource: {
+    type: String,
+    enum: ['database', 'recipe', 'manual', 'estimate', 'unknown'],
+    default: 'unknown'
+  },
+  category: {
+    type: String,
+    enum: ['breakfast', 'lunch', 'dinner', 'snack', 'beverage'],
+    default: 'snack'
+  }
+});
+
+module.exports = foodItemSchema;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A dose taken at a time of day. `dosage` overrides the medicine's dosage
+// for this dose only, e.g. a smaller night dose.
+const doseTimeSchema = new mongoose.Schema({
+  slot: {
+    type: String,
+    enum: ['morning', 'noon', 'evening', 'night'],
+    required: [true, 'Dose slot is required']
+  },
+  time: {
+    type: String, // "HH:mm"
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Dose time must be in HH:mm format']
+  },
+  dosage: {
+    type: String,
+    trim: true
+  }
+}, {
+  _id: false
+});
+
+// One step of a tapering course: `dosage` for `days` days, optionally at
+// different times than the rest of the schedule
+const taperStepSchema = new mongoose.Schema({
+  days: {
+    type: Number,
+    required: [true, 'Taper step length is required'],
+    min: [1, 'Taper step must last at least 1 day']
+  },
+  dosage: {
+    type: String,
+    required: [true, 'Taper step dosage is required'],
+    trim: true
+  },
+  times: [doseTimeSchema]
+}, {
+  _id: false
+});
+
+// When doses are due. Anything left out falls back to the medicine's
+// `frequency`, `time` and `scheduledTime` (see services/medicationSchedule.js).
+const medicineScheduleSchema = new mongoose.Schema({
+  times: [doseTimeSchema],
+  daysOfWeek: [{
+    type: Number, // 0 = Sunday
+    min: [0, 'Day of week must be between 0 and 6'],
+    max: [6, 'Day of week must be between 0 and 6']
+  }],
+  everyNDays: {
+    type: Number,
+    min: [1, 'Interval must be at least 1 day']
+  },
+  taper: [taperStepSchema]
+}, {
+  _id: false
+});
+
+module.exports = medicineScheduleSchema;
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Character range [start, end) of Journal.rawText a record was extracted from.
+// Body stat spans also name the stat they belong to.
+const sourceSpanSchema = new mongoose.Schema({
+  start: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  end: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  field: String
+}, {
+  _id: false
+});
+
+module.exports = sourceSpanSchema;
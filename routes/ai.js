@@ -1,11 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
-const { aiValidation, idValidation } = require('../middleware/validate');
+const {
+  aiValidation,
+  reparseValidation,
+  draftUpdateValidation,
+  draftAcceptValidation,
+  journalIdValidation
+} = require('../middleware/validate');
 const {
   parseJournalEntry,
   getProcessingStatus,
-  retryProcessing
+  retryProcessing,
+  reparseJournal,
+  updateDraft,
+  acceptDraft,
+  discardDraft
 } = require('../controllers/aiController');
 
 // All routes are protected
@@ -15,9 +25,17 @@ router.use(protect);
 router.post('/parse-journal', aiValidation, parseJournalEntry);
 
 // Get AI processing status
-router.get('/status/:journalId', idValidation, getProcessingStatus);
+router.get('/status/:journalId', journalIdValidation, getProcessingStatus);
 
 // Retry failed processing
-router.post('/retry/:journalId', idValidation, retryProcessing);
+router.post('/retry/:journalId', journalIdValidation, retryProcessing);
+
+// Re-run extraction on an existing entry and reconcile its derived records
+router.post('/reparse/:journalId', [...journalIdValidation, ...reparseValidation], reparseJournal);
+
+// Review staged (draft) extraction before records are created
+router.put('/draft/:journalId', [...journalIdValidation, ...draftUpdateValidation], updateDraft);
+router.post('/draft/:journalId/accept', [...journalIdValidation, ...draftAcceptValidation], acceptDraft);
+router.post('/draft/:journalId/discard', journalIdValidation, discardDraft);
 
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
-const { registerValidation, loginValidation } = require('../middleware/validate');
+const { registerValidation, loginValidation, profileValidation } = require('../middleware/validate');
 const {
   register,
   login,
@@ -17,7 +17,7 @@ router.post('/login', loginValidation, login);
 
 // Protected routes
 router.get('/me', protect, getMe);
-router.put('/profile', protect, updateProfile);
+router.put('/profile', protect, profileValidation, updateProfile);
 router.put('/change-password', protect, changePassword);
 router.post('/logout', protect, logout);
 
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { foodSearchValidation, foodLookupValidation } = require('../middleware/validate');
+const { getFoods, lookupFood } = require('../controllers/foodController');
+
+// All routes are protected
+router.use(protect);
+
+// Search the food database
+router.get('/', foodSearchValidation, getFoods);
+
+// Nutrition for a food name or alias
+router.get('/lookup', foodLookupValidation, lookupFood);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { cronAuth } = require('../middleware/auth');
+const { runJobs } = require('../controllers/jobController');
+
+// Process queued background jobs
+router.get('/run', cronAuth, runJobs);
+
+module.exports = router;
@@ -1,13 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
-const { journalValidation, idValidation, paginationValidation, dateRangeValidation } = require('../middleware/validate');
+const {
+  journalValidation,
+  journalDeleteValidation,
+  orphanCleanupValidation,
+  idValidation,
+  paginationValidation,
+  dateRangeValidation
+} = require('../middleware/validate');
 const {
   getJournals,
   getJournal,
+  getJournalProvenance,
   createJournal,
   updateJournal,
   deleteJournal,
+  getOrphanedRecords,
+  cleanupOrphanedRecords,
   searchJournals,
   getJournalStats,
   getJournalSummary
@@ -28,9 +38,16 @@ router.get('/stats', dateRangeValidation, getJournalStats);
 // Get journal summary for a specific date
 router.get('/summary', getJournalSummary);
 
+// Find and clean up records whose journal entry was deleted
+router.get('/maintenance/orphans', getOrphanedRecords);
+router.post('/maintenance/orphans', orphanCleanupValidation, cleanupOrphanedRecords);
+
 // Get single journal entry
 router.get('/:id', idValidation, getJournal);
 
+// Which words of the entry produced which records
+router.get('/:id/provenance', idValidation, getJournalProvenance);
+
 // Create new journal entry
 router.post('/', journalValidation, createJournal);
 
@@ -38,6 +55,6 @@ router.post('/', journalValidation, createJournal);
 router.put('/:id', [...idValidation, ...journalValidation], updateJournal);
 
 // Delete journal entry
-router.delete('/:id', idValidation, deleteJournal);
+router.delete('/:id', [...idValidation, ...journalDeleteValidation], deleteJournal);
 
 module.exports = router;
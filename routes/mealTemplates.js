@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const {
+  mealTemplateValidation,
+  logFromTemplateValidation,
+  frequentMealsValidation,
+  idValidation
+} = require('../middleware/validate');
+const {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  logFromTemplate,
+  getFrequentMeals
+} = require('../controllers/mealTemplateController');
+
+// All routes are protected
+router.use(protect);
+
+// Get all meal templates
+router.get('/', getTemplates);
+
+// Get frequently eaten meals from meal history
+router.get('/frequent', frequentMealsValidation, getFrequentMeals);
+
+// Get single meal template
+router.get('/:id', idValidation, getTemplate);
+
+// Create new meal template
+router.post('/', mealTemplateValidation, createTemplate);
+
+// Update meal template
+router.put('/:id', [...idValidation, ...mealTemplateValidation], updateTemplate);
+
+// Delete meal template
+router.delete('/:id', idValidation, deleteTemplate);
+
+// Log a meal from a template
+router.post('/:id/log', [...idValidation, ...logFromTemplateValidation], logFromTemplate);
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
-const { mealValidation, idValidation, paginationValidation } = require('../middleware/validate');
+const {
+  mealValidation,
+  fastingValidation,
+  idValidation,
+  paginationValidation,
+  dateRangeValidation
+} = require('../middleware/validate');
 const {
   getMeals,
   getMeal,
@@ -9,7 +15,8 @@ const {
   updateMeal,
   deleteMeal,
   getDailySummary,
-  getMealStats
+  getMealStats,
+  getFastingStats
 } = require('../controllers/mealController');
 
 // All routes are protected
@@ -24,6 +31,9 @@ router.get('/summary', getDailySummary);
 // Get meal statistics
 router.get('/stats', getMealStats);
 
+// Get eating windows, fasts and fasting streaks
+router.get('/fasting', [...dateRangeValidation, ...fastingValidation], getFastingStats);
+
 // Get single meal
 router.get('/:id', idValidation, getMeal);
 
@@ -1,7 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
-const { medicineValidation, idValidation, paginationValidation } = require('../middleware/validate');
+const {
+  medicineValidation,
+  medicineUpdateValidation,
+  markTakenValidation,
+  doseStatusValidation,
+  undoDoseValidation,
+  adherenceValidation,
+  refillsValidation,
+  intakeValidation,
+  courseStatusValidation,
+  discontinueValidation,
+  historyValidation,
+  interactionsValidation,
+  mergeValidation,
+  idValidation,
+  paginationValidation,
+  dateRangeValidation
+} = require('../middleware/validate');
 const {
   getMedicines,
   getMedicine,
@@ -9,8 +26,23 @@ const {
   updateMedicine,
   deleteMedicine,
   markAsTaken,
+  markAsSkipped,
+  markAsMissed,
+  markAsDelayed,
+  markAsPartial,
+  undoDose,
+  pauseMedicine,
+  resumeMedicine,
+  discontinueMedicine,
+  getMedicineHistory,
   getDailyChecklist,
-  getMedicineStats
+  getMedicineStats,
+  getAdherence,
+  getRefills,
+  getIntake,
+  getInteractions,
+  getDuplicates,
+  mergeMedicines
 } = require('../controllers/medicineController');
 
 // All routes are protected
@@ -25,19 +57,54 @@ router.get('/checklist', getDailyChecklist);
 // Get medicine statistics
 router.get('/stats', getMedicineStats);
 
+// Get adherence against scheduled doses
+router.get('/adherence', [...dateRangeValidation, ...adherenceValidation], getAdherence);
+
+// Get medicines projected to run out within `days`
+router.get('/refills', refillsValidation, getRefills);
+
+// Get the active ingredient scheduled and taken on a day
+router.get('/intake', intakeValidation, getIntake);
+
+// Check active medicines, or a `name` about to be added, for interactions
+router.get('/interactions', interactionsValidation, getInteractions);
+
+// Get groups of medicines that look like duplicates
+router.get('/duplicates', getDuplicates);
+
+// Merge duplicate medicines into one
+router.post('/merge', mergeValidation, mergeMedicines);
+
 // Get single medicine
 router.get('/:id', idValidation, getMedicine);
 
+// Get a medicine's history timeline
+router.get('/:id/history', [...idValidation, ...historyValidation], getMedicineHistory);
+
 // Create new medicine
 router.post('/', medicineValidation, createMedicine);
 
 // Update medicine
-router.put('/:id', [...idValidation, ...medicineValidation], updateMedicine);
+router.put('/:id', [...idValidation, ...medicineUpdateValidation], updateMedicine);
 
 // Delete medicine
 router.delete('/:id', idValidation, deleteMedicine);
 
 // Mark medicine as taken
-router.post('/:id/taken', idValidation, markAsTaken);
+router.post('/:id/taken', [...idValidation, ...markTakenValidation], markAsTaken);
+
+// Record a skipped, missed, delayed or partial dose
+router.post('/:id/skipped', [...idValidation, ...doseStatusValidation], markAsSkipped);
+router.post('/:id/missed', [...idValidation, ...doseStatusValidation], markAsMissed);
+router.post('/:id/delayed', [...idValidation, ...doseStatusValidation], markAsDelayed);
+router.post('/:id/partial', [...idValidation, ...doseStatusValidation], markAsPartial);
+
+// Undo whatever was recorded for a dose
+router.post('/:id/undo', [...idValidation, ...undoDoseValidation], undoDose);
+
+// Pause, resume or discontinue a course
+router.post('/:id/pause', [...idValidation, ...courseStatusValidation], pauseMedicine);
+router.post('/:id/resume', [...idValidation, ...courseStatusValidation], resumeMedicine);
+router.post('/:id/discontinue', [...idValidation, ...discontinueValidation], discontinueMedicine);
 
 module.exports = router;
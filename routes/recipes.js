@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { recipeValidation, ingredientSearchValidation, idValidation } = require('../middleware/validate');
+const {
+  getRecipes,
+  getIngredients,
+  getRecipe,
+  createRecipe,
+  updateRecipe,
+  deleteRecipe
+} = require('../controllers/recipeController');
+
+// All routes are protected
+router.use(protect);
+
+// Get all recipes
+router.get('/', getRecipes);
+
+// Search the ingredient nutrition table
+router.get('/ingredients', ingredientSearchValidation, getIngredients);
+
+// Get single recipe
+router.get('/:id', idValidation, getRecipe);
+
+// Create new recipe
+router.post('/', recipeValidation, createRecipe);
+
+// Update recipe
+router.put('/:id', [...idValidation, ...recipeValidation], updateRecipe);
+
+// Delete recipe
+router.delete('/:id', idValidation, deleteRecipe);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// Load the bundled food database into the foods collection.
+// Existing foods are updated by name, so running this again is safe and
+// entries added by hand are left alone.
+// Usage: npm run seed:foods
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Food = require('../models/Food');
+const foods = require('../data/foods');
+
+const seedFoods = async () => {
+  await connectDB();
+
+  let created = 0;
+  let updated = 0;
+  for (const data of foods) {
+    const food = await Food.findOne({ name: data.name });
+    if (food) {
+      food.set(data);
+      await food.save();
+      updated++;
+    } else {
+      // save() rather than insertMany() so searchNames is generated
+      await new Food(data).save();
+      created++;
+    }
+  }
+
+  console.log(`Foods seeded: ${created} created, ${updated} updated`);
+};
+
+seedFoods()
+  .catch(error => {
+    console.error('Food seeding failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,5 +1,10 @@
 const app = require('./app');
 const path = require('path');
+const { startWorker } = require('./services/jobQueue');
+// Registers the journal processing job handler
+require('./services/journalProcessor');
+// Registers the course sweep job handler
+const { scheduleCourseSweep } = require('./services/medicineLifecycle');
 
 // Serve static assets in production
 if (process.env.NODE_ENV === 'production') {
@@ -16,6 +21,12 @@ const server = app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Long-running servers process queued jobs in-process
+if (process.env.JOB_WORKER_ENABLED !== 'false') {
+  startWorker();
+  scheduleCourseSweep().catch(error => console.error('Schedule course sweep error:', error.message));
+}
+
 process.on('unhandledRejection', (err) => {
   console.log(`Error: ${err.message}`);
   server.close(() => process.exit(1));
@@ -0,0 +1,154 @@
+// Medication adherence measured against the doses each schedule expected
+// (services/medicationSchedule.js), so doses that were never logged count as
+// missed. A dose is taken on time, late (recorded as delayed, or taken more
+// than the grace period after its time, or in a later slot when it has no
+// exact time), skipped on purpose, missed, or still pending when its time has
+// not yet passed. Partial doses count as taken and are also counted apart.
+
+const {
+  SLOTS,
+  SLOT_TIMES,
+  DEFAULT_TIMEZONE,
+  zonedParts,
+  zonedDateTime,
+  slotForDate,
+  weekStart
+} = require('./timeOfDay');
+const { expectedDosesBetween, doseDate } = require('./medicationSchedule');
+
+const DEFAULT_LATE_AFTER_MINUTES = 60;
+
+const MINUTE = 60 * 1000;
+
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 100) : null);
+
+const emptyCounts = () => ({
+  expected: 0,
+  taken: 0,
+  onTime: 0,
+  late: 0,
+  partial: 0,
+  skipped: 0,
+  missed: 0,
+  pending: 0,
+  reasons: {}
+});
+
+// Adherence and on-time rates over the doses that are due, leaving out pending ones
+const withRates = (counts) => {
+  const due = counts.expected - counts.pending;
+  return {
+    ...counts,
+    adherenceRate: rate(counts.taken, due),
+    onTimeRate: rate(counts.onTime, due)
+  };
+};
+
+const count = (counts, { status, partial, reason }) => {
+  counts.expected += 1;
+  if (status === 'on-time' || status === 'late') counts.taken += 1;
+  if (status === 'on-time') counts.onTime += 1;
+  else counts[status] += 1;
+  if (partial) counts.partial += 1;
+  if (reason) counts.reasons[reason] = (counts.reasons[reason] || 0) + 1;
+};
+
+// Status of one expected dose, with its delay when taken
+const assessDose = (medicine, dose, { timeZone, lateAfterMinutes, now }) => {
+  const dueAt = zonedDateTime(dose.date, dose.scheduledTime || SLOT_TIMES[dose.slot], timeZone);
+  const entry = medicine.doseStatusFor(doseDate(dose.date), dose.slot, dose.scheduledTime, timeZone);
+
+  if (!entry) {
+    // Untimed doses stay pending until their slot is over
+    const pending = dose.scheduledTime
+      ? now - dueAt <= lateAfterMinutes * MINUTE
+      : zonedParts(now, timeZone).day === dose.date && SLOTS.indexOf(slotForDate(now, timeZone)) <= SLOTS.indexOf(dose.slot);
+    return { status: pending ? 'pending' : 'missed', logged: false };
+  }
+
+  const { reason } = entry;
+  if (entry.status === 'skipped' || entry.status === 'missed') {
+    return { status: entry.status, reason, logged: true };
+  }
+
+  const partial = entry.status === 'partial';
+  if (!entry.takenAt) return { status: entry.status === 'delayed' ? 'late' : 'on-time', partial, reason };
+
+  const delayMinutes = Math.round((entry.takenAt - dueAt) / MINUTE);
+  const takenDay = zonedParts(entry.takenAt, timeZone).day;
+  const late = entry.status === 'delayed' || (dose.scheduledTime
+    ? delayMinutes > lateAfterMinutes
+    : takenDay > dose.date || (takenDay === dose.date && SLOTS.indexOf(slotForDate(entry.takenAt, timeZone)) > SLOTS.indexOf(dose.slot)));
+
+  return { status: late ? 'late' : 'on-time', partial, reason, takenAt: entry.takenAt, delayMinutes };
+};
+
+// Per-medicine and overall adherence between two calendar days, with the
+// missed, skipped and late doses, a tally of recorded reasons and daily and weekly (Monday-based) breakdowns.
+// Days after today are left out.
+const analyzeAdherence = (medicines, {
+  fromDay,
+  toDay,
+  timeZone = DEFAULT_TIMEZONE,
+  lateAfterMinutes = DEFAULT_LATE_AFTER_MINUTES,
+  now = new Date()
+}) => {
+  const today = zonedParts(now, timeZone).day;
+  const lastDay = toDay < today ? toDay : today;
+
+  const overall = emptyCounts();
+  const byDay = {};
+  const byWeek = {};
+  const missedDoses = [];
+
+  const perMedicine = medicines.map(medicine => {
+    const counts = emptyCounts();
+    const missed = [];
+    const skipped = [];
+    const late = [];
+
+    expectedDosesBetween(medicine, fromDay, lastDay, timeZone).forEach(dose => {
+      const assessment = assessDose(medicine, dose, { timeZone, lateAfterMinutes, now });
+      const { status, reason, logged, takenAt, delayMinutes } = assessment;
+      const day = (byDay[dose.date] = byDay[dose.date] || emptyCounts());
+      const week = (byWeek[weekStart(dose.date)] = byWeek[weekStart(dose.date)] || emptyCounts());
+      [counts, overall, day, week].forEach(target => count(target, assessment));
+
+      const doseInfo = { date: dose.date, slot: dose.slot, scheduledTime: dose.scheduledTime, dosage: dose.dosage };
+      if (status === 'missed') {
+        // `logged` tells doses recorded as missed apart from ones never logged
+        missed.push({ ...doseInfo, logged, reason });
+        missedDoses.push({ medicineId: medicine._id, name: medicine.name, ...doseInfo, logged, reason });
+      } else if (status === 'skipped') {
+        skipped.push({ ...doseInfo, reason });
+      } else if (status === 'late') {
+        late.push({ ...doseInfo, takenAt, delayMinutes, reason });
+      }
+    });
+
+    return {
+      medicineId: medicine._id,
+      name: medicine.name,
+      dosage: medicine.dosage,
+      ...withRates(counts),
+      missedDoses: missed,
+      skippedDoses: skipped,
+      lateDoses: late
+    };
+  });
+
+  return {
+    period: { startDate: fromDay, endDate: lastDay },
+    lateAfterMinutes,
+    overall: withRates(overall),
+    medicines: perMedicine,
+    missedDoses: missedDoses.sort((a, b) => a.date.localeCompare(b.date)),
+    daily: Object.keys(byDay).sort().map(date => ({ date, ...withRates(byDay[date]) })),
+    weekly: Object.keys(byWeek).sort().map(week => ({ weekStart: week, ...withRates(byWeek[week]) }))
+  };
+};
+
+module.exports = {
+  DEFAULT_LATE_AFTER_MINUTES,
+  analyzeAdherence
+};
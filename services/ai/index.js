@@ -0,0 +1,35 @@
+const createPerplexityProvider = require('./providers/perplexity');
+const createOpenAIProvider = require('./providers/openai');
+const createOllamaProvider = require('./providers/ollama');
+const createStubProvider = require('./providers/stub');
+
+const providerFactories = {
+  perplexity: createPerplexityProvider,
+  openai: createOpenAIProvider,
+  ollama: createOllamaProvider,
+  stub: createStubProvider
+};
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Resolve the LLM provider configured for this environment.
+// LLM_PROVIDER selects the vendor, LLM_MODEL overrides its default model.
+const getProvider = (name = process.env.LLM_PROVIDER || 'perplexity') => {
+  const factory = providerFactories[name.toLowerCase()];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`
+    );
+  }
+
+  return factory({
+    model: process.env.LLM_MODEL,
+    timeout: parseInt(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+  });
+};
+
+module.exports = {
+  getProvider,
+  providerNames: Object.keys(providerFactories)
+};
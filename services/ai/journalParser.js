@@ -0,0 +1,78 @@
+const { getProvider } = require('./index');
+const { buildJournalParseMessages } = require('./prompts');
+const { parseJournal } = require('./ruleParser');
+const { extractJson, validateParsedData } = require('./parsedDataSchema');
+const { detectLanguage } = require('../language');
+
+// LLM_PROVIDER=none skips the LLM entirely and always uses the rule-based parser
+const isLlmEnabled = () => (process.env.LLM_PROVIDER || '').toLowerCase() !== 'none';
+
+const parseWithRules = (rawText, { date, timeZone }, fallbackReason) => ({
+  parsedData: parseJournal(rawText, { date, timeZone }),
+  validationErrors: [],
+  parser: {
+    method: 'rules',
+    ...(fallbackReason && { fallbackReason })
+  }
+});
+
+// Extract structured data from a journal entry. Uses the configured LLM
+// provider and falls back to the rule-based parser when the LLM is disabled,
+// unreachable or returns something that is not JSON. LLM output is validated
+// against the parsedData schema and repaired where possible.
+// With `fallbackOnError: false` LLM failures are thrown instead, letting a
+// queued job retry the LLM before settling for the rule-based result.
+// `date` and the user's `timeZone` set the time of day of undated items.
+const parseJournalText = async (rawText, { date, timeZone, fallbackOnError = true } = {}) => {
+  const entry = { date, timeZone };
+
+  if (!isLlmEnabled()) {
+    return parseWithRules(rawText, entry);
+  }
+
+  let provider;
+  let aiResponse;
+
+  try {
+    provider = getProvider();
+    aiResponse = await provider.complete({
+      messages: buildJournalParseMessages(rawText, { language: detectLanguage(rawText).code }),
+      maxTokens: 2000,
+      temperature: 0.1
+    });
+  } catch (aiError) {
+    if (!fallbackOnError) throw aiError;
+    console.error('AI API error, falling back to rule-based parser:', aiError.message);
+    return parseWithRules(rawText, entry, aiError.message || 'AI API call failed');
+  }
+
+  let json;
+  try {
+    json = extractJson(aiResponse);
+  } catch (parseError) {
+    if (!fallbackOnError) throw parseError;
+    console.error('AI response parsing error, falling back to rule-based parser:', parseError.message);
+    return {
+      ...parseWithRules(rawText, entry, 'Failed to parse AI response as JSON'),
+      aiResponse
+    };
+  }
+
+  const { parsedData, errors } = validateParsedData(json, { date, timeZone, rawText });
+
+  return {
+    parsedData,
+    validationErrors: errors,
+    aiResponse,
+    parser: {
+      method: 'llm',
+      provider: provider.name,
+      model: provider.model
+    }
+  };
+};
+
+module.exports = {
+  parseJournalText,
+  isLlmEnabled
+};
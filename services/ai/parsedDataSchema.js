@@ -0,0 +1,421 @@
+const { wordPattern, TIME_SLOT_KEYWORDS, MOOD_WORDS, ENERGY_WORDS } = require('./ruleParser');
+const { slotForDate } = require('../timeOfDay');
+const { resolveSourceSpans, resolveBodyStatSpans } = require('./provenance');
+const { parseDosage, formatDosage } = require('../dosage');
+
+// Validation and repair of LLM output against the Journal.parsedData shape.
+// Fixable problems are coerced and reported; unfixable items are dropped and
+// reported. Nothing here throws on bad model output.
+
+const TIME_SLOTS = ['morning', 'noon', 'evening', 'night'];
+const MOODS = ['excellent', 'good', 'okay', 'poor', 'terrible'];
+const ENERGIES = ['high', 'medium', 'low'];
+
+const TIME_SLOT_SYNONYMS = {
+  ...Object.fromEntries(
+    Object.entries(TIME_SLOT_KEYWORDS).flatMap(([slot, keywords]) => keywords.map(keyword => [keyword, slot]))
+  ),
+  'early morning': 'morning',
+  'late morning': 'noon',
+  'mid-day': 'noon',
+  'late afternoon': 'evening',
+  'late night': 'night',
+  'midnight': 'night'
+};
+
+const ENERGY_SYNONYMS = {
+  ...Object.fromEntries(
+    Object.entries(ENERGY_WORDS).flatMap(([energy, words]) => words.map(word => [word, energy]))
+  ),
+  normal: 'medium',
+  moderate: 'medium',
+  average: 'medium',
+  okay: 'medium'
+};
+
+const GLASS_LITERS = 0.25;
+const LBS_TO_KG = 0.453592;
+
+// Ranges mirror the BodyStat model validators
+const BODY_STAT_RANGES = {
+  waterIntakeLiters: { min: 0, max: 50 },
+  weightKg: { min: 20, max: 500 },
+  sleepHours: { min: 0, max: 24 },
+  steps: { min: 0, max: 200000 }
+};
+
+// Pull the JSON object out of a model response, tolerating markdown code
+// fences and chatty text around it
+const extractJson = (aiResponse) => {
+  if (typeof aiResponse !== 'string') {
+    throw new Error('AI response is not a string');
+  }
+
+  let text = aiResponse.trim();
+  const fenced = /```(?:json|JSON)?\s*([\s\S]*?)```/.exec(text);
+  if (fenced) {
+    text = fenced[1].trim();
+  }
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('No JSON object found in AI response');
+  }
+
+  const parsed = JSON.parse(text.slice(start, end + 1));
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('AI response JSON is not an object');
+  }
+
+  return parsed;
+};
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value !== 'string') return undefined;
+  const match = /-?\d+(?:\.\d+)?/.exec(value.replace(/,/g, ''));
+  return match ? parseFloat(match[0]) : undefined;
+};
+
+const toText = (value) => {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'string') return value.trim() || undefined;
+  if (typeof value === 'number') return String(value);
+  return undefined;
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const describe = (value) => {
+  if (value === undefined) return 'undefined';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+// Staged items edited during review keep their IDs so selections stay valid
+const keepId = (item) => (item._id ? { _id: item._id } : {});
+
+// Where in the raw text the item came from, when the text is known
+const withSourceSpans = (result, rawText, item, fallbackPhrases) => {
+  const sourceSpans = resolveSourceSpans(rawText, item, fallbackPhrases);
+  return sourceSpans.length > 0 ? { ...result, sourceSpans } : result;
+};
+
+const createReport = () => {
+  const errors = [];
+  const add = (field, message, value) => {
+    errors.push({ field, message, value: describe(value) });
+  };
+  return { errors, add };
+};
+
+const coerceEnum = (value, allowed, synonyms) => {
+  if (typeof value !== 'string') return undefined;
+  const normalized = value.trim().toLowerCase();
+  if (allowed.includes(normalized)) return normalized;
+  return synonyms[normalized];
+};
+
+// Exact slot or synonym first, then a keyword inside phrases like "after dinner"
+const findTimeSlot = (value) => {
+  const time = coerceEnum(value, TIME_SLOTS, TIME_SLOT_SYNONYMS);
+  if (time || typeof value !== 'string') return time;
+  const keyword = Object.keys(TIME_SLOT_SYNONYMS)
+    .find(synonym => wordPattern(synonym).test(value));
+  return keyword ? TIME_SLOT_SYNONYMS[keyword] : undefined;
+};
+
+const coerceTime = (value, field, report, defaultTime) => {
+  const time = findTimeSlot(value);
+  if (time) {
+    if (time !== value) report.add(field, `Coerced time of day to "${time}"`, value);
+    return time;
+  }
+  report.add(field, `Invalid time of day, defaulted to "${defaultTime}"`, value);
+  return defaultTime;
+};
+
+const normalizeWaterLiters = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return undefined;
+  const amount = toNumber(value);
+  if (amount === undefined) return undefined;
+  if (/\bml\b|millilit/i.test(value)) return round(amount / 1000);
+  if (/glass|cup/i.test(value)) return round(amount * GLASS_LITERS);
+  return amount;
+};
+
+const normalizeWeightKg = (value) => {
+  const amount = toNumber(value);
+  if (amount === undefined) return undefined;
+  if (typeof value === 'string' && /\b(lbs?|pounds?)\b/i.test(value)) return round(amount * LBS_TO_KG, 1);
+  return amount;
+};
+
+const normalizeSleepHours = (value) => {
+  if (typeof value !== 'string') return toNumber(value);
+  const hours = /(\d+(?:\.\d+)?)\s*(?:h|hrs?|hours?)\b/i.exec(value);
+  const minutes = /(\d+)\s*(?:m|mins?|minutes?)\b/i.exec(value);
+  if (!hours && minutes) return round(parseFloat(minutes[1]) / 60);
+  if (hours) return round(parseFloat(hours[1]) + (minutes ? parseFloat(minutes[1]) / 60 : 0));
+  return toNumber(value);
+};
+
+const normalizeSteps = (value) => {
+  if (typeof value === 'string' && /\d\s*k\b/i.test(value)) {
+    return Math.round(toNumber(value) * 1000);
+  }
+  const steps = toNumber(value);
+  return steps === undefined ? undefined : Math.round(steps);
+};
+
+const validateMeals = (meals, report, defaultTime, rawText) => {
+  if (meals === undefined || meals === null) return [];
+  if (!Array.isArray(meals)) {
+    report.add('meals', 'Expected an array, ignored', meals);
+    return [];
+  }
+
+  return meals.reduce((valid, meal, index) => {
+    const field = `meals[${index}]`;
+    if (!meal || typeof meal !== 'object') {
+      report.add(field, 'Expected an object, dropped', meal);
+      return valid;
+    }
+
+    let items = meal.items;
+    if (typeof items === 'string') {
+      items = items.split(/,|\band\b/i);
+      report.add(`${field}.items`, 'Split item string into a list', meal.items);
+    }
+    items = (Array.isArray(items) ? items : [])
+      .map(item => (item && typeof item === 'object' ? item.name : item))
+      .map(toText)
+      .filter(Boolean);
+
+    if (items.length === 0) {
+      report.add(`${field}.items`, 'Meal has no food items, dropped', meal.items);
+      return valid;
+    }
+
+    const result = {
+      ...keepId(meal),
+      time: coerceTime(meal.time, `${field}.time`, report, defaultTime),
+      items,
+      quantity: toText(meal.quantity) || '1 serving'
+    };
+
+    if (meal.calories !== undefined && meal.calories !== null) {
+      const calories = toNumber(meal.calories);
+      if (calories === undefined || calories < 0) {
+        report.add(`${field}.calories`, 'Invalid calories, ignored', meal.calories);
+      } else {
+        if (calories !== meal.calories) report.add(`${field}.calories`, 'Converted calories to a number', meal.calories);
+        result.calories = calories;
+      }
+    }
+
+    valid.push(withSourceSpans(result, rawText, meal, items));
+    return valid;
+  }, []);
+};
+
+// Text for a dosage sent as an object ({ amount, unit, strength }) instead of a string
+const structuredDosageText = (dosage) => {
+  if (!dosage || typeof dosage !== 'object' || Array.isArray(dosage)) return undefined;
+  const strength = dosage.strength && typeof dosage.strength === 'object' ? dosage.strength : {};
+  const text = [dosage.amount, dosage.unit, strength.value, strength.unit, dosage.form]
+    .map(toText)
+    .filter(Boolean)
+    .join(' ');
+  return formatDosage(parseDosage(text)) || undefined;
+};
+
+const validateMedicines = (medicines, report, defaultTime, rawText) => {
+  if (medicines === undefined || medicines === null) return [];
+  if (!Array.isArray(medicines)) {
+    report.add('medicines', 'Expected an array, ignored', medicines);
+    return [];
+  }
+
+  return medicines.reduce((valid, medicine, index) => {
+    const field = `medicines[${index}]`;
+    const name = medicine && typeof medicine === 'object' ? toText(medicine.name) : undefined;
+    if (!name) {
+      report.add(`${field}.name`, 'Medicine has no name, dropped', medicine);
+      return valid;
+    }
+
+    let dosage = toText(medicine.dosage);
+    if (!dosage && structuredDosageText(medicine.dosage)) {
+      dosage = structuredDosageText(medicine.dosage);
+      report.add(`${field}.dosage`, `Converted structured dosage to "${dosage}"`, medicine.dosage);
+    }
+    if (!dosage) {
+      dosage = '1 dose';
+      report.add(`${field}.dosage`, 'Missing dosage, defaulted to "1 dose"', medicine.dosage);
+    }
+
+    // Always worked out from the text, so edited drafts cannot keep stale details
+    const dosageDetails = parseDosage(dosage);
+
+    valid.push(withSourceSpans({
+      ...keepId(medicine),
+      name,
+      time: coerceTime(medicine.time, `${field}.time`, report, defaultTime),
+      dosage,
+      ...(dosageDetails && { dosageDetails })
+    }, rawText, medicine, [name]));
+    return valid;
+  }, []);
+};
+
+const validateBodyStats = (bodyStats, report, rawText) => {
+  if (bodyStats === undefined || bodyStats === null) return undefined;
+  if (typeof bodyStats !== 'object' || Array.isArray(bodyStats)) {
+    report.add('bodyStats', 'Expected an object, ignored', bodyStats);
+    return undefined;
+  }
+
+  const result = {};
+  const normalizers = {
+    waterIntakeLiters: normalizeWaterLiters,
+    weightKg: normalizeWeightKg,
+    sleepHours: normalizeSleepHours,
+    steps: normalizeSteps
+  };
+
+  Object.entries(normalizers).forEach(([key, normalize]) => {
+    const raw = bodyStats[key];
+    if (raw === undefined || raw === null || raw === '') return;
+
+    const value = normalize(raw);
+    const field = `bodyStats.${key}`;
+    const { min, max } = BODY_STAT_RANGES[key];
+
+    if (value === undefined) {
+      report.add(field, 'Not a number, ignored', raw);
+    } else if (value < min || value > max) {
+      report.add(field, `Out of range (${min}-${max}), ignored`, raw);
+    } else {
+      if (value !== raw) report.add(field, `Normalized to ${value}`, raw);
+      // Zero usually means "not mentioned" in model output
+      if (value > 0) result[key] = value;
+    }
+  });
+
+  if (bodyStats.mood !== undefined && bodyStats.mood !== null) {
+    const mood = coerceEnum(bodyStats.mood, MOODS, Object.fromEntries(
+      Object.entries(MOOD_WORDS).flatMap(([value, words]) => words.map(word => [word, value]))
+    ));
+    if (mood) {
+      if (mood !== bodyStats.mood) report.add('bodyStats.mood', `Coerced mood to "${mood}"`, bodyStats.mood);
+      result.mood = mood;
+    } else {
+      report.add('bodyStats.mood', 'Invalid mood, ignored', bodyStats.mood);
+    }
+  }
+
+  if (bodyStats.energy !== undefined && bodyStats.energy !== null) {
+    const energy = coerceEnum(bodyStats.energy, ENERGIES, ENERGY_SYNONYMS);
+    if (energy) {
+      if (energy !== bodyStats.energy) report.add('bodyStats.energy', `Coerced energy to "${energy}"`, bodyStats.energy);
+      result.energy = energy;
+    } else {
+      report.add('bodyStats.energy', 'Invalid energy level, ignored', bodyStats.energy);
+    }
+  }
+
+  if (Object.keys(result).length === 0) return undefined;
+
+  const sourceSpans = resolveBodyStatSpans(rawText, bodyStats, Object.keys(result));
+  return sourceSpans.length > 0 ? { ...result, sourceSpans } : result;
+};
+
+const validateTests = (tests, report, rawText) => {
+  if (tests === undefined || tests === null) return [];
+  if (!Array.isArray(tests)) {
+    report.add('tests', 'Expected an array, ignored', tests);
+    return [];
+  }
+
+  return tests.reduce((valid, test, index) => {
+    const field = `tests[${index}]`;
+    const testName = test && typeof test === 'object' ? toText(test.testName || test.name) : undefined;
+    if (!testName) {
+      report.add(`${field}.testName`, 'Test has no name, dropped', test);
+      return valid;
+    }
+
+    const result = { ...keepId(test), testName };
+
+    if (test.resultValue !== undefined && test.resultValue !== null) {
+      const resultValue = toNumber(test.resultValue);
+      if (resultValue === undefined) {
+        report.add(`${field}.resultValue`, 'Not a number, ignored', test.resultValue);
+      } else {
+        if (resultValue !== test.resultValue) report.add(`${field}.resultValue`, 'Converted result value to a number', test.resultValue);
+        result.resultValue = resultValue;
+      }
+    }
+
+    const unit = toText(test.unit);
+    if (unit) result.unit = unit;
+
+    result.result = toText(test.result) ||
+      (result.resultValue !== undefined ? `${result.resultValue}${unit ? ` ${unit}` : ''}` : undefined);
+    if (!result.result) {
+      report.add(`${field}.result`, 'Test has no result, dropped', test.result);
+      return valid;
+    }
+
+    const range = test.referenceRange;
+    if (range && typeof range === 'object') {
+      const referenceRange = {};
+      ['min', 'max'].forEach(bound => {
+        if (range[bound] === undefined || range[bound] === null) return;
+        const value = toNumber(range[bound]);
+        if (value === undefined) {
+          report.add(`${field}.referenceRange.${bound}`, 'Not a number, ignored', range[bound]);
+        } else {
+          referenceRange[bound] = value;
+        }
+      });
+      if (toText(range.unit)) referenceRange.unit = toText(range.unit);
+      if (referenceRange.min !== undefined || referenceRange.max !== undefined) {
+        result.referenceRange = referenceRange;
+      }
+    }
+
+    valid.push(withSourceSpans(result, rawText, test, [testName]));
+    return valid;
+  }, []);
+};
+
+// Validate and repair parsed journal data. With `rawText` every item also
+// gets the character spans of the text it was extracted from. Items with no
+// time of day get the slot of `date` in the user's `timeZone`.
+// Returns { parsedData, errors } where errors is a per-field report.
+const validateParsedData = (data, { date, rawText, timeZone } = {}) => {
+  const report = createReport();
+  const defaultTime = date ? slotForDate(new Date(date), timeZone) : 'noon';
+
+  const parsedData = {
+    meals: validateMeals(data.meals, report, defaultTime, rawText),
+    medicines: validateMedicines(data.medicines, report, defaultTime, rawText),
+    tests: validateTests(data.tests, report, rawText),
+    notes: toText(data.notes) || ''
+  };
+
+  const bodyStats = validateBodyStats(data.bodyStats, report, rawText);
+  if (bodyStats) {
+    parsedData.bodyStats = bodyStats;
+  }
+
+  return { parsedData, errors: report.errors };
+};
+
+module.exports = {
+  extractJson,
+  validateParsedData
+};
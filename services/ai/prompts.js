@@ -0,0 +1,136 @@
+const NON_ENGLISH_INSTRUCTIONS = 'Write food, medicine and test names in English or their usual romanized name (e.g. "Nun Chai", "Girda", "Rice"). Keep every "source" quote in the original script and spelling.';
+
+// Extra guidance and a worked example per detected language (see services/language.js)
+const LANGUAGE_VARIANTS = {
+  'ur-Latn': {
+    instructions: 'The entry is written in Roman Urdu/Hindi and may mix in English words. Read "subah" as morning, "dopahar" as noon, "shaam" as evening, "raat" as night, "khaya"/"khayi" as ate, "piya" as drank, "li" (with a medicine) as took, "aur" as and, "dawai"/"goli" as medicine and "paani" as water.',
+    example: {
+      entry: 'subah nun chai aur girda khaya, raat ko metformin 500mg li',
+      json: {
+        meals: [{ time: 'morning', items: ['Nun Chai', 'Girda'], quantity: '1 serving', source: 'subah nun chai aur girda khaya' }],
+        medicines: [{ name: 'Metformin', time: 'night', dosage: '500mg', source: 'raat ko metformin 500mg li' }],
+        tests: [],
+        notes: ''
+      }
+    }
+  },
+  'ks-Latn': {
+    instructions: 'The entry is written in romanized Kashmiri and may mix in English words. Read "subhan" as morning, "doh"/"dopahras" as noon, "shaam" as evening, "rath"/"ratas" as night, "khyov" as ate, "cheyi"/"chyav" as drank, "te" as and, "bati" as rice and "aab" as water.',
+    example: {
+      entry: 'subhan khyov girda te cheyi nun chai',
+      json: {
+        meals: [{ time: 'morning', items: ['Girda', 'Nun Chai'], quantity: '1 serving', source: 'subhan khyov girda te cheyi nun chai' }],
+        medicines: [],
+        tests: [],
+        notes: ''
+      }
+    }
+  },
+  ur: {
+    instructions: 'The entry is written in Urdu script. Read "صبح" as morning, "دوپہر" as noon, "شام" as evening, "رات" as night, "کھایا" as ate, "پیا" as drank and "دوا"/"گولی" as medicine.',
+    example: {
+      entry: 'صبح نون چائے اور گردہ کھایا',
+      json: {
+        meals: [{ time: 'morning', items: ['Nun Chai', 'Girda'], quantity: '1 serving', source: 'صبح نون چائے اور گردہ کھایا' }],
+        medicines: [],
+        tests: [],
+        notes: ''
+      }
+    }
+  },
+  ks: {
+    instructions: 'The entry is written in Kashmiri (Perso-Arabic script), possibly with Urdu words.',
+    example: null
+  },
+  hi: {
+    instructions: 'The entry is written in Hindi (Devanagari). Read "सुबह" as morning, "दोपहर" as noon, "शाम" as evening, "रात" as night, "खाया"/"खाई" as ate, "पिया" as drank and "दवा"/"गोली" as medicine.',
+    example: {
+      entry: 'सुबह चाय और रोटी खाई',
+      json: {
+        meals: [{ time: 'morning', items: ['Tea', 'Roti'], quantity: '1 serving', source: 'सुबह चाय और रोटी खाई' }],
+        medicines: [],
+        tests: [],
+        notes: ''
+      }
+    }
+  }
+};
+
+const buildLanguageSection = (language) => {
+  const variant = LANGUAGE_VARIANTS[language];
+  if (!variant) return '';
+
+  const example = variant.example
+    ? `\n\nExample entry: "${variant.example.entry}"\nExample output: ${JSON.stringify(variant.example.json)}`
+    : '';
+  return `\n\n${variant.instructions} ${NON_ENGLISH_INSTRUCTIONS}${example}`;
+};
+
+// Build the chat messages used to extract structured data from a journal entry.
+// `language` is a detected language code; non-English entries get a variant
+// of the prompt with vocabulary hints and an example.
+const buildJournalParseMessages = (rawText, { language = 'en' } = {}) => {
+  const systemPrompt = `You are a health data parser. Parse the following health journal entry into structured JSON format. Focus on Kashmiri and South Asian food items, medicines, and health metrics.
+
+Respond with a single JSON object only, without markdown fences or commentary. Use only the listed values for "time", "mood" and "energy", numbers without units for numeric fields, liters for water and kilograms for weight.
+
+Every "source" value must quote the exact words of the journal entry the item was taken from, unchanged.${buildLanguageSection(language)}
+
+Output format:
+{
+  "meals": [
+    {
+      "time": "morning|noon|evening|night",
+      "items": ["food item names"],
+      "quantity": "amount description",
+      "calories": number,
+      "source": "exact words from the entry"
+    }
+  ],
+  "medicines": [
+    {
+      "name": "medicine name",
+      "time": "morning|noon|evening|night",
+      "dosage": "dosage description",
+      "source": "exact words from the entry"
+    }
+  ],
+  "bodyStats": {
+    "waterIntakeLiters": number,
+    "weightKg": number,
+    "sleepHours": number,
+    "steps": number,
+    "mood": "excellent|good|okay|poor|terrible",
+    "energy": "high|medium|low",
+    "source": { "<stat name>": "exact words from the entry" }
+  },
+  "tests": [
+    {
+      "testName": "test name",
+      "result": "result description",
+      "resultValue": number,
+      "unit": "unit of measurement",
+      "referenceRange": {
+        "min": number,
+        "max": number,
+        "unit": "unit of measurement"
+      },
+      "source": "exact words from the entry"
+    }
+  ],
+  "notes": "additional notes"
+}
+
+Parse this journal entry: "${rawText}"`;
+
+  return [
+    {
+      role: 'system',
+      content: systemPrompt
+    }
+  ];
+};
+
+module.exports = {
+  buildJournalParseMessages
+};
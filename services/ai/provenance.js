@@ -0,0 +1,78 @@
+// Character spans linking extracted items back to the journal text.
+// A span is { start, end } with `end` exclusive, indexing Journal.rawText.
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive search that tolerates differences in whitespace
+const findPhrase = (rawText, phrase) => {
+  const words = String(phrase || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+
+  const pattern = new RegExp(words.map(escapeRegex).join('\\s+'), 'i');
+  const match = pattern.exec(rawText);
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+};
+
+const sortSpans = (spans) => spans.sort((a, b) => a.start - b.start || a.end - b.end);
+
+// Keep well-formed spans that fall inside the text
+const validSpans = (spans, textLength) => {
+  if (!Array.isArray(spans)) return [];
+  return sortSpans(spans
+    .filter(span => span && Number.isInteger(span.start) && Number.isInteger(span.end))
+    .filter(span => span.start >= 0 && span.end > span.start && span.end <= textLength)
+    .map(({ start, end, field }) => (field ? { start, end, field } : { start, end })));
+};
+
+// Spans for the phrases found in the text; phrases that are missing are skipped
+const locatePhrases = (rawText, phrases) => {
+  const spans = [];
+  phrases.forEach(phrase => {
+    const span = findPhrase(rawText, phrase);
+    if (span && !spans.some(existing => existing.start === span.start && existing.end === span.end)) {
+      spans.push(span);
+    }
+  });
+  return sortSpans(spans);
+};
+
+const asList = (value) => (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string');
+
+// Resolve spans for one extracted item: spans it already carries (rule
+// parser, edited drafts), else the quotes the LLM returned in `source`, else
+// the item's own names as a last resort
+const resolveSourceSpans = (rawText, item, fallbackPhrases) => {
+  if (typeof rawText !== 'string') return [];
+
+  const existing = validSpans(item.sourceSpans, rawText.length);
+  if (existing.length > 0) return existing;
+
+  const quoted = locatePhrases(rawText, asList(item.source));
+  if (quoted.length > 0) return quoted;
+
+  return locatePhrases(rawText, fallbackPhrases);
+};
+
+// Body stats are quoted per stat: { source: { waterIntakeLiters: "2 litres of water" } }
+const resolveBodyStatSpans = (rawText, bodyStats, fields) => {
+  if (typeof rawText !== 'string') return [];
+
+  const existing = validSpans(bodyStats.sourceSpans, rawText.length);
+  if (existing.length > 0) return existing;
+
+  const source = bodyStats.source && typeof bodyStats.source === 'object' ? bodyStats.source : {};
+  const spans = [];
+  fields.forEach(field => {
+    asList(source[field]).forEach(phrase => {
+      const span = findPhrase(rawText, phrase);
+      if (span) spans.push({ ...span, field });
+    });
+  });
+  return sortSpans(spans);
+};
+
+module.exports = {
+  findPhrase,
+  resolveSourceSpans,
+  resolveBodyStatSpans
+};
@@ -0,0 +1,30 @@
+const axios = require('axios');
+
+// Local Ollama server using its native chat API
+const createOllamaProvider = ({ model, timeout }) => {
+  const baseUrl = (process.env.OLLAMA_URL || 'http://localhost:11434').replace(/\/+$/, '');
+  const resolvedModel = model || 'llama3.1';
+
+  const complete = async ({ messages, maxTokens = 2000, temperature = 0.1 }) => {
+    const response = await axios.post(
+      `${baseUrl}/api/chat`,
+      {
+        model: resolvedModel,
+        messages,
+        stream: false,
+        format: 'json',
+        options: {
+          num_predict: maxTokens,
+          temperature
+        }
+      },
+      { timeout }
+    );
+
+    return response.data.message.content;
+  };
+
+  return { name: 'ollama', model: resolvedModel, complete };
+};
+
+module.exports = createOllamaProvider;
@@ -0,0 +1,13 @@
+const createOpenAICompatibleProvider = require('./openaiCompatible');
+
+// Also used for self-hosted OpenAI-compatible servers such as llama.cpp
+// (`OPENAI_API_URL=http://localhost:8080/v1/chat/completions`)
+const createOpenAIProvider = ({ model, timeout }) => createOpenAICompatibleProvider({
+  name: 'openai',
+  url: process.env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions',
+  apiKey: process.env.OPENAI_API_KEY,
+  model: model || 'gpt-4o-mini',
+  timeout
+});
+
+module.exports = createOpenAIProvider;
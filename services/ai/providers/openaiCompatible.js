@@ -0,0 +1,33 @@
+const axios = require('axios');
+
+// Chat completions client for any OpenAI-compatible endpoint
+// (OpenAI, Perplexity, llama.cpp server, vLLM, LM Studio, ...)
+const createOpenAICompatibleProvider = ({ name, url, apiKey, model, timeout }) => {
+  if (!url) {
+    throw new Error(`The ${name} provider requires an API URL`);
+  }
+
+  const complete = async ({ messages, maxTokens = 2000, temperature = 0.1 }) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await axios.post(
+      url,
+      {
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature
+      },
+      { headers, timeout }
+    );
+
+    return response.data.choices[0].message.content;
+  };
+
+  return { name, model, complete };
+};
+
+module.exports = createOpenAICompatibleProvider;
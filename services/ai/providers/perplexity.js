@@ -0,0 +1,11 @@
+const createOpenAICompatibleProvider = require('./openaiCompatible');
+
+const createPerplexityProvider = ({ model, timeout }) => createOpenAICompatibleProvider({
+  name: 'perplexity',
+  url: process.env.PERPLEXITY_API_URL || 'https://api.perplexity.ai/chat/completions',
+  apiKey: process.env.PERPLEXITY_API_KEY,
+  model: model || 'llama-3.1-sonar-small-128k-online',
+  timeout
+});
+
+module.exports = createPerplexityProvider;
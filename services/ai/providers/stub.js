@@ -0,0 +1,17 @@
+// Deterministic offline provider for tests and CI. Returns LLM_STUB_RESPONSE
+// verbatim when set, otherwise an empty extraction.
+const EMPTY_RESPONSE = {
+  meals: [],
+  medicines: [],
+  bodyStats: {},
+  tests: [],
+  notes: ''
+};
+
+const createStubProvider = ({ model }) => {
+  const complete = async () => process.env.LLM_STUB_RESPONSE || JSON.stringify(EMPTY_RESPONSE);
+
+  return { name: 'stub', model: model || 'stub', complete };
+};
+
+module.exports = createStubProvider;
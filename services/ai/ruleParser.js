@@ -0,0 +1,558 @@
+// Deterministic, dictionary- and regex-driven journal parser.
+// Produces the same shape as Journal.parsedData so it can stand in for the
+// LLM when the provider is disabled or unreachable. Every item carries the
+// character spans of the raw text it was extracted from.
+
+const { slotForDate } = require('../timeOfDay');
+const { parseDosage } = require('../dosage');
+
+// English, Roman Urdu/Hindi, romanized Kashmiri, Urdu and Hindi keywords
+const TIME_SLOT_KEYWORDS = {
+  morning: ['breakfast', 'morning', 'sunrise', 'sehri', 'suhoor', 'subah', 'subhan', 'nashta', 'صبح', 'ناشتہ', 'सुबह', 'नाश्ता'],
+  noon: ['lunch', 'noon', 'afternoon', 'midday', 'dopahar', 'dopahras', 'دوپہر', 'दोपहर'],
+  evening: ['evening', 'snack', 'tea time', 'teatime', 'iftar', 'shaam', 'شام', 'शाम'],
+  night: ['dinner', 'supper', 'night', 'bedtime', 'before bed', 'raat', 'rath', 'ratas', 'رات', 'रात']
+};
+
+// Canonical food name -> aliases (matched case-insensitively on word
+// boundaries), including Urdu and Hindi script spellings
+const FOODS = {
+  'Nun Chai': ['nun chai', 'noon chai', 'sheer chai', 'pink tea', 'نون چائے', 'نمکین چائے', 'नून चाय'],
+  'Kahwa': ['kahwa', 'kehwa', 'qehwa', 'قہوہ', 'कहवा'],
+  'Girda': ['girda', 'گردہ', 'गिरदा'],
+  'Lavasa': ['lavasa', 'lavas'],
+  'Tsochvoru': ['tsochvoru', 'tsot', 'czot'],
+  'Bakarkhani': ['bakarkhani', 'bakerkhani'],
+  'Kulcha': ['kulcha'],
+  'Rogan Josh': ['rogan josh', 'roghan josh'],
+  'Yakhni': ['yakhni'],
+  'Gushtaba': ['gushtaba'],
+  'Rista': ['rista'],
+  'Tabak Maaz': ['tabak maaz', 'tabakh maaz'],
+  'Kabargah': ['kabargah'],
+  'Haakh': ['haakh', 'haak', 'collard greens', 'ہاکھ'],
+  'Nadru': ['nadru', 'nadur', 'lotus stem'],
+  'Dum Aloo': ['dum aloo', 'dum olav'],
+  'Kashmiri Pulao': ['kashmiri pulao'],
+  'Modur Pulav': ['modur pulav', 'sweet pulao'],
+  'Rajma': ['rajma', 'راجما', 'राजमा'],
+  'Dal': ['dal', 'daal', 'lentils', 'دال', 'दाल'],
+  'Rice': ['chawal', 'rice', 'bhaat', 'batta', 'bati', 'چاول', 'चावल', 'भात'],
+  'Roti': ['roti', 'rotis', 'chapati', 'chapatis', 'phulka', 'روٹی', 'रोटी'],
+  'Naan': ['naan', 'نان'],
+  'Paratha': ['paratha', 'parathas', 'پراٹھا', 'पराठा'],
+  'Biryani': ['biryani'],
+  'Pulao': ['pulao', 'pulav'],
+  'Khichdi': ['khichdi', 'khichri'],
+  'Samosa': ['samosa', 'samosas'],
+  'Pakora': ['pakora', 'pakoras', 'pakode'],
+  'Chicken': ['chicken', 'murgh', 'murg', 'مرغ', 'चिकन'],
+  'Mutton': ['mutton', 'lamb', 'gosht', 'maaz', 'گوشت', 'मटन'],
+  'Fish': ['fish'],
+  'Eggs': ['egg', 'eggs', 'omelette', 'omelet', 'anda', 'ande', 'انڈا', 'انڈے', 'अंडा', 'अंडे'],
+  'Bread': ['bread', 'toast', 'ڈبل روٹی', 'ब्रेड'],
+  'Oats': ['oats', 'oatmeal', 'porridge'],
+  'Curd': ['curd', 'yogurt', 'yoghurt', 'dahi', 'zamdod', 'دہی', 'दही'],
+  'Lassi': ['lassi'],
+  'Milk': ['milk', 'doodh', 'dodh', 'دودھ', 'दूध'],
+  'Tea': ['tea', 'chai', 'چائے', 'चाय'],
+  'Coffee': ['coffee'],
+  'Salad': ['salad'],
+  'Soup': ['soup'],
+  'Vegetables': ['vegetables', 'veggies', 'sabzi', 'subzi', 'سبزی', 'सब्ज़ी', 'सब्जी'],
+  'Fruit': ['fruit', 'fruits', 'phal', 'پھل', 'फल'],
+  'Apple': ['apple', 'apples', 'seb', 'سیب', 'सेब'],
+  'Banana': ['banana', 'bananas', 'kela', 'کیلا', 'केला'],
+  'Walnuts': ['walnuts', 'walnut', 'doon'],
+  'Almonds': ['almonds', 'almond', 'badam'],
+  'Dates': ['dates', 'khajoor']
+};
+
+// Canonical medicine name -> aliases
+const MEDICINES = {
+  Metformin: ['metformin', 'glycomet'],
+  Glimepiride: ['glimepiride', 'amaryl'],
+  Insulin: ['insulin'],
+  Paracetamol: ['paracetamol', 'crocin', 'calpol', 'dolo', 'acetaminophen'],
+  Ibuprofen: ['ibuprofen', 'brufen'],
+  Aspirin: ['aspirin', 'ecosprin'],
+  Amoxicillin: ['amoxicillin', 'amoxycillin'],
+  Azithromycin: ['azithromycin', 'azithral'],
+  Omeprazole: ['omeprazole'],
+  Pantoprazole: ['pantoprazole', 'pantop', 'pan 40'],
+  Amlodipine: ['amlodipine'],
+  Telmisartan: ['telmisartan', 'telma'],
+  Losartan: ['losartan'],
+  Atorvastatin: ['atorvastatin', 'atorva'],
+  Levothyroxine: ['levothyroxine', 'thyronorm', 'eltroxin'],
+  Cetirizine: ['cetirizine', 'cetzine'],
+  'Vitamin D': ['vitamin d3', 'vitamin d', 'vit d'],
+  'Vitamin B12': ['vitamin b12', 'b12'],
+  'Iron Supplement': ['iron tablet', 'iron supplement'],
+  'Calcium Supplement': ['calcium tablet', 'calcium supplement', 'shelcal'],
+  Multivitamin: ['multivitamin', 'multi vitamin']
+};
+
+// Lab tests with their usual unit and reference range
+const TESTS = [
+  { testName: 'HbA1c', aliases: ['hba1c', 'a1c'], unit: '%', referenceRange: { min: 4, max: 5.6 } },
+  { testName: 'Fasting Blood Sugar', aliases: ['fasting sugar', 'fasting blood sugar', 'fasting glucose', 'fbs'], unit: 'mg/dL', referenceRange: { min: 70, max: 100 } },
+  { testName: 'Blood Sugar', aliases: ['blood sugar', 'sugar level', 'glucose', 'sugar'], unit: 'mg/dL', referenceRange: { min: 70, max: 140 } },
+  { testName: 'Total Cholesterol', aliases: ['cholesterol'], unit: 'mg/dL', referenceRange: { min: 0, max: 200 } },
+  { testName: 'Triglycerides', aliases: ['triglycerides'], unit: 'mg/dL', referenceRange: { min: 0, max: 150 } },
+  { testName: 'Hemoglobin', aliases: ['hemoglobin', 'haemoglobin', 'hb'], unit: 'g/dL', referenceRange: { min: 12, max: 17 } },
+  { testName: 'TSH', aliases: ['tsh'], unit: 'mIU/L', referenceRange: { min: 0.4, max: 4 } },
+  { testName: 'Vitamin D', aliases: ['vitamin d level', 'vit d level'], unit: 'ng/mL', referenceRange: { min: 30, max: 100 } },
+  { testName: 'Vitamin B12', aliases: ['b12 level', 'vitamin b12 level'], unit: 'pg/mL', referenceRange: { min: 200, max: 900 } },
+  { testName: 'Creatinine', aliases: ['creatinine'], unit: 'mg/dL', referenceRange: { min: 0.6, max: 1.3 } },
+  { testName: 'Uric Acid', aliases: ['uric acid'], unit: 'mg/dL', referenceRange: { min: 3.5, max: 7.2 } }
+];
+
+const MOOD_WORDS = {
+  excellent: ['excellent', 'great', 'amazing', 'fantastic', 'wonderful'],
+  good: ['good', 'happy', 'fine', 'well', 'positive'],
+  okay: ['okay', 'ok', 'alright', 'average', 'meh'],
+  poor: ['bad', 'poor', 'low', 'sad', 'down', 'anxious', 'stressed'],
+  terrible: ['terrible', 'awful', 'horrible', 'miserable']
+};
+
+const ENERGY_WORDS = {
+  high: ['energetic', 'energised', 'energized', 'active', 'fresh'],
+  low: ['tired', 'exhausted', 'fatigued', 'sleepy', 'drained', 'lethargic', 'thaka', 'thaki', 'thakan', 'thakawat']
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10, half: 0.5
+};
+
+const NUMBER = '(\\d+(?:\\.\\d+)?|a|an|one|two|three|four|five|six|seven|eight|nine|ten|half)';
+const GLASS_LITERS = 0.25;
+const LBS_TO_KG = 0.453592;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Unicode-aware word boundaries; \\b only knows ASCII letters, and Devanagari
+// and Arabic vowel signs are combining marks
+const wordPattern = (alias) => new RegExp(
+  `(?<![\\p{L}\\p{M}\\p{N}_])${escapeRegex(alias).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{M}\\p{N}_])`,
+  'iu'
+);
+
+const toNumber = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const normalized = String(value).toLowerCase().replace(/,/g, '');
+  if (NUMBER_WORDS[normalized] !== undefined) return NUMBER_WORDS[normalized];
+  const number = parseFloat(normalized);
+  return Number.isNaN(number) ? undefined : number;
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// The time slot named earliest in the text ("after lunch" -> noon), if any
+const findTimeSlot = (text) => {
+  let found = null;
+  Object.entries(TIME_SLOT_KEYWORDS).forEach(([slot, keywords]) => {
+    keywords.forEach(keyword => {
+      const match = wordPattern(keyword).exec(text);
+      if (match && (!found || match.index < found.index)) {
+        found = { slot, index: match.index };
+      }
+    });
+  });
+  return found ? found.slot : null;
+};
+
+// Find dictionary entries in text, longest alias first so "nun chai" wins over "chai"
+const findDictionaryMatches = (text, dictionary) => {
+  const aliases = [];
+  Object.entries(dictionary).forEach(([name, names]) => {
+    names.forEach(alias => aliases.push({ name, alias }));
+  });
+  aliases.sort((a, b) => b.alias.length - a.alias.length);
+
+  let remaining = text;
+  const matches = [];
+  aliases.forEach(({ name, alias }) => {
+    const pattern = wordPattern(alias);
+    let match = pattern.exec(remaining);
+    while (match) {
+      matches.push({ name, index: match.index, length: match[0].length });
+      // Mask the match so shorter aliases cannot match inside it
+      remaining = remaining.slice(0, match.index) +
+        ' '.repeat(match[0].length) +
+        remaining.slice(match.index + match[0].length);
+      match = pattern.exec(remaining);
+    }
+  });
+
+  return matches.sort((a, b) => a.index - b.index);
+};
+
+// Sentence ends include the Urdu full stop and Devanagari danda; clauses also
+// split at "aur" (Urdu/Hindi) and "te" (Kashmiri)
+const SENTENCE_SEPARATOR = /[.!?;\n۔।॥؟]+|\b(?:then|later|after that|afterwards|phir)\b/ig;
+const CLAUSE_SEPARATOR = /[,،]|\b(?:and|aur|te)\b|(?<![\p{L}\p{M}])(?:اور|और)(?![\p{L}\p{M}])/igu;
+
+// Canonical food name for a name or alias in any supported script ("chawal" -> "Rice")
+const canonicalFoodName = (name) => {
+  const key = String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const entry = Object.entries(FOODS)
+    .find(([canonical, aliases]) => canonical.toLowerCase() === key || aliases.includes(key));
+  return entry ? entry[0] : null;
+};
+
+// Split text at a global separator pattern, keeping each trimmed piece's
+// offset into the full entry
+const splitWithOffsets = (text, separator, offset = 0) => {
+  const pieces = [];
+  let pieceStart = 0;
+  const push = (pieceEnd) => {
+    const piece = text.slice(pieceStart, pieceEnd);
+    const trimmed = piece.trim();
+    if (trimmed) {
+      pieces.push({ text: trimmed, start: offset + pieceStart + piece.indexOf(trimmed) });
+    }
+  };
+
+  separator.lastIndex = 0;
+  let match = separator.exec(text);
+  while (match) {
+    push(match.index);
+    pieceStart = match.index + match[0].length;
+    match = separator.exec(text);
+  }
+  push(text.length);
+
+  return pieces;
+};
+
+// Split the entry into sentences, then into segments at conjunctions when a
+// sentence mentions more than one time of day ("chai for breakfast and dal for lunch")
+const splitSegments = (rawText) => {
+  const segments = [];
+  splitWithOffsets(rawText, SENTENCE_SEPARATOR).forEach(sentence => {
+    const clauses = splitWithOffsets(sentence.text, CLAUSE_SEPARATOR, sentence.start);
+    const slots = new Set(clauses.map(clause => findTimeSlot(clause.text)).filter(Boolean));
+
+    if (slots.size > 1) {
+      clauses.forEach(clause => segments.push({ ...clause, slot: findTimeSlot(clause.text) }));
+    } else {
+      segments.push({ ...sentence, slot: findTimeSlot(sentence.text) });
+    }
+  });
+
+  // Segments without a time of day inherit the previous one, then the next one
+  segments.forEach((segment, index) => {
+    if (!segment.slot && index > 0) {
+      segment.slot = segments[index - 1].slot;
+    }
+  });
+  for (let index = segments.length - 2; index >= 0; index--) {
+    if (!segments[index].slot) {
+      segments[index].slot = segments[index + 1].slot;
+    }
+  }
+
+  return segments;
+};
+
+// Span of a regex match, offset to the start of the text it was run against
+const spanOf = (match, offset = 0) => ({
+  start: offset + match.index,
+  end: offset + match.index + match[0].trimEnd().length
+});
+
+const extractQuantity = (text) => {
+  const match = new RegExp(
+    `\\b${NUMBER}\\s+(cups?|glass(?:es)?|plates?|bowls?|pieces?|slices?|rotis?|chapatis?|servings?|spoons?|tablespoons?|teaspoons?|handfuls?|\\d*\\s*(?:g|gm|grams?|ml))\\b`,
+    'i'
+  ).exec(text);
+  return match ? match[0].trim() : null;
+};
+
+const extractCalories = (text) => {
+  const match = /(\d+(?:\.\d+)?)\s*(?:k?cals?|calories|kilocalories)\b/i.exec(text);
+  return match ? toNumber(match[1]) : undefined;
+};
+
+const extractMeals = (segments) => {
+  const mealsBySlot = {};
+
+  segments.forEach(segment => {
+    const foods = findDictionaryMatches(segment.text, FOODS);
+    if (foods.length === 0) return;
+
+    const slot = segment.slot || 'noon';
+    if (!mealsBySlot[slot]) {
+      mealsBySlot[slot] = { time: slot, items: [], quantity: null, calories: undefined, sourceSpans: [] };
+    }
+
+    const meal = mealsBySlot[slot];
+    foods.forEach(food => {
+      if (!meal.items.includes(food.name)) meal.items.push(food.name);
+      const start = segment.start + food.index;
+      meal.sourceSpans.push({ start, end: start + food.length });
+    });
+    meal.quantity = meal.quantity || extractQuantity(segment.text);
+
+    const calories = extractCalories(segment.text);
+    if (calories !== undefined) {
+      meal.calories = (meal.calories || 0) + calories;
+    }
+  });
+
+  return ['morning', 'noon', 'evening', 'night']
+    .filter(slot => mealsBySlot[slot])
+    .map(slot => {
+      const meal = mealsBySlot[slot];
+      const result = { time: meal.time, items: meal.items, quantity: meal.quantity || '1 serving' };
+      if (meal.calories !== undefined) result.calories = meal.calories;
+      result.sourceSpans = meal.sourceSpans;
+      return result;
+    });
+};
+
+const DOSAGE_PATTERN = new RegExp(
+  `\\b${NUMBER}\\s*(mg|mcg|µg|g|ml|iu|units?|tablets?|tabs?|capsules?|caps?|pills?|drops?|puffs?|sachets?)\\b`,
+  'i'
+);
+
+// Words that name a drink or a food rather than a medicine taken with a dose
+const NOT_MEDICINES = ['water', 'paani', 'pani', 'juice', 'soda', 'milk', 'my', 'the', 'some', 'medicine', 'medicines', 'dose'];
+
+// Unknown medicine names need a medicine verb ("took crocin-x 500mg") or,
+// after "had", a medicine form after the dose ("had zincovit 1 tablet")
+const UNKNOWN_MEDICINE_PATTERN = new RegExp(
+  '\\b(?:(?:took|taken|take|taking|popped)\\s+(?:my\\s+|the\\s+|a\\s+)?([a-z][a-z-]{2,})\\s+(\\d+(?:\\.\\d+)?\\s*(?:mg|mcg|iu|ml|units?))\\b' +
+  '|had\\s+(?:my\\s+|the\\s+|a\\s+)?([a-z][a-z-]{2,})\\s+(\\d+(?:\\.\\d+)?\\s*(?:mg|mcg|iu|ml|units?)?\\s*(?:tablets?|tabs?|capsules?|caps?|pills?|injections?|drops)))\\b',
+  'ig'
+);
+
+const isKnownName = (candidate) => NOT_MEDICINES.includes(candidate) ||
+  Object.values(MEDICINES).some(aliases => aliases.includes(candidate)) ||
+  Object.values(FOODS).some(aliases => aliases.includes(candidate));
+
+const extractMedicines = (segments) => {
+  const medicines = [];
+  const seen = new Set();
+
+  segments.forEach(segment => {
+    const matches = findDictionaryMatches(segment.text, MEDICINES);
+
+    UNKNOWN_MEDICINE_PATTERN.lastIndex = 0;
+    let tookMatch = UNKNOWN_MEDICINE_PATTERN.exec(segment.text);
+    while (tookMatch) {
+      const candidate = (tookMatch[1] || tookMatch[3]).toLowerCase();
+      if (!isKnownName(candidate)) {
+        matches.push({
+          name: candidate.charAt(0).toUpperCase() + candidate.slice(1),
+          index: tookMatch.index,
+          length: tookMatch[0].length
+        });
+      }
+      tookMatch = UNKNOWN_MEDICINE_PATTERN.exec(segment.text);
+    }
+    matches.sort((a, b) => a.index - b.index);
+
+    matches.forEach((match, position) => {
+      const time = segment.slot || 'morning';
+      const key = `${match.name}|${time}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      // A dosage belongs to this mention only if it comes before the next one
+      const next = matches.slice(position + 1).find(other => other.index > match.index);
+      const dosageMatch = DOSAGE_PATTERN.exec(segment.text.slice(match.index, next ? next.index : undefined));
+      const start = segment.start + match.index;
+      // The span runs from the medicine name through its dosage
+      const end = dosageMatch
+        ? Math.max(start + match.length, spanOf(dosageMatch, start).end)
+        : start + match.length;
+
+      const dosage = dosageMatch ? dosageMatch[0].trim() : '1 dose';
+      const dosageDetails = parseDosage(dosage);
+      medicines.push({
+        name: match.name,
+        time,
+        dosage,
+        ...(dosageDetails && { dosageDetails }),
+        sourceSpans: [{ start, end }]
+      });
+    });
+  });
+
+  return medicines;
+};
+
+// Body stat extractors return { value, span } or undefined
+
+const WATER = '(?:water|paani|pani|aab|پانی|पानी)';
+
+const extractWaterLiters = (text) => {
+  let match = new RegExp(`\\b${NUMBER}\\s*(?:l|ltr|litres?|liters?)\\b(?:\\s+of)?\\s+${WATER}`, 'i').exec(text);
+  if (match) return { value: toNumber(match[1]), span: spanOf(match) };
+
+  match = new RegExp(`\\b${NUMBER}\\s*ml\\b(?:\\s+of)?\\s+${WATER}`, 'i').exec(text);
+  if (match) return { value: round(toNumber(match[1]) / 1000), span: spanOf(match) };
+
+  match = new RegExp(`\\b${NUMBER}\\s+(?:glass(?:es)?|gilas|cups?|bottles?)(?:\\s+of)?\\s+${WATER}`, 'i').exec(text);
+  if (match) {
+    const perUnit = /bottle/i.test(match[0]) ? 1 : GLASS_LITERS;
+    return { value: round(toNumber(match[1]) * perUnit), span: spanOf(match) };
+  }
+
+  match = new RegExp(`(?<![a-z])${WATER}(?:\\s+intake)?\\D{0,15}?(\\d+(?:\\.\\d+)?)\\s*(?:l|ltr|litres?|liters?)\\b`, 'i').exec(text);
+  return match ? { value: toNumber(match[1]), span: spanOf(match) } : undefined;
+};
+
+const extractWeightKg = (text) => {
+  const match = /\b(?:weight|weigh(?:ed|ing|s)?)\b\D{0,20}?(\d+(?:\.\d+)?)\s*(kgs?|kilos?|kilograms?|lbs?|pounds)\b/i.exec(text);
+  if (!match) return undefined;
+  const value = toNumber(match[1]);
+  return {
+    value: /^(lb|pound)/i.test(match[2]) ? round(value * LBS_TO_KG, 1) : value,
+    span: spanOf(match)
+  };
+};
+
+const extractSleepHours = (text) => {
+  let match = /\bslept\b\D{0,15}?(\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h)\b/i.exec(text);
+  if (!match) {
+    match = /\b(\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h)\s+(?:of\s+)?sleep\b/i.exec(text);
+  }
+  return match ? { value: toNumber(match[1]), span: spanOf(match) } : undefined;
+};
+
+const extractSteps = (text) => {
+  const match = /\b(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?k?)\s*steps\b/i.exec(text);
+  if (!match) return undefined;
+  const value = match[1].toLowerCase();
+  return {
+    value: value.endsWith('k') ? Math.round(parseFloat(value) * 1000) : toNumber(value),
+    span: spanOf(match)
+  };
+};
+
+const extractMood = (text) => {
+  const match = /\b(?:feel|feeling|felt|mood(?:\s+(?:is|was))?)\s+(?:very\s+|really\s+|quite\s+|pretty\s+)?(\w+)/i.exec(text);
+  if (!match) return undefined;
+  const word = match[1].toLowerCase();
+  const mood = Object.keys(MOOD_WORDS).find(value => MOOD_WORDS[value].includes(word));
+  return mood ? { value: mood, span: spanOf(match) } : undefined;
+};
+
+const extractEnergy = (text) => {
+  const explicit = /\b(high|medium|low)\s+energy\b|\benergy\s+(?:level\s+)?(?:is\s+|was\s+)?(high|medium|low)\b/i.exec(text);
+  if (explicit) return { value: (explicit[1] || explicit[2]).toLowerCase(), span: spanOf(explicit) };
+
+  for (const [energy, words] of Object.entries(ENERGY_WORDS)) {
+    for (const word of words) {
+      const match = wordPattern(word).exec(text);
+      if (match) return { value: energy, span: spanOf(match) };
+    }
+  }
+  return undefined;
+};
+
+const BODY_STAT_EXTRACTORS = {
+  waterIntakeLiters: extractWaterLiters,
+  weightKg: extractWeightKg,
+  sleepHours: extractSleepHours,
+  steps: extractSteps,
+  mood: extractMood,
+  energy: extractEnergy
+};
+
+const extractBodyStats = (rawText) => {
+  const bodyStats = {};
+  const sourceSpans = [];
+
+  Object.entries(BODY_STAT_EXTRACTORS).forEach(([field, extract]) => {
+    const found = extract(rawText);
+    if (!found || found.value === undefined) return;
+    bodyStats[field] = found.value;
+    sourceSpans.push({ ...found.span, field });
+  });
+
+  if (Object.keys(bodyStats).length === 0) return undefined;
+
+  bodyStats.sourceSpans = sourceSpans.sort((a, b) => a.start - b.start);
+  return bodyStats;
+};
+
+const extractTests = (rawText) => {
+  const tests = [];
+  const seen = new Set();
+
+  TESTS.forEach(test => {
+    if (seen.has(test.testName)) return;
+
+    test.aliases.some(alias => {
+      const pattern = new RegExp(
+        `\\b${escapeRegex(alias).replace(/\s+/g, '\\s+')}\\b(?:\\s+(?:level|levels|reading|test|result))?(?:\\s+(?:is|was|came|at|of|=|:))*\\s*(?:out\\s+)?(\\d+(?:\\.\\d+)?)\\s*(%|mg\\/dl|g\\/dl|ng\\/ml|pg\\/ml|miu\\/l|uiu\\/ml|mmol\\/l)?`,
+        'i'
+      );
+      const match = pattern.exec(rawText);
+      if (!match) return false;
+
+      const resultValue = toNumber(match[1]);
+      const unit = match[2] || test.unit;
+      seen.add(test.testName);
+      tests.push({
+        testName: test.testName,
+        result: `${resultValue} ${unit}`,
+        resultValue,
+        unit,
+        referenceRange: { ...test.referenceRange, unit: test.unit },
+        sourceSpans: [spanOf(match)]
+      });
+      return true;
+    });
+  });
+
+  // "Fasting Blood Sugar" and "Blood Sugar" share aliases; keep the more specific one
+  if (seen.has('Fasting Blood Sugar')) {
+    return tests.filter(test => test.testName !== 'Blood Sugar');
+  }
+
+  return tests;
+};
+
+// Parse a journal entry into the Journal.parsedData shape.
+// Options: defaultTime - slot for items with no time of day mentioned,
+// otherwise taken from `date` as a time of day in `timeZone`
+const parseJournal = (rawText, options = {}) => {
+  // Not trimmed, spans must index the text exactly as stored
+  const text = rawText || '';
+  const defaultTime = options.defaultTime ||
+    (options.date ? slotForDate(new Date(options.date), options.timeZone) : 'noon');
+
+  const segments = splitSegments(text).map(segment => ({
+    ...segment,
+    slot: segment.slot || defaultTime
+  }));
+
+  const parsedData = {
+    meals: extractMeals(segments),
+    medicines: extractMedicines(segments),
+    tests: extractTests(text),
+    notes: ''
+  };
+
+  const bodyStats = extractBodyStats(text);
+  if (bodyStats) {
+    parsedData.bodyStats = bodyStats;
+  }
+
+  return parsedData;
+};
+
+module.exports = {
+  parseJournal,
+  wordPattern,
+  canonicalFoodName,
+  TIME_SLOT_KEYWORDS,
+  MOOD_WORDS,
+  ENERGY_WORDS
+};
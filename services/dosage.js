@@ -0,0 +1,169 @@
+// Parse free-text medicine dosages ("500mg", "2 tablets", "5 ml of 250mg/5ml",
+// "2 puffs") into { amount, unit, form, strength }: how many units make one
+// dose, what form the medicine comes in, and how much active ingredient one
+// tablet, capsule or `per` ml holds.
+
+const DOSAGE_FORMS = ['tablet', 'capsule', 'syrup', 'injection', 'inhaler', 'drops', 'cream', 'sachet', 'other'];
+const DOSE_UNITS = ['tablet', 'capsule', 'ml', 'puff', 'drop', 'sachet', 'injection', 'application', 'dose'];
+const STRENGTH_UNITS = ['mg', 'mcg', 'g', 'iu'];
+
+// Normalized dose unit -> spellings
+const UNIT_ALIASES = {
+  tablet: ['tablet', 'tablets', 'tab', 'tabs', 'pill', 'pills'],
+  capsule: ['capsule', 'capsules', 'cap', 'caps'],
+  ml: ['ml', 'millilitre', 'millilitres', 'milliliter', 'milliliters', 'cc'],
+  puff: ['puff', 'puffs', 'spray', 'sprays'],
+  drop: ['drop', 'drops'],
+  sachet: ['sachet', 'sachets'],
+  injection: ['injection', 'injections', 'shot', 'shots', 'jab', 'jabs'],
+  application: ['application', 'applications'],
+  dose: ['dose', 'doses']
+};
+
+// Form implied by a dose unit, or by a word in the dosage
+const UNIT_FORMS = {
+  tablet: 'tablet',
+  capsule: 'capsule',
+  ml: 'syrup',
+  puff: 'inhaler',
+  drop: 'drops',
+  sachet: 'sachet',
+  injection: 'injection',
+  application: 'cream'
+};
+
+const FORM_WORDS = {
+  tablet: ['tablet', 'tab', 'tabs', 'pill'],
+  capsule: ['capsule', 'cap', 'caps'],
+  syrup: ['syrup', 'suspension', 'liquid', 'solution'],
+  injection: ['injection', 'inj', 'pen', 'vial'],
+  inhaler: ['inhaler', 'puff', 'puffs', 'spray', 'rotacap'],
+  cream: ['cream', 'ointment', 'gel', 'lotion']
+};
+
+// Strength spellings -> normalized unit, and mass units in milligrams
+const STRENGTH_ALIASES = { mg: 'mg', mcg: 'mcg', 'µg': 'mcg', ug: 'mcg', g: 'g', gm: 'g', iu: 'iu', unit: 'iu', units: 'iu' };
+const MILLIGRAMS = { mg: 1, mcg: 0.001, g: 1000 };
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, half: 0.5, quarter: 0.25 };
+
+const UNIT_LOOKUP = Object.fromEntries(
+  Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map(alias => [alias, unit]))
+);
+
+const AMOUNT = '(\\d*½|\\d+\\/\\d+|\\d+(?:\\.\\d+)?|a|an|one|two|three|four|five|half|quarter)';
+const COUNT_PATTERN = new RegExp(`(?:^|[^a-z0-9.])${AMOUNT}\\s*(${Object.keys(UNIT_LOOKUP).join('|')})\\b`);
+// "2 x 500mg" is two of the strength
+const TIMES_PATTERN = /(\d+(?:\.\d+)?)\s*[x×*]\s*\d/;
+const STRENGTH_PATTERN = /(\d+(?:\.\d+)?)\s*(mg|mcg|µg|ug|gm|g|iu|units?)(?![a-z])(?:\s*\/\s*(\d+(?:\.\d+)?)?\s*ml\b)?/;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const parseAmount = (token) => {
+  if (NUMBER_WORDS[token] !== undefined) return NUMBER_WORDS[token];
+  const half = /^(\d*)½$/.exec(token);
+  if (half) return parseInt(half[1] || '0') + 0.5;
+  const fraction = /^(\d+)\/(\d+)$/.exec(token);
+  return fraction ? parseInt(fraction[1]) / parseInt(fraction[2]) : parseFloat(token);
+};
+
+const formFromText = (text) => Object.keys(FORM_WORDS).find(form =>
+  FORM_WORDS[form].some(word => new RegExp(`\\b${word}\\b`).test(text))
+);
+
+// Parse a dosage into { amount, unit, form, strength: { value, unit, per } }.
+// A strength on its own ("500mg") is one dose; `form` fills in the form when
+// the text does not show it. Returns null when neither an amount nor a
+// strength can be found ("as directed").
+const parseDosage = (text, { form } = {}) => {
+  const value = String(text || '').trim().toLowerCase();
+  if (!value) return null;
+
+  const strengthMatch = STRENGTH_PATTERN.exec(value);
+  // Leave the strength out when looking for the count, so "250mg/5ml" is not read as 5 ml
+  const rest = strengthMatch ? value.replace(strengthMatch[0], ' ') : value;
+  const countMatch = COUNT_PATTERN.exec(rest);
+  if (!strengthMatch && !countMatch) return null;
+
+  // Without a count, one dose is one unit of the form ("650 mg tab")
+  const textForm = formFromText(value);
+  const formUnit = Object.keys(UNIT_FORMS).find(key => UNIT_FORMS[key] === (textForm || form));
+  const unit = countMatch ? UNIT_LOOKUP[countMatch[2]] : (formUnit && formUnit !== 'ml' ? formUnit : 'dose');
+  const times = !countMatch && TIMES_PATTERN.exec(value);
+  const details = {
+    amount: round(countMatch ? parseAmount(countMatch[1]) : times ? parseFloat(times[1]) : 1),
+    unit
+  };
+
+  const detectedForm = textForm || UNIT_FORMS[unit] || form;
+  if (detectedForm) details.form = detectedForm;
+
+  if (strengthMatch) {
+    details.strength = {
+      value: parseFloat(strengthMatch[1]),
+      unit: STRENGTH_ALIASES[strengthMatch[2]]
+    };
+    if (strengthMatch[3] || /\/\s*ml/.test(strengthMatch[0])) {
+      details.strength.per = strengthMatch[3] ? parseFloat(strengthMatch[3]) : 1;
+    }
+  }
+
+  return details.amount > 0 ? details : null;
+};
+
+// Active ingredient in one dose as { value, unit }, in milligrams for
+// masses and IU otherwise; undefined without a strength. Liquids with a
+// strength per ml scale by the dose's volume; other strengths are per unit.
+const doseStrength = (details) => {
+  if (!details || !details.strength || !details.strength.value) return undefined;
+  const { value, unit, per } = details.strength;
+
+  const amount = details.amount || 1;
+  const units = details.unit === 'ml' ? (per ? amount / per : 1) : amount;
+
+  return MILLIGRAMS[unit] !== undefined
+    ? { value: round(value * MILLIGRAMS[unit] * units), unit: 'mg' }
+    : { value: round(value * units), unit };
+};
+
+// Details of a dosage that may leave things out (a schedule's "2 tablets"),
+// filled in from the medicine's own details, e.g. its strength
+const resolveDosage = (text, fallback) => {
+  const parsed = text ? parseDosage(text, { form: fallback && fallback.form }) : null;
+  if (!parsed) return fallback || null;
+  if (!fallback) return parsed;
+
+  return {
+    ...parsed,
+    form: parsed.form || fallback.form,
+    strength: parsed.strength || fallback.strength
+  };
+};
+
+const plural = (amount, unit) => (amount <= 1 || unit === 'ml' ? unit : `${unit}s`);
+
+// Readable dosage for structured details, e.g. "2 tablets (500 mg)"
+const formatDosage = (details) => {
+  if (!details) return undefined;
+  const parts = [];
+  if (details.amount !== undefined && details.unit && !(details.unit === 'dose' && details.strength)) {
+    parts.push(`${details.amount} ${plural(details.amount, details.unit)}`);
+  }
+  if (details.strength) {
+    const { value, unit, per } = details.strength;
+    const strength = `${value} ${unit === 'iu' ? 'IU' : unit}${per ? `/${per === 1 ? '' : per}ml` : ''}`;
+    if (parts.length > 0) parts.push(`(${strength})`);
+    else parts.push(details.amount && details.amount !== 1 ? `${details.amount} x ${strength}` : strength);
+  }
+  return parts.join(' ') || undefined;
+};
+
+module.exports = {
+  DOSAGE_FORMS,
+  DOSE_UNITS,
+  STRENGTH_UNITS,
+  parseDosage,
+  resolveDosage,
+  doseStrength,
+  formatDosage
+};
@@ -0,0 +1,150 @@
+// Fasting and eating-window analytics over a user's meals. Each meal is
+// placed at the most precise time known for it, and fasts are the gaps
+// between consecutive meals, so both 16:8-style overnight fasts and Ramadan
+// daytime fasts (sehri to iftar) show up as the longest fast of a day.
+
+const {
+  SLOT_TIMES,
+  zonedParts,
+  zonedDateTime,
+  slotForDate,
+  storedDay,
+  shiftDay,
+  weekStart,
+  DEFAULT_TIMEZONE
+} = require('./timeOfDay');
+
+const DEFAULT_FASTING_TARGET_HOURS = 16;
+
+const HOUR = 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Dates sent as a bare "YYYY-MM-DD" are stored as UTC midnight
+const isDateOnly = (date) => date.getTime() % 86400000 === 0;
+
+const mealDay = (meal, timeZone) => storedDay(meal.date, timeZone);
+
+// When a meal was eaten and how that is known: its exact time, the time part
+// of its date, when it was logged, or the middle of its slot. The date and
+// logging times are only trusted when they fall on the meal's day and slot,
+// since meals are often logged later or come from a journal entry.
+const mealTime = (meal, timeZone = DEFAULT_TIMEZONE) => {
+  if (meal.eatenAt) return { at: new Date(meal.eatenAt), source: 'exact' };
+
+  const day = mealDay(meal, timeZone);
+  const candidates = [
+    { at: isDateOnly(new Date(meal.date)) ? null : new Date(meal.date), source: 'date' },
+    { at: meal.createdAt ? new Date(meal.createdAt) : null, source: 'logged' }
+  ];
+  const match = candidates.find(({ at }) =>
+    at && zonedParts(at, timeZone).day === day && slotForDate(at, timeZone) === meal.time
+  );
+  if (match) return match;
+
+  return { at: zonedDateTime(day, SLOT_TIMES[meal.time] || SLOT_TIMES.noon, timeZone), source: 'slot' };
+};
+
+const previousDay = (day) => shiftDay(day, -1);
+
+// Per-day eating windows and fasts, streaks of days meeting the fasting
+// target and weekly averages. Days are calendar days in the user's timezone;
+// a day's fasts are those ending on it, so `meals` should include the day
+// before `fromDay`, which is only used for the fast into the first day.
+const analyzeFasting = (meals, { timeZone = DEFAULT_TIMEZONE, targetHours = DEFAULT_FASTING_TARGET_HOURS, fromDay, toDay } = {}) => {
+  const eatingTimes = meals
+    .map(meal => ({ ...mealTime(meal, timeZone), day: mealDay(meal, timeZone) }))
+    .sort((a, b) => a.at - b.at);
+
+  const byDay = {};
+  eatingTimes.forEach((entry, index) => {
+    (byDay[entry.day] = byDay[entry.day] || []).push({ ...entry, previous: eatingTimes[index - 1] });
+  });
+
+  const days = Object.keys(byDay)
+    .sort()
+    .filter(day => (!fromDay || day >= fromDay) && (!toDay || day <= toDay))
+    .map(day => {
+      const entries = byDay[day];
+      const first = entries[0];
+      const last = entries[entries.length - 1];
+
+      // Fasts ending today, counted only when the meal before was the day before or today
+      const fasts = entries
+        .filter(entry => entry.previous && [day, previousDay(day)].includes(entry.previous.day))
+        .map(entry => (entry.at - entry.previous.at) / HOUR);
+      const overnight = first.previous && first.previous.day === previousDay(day)
+        ? (first.at - first.previous.at) / HOUR
+        : null;
+      const longestFast = fasts.length > 0 ? Math.max(...fasts) : null;
+
+      return {
+        date: day,
+        mealCount: entries.length,
+        firstMealAt: first.at,
+        lastMealAt: last.at,
+        eatingWindowHours: round((last.at - first.at) / HOUR),
+        overnightFastHours: overnight !== null ? round(overnight) : null,
+        longestFastHours: longestFast !== null ? round(longestFast) : null,
+        metTarget: longestFast !== null ? longestFast >= targetHours : null,
+        estimated: entries.some(entry => entry.source === 'slot')
+      };
+    });
+
+  // Streaks run over consecutive calendar days; a day without meals or
+  // without a known fast ends the streak
+  let longestStreak = 0;
+  let streak = 0;
+  let previous = null;
+  days.forEach(day => {
+    const consecutive = previous && previousDay(day.date) === previous;
+    streak = day.metTarget ? (consecutive ? streak + 1 : 1) : 0;
+    longestStreak = Math.max(longestStreak, streak);
+    previous = day.date;
+  });
+  const lastDay = days[days.length - 1];
+  const currentStreak = lastDay && lastDay.metTarget ? streak : 0;
+
+  const byWeek = {};
+  days.forEach(day => {
+    (byWeek[weekStart(day.date)] = byWeek[weekStart(day.date)] || []).push(day);
+  });
+
+  const average = (values) => (values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+  const weekly = Object.keys(byWeek).sort().map(week => {
+    const weekDays = byWeek[week];
+    const fastDays = weekDays.filter(day => day.longestFastHours !== null);
+    return {
+      weekStart: week,
+      daysTracked: weekDays.length,
+      averageEatingWindowHours: average(weekDays.map(day => day.eatingWindowHours)),
+      averageLongestFastHours: average(fastDays.map(day => day.longestFastHours)),
+      daysMetTarget: weekDays.filter(day => day.metTarget).length
+    };
+  });
+
+  const fastDays = days.filter(day => day.longestFastHours !== null);
+
+  return {
+    targetHours,
+    timeZone,
+    summary: {
+      daysTracked: days.length,
+      daysMetTarget: days.filter(day => day.metTarget).length,
+      averageEatingWindowHours: average(days.map(day => day.eatingWindowHours)),
+      averageLongestFastHours: average(fastDays.map(day => day.longestFastHours)),
+      longestFastHours: fastDays.length > 0 ? Math.max(...fastDays.map(day => day.longestFastHours)) : null,
+      currentStreak,
+      longestStreak
+    },
+    daily: days,
+    weekly
+  };
+};
+
+module.exports = {
+  DEFAULT_FASTING_TARGET_HOURS,
+  mealTime,
+  analyzeFasting
+};
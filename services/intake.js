@@ -0,0 +1,96 @@
+// Amount of active ingredient a user is scheduled to take and has taken on a
+// day, from each medicine's structured dosage (services/dosage.js). Masses
+// are totalled in milligrams and IU doses in IU; medicines whose dosage has
+// no strength cannot be totalled and are listed apart.
+
+const { DEFAULT_TIMEZONE, storedDay } = require('./timeOfDay');
+const { isAsNeeded, expectedDoses } = require('./medicationSchedule');
+const { resolveDosage, doseStrength } = require('./dosage');
+const { findDrug } = require('./interactions');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Strength of one dose, using the medicine's own details unless the dose has
+// a dosage of its own (a schedule or taper override)
+const strengthOf = (medicine, dosage) => doseStrength(
+  !dosage || dosage === medicine.dosage
+    ? medicine.dosageDetails
+    : resolveDosage(dosage, medicine.dosageDetails)
+);
+
+const medicineIntake = (medicine, day, timeZone) => {
+  const doses = isAsNeeded(medicine) ? [] : expectedDoses(medicine, day, timeZone);
+  const base = strengthOf(medicine);
+
+  let unit = base && base.unit;
+  let scheduled = 0;
+  doses.forEach(dose => {
+    const strength = strengthOf(medicine, dose.dosage);
+    if (!strength) return;
+    unit = unit || strength.unit;
+    scheduled += strength.value;
+  });
+
+  let taken = 0;
+  let takenDoses = 0;
+  medicine.takenStatus
+    .filter(entry => entry.taken && storedDay(entry.date, timeZone) === day)
+    .forEach(entry => {
+      const dose = doses.find(expected => expected.slot === entry.time &&
+        (!entry.scheduledTime || !expected.scheduledTime || expected.scheduledTime === entry.scheduledTime));
+      const strength = strengthOf(medicine, dose && dose.dosage);
+      takenDoses += 1;
+      if (!strength) return;
+      unit = unit || strength.unit;
+      taken += strength.value * (entry.status === 'partial' && entry.portion ? entry.portion : 1);
+    });
+
+  return {
+    medicineId: medicine._id,
+    name: medicine.name,
+    dosage: medicine.dosage,
+    unit,
+    scheduled: unit ? round(scheduled) : undefined,
+    taken: unit ? round(taken) : undefined,
+    scheduledDoses: doses.length,
+    takenDoses
+  };
+};
+
+// Per-medicine totals for a day, and totals per active ingredient for
+// medicines with a single known ingredient, so e.g. paracetamol from two
+// brands adds up
+const dailyIntake = (medicines, day, timeZone = DEFAULT_TIMEZONE) => {
+  const perMedicine = medicines
+    .map(medicine => medicineIntake(medicine, day, timeZone))
+    .filter(intake => intake.scheduledDoses > 0 || intake.takenDoses > 0);
+
+  const byIngredient = {};
+  perMedicine.forEach(intake => {
+    const drug = intake.unit && findDrug(intake.name);
+    if (!drug || drug.ingredients.length !== 1) return;
+
+    const key = `${drug.ingredients[0]}|${intake.unit}`;
+    const total = (byIngredient[key] = byIngredient[key] || {
+      ingredient: drug.ingredients[0],
+      unit: intake.unit,
+      scheduled: 0,
+      taken: 0,
+      medicines: []
+    });
+    total.scheduled = round(total.scheduled + intake.scheduled);
+    total.taken = round(total.taken + intake.taken);
+    total.medicines.push(intake.name);
+  });
+
+  return {
+    date: day,
+    medicines: perMedicine.filter(intake => intake.unit),
+    byIngredient: Object.values(byIngredient),
+    withoutStrength: perMedicine.filter(intake => !intake.unit).map(intake => intake.name)
+  };
+};
+
+module.exports = {
+  dailyIntake
+};
@@ -0,0 +1,143 @@
+// Interaction checks for a user's medicines against the bundled table in
+// data/drugInteractions.js: drug–drug interactions, interactions with the
+// user's medical conditions, and the same active ingredient in more than one
+// medicine. Medicines the table does not know are only checked for
+// duplicates by name.
+
+const { drugs, interactions, conditions, conditionInteractions } = require('../data/drugInteractions');
+
+const SEVERITIES = ['minor', 'moderate', 'major', 'contraindicated'];
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether `name` is `term` or contains it as a whole word ("dolo 650" contains "dolo")
+const mentions = (name, term) => name === term ||
+  new RegExp(`(^|[^a-z0-9])${escapeRegExp(term)}([^a-z0-9]|$)`).test(name);
+
+// Find a drug by name, brand or alias, also inside longer names with a
+// strength or form ("Crocin 500mg"); the longest matching alias wins
+const findDrug = (name) => {
+  const normalized = normalizeName(name);
+  let best = null;
+  let bestLength = 0;
+  drugs.forEach(drug => {
+    [drug.name, ...drug.aliases].map(normalizeName).forEach(alias => {
+      if (alias.length > bestLength && mentions(normalized, alias)) {
+        best = drug;
+        bestLength = alias.length;
+      }
+    });
+  });
+  return best;
+};
+
+// Find a condition from the table in a user's free-text condition
+const findCondition = (userCondition) => {
+  const normalized = normalizeName(userCondition);
+  return conditions.find(condition =>
+    [condition.name, ...condition.aliases].some(alias => mentions(normalized, alias))
+  ) || null;
+};
+
+// Active ingredients and classes of a medicine; unknown medicines are their own ingredient
+const describe = (medicine) => {
+  const drug = findDrug(medicine.name);
+  return {
+    medicineId: medicine._id,
+    name: medicine.name,
+    recognized: Boolean(drug),
+    ingredients: drug ? drug.ingredients : [normalizeName(medicine.name)],
+    classes: drug ? drug.classes : []
+  };
+};
+
+const termsOf = (described) => [...described.ingredients, ...described.classes];
+
+const label = ({ medicineId, name }) => ({ medicineId, name });
+
+const bySeverity = (a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity);
+
+// Interactions between two medicines, one per distinct description
+const pairInteractions = (a, b) => {
+  const termsA = termsOf(a);
+  const termsB = termsOf(b);
+  // Two medicines sharing an ingredient are reported as duplicates instead of as a same-class interaction
+  const sharesIngredient = a.ingredients.some(ingredient => b.ingredients.includes(ingredient));
+
+  const found = [];
+  interactions.forEach(({ between: [x, y], severity, description }) => {
+    if (x === y && sharesIngredient) return;
+    const matches = (termsA.includes(x) && termsB.includes(y)) || (termsA.includes(y) && termsB.includes(x));
+    if (matches && !found.some(item => item.description === description)) {
+      found.push({ severity, medicines: [label(a), label(b)], between: [x, y], description });
+    }
+  });
+  return found;
+};
+
+const conditionWarnings = (medicine, userConditions) => {
+  const terms = termsOf(medicine);
+  const warnings = [];
+  userConditions.forEach(userCondition => {
+    const condition = findCondition(userCondition);
+    if (!condition) return;
+    conditionInteractions
+      .filter(rule => rule.condition === condition.name && terms.includes(rule.drug))
+      .forEach(({ drug, severity, description }) => warnings.push({
+        severity,
+        medicine: label(medicine),
+        condition: userCondition,
+        between: [drug, condition.name],
+        description
+      }));
+  });
+  return warnings;
+};
+
+// Check a list of medicines ({ _id, name }) against each other and the
+// user's conditions. With `candidate`, only what involves the candidate is
+// reported, e.g. for a medicine about to be added. Returns interactions and
+// condition warnings most severe first, duplicate active ingredients, and
+// the names the table did not recognize.
+const checkInteractions = (medicines, { conditions: userConditions = [], candidate } = {}) => {
+  const existing = medicines.map(describe);
+  const checked = candidate ? [describe(candidate)] : existing;
+
+  const found = [];
+  checked.forEach((medicine, index) => {
+    const others = candidate ? existing : existing.slice(index + 1);
+    others.forEach(other => found.push(...pairInteractions(medicine, other)));
+  });
+
+  const warnings = [];
+  checked.forEach(medicine => warnings.push(...conditionWarnings(medicine, userConditions)));
+
+  // Ingredients found in more than one medicine
+  const all = candidate ? [...checked, ...existing] : existing;
+  const duplicates = [];
+  checked.forEach(medicine => medicine.ingredients.forEach(ingredient => {
+    if (duplicates.some(duplicate => duplicate.ingredient === ingredient)) return;
+    const containing = all.filter(other => other.ingredients.includes(ingredient));
+    if (containing.length > 1) duplicates.push({ ingredient, medicines: containing.map(label) });
+  }));
+
+  return {
+    interactions: found.sort(bySeverity),
+    conditionWarnings: warnings.sort(bySeverity),
+    duplicates,
+    unrecognized: checked.filter(medicine => !medicine.recognized).map(medicine => medicine.name)
+  };
+};
+
+// Whether a check found anything to warn about
+const hasWarnings = (result) =>
+  result.interactions.length > 0 || result.conditionWarnings.length > 0 || result.duplicates.length > 0;
+
+module.exports = {
+  SEVERITIES,
+  findDrug,
+  checkInteractions,
+  hasWarnings
+};
@@ -0,0 +1,66 @@
+// Medicine supply forecasting. Scheduled medicines are projected dose by dose
+// through their schedule (services/medicationSchedule.js); as-needed ones by
+// their average use over the last few weeks.
+
+const { DEFAULT_TIMEZONE, zonedParts, storedDay, shiftDay } = require('./timeOfDay');
+const { isAsNeeded, expectedDoses, doseDate } = require('./medicationSchedule');
+
+// How far ahead a schedule is followed before giving up on a run-out date
+const FORECAST_DAYS = 365;
+
+// Days of history used to estimate as-needed use
+const USAGE_DAYS = 30;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Projected supply of a medicine whose stock is tracked, or null. `runOutDate`
+// is the first day a due dose cannot be covered, and null when the stock lasts
+// past the end of the course or the forecast.
+const forecastSupply = (medicine, { timeZone = DEFAULT_TIMEZONE, now = new Date() } = {}) => {
+  const { stock, packSize, unit } = medicine.inventory || {};
+  if (typeof stock !== 'number') return null;
+
+  const perDose = medicine.stockPerDose();
+  const today = zonedParts(now, timeZone).day;
+  const supply = { stock, unit, packSize, unitsPerDose: perDose };
+
+  if (isAsNeeded(medicine)) {
+    const since = shiftDay(today, -USAGE_DAYS);
+    const used = medicine.takenStatus
+      .filter(entry => entry.taken && storedDay(entry.date, timeZone) > since)
+      .reduce((sum, entry) => sum + (entry.unitsTaken || perDose), 0);
+    const dailyUse = used / USAGE_DAYS;
+    const daysLeft = dailyUse > 0 ? Math.floor(stock / dailyUse) : null;
+
+    return {
+      ...supply,
+      dailyUse: round(dailyUse),
+      daysLeft,
+      runOutDate: daysLeft !== null ? shiftDay(today, daysLeft) : null
+    };
+  }
+
+  // Take each dose still to come out of the stock, starting with today's
+  // doses that have not been recorded yet
+  let remaining = stock;
+  let dosesLeft = 0;
+  for (let offset = 0; offset <= FORECAST_DAYS; offset++) {
+    const day = shiftDay(today, offset);
+    const doses = expectedDoses(medicine, day, timeZone)
+      .filter(dose => offset > 0 || !medicine.doseStatusFor(doseDate(day), dose.slot, dose.scheduledTime, timeZone));
+
+    const needed = doses.length * perDose;
+    if (remaining < needed) {
+      dosesLeft += Math.floor(remaining / perDose);
+      return { ...supply, dosesLeft, daysLeft: offset, runOutDate: day };
+    }
+    remaining -= needed;
+    dosesLeft += doses.length;
+  }
+
+  return { ...supply, dosesLeft, daysLeft: null, runOutDate: null };
+};
+
+module.exports = {
+  forecastSupply
+};
@@ -0,0 +1,140 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS) || 30000;
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 5 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+
+const workerId = `${os.hostname()}:${process.pid}`;
+const handlers = {};
+let pollTimer = null;
+let isPolling = false;
+
+// Handlers receive (job, { isFinalAttempt }) and throw to request a retry
+const registerJobHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+const enqueueJob = (type, payload = {}, options = {}) => Job.create({
+  type,
+  payload,
+  userId: options.userId,
+  journalId: options.journalId,
+  maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+  runAt: options.runAt || new Date()
+});
+
+// Exponential backoff: base, 2x base, 4x base, ...
+const retryDelay = (attempts) => RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0);
+
+// Atomically lock the next due job. Running jobs whose lock is older than
+// LOCK_TIMEOUT_MS belonged to a worker that died and are picked up again.
+const claimNextJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+// Cancel queued and running jobs matching `filter`. A running job finishes
+// its current attempt, but its result is not recorded and it is not retried.
+const cancelJobs = (filter) => Job.updateMany(
+  { ...filter, status: { $in: ['queued', 'running'] } },
+  {
+    $set: { status: 'cancelled', completedAt: new Date() },
+    $unset: { lockedAt: 1, lockedBy: 1 }
+  }
+);
+
+const runJob = async (job) => {
+  const isFinalAttempt = job.attempts >= job.maxAttempts;
+  // Only this claim of the job may record its outcome; it may have been
+  // cancelled, or reclaimed after its lock timed out, in the meantime
+  const claim = { _id: job._id, status: 'running', lockedAt: job.lockedAt };
+
+  try {
+    const result = await handlers[job.type](job, { isFinalAttempt });
+    await Job.updateOne(claim, {
+      $set: { status: 'completed', result, completedAt: new Date(), lastError: null },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    });
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) attempt ${job.attempts} failed:`, error.message);
+    await Job.updateOne(claim, {
+      $set: isFinalAttempt
+        ? { status: 'failed', lastError: error.message, completedAt: new Date() }
+        : { status: 'queued', lastError: error.message, runAt: new Date(Date.now() + retryDelay(job.attempts)) },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    });
+  }
+};
+
+// Claim and run one due job. Returns the job, or null when none is due.
+const runNextJob = async () => {
+  const job = await claimNextJob();
+  if (job) {
+    await runJob(job);
+  }
+  return job;
+};
+
+// Run up to `limit` due jobs, e.g. from a scheduled serverless invocation
+const runDueJobs = async (limit = 5) => {
+  let processed = 0;
+  while (processed < limit && await runNextJob()) {
+    processed++;
+  }
+  return processed;
+};
+
+// Poll for jobs in long-running processes (server.js)
+const startWorker = ({ pollInterval = POLL_INTERVAL_MS } = {}) => {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(async () => {
+    if (isPolling) return;
+    isPolling = true;
+    try {
+      while (await runNextJob()) {
+        // Drain every due job before waiting for the next poll
+      }
+    } catch (error) {
+      console.error('Job worker error:', error.message);
+    } finally {
+      isPolling = false;
+    }
+  }, pollInterval);
+
+  console.log(`Job worker ${workerId} started`);
+};
+
+const stopWorker = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+const isWorkerRunning = () => pollTimer !== null;
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  cancelJobs,
+  runNextJob,
+  runDueJobs,
+  startWorker,
+  stopWorker,
+  isWorkerRunning,
+  retryDelay
+};
@@ -0,0 +1,142 @@
+const Journal = require('../models/Journal');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { parseJournalText } = require('./ai/journalParser');
+const { reconcileParsedData } = require('./journalRecords');
+const { registerJobHandler, enqueueJob, cancelJobs } = require('./jobQueue');
+
+const PARSE_JOURNAL_JOB = 'parse-journal';
+const PROCESSING_TIMEOUT_MS = parseInt(process.env.JOURNAL_PROCESSING_TIMEOUT_MS) || 5 * 60 * 1000;
+
+// Run extraction for a journal entry. Entries that went through review (or
+// when `draft` is set) get a fresh draft to review; all others have their
+// derived records reconciled with the new result. Errors are rethrown and the
+// caller decides whether the journal has failed or will be retried.
+const processJournal = async (journal, { draft, fallbackOnError } = {}) => {
+  await Journal.findByIdAndUpdate(journal._id, {
+    processingStatus: 'processing',
+    processingError: null
+  });
+
+  const user = await User.findById(journal.userId).select('timezone');
+  const { parsedData, validationErrors, aiResponse, parser } = await parseJournalText(journal.rawText, {
+    date: journal.date,
+    timeZone: user ? user.timezone : undefined,
+    fallbackOnError
+  });
+
+  const processedUpdate = {
+    parsedData,
+    isProcessed: true,
+    processingStatus: 'completed',
+    processingError: null,
+    aiResponse,
+    parser,
+    validationErrors
+  };
+
+  if (draft || journal.reviewStatus !== 'none') {
+    const stagedJournal = await Journal.findByIdAndUpdate(
+      journal._id,
+      { ...processedUpdate, reviewStatus: 'pending', reviewedAt: null },
+      { new: true }
+    );
+
+    return {
+      journalId: journal._id,
+      parsedData: stagedJournal.parsedData,
+      parser,
+      validationErrors,
+      reviewStatus: stagedJournal.reviewStatus
+    };
+  }
+
+  const changes = await reconcileParsedData(journal, parsedData, {
+    journalUpdate: processedUpdate
+  });
+
+  return {
+    journalId: journal._id,
+    parsedData,
+    parser,
+    validationErrors,
+    changes
+  };
+};
+
+const markProcessingFailed = (journalId, error) => Journal.findByIdAndUpdate(journalId, {
+  processingStatus: 'failed',
+  processingError: error.message || 'AI processing failed'
+});
+
+// A journal left 'processing' for longer than PROCESSING_TIMEOUT_MS was
+// abandoned, e.g. by a request that was killed mid-parse, and may be run again
+const isProcessingStale = (journal, now = new Date()) => journal.processingStatus === 'processing' &&
+  now - journal.updatedAt > PROCESSING_TIMEOUT_MS;
+
+// Queue a journal entry for background processing. Returns the queued
+// journal, with its pending status, and the job.
+const enqueueJournalProcessing = async (journal, { draft } = {}) => {
+  const queuedJournal = await Journal.findByIdAndUpdate(journal._id, {
+    processingStatus: 'pending',
+    processingError: null
+  }, { new: true });
+
+  const job = await enqueueJob(PARSE_JOURNAL_JOB, { draft: Boolean(draft) }, {
+    userId: journal.userId,
+    journalId: journal._id
+  });
+
+  return { journal: queuedJournal, job };
+};
+
+// Stop processing a deleted journal entry
+const cancelJournalProcessing = (journalId) => cancelJobs({ type: PARSE_JOURNAL_JOB, journalId });
+
+// Most recent processing job for a journal, if it was ever queued
+const findLatestJournalJob = (journalId) => Job.findOne({
+  type: PARSE_JOURNAL_JOB,
+  journalId
+}).sort({ createdAt: -1 });
+
+// Only the final attempt may fall back to the rule-based parser; earlier
+// attempts fail so the LLM is retried with backoff first
+const handleParseJournalJob = async (job, { isFinalAttempt }) => {
+  const journal = await Journal.findById(job.journalId);
+  if (!journal) {
+    return { skipped: 'Journal entry no longer exists' };
+  }
+
+  try {
+    const data = await processJournal(journal, {
+      draft: job.payload.draft,
+      fallbackOnError: isFinalAttempt
+    });
+    return { reviewStatus: data.reviewStatus, changes: data.changes };
+  } catch (error) {
+    // Deleted while being processed: its records were not committed
+    if (!await Journal.exists({ _id: journal._id })) {
+      return { skipped: 'Journal entry no longer exists' };
+    }
+    if (isFinalAttempt) {
+      await markProcessingFailed(journal._id, error);
+    } else {
+      await Journal.findByIdAndUpdate(journal._id, {
+        processingStatus: 'pending',
+        processingError: `Attempt ${job.attempts} failed, retrying: ${error.message}`
+      });
+    }
+    throw error;
+  }
+};
+
+registerJobHandler(PARSE_JOURNAL_JOB, handleParseJournalJob);
+
+module.exports = {
+  processJournal,
+  markProcessingFailed,
+  isProcessingStale,
+  enqueueJournalProcessing,
+  cancelJournalProcessing,
+  findLatestJournalJob
+};
@@ -0,0 +1,643 @@
+const mongoose = require('mongoose');
+const Journal = require('../models/Journal');
+const Meal = require('../models/Meal');
+const Medicine = require('../models/Medicine');
+const BodyStat = require('../models/BodyStat');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const { resolveFoodItems } = require('./nutrition');
+const { findMatchingMedicine } = require('./medicineMatching');
+const { findDose, doseDate } = require('./medicationSchedule');
+const { SLOT_TIMES, zonedParts, zonedDateTime, slotForDate } = require('./timeOfDay');
+
+const DERIVED_MODELS = {
+  meals: Meal,
+  medicines: Medicine,
+  bodyStats: BodyStat,
+  tests: Test
+};
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+// Keep only the staged items the user accepted. `items` holds the _ids of the
+// accepted meals, medicines and tests plus a bodyStats flag; omitting a key
+// rejects everything of that kind.
+const selectParsedItems = (parsedData, items) => {
+  const data = toPlain(parsedData) || {};
+  const pick = (list, ids) => {
+    const accepted = (ids || []).map(String);
+    return (list || []).filter(item => accepted.includes(String(item._id)));
+  };
+
+  return {
+    meals: pick(data.meals, items.meals),
+    medicines: pick(data.medicines, items.medicines),
+    tests: pick(data.tests, items.tests),
+    bodyStats: items.bodyStats ? data.bodyStats : undefined,
+    notes: data.notes
+  };
+};
+
+const hasBodyStats = (bodyStats) => {
+  if (!bodyStats) return false;
+  return ['waterIntakeLiters', 'weightKg', 'sleepHours', 'steps', 'mood', 'energy']
+    .some(key => bodyStats[key] !== undefined && bodyStats[key] !== null);
+};
+
+// Number of records a parsed extraction would create
+const countParsedItems = (parsedData) => {
+  const data = toPlain(parsedData) || {};
+  return (data.meals?.length || 0) +
+    (data.medicines?.length || 0) +
+    (data.tests?.length || 0) +
+    (hasBodyStats(data.bodyStats) ? 1 : 0);
+};
+
+// Build the Meal, Medicine, BodyStat and Test documents derived from a
+// journal, plus the doses it records on medicines the user already has
+const buildDerivedDocuments = async (journal, parsedData) => {
+  const data = toPlain(parsedData) || {};
+  const userId = journal.userId;
+  const date = journal.date || new Date();
+  const source = {
+    isFromJournal: true,
+    journalEntryId: journal._id
+  };
+
+  const documents = { meals: [], medicines: [], bodyStats: [], tests: [], doses: [] };
+
+  // Meals from parsed data. Nutrition comes from the user's recipes or the
+  // food database; the parser's calorie guess for the whole meal only covers
+  // unknown foods.
+  for (const mealData of data.meals || []) {
+    const foodItems = await resolveFoodItems(
+      mealData.items.map(item => ({
+        name: item,
+        quantity: mealData.quantity || '1 serving'
+      })),
+      { estimatedCalories: mealData.calories, userId }
+    );
+
+    documents.meals.push({
+      userId,
+      date,
+      time: mealData.time,
+      foodItems,
+      notes: `Parsed from journal entry`,
+      sourceSpans: mealData.sourceSpans,
+      ...source
+    });
+  }
+
+  // Medicines from parsed data. A mention of an active medicine the user
+  // already has (not one derived from this journal) records a dose on it
+  // instead of adding the medicine again, and so does a later mention of a
+  // medicine this journal adds, on the document for its first mention.
+  const mentions = data.medicines || [];
+  const existingMedicines = mentions.length > 0
+    ? await Medicine.find({ userId, isActive: true, journalEntryId: { $ne: journal._id } })
+    : [];
+  mentions.forEach(medicineData => {
+    const match = findMatchingMedicine(existingMedicines, medicineData);
+    if (match) {
+      documents.doses.push({ medicineId: match._id, time: medicineData.time });
+      return;
+    }
+    const earlier = findMatchingMedicine(documents.medicines, medicineData);
+    if (earlier) {
+      documents.doses.push({ medicine: earlier, time: medicineData.time });
+      return;
+    }
+
+    documents.medicines.push({
+      userId,
+      name: medicineData.name,
+      dosage: medicineData.dosage,
+      dosageDetails: medicineData.dosageDetails,
+      time: medicineData.time,
+      startDate: date,
+      sourceSpans: medicineData.sourceSpans,
+      ...source
+    });
+  });
+
+  // Body stats from parsed data
+  if (hasBodyStats(data.bodyStats)) {
+    const bodyStatsData = { userId, date, sourceSpans: data.bodyStats.sourceSpans, ...source };
+
+    if (data.bodyStats.waterIntakeLiters) {
+      bodyStatsData.waterIntake = data.bodyStats.waterIntakeLiters;
+    }
+    if (data.bodyStats.weightKg) {
+      bodyStatsData.weight = data.bodyStats.weightKg;
+    }
+    if (data.bodyStats.sleepHours) {
+      bodyStatsData.sleepHours = data.bodyStats.sleepHours;
+    }
+    if (data.bodyStats.steps) {
+      bodyStatsData.steps = data.bodyStats.steps;
+    }
+    if (data.bodyStats.mood) {
+      bodyStatsData.mood = data.bodyStats.mood;
+    }
+    if (data.bodyStats.energy) {
+      bodyStatsData.energy = data.bodyStats.energy;
+    }
+
+    documents.bodyStats.push(bodyStatsData);
+  }
+
+  // Tests from parsed data
+  (data.tests || []).forEach(testData => {
+    documents.tests.push({
+      userId,
+      testName: testData.testName,
+      date,
+      result: testData.result,
+      resultValue: testData.resultValue,
+      unit: testData.unit,
+      referenceRange: testData.referenceRange,
+      sourceSpans: testData.sourceSpans,
+      ...source
+    });
+  });
+
+  return documents;
+};
+
+// Record the doses a journal mentions on the medicines they matched, as taken
+// at their scheduled time since journals don't say exactly when. The dose in
+// the mentioned slot is preferred, then the day's dose nearest to it; doses
+// already recorded some other way are left alone. Returns how many were recorded.
+const recordJournalDoses = async (journal, doses, session) => {
+  if (doses.length === 0) return 0;
+
+  const user = await User.findById(journal.userId).select('timezone').session(session);
+  const timeZone = user ? user.timezone : undefined;
+  const day = zonedParts(journal.date || new Date(), timeZone).day;
+
+  let recorded = 0;
+  for (const { medicineId, time } of doses) {
+    const medicine = await Medicine.findById(medicineId).session(session);
+    if (!medicine) continue;
+
+    // As-needed medicines, and days nothing is scheduled, use the mentioned
+    // slot, or the one the journal was written in
+    const dose = findDose(medicine, day, { slot: time }, timeZone) ||
+      findDose(medicine, day, { clock: SLOT_TIMES[time] }, timeZone) ||
+      { slot: time || slotForDate(journal.date || new Date(), timeZone) };
+    if (medicine.doseStatusFor(doseDate(day), dose.slot, dose.scheduledTime, timeZone)) continue;
+
+    medicine.$session(session);
+    await medicine.markAsTaken(
+      doseDate(day),
+      dose.slot,
+      zonedDateTime(day, dose.scheduledTime || SLOT_TIMES[dose.slot], timeZone),
+      dose.scheduledTime,
+      { journalEntryId: journal._id, timeZone }
+    );
+    recorded++;
+  }
+
+  return recorded;
+};
+
+// Remove the doses a journal recorded on medicines, putting their stock back.
+// Returns how many were removed.
+const removeJournalDoses = async (journalId, session) => {
+  const medicines = await Medicine.find({ 'takenStatus.journalEntryId': journalId }).session(session);
+  let removed = 0;
+  for (const medicine of medicines) {
+    medicine.$session(session);
+    removed += await medicine.undoJournalDoses(journalId);
+  }
+  return removed;
+};
+
+const countJournalDoses = async (journalId) => {
+  const medicines = await Medicine.find({ 'takenStatus.journalEntryId': journalId }).select('takenStatus');
+  return medicines.reduce((total, medicine) => total + medicine.takenStatus.filter(
+    entry => entry.journalEntryId && entry.journalEntryId.toString() === journalId.toString()
+  ).length, 0);
+};
+
+// Records a journal's derived data can touch: those derived from it and,
+// for medicines, those holding doses recorded from it
+const touchedBy = (kind, journalId) => (kind === 'medicines'
+  ? { $or: [{ journalEntryId: journalId }, { 'takenStatus.journalEntryId': journalId }] }
+  : { journalEntryId: journalId });
+
+const RECORDS_LOCK_MS = 5 * 60 * 1000;
+
+// Without transactions, only one update at a time may touch a journal's
+// records, or a rollback could overwrite the other's writes. The lock expires
+// after RECORDS_LOCK_MS in case its holder dies.
+const lockJournalRecords = async (journalId) => {
+  const now = new Date();
+  const result = await Journal.updateOne(
+    { _id: journalId, $or: [{ recordsLockedUntil: null }, { recordsLockedUntil: { $lte: now } }] },
+    { $set: { recordsLockedUntil: new Date(now.getTime() + RECORDS_LOCK_MS) } }
+  );
+  if (result.matchedCount > 0) return;
+
+  const error = new Error(await Journal.exists({ _id: journalId })
+    ? 'Records for this journal entry are being updated, try again shortly'
+    : 'Journal entry no longer exists');
+  error.statusCode = 409;
+  throw error;
+};
+
+const unlockJournalRecords = (journalId) =>
+  Journal.updateOne({ _id: journalId }, { $unset: { recordsLockedUntil: 1 } });
+
+// Multi-document transactions need a replica set or sharded cluster
+let transactionSupport = null;
+const supportsTransactions = async () => {
+  if (transactionSupport === null) {
+    try {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      transactionSupport = Boolean(hello.setName || hello.msg === 'isdbgrid');
+    } catch (error) {
+      transactionSupport = false;
+    }
+  }
+  return transactionSupport;
+};
+
+// Run `work(session)` all or nothing. Uses a transaction where available,
+// after `check(session)` confirms the work still applies. Standalone servers
+// have none, so the records matching `records` (a filter per kind of record)
+// are snapshotted first and, if the work fails, `rollback(snapshot)` undoes
+// what the snapshot cannot and the snapshot is put back in place.
+const runAtomically = async (work, { records = {}, check, rollback } = {}) => {
+  if (await supportsTransactions()) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (check) await check(session);
+        await work(session);
+      });
+    } finally {
+      await session.endSession();
+    }
+    return;
+  }
+
+  const previous = {};
+  for (const [kind, filter] of Object.entries(records)) {
+    previous[kind] = await DERIVED_MODELS[kind].find(filter).lean();
+  }
+
+  try {
+    await work(null);
+  } catch (error) {
+    console.error('Record update failed, rolling back:', error.message);
+    if (rollback) await rollback(previous);
+    for (const [kind, snapshot] of Object.entries(previous)) {
+      for (const record of snapshot) {
+        // Raw driver write keeps the original timestamps
+        await DERIVED_MODELS[kind].collection.replaceOne({ _id: record._id }, record, { upsert: true });
+      }
+    }
+    throw error;
+  }
+};
+
+// Run `work(session)` against a journal's derived records all or nothing.
+// Without transactions the journal's records are locked while it runs.
+const runOnJournalRecords = async (journal, work) => {
+  const records = {};
+  Object.keys(DERIVED_MODELS).forEach(kind => { records[kind] = touchedBy(kind, journal._id); });
+
+  const options = {
+    records,
+    // The journal may have been deleted since its records were built
+    check: async (session) => {
+      if (!await Journal.exists({ _id: journal._id }).session(session)) {
+        throw new Error('Journal entry no longer exists');
+      }
+    },
+    // Doses recorded on medicines outside the snapshot are undone, and
+    // records the failed work created are removed
+    rollback: async (previous) => {
+      await removeJournalDoses(journal._id, null);
+      for (const [kind, Model] of Object.entries(DERIVED_MODELS)) {
+        const ids = previous[kind].map(record => record._id);
+        await Model.deleteMany({ journalEntryId: journal._id, _id: { $nin: ids } });
+      }
+    }
+  };
+
+  if (await supportsTransactions()) return runAtomically(work, options);
+
+  await lockJournalRecords(journal._id);
+  try {
+    await runAtomically(work, options);
+  } finally {
+    await unlockJournalRecords(journal._id);
+  }
+};
+
+// How a new record is paired with an existing one, and which fields are
+// compared to decide whether the existing record needs updating
+const RECONCILE_RULES = {
+  meals: {
+    key: record => record.time,
+    fields: ['time', 'foodItems', 'sourceSpans']
+  },
+  medicines: {
+    key: record => record.name.trim().toLowerCase(),
+    fields: ['name', 'dosage', 'dosageDetails', 'time', 'sourceSpans']
+  },
+  bodyStats: {
+    key: () => 'bodyStats',
+    fields: ['waterIntake', 'weight', 'sleepHours', 'steps', 'mood', 'energy', 'sourceSpans']
+  },
+  tests: {
+    key: record => record.testName.trim().toLowerCase(),
+    fields: ['testName', 'result', 'resultValue', 'unit', 'referenceRange', 'sourceSpans']
+  }
+};
+
+const pickFields = (record, fields) => {
+  const picked = {};
+  fields.forEach(field => {
+    let value = record[field];
+    if (field === 'foodItems') {
+      value = (value || []).map(({ name, quantity, calories, protein, carbs, fat, fiber, sugar, sodium }) => (
+        { name, quantity, calories, protein, carbs, fat, fiber, sugar, sodium }
+      ));
+    } else if (field === 'referenceRange' && value) {
+      value = { min: value.min, max: value.max, unit: value.unit };
+    } else if (field === 'sourceSpans') {
+      value = (value || []).map(({ start, end, field: stat }) => ({ start, end, field: stat }));
+    }
+    picked[field] = value;
+  });
+  return picked;
+};
+
+const emptyCounts = () => ({ meals: 0, medicines: 0, bodyStats: 0, tests: 0 });
+
+// Bring the records linked to a journal in line with its derived documents:
+// unchanged records are left alone, changed ones are updated in place (so a
+// medicine keeps its taken status, stock and history), missing ones created
+// and stale ones removed. Doses recorded on existing medicines are recorded
+// afresh. Returns what changed.
+const syncDerivedRecords = async (journal, documents, session) => {
+  const changes = {
+    created: emptyCounts(),
+    updated: emptyCounts(),
+    removed: emptyCounts(),
+    unchanged: emptyCounts(),
+    doses: { removed: 0, recorded: 0 }
+  };
+  // Derived document -> the record it was saved as
+  const saved = new Map();
+
+  for (const [kind, Model] of Object.entries(DERIVED_MODELS)) {
+    const { key, fields } = RECONCILE_RULES[kind];
+    const remaining = await Model.find({ journalEntryId: journal._id }).session(session);
+
+    for (const document of documents[kind]) {
+      // Hydrate so defaults apply before comparing with stored records
+      const candidate = new Model(document);
+      const index = remaining.findIndex(record => key(record) === key(candidate));
+
+      if (index === -1) {
+        await candidate.save({ session });
+        saved.set(document, candidate);
+        changes.created[kind]++;
+        continue;
+      }
+
+      const [record] = remaining.splice(index, 1);
+      saved.set(document, record);
+      const wanted = pickFields(candidate.toObject(), fields);
+      if (JSON.stringify(pickFields(record.toObject(), fields)) === JSON.stringify(wanted)) {
+        changes.unchanged[kind]++;
+      } else {
+        record.set(wanted);
+        await record.save({ session });
+        changes.updated[kind]++;
+      }
+    }
+
+    for (const record of remaining) {
+      await Model.deleteOne({ _id: record._id }, { session });
+      changes.removed[kind]++;
+    }
+  }
+
+  changes.doses.removed = await removeJournalDoses(journal._id, session);
+  // Doses on a medicine this journal adds point at its document until it is saved
+  const doses = documents.doses.map(({ medicineId, medicine, time }) => (
+    { medicineId: medicineId || saved.get(medicine)._id, time }
+  ));
+  changes.doses.recorded = await recordJournalDoses(journal, doses, session);
+
+  return changes;
+};
+
+// Create the records derived from a journal, all or nothing. Records
+// previously derived from the same journal are updated in place, so running
+// this again for a journal never duplicates meals, medicines, body stats or
+// tests, nor loses what was recorded on them since. `journalUpdate` is
+// applied to the journal as part of the same unit of work.
+const materializeParsedData = async (journal, parsedData, { journalUpdate } = {}) => {
+  const documents = await buildDerivedDocuments(journal, parsedData);
+  let doses = 0;
+
+  await runOnJournalRecords(journal, async (session) => {
+    const changes = await syncDerivedRecords(journal, documents, session);
+    doses = changes.doses.recorded;
+    if (journalUpdate) {
+      await Journal.updateOne({ _id: journal._id }, journalUpdate, { session });
+    }
+  });
+
+  return {
+    meals: documents.meals.length,
+    medicines: documents.medicines.length,
+    bodyStats: documents.bodyStats.length,
+    tests: documents.tests.length,
+    doses
+  };
+};
+
+// Bring the records linked to a journal in line with a new extraction and
+// report what was created, updated, removed or left unchanged
+const reconcileParsedData = async (journal, parsedData, { journalUpdate } = {}) => {
+  const documents = await buildDerivedDocuments(journal, parsedData);
+  let changes;
+
+  await runOnJournalRecords(journal, async (session) => {
+    // Assigned on every attempt, transactions may retry this callback
+    changes = await syncDerivedRecords(journal, documents, session);
+    if (journalUpdate) {
+      await Journal.updateOne({ _id: journal._id }, journalUpdate, { session });
+    }
+  });
+
+  return changes;
+};
+
+// Number of records of each kind linked to a journal
+const countDerivedRecords = async (journalId) => {
+  const counts = emptyCounts();
+  for (const [kind, Model] of Object.entries(DERIVED_MODELS)) {
+    counts[kind] = await Model.countDocuments({ journalEntryId: journalId });
+  }
+  counts.doses = await countJournalDoses(journalId);
+  return counts;
+};
+
+// Records of each kind linked to a journal
+const findDerivedRecords = async (journalId) => {
+  const records = {};
+  for (const [kind, Model] of Object.entries(DERIVED_MODELS)) {
+    records[kind] = await Model.find({ journalEntryId: journalId }).sort({ createdAt: 1 }).lean();
+  }
+  return records;
+};
+
+// Delete a journal together with its derived records and the doses it
+// recorded ('cascade'), or keep them as standalone records with the link
+// removed ('detach'). Cascading still detaches a medicine holding doses
+// recorded some other way, since deleting it would lose their history;
+// `affected.keptMedicines` counts those.
+const deleteJournalWithRecords = async (journal, mode) => {
+  const affected = emptyCounts();
+
+  await runOnJournalRecords(journal, async (session) => {
+    if (mode === 'cascade') {
+      affected.doses = await removeJournalDoses(journal._id, session);
+    } else {
+      affected.doses = await countJournalDoses(journal._id);
+      await Medicine.updateMany(
+        { 'takenStatus.journalEntryId': journal._id },
+        { $unset: { 'takenStatus.$[entry].journalEntryId': 1 } },
+        { arrayFilters: [{ 'entry.journalEntryId': journal._id }], session }
+      );
+    }
+
+    if (mode === 'cascade') {
+      // This journal's doses are gone by now, so any left came from elsewhere
+      const kept = await Medicine.updateMany(
+        { journalEntryId: journal._id, 'takenStatus.0': { $exists: true } },
+        { $unset: { journalEntryId: 1 } },
+        { session }
+      );
+      affected.keptMedicines = kept.modifiedCount;
+    }
+
+    for (const [kind, Model] of Object.entries(DERIVED_MODELS)) {
+      const result = mode === 'cascade'
+        ? await Model.deleteMany({ journalEntryId: journal._id }, { session })
+        : await Model.updateMany(
+          { journalEntryId: journal._id },
+          { $unset: { journalEntryId: 1 } },
+          { session }
+        );
+      affected[kind] = result.deletedCount ?? result.modifiedCount;
+    }
+    await Journal.deleteOne({ _id: journal._id }, { session });
+  });
+
+  return affected;
+};
+
+// Records, and doses recorded on medicines, whose journalEntryId points at a
+// journal that no longer exists
+const findOrphanedRecords = async (userId) => {
+  const orphans = {};
+  const journalLookup = (localField) => ({
+    $lookup: {
+      from: Journal.collection.name,
+      localField,
+      foreignField: '_id',
+      as: 'journal'
+    }
+  });
+
+  for (const [kind, Model] of Object.entries(DERIVED_MODELS)) {
+    orphans[kind] = await Model.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId), journalEntryId: { $ne: null } } },
+      journalLookup('journalEntryId'),
+      { $match: { journal: { $size: 0 } } },
+      { $project: { _id: 1, journalEntryId: 1, date: 1, createdAt: 1 } }
+    ]);
+  }
+
+  orphans.doses = await Medicine.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), 'takenStatus.journalEntryId': { $ne: null } } },
+    { $unwind: '$takenStatus' },
+    { $match: { 'takenStatus.journalEntryId': { $ne: null } } },
+    journalLookup('takenStatus.journalEntryId'),
+    { $match: { journal: { $size: 0 } } },
+    {
+      $project: {
+        _id: '$takenStatus._id',
+        medicineId: '$_id',
+        journalEntryId: '$takenStatus.journalEntryId',
+        date: '$takenStatus.date',
+        time: '$takenStatus.time'
+      }
+    }
+  ]);
+
+  return orphans;
+};
+
+// Delete orphaned records or detach them from their missing journal
+const resolveOrphanedRecords = async (userId, action) => {
+  const orphans = await findOrphanedRecords(userId);
+  const resolved = emptyCounts();
+
+  for (const [kind, Model] of Object.entries(DERIVED_MODELS)) {
+    const ids = orphans[kind].map(record => record._id);
+    if (ids.length === 0) continue;
+
+    const result = action === 'delete'
+      ? await Model.deleteMany({ _id: { $in: ids } })
+      : await Model.updateMany({ _id: { $in: ids } }, { $unset: { journalEntryId: 1 } });
+    resolved[kind] = result.deletedCount ?? result.modifiedCount;
+  }
+
+  // Doses are removed through their medicine so its stock is put back
+  resolved.doses = 0;
+  const links = new Map();
+  orphans.doses.forEach(({ medicineId, journalEntryId }) => {
+    const key = `${medicineId}|${journalEntryId}`;
+    links.set(key, { medicineId, journalEntryId, count: (links.has(key) ? links.get(key).count : 0) + 1 });
+  });
+  for (const { medicineId, journalEntryId, count } of links.values()) {
+    if (action === 'delete') {
+      const medicine = await Medicine.findById(medicineId);
+      if (medicine) resolved.doses += await medicine.undoJournalDoses(journalEntryId);
+    } else {
+      await Medicine.updateOne(
+        { _id: medicineId },
+        { $unset: { 'takenStatus.$[entry].journalEntryId': 1 } },
+        { arrayFilters: [{ 'entry.journalEntryId': journalEntryId }] }
+      );
+      resolved.doses += count;
+    }
+  }
+
+  return resolved;
+};
+
+module.exports = {
+  runAtomically,
+  buildDerivedDocuments,
+  materializeParsedData,
+  reconcileParsedData,
+  countDerivedRecords,
+  findDerivedRecords,
+  deleteJournalWithRecords,
+  findOrphanedRecords,
+  resolveOrphanedRecords,
+  selectParsedItems,
+  countParsedItems
+};
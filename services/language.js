@@ -0,0 +1,178 @@
+// Language detection and transliteration-aware keyword matching for journal
+// text written in English, Urdu, Hindi, Kashmiri or their romanized forms,
+// often mixed within a single entry.
+
+const SCRIPT_PATTERNS = {
+  arabic: /[؀-ۿݐ-ݿﭐ-﷿ﹰ-﻿]/g,
+  devanagari: /[ऀ-ॿ]/g,
+  latin: /[A-Za-z]/g
+};
+
+// Letters and vowel signs used in Kashmiri but not in Urdu
+const KASHMIRI_ARABIC_LETTERS = /[ٲٳٕٚۄۆێ]/;
+
+// Function words that mark romanized text; matched on spelling keys
+const ROMAN_URDU_MARKERS = [
+  'aur', 'ka', 'ki', 'ke', 'ko', 'ne', 'se', 'mein', 'hai', 'hain', 'tha', 'thi',
+  'nahi', 'bahut', 'aaj', 'kal', 'subah', 'dopahar', 'shaam', 'raat', 'khaya', 'khayi', 'khana',
+  'piya', 'pi', 'li', 'liya', 'kiya', 'gaya', 'gayi', 'hua', 'hui', 'kuch', 'thoda', 'paani', 'dawai'
+];
+const ROMAN_KASHMIRI_MARKERS = [
+  'te', 'chu', 'chhu', 'chi', 'chhi', 'os', 'aes', 'khyov', 'khyav', 'cheyi', 'chyav', 'aaz',
+  'subhan', 'doh', 'rath', 'ratas', 'bati', 'aab', 'dopahras'
+];
+// Common English words; their presence in romanized text means code-mixing
+const ENGLISH_MARKERS = [
+  'the', 'and', 'had', 'have', 'took', 'for', 'with', 'was', 'is', 'my', 'in', 'of', 'at',
+  'after', 'before', 'ate', 'drank', 'walk', 'walked', 'feel', 'feeling', 'today',
+  'morning', 'breakfast', 'lunch', 'dinner', 'tablet', 'water'
+];
+
+// Spelling key for romanized words: "paani", "pani" and "panee" all match.
+// Lowercase, collapse repeated letters, then fold common spelling variants.
+const spellingKey = (word) => word
+  .toLowerCase()
+  .replace(/(.)\1+/g, '$1')
+  .replace(/ee/g, 'i')
+  .replace(/w/g, 'v')
+  .replace(/q/g, 'k')
+  .replace(/ph/g, 'f');
+
+// Words including combining marks, which Devanagari and Arabic vowel signs are
+const tokenize = (text) => (text || '').match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+
+const markerKeys = (markers) => new Set(markers.map(spellingKey));
+const URDU_MARKER_KEYS = markerKeys(ROMAN_URDU_MARKERS);
+const KASHMIRI_MARKER_KEYS = markerKeys(ROMAN_KASHMIRI_MARKERS);
+const ENGLISH_MARKER_KEYS = markerKeys(ENGLISH_MARKERS);
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+// Detect the language of journal text.
+// Returns { code, script, mixed } where code is one of en, ur, hi, ks,
+// ur-Latn (Roman Urdu/Hindi) or ks-Latn (romanized Kashmiri), and `mixed`
+// flags code-mixed text (e.g. Roman Urdu sentences with English words).
+const detectLanguage = (text) => {
+  const value = text || '';
+  const counts = {
+    arabic: countMatches(value, SCRIPT_PATTERNS.arabic),
+    devanagari: countMatches(value, SCRIPT_PATTERNS.devanagari),
+    latin: countMatches(value, SCRIPT_PATTERNS.latin)
+  };
+  const letters = counts.arabic + counts.devanagari + counts.latin;
+  if (letters === 0) {
+    return { code: 'en', script: 'latin', mixed: false };
+  }
+
+  const script = Object.keys(counts).reduce((best, name) => (counts[name] > counts[best] ? name : best));
+  // Another script accounting for a fifth of the letters counts as mixing
+  const otherScripts = letters - counts[script];
+
+  if (script === 'arabic') {
+    return {
+      code: KASHMIRI_ARABIC_LETTERS.test(value) ? 'ks' : 'ur',
+      script,
+      mixed: otherScripts / letters >= 0.2
+    };
+  }
+  if (script === 'devanagari') {
+    return { code: 'hi', script, mixed: otherScripts / letters >= 0.2 };
+  }
+
+  const words = tokenize(value).filter(word => /^[a-z]+$/i.test(word)).map(spellingKey);
+  const urdu = words.filter(word => URDU_MARKER_KEYS.has(word)).length;
+  const kashmiri = words.filter(word => KASHMIRI_MARKER_KEYS.has(word)).length;
+  const english = words.filter(word => ENGLISH_MARKER_KEYS.has(word)).length;
+  const markers = Math.max(urdu, kashmiri);
+
+  // At least two function words, and at least one word in eight
+  if (markers >= 2 && markers / words.length >= 0.12) {
+    return {
+      code: kashmiri > urdu ? 'ks-Latn' : 'ur-Latn',
+      script,
+      mixed: english > 0 || otherScripts / letters >= 0.2
+    };
+  }
+
+  return { code: 'en', script, mixed: otherScripts / letters >= 0.2 };
+};
+
+// MongoDB text search has no Urdu, Hindi or Kashmiri support; those entries
+// are indexed without stemming or stop words
+const textSearchLanguage = (code) => (code === 'en' ? 'english' : 'none');
+
+// Tag -> keywords in English, romanized Urdu/Hindi/Kashmiri, Urdu and Hindi script.
+// Latin keywords match whole words after spelling normalization, with common
+// English endings ("walk" matches "walked" but "pill" not "pillow"); other
+// scripts match as substrings.
+const TAG_KEYWORDS = {
+  food: [
+    'ate', 'eat', 'food', 'meal', 'breakfast', 'lunch', 'dinner',
+    'khaya', 'khayi', 'khana', 'nashta', 'khyov', 'khyav', 'batta', 'chai', 'nun chai', 'girda',
+    'کھایا', 'کھائی', 'کھانا', 'ناشتہ', 'ناشتا', 'چائے',
+    'खाया', 'खाई', 'खाना', 'नाश्ता', 'चाय'
+  ],
+  medicine: [
+    'medicine', 'pill', 'tablet', 'medication', 'prescription',
+    'dawai', 'dawa', 'goli', 'dawaai',
+    'دوا', 'دوائی', 'گولی',
+    'दवा', 'दवाई', 'गोली'
+  ],
+  hydration: [
+    'water', 'drank', 'hydration', 'glass', 'litre', 'liter',
+    'paani', 'piya', 'piyi', 'gilas', 'aab', 'cheyi',
+    'پانی', 'پیا', 'گلاس',
+    'पानी', 'पिया', 'गिलास'
+  ],
+  exercise: [
+    'exercise', 'workout', 'walk', 'run', 'gym',
+    'sair', 'varzish', 'chalna', 'daud',
+    'ورزش', 'سیر', 'چہل قدمی',
+    'व्यायाम', 'सैर', 'टहल', 'कसरत'
+  ],
+  health: [
+    'pain', 'fever', 'sick', 'test', 'doctor',
+    'dard', 'bukhar', 'bimar', 'daktar', 'tabiyat', 'tabiyet',
+    'درد', 'بخار', 'بیمار', 'ڈاکٹر', 'ٹیسٹ',
+    'दर्द', 'बुखार', 'बीमार', 'डॉक्टर', 'टेस्ट'
+  ]
+};
+
+const isLatin = (keyword) => /^[a-z\s]+$/i.test(keyword);
+
+const INFLECTIONS = ['', 's', 'es', 'ed', 'ing'];
+
+// Spelling keys of a Latin keyword's words; the last word in each inflected form
+const keywordForms = (keyword) => {
+  const words = keyword.split(/\s+/);
+  const leading = words.slice(0, -1).map(spellingKey);
+  return INFLECTIONS.map(ending => [...leading, spellingKey(words[words.length - 1] + ending)]);
+};
+
+const LATIN_TAG_FORMS = Object.fromEntries(Object.entries(TAG_KEYWORDS).map(([tag, keywords]) => [
+  tag,
+  keywords.filter(isLatin).flatMap(keywordForms)
+]));
+
+// Whether `keys` holds the words of `form` consecutively
+const containsWords = (keys, form) => keys.some((_, start) =>
+  form.every((word, offset) => keys[start + offset] === word)
+);
+
+// Tags for journal text in any supported language
+const generateTags = (text) => {
+  const value = (text || '').toLowerCase();
+  const keys = tokenize(value).map(spellingKey);
+
+  return Object.keys(TAG_KEYWORDS).filter(tag =>
+    LATIN_TAG_FORMS[tag].some(form => containsWords(keys, form)) ||
+    TAG_KEYWORDS[tag].some(keyword => !isLatin(keyword) && value.includes(keyword))
+  );
+};
+
+module.exports = {
+  detectLanguage,
+  textSearchLanguage,
+  generateTags,
+  spellingKey
+};
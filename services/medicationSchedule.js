@@ -0,0 +1,168 @@
+// Expected doses of a medicine per calendar day, from its schedule (times of
+// day, weekdays, every N days, tapering steps) or, where the schedule leaves
+// something out, from its `frequency`, `time` and `scheduledTime`. Days are
+// "YYYY-MM-DD" strings in the user's timezone.
+
+const {
+  SLOTS,
+  SLOT_TIMES,
+  DEFAULT_TIMEZONE,
+  parseClockTime,
+  slotForClock,
+  zonedParts,
+  storedDay,
+  shiftDay
+} = require('./timeOfDay');
+
+// Slots used for multi-dose frequencies when no times are given
+const FREQUENCY_SLOTS = {
+  'twice-daily': ['morning', 'night'],
+  'thrice-daily': ['morning', 'noon', 'night']
+};
+
+const isAsNeeded = (medicine) => medicine.frequency === 'as-needed';
+
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+const weekday = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+const minutes = (clock) => {
+  const [hours, mins] = clock.split(':').map(Number);
+  return hours * 60 + mins;
+};
+
+// Dose dates in takenStatus are the UTC midnight of the dose's day
+const doseDate = (day) => new Date(`${day}T00:00:00Z`);
+
+const compareDoses = (a, b) =>
+  SLOTS.indexOf(a.slot) - SLOTS.indexOf(b.slot) ||
+  (a.scheduledTime || SLOT_TIMES[a.slot]).localeCompare(b.scheduledTime || SLOT_TIMES[b.slot]);
+
+// Fill in slots from exact times and normalize the times, as sent on create/update
+const normalizeDoseTimes = (times = []) => times.map(({ slot, time, dosage }) => {
+  const clock = time ? parseClockTime(time) : undefined;
+  return { slot: slot || slotForClock(clock), time: clock, dosage };
+});
+
+const normalizeSchedule = (schedule) => {
+  if (!schedule) return schedule;
+  return {
+    times: normalizeDoseTimes(schedule.times),
+    daysOfWeek: schedule.daysOfWeek || [],
+    everyNDays: schedule.everyNDays,
+    taper: (schedule.taper || []).map(step => ({ ...step, times: normalizeDoseTimes(step.times) }))
+  };
+};
+
+// Times of day a medicine is taken when its schedule lists none: its own slot,
+// plus default slots up to the number of doses its frequency calls for
+const defaultTimes = (medicine) => {
+  const own = { slot: medicine.time, time: medicine.scheduledTime };
+  const slots = FREQUENCY_SLOTS[medicine.frequency];
+  if (!slots) return [own];
+
+  return [own, ...slots.filter(slot => slot !== medicine.time).map(slot => ({ slot }))]
+    .slice(0, slots.length);
+};
+
+// Taper step in effect on a day of the course (0 = start date); undefined
+// without a taper and null once the taper has finished
+const taperStep = (schedule, courseDay) => {
+  if (!schedule.taper || schedule.taper.length === 0) return undefined;
+
+  let daysLeft = courseDay;
+  for (const step of schedule.taper) {
+    if (daysLeft < step.days) return step;
+    daysLeft -= step.days;
+  }
+  return null;
+};
+
+// Whether a day falls in a period the course was paused or stopped
+const isOffOn = (medicine, day, timeZone) => (medicine.offPeriods || []).some(period =>
+  day >= zonedParts(period.startDate, timeZone).day &&
+  (!period.endDate || day < zonedParts(period.endDate, timeZone).day)
+);
+
+// Whether any dose is due on a day, before looking at the times
+const isDueOn = (medicine, day, timeZone = DEFAULT_TIMEZONE) => {
+  if (isAsNeeded(medicine)) return false;
+
+  const startDay = storedDay(medicine.startDate, timeZone);
+  if (day < startDay) return false;
+  if (medicine.endDate && day > storedDay(medicine.endDate, timeZone)) return false;
+  if (isOffOn(medicine, day, timeZone)) return false;
+
+  const schedule = medicine.schedule || {};
+  if (schedule.daysOfWeek && schedule.daysOfWeek.length > 0) {
+    if (!schedule.daysOfWeek.includes(weekday(day))) return false;
+  } else if (medicine.frequency === 'weekly' && weekday(day) !== weekday(startDay)) {
+    return false;
+  }
+
+  return !(schedule.everyNDays > 1 && daysBetween(startDay, day) % schedule.everyNDays !== 0);
+};
+
+// Doses due on a day as [{ slot, scheduledTime, dosage }], in time order
+const expectedDoses = (medicine, day, timeZone = DEFAULT_TIMEZONE) => {
+  if (!isDueOn(medicine, day, timeZone)) return [];
+
+  const schedule = medicine.schedule || {};
+  const step = taperStep(schedule, daysBetween(storedDay(medicine.startDate, timeZone), day));
+  if (step === null) return [];
+
+  // A taper step's dosage replaces the schedule's; its own times come with their own dosages
+  let times = schedule.times && schedule.times.length > 0 ? schedule.times : defaultTimes(medicine);
+  let stepDosage = step && step.dosage;
+  if (step && step.times && step.times.length > 0) {
+    times = step.times;
+    stepDosage = undefined;
+  }
+
+  return times
+    .map(time => ({
+      slot: time.slot,
+      scheduledTime: time.time || undefined,
+      dosage: stepDosage || time.dosage || (step && step.dosage) || medicine.dosage
+    }))
+    .sort(compareDoses);
+};
+
+// Expected doses over a range of days, each with its `date`
+const expectedDosesBetween = (medicine, fromDay, toDay, timeZone = DEFAULT_TIMEZONE) => {
+  const doses = [];
+  for (let day = fromDay; day <= toDay; day = shiftDay(day, 1)) {
+    expectedDoses(medicine, day, timeZone).forEach(dose => doses.push({ date: day, ...dose }));
+  }
+  return doses;
+};
+
+// The expected dose a report on a day refers to: in `slot` when given,
+// preferring doses with nothing recorded yet and then the one scheduled
+// closest to `clock`. With `recorded`, only doses with something recorded
+// are considered, for undoing. Null when no such dose is due that day.
+const findDose = (medicine, day, { slot, clock, recorded = false } = {}, timeZone = DEFAULT_TIMEZONE) => {
+  const isRecorded = (dose) => Boolean(medicine.doseStatusFor(doseDate(day), dose.slot, dose.scheduledTime, timeZone));
+  const candidates = expectedDoses(medicine, day, timeZone)
+    .filter(dose => !slot || dose.slot === slot)
+    .filter(dose => !recorded || isRecorded(dose));
+  if (candidates.length === 0) return null;
+
+  const distance = (dose) => (clock
+    ? Math.abs(minutes(dose.scheduledTime || SLOT_TIMES[dose.slot]) - minutes(clock))
+    : 0);
+  const order = (dose) => (!recorded && isRecorded(dose) ? 1 : 0);
+
+  return candidates.sort((a, b) => order(a) - order(b) || distance(a) - distance(b))[0];
+};
+
+module.exports = {
+  FREQUENCY_SLOTS,
+  isAsNeeded,
+  doseDate,
+  normalizeSchedule,
+  isDueOn,
+  expectedDoses,
+  expectedDosesBetween,
+  findDose
+};
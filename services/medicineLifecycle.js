@@ -0,0 +1,59 @@
+const Medicine = require('../models/Medicine');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { zonedParts, storedDay } = require('./timeOfDay');
+
+const COMPLETE_COURSES_JOB = 'complete-medicine-courses';
+const SWEEP_INTERVAL_MS = parseInt(process.env.COURSE_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Mark active courses whose end date has passed, in their user's timezone,
+// as completed. Paused courses are left alone as resuming moves their end date.
+// Medicines saved before courses had a status count as active unless they
+// were deactivated.
+const completeExpiredCourses = async (now = new Date()) => {
+  const medicines = await Medicine.find({
+    status: { $in: ['active', null] },
+    isActive: { $ne: false },
+    endDate: { $lt: now }
+  });
+  if (medicines.length === 0) return { completed: 0 };
+
+  const users = await User.find({ _id: { $in: medicines.map(medicine => medicine.userId) } }).select('timezone');
+  const timeZones = {};
+  users.forEach(user => { timeZones[user._id.toString()] = user.timezone; });
+
+  let completed = 0;
+  for (const medicine of medicines) {
+    const timeZone = timeZones[medicine.userId.toString()];
+    if (storedDay(medicine.endDate, timeZone) < zonedParts(now, timeZone).day) {
+      await medicine.changeStatus('completed', { at: now, timeZone });
+      completed++;
+    }
+  }
+
+  return { completed };
+};
+
+// Queue the next sweep unless one is already waiting
+const scheduleCourseSweep = async (runAt = new Date()) => {
+  if (await Job.exists({ type: COMPLETE_COURSES_JOB, status: 'queued' })) return null;
+  return enqueueJob(COMPLETE_COURSES_JOB, {}, { runAt });
+};
+
+// Each sweep queues the next one, even when it fails, so it keeps running
+// every SWEEP_INTERVAL_MS
+const handleCompleteCoursesJob = async () => {
+  try {
+    return await completeExpiredCourses();
+  } finally {
+    await scheduleCourseSweep(new Date(Date.now() + SWEEP_INTERVAL_MS));
+  }
+};
+
+registerJobHandler(COMPLETE_COURSES_JOB, handleCompleteCoursesJob);
+
+module.exports = {
+  completeExpiredCourses,
+  scheduleCourseSweep
+};
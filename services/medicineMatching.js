@@ -0,0 +1,115 @@
+// Tell whether two medicine records, or a journal mention and a record, are
+// the same medicine: the same name once strengths and forms are left out,
+// names of the same drug in the bundled table (a generic name and its
+// brands, but not products named after it), or a small typo in its words, and no conflicting strength. Names
+// of different drugs in the table never match, however close their spelling.
+
+const { findDrug } = require('./interactions');
+const { parseDosage, doseStrength } = require('./dosage');
+
+// Words that describe the dose rather than name the medicine
+const DOSE_WORDS = /\b(\d+(?:\.\d+)?\s*(?:mg|mcg|g|iu|ml|units?)?|tablets?|tabs?|capsules?|caps?|syrup|injection|inhaler|drops?|sachets?|doses?|sr|er|xr)\b/g;
+
+const baseName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(DOSE_WORDS, ' ')
+  .replace(/[^a-z0-9 ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Levenshtein distance between two short strings
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed in a word of a given length
+const allowedTypos = (length) => (length >= 8 ? 2 : length >= 5 ? 1 : 0);
+
+// Words only match with a typo when both are spelled with letters alone, so
+// "Vitamin D" and "Vitamin C" or "B12" and "B6" stay apart
+const isSameWord = (a, b) => a === b || (
+  /^[a-z]+$/.test(a) && /^[a-z]+$/.test(b) &&
+  editDistance(a, b) <= allowedTypos(Math.min(a.length, b.length))
+);
+
+// Whether a base name is just one of a drug's names, not a product named
+// after it ("Insulin glargine" is more than "Insulin")
+const isNameOf = (drug, name) => [drug.name, ...drug.aliases].some(alias => baseName(alias) === name);
+
+const isSameName = (a, b) => {
+  const nameA = baseName(a);
+  const nameB = baseName(b);
+  if (!nameA || !nameB) return false;
+  if (nameA === nameB) return true;
+
+  const drugA = findDrug(a);
+  const drugB = findDrug(b);
+  if (drugA && drugB) {
+    if (drugA !== drugB) return false;
+    if (isNameOf(drugA, nameA) && isNameOf(drugB, nameB)) return true;
+  }
+
+  const wordsA = nameA.split(' ');
+  const wordsB = nameB.split(' ');
+  return wordsA.length === wordsB.length && wordsA.every((word, index) => isSameWord(word, wordsB[index]));
+};
+
+// Strength of one tablet, capsule or ml, so "2 tablets of 500mg" and
+// "500mg" compare equal
+const unitStrength = ({ dosage, dosageDetails }) => {
+  const details = dosageDetails || parseDosage(dosage);
+  if (!details || !details.strength || !details.strength.value) return undefined;
+  const { value, unit, per } = details.strength;
+  return doseStrength({ amount: 1, unit: 'dose', strength: { value: value / (per || 1), unit } });
+};
+
+// Dosages only conflict when both give a strength and the strengths differ
+const isSameDosage = (a, b) => {
+  const strengthA = unitStrength(a);
+  const strengthB = unitStrength(b);
+  return !strengthA || !strengthB || (strengthA.unit === strengthB.unit && strengthA.value === strengthB.value);
+};
+
+const isSameMedicine = (a, b) => isSameName(a.name, b.name) && isSameDosage(a, b);
+
+// The medicine among `medicines` a mention ({ name, dosage, dosageDetails })
+// refers to, preferring the same base name, then a matching strength, then
+// the most recently started; null when none matches
+const findMatchingMedicine = (medicines, mention) => {
+  const rank = (medicine) =>
+    (baseName(medicine.name) === baseName(mention.name) ? 0 : 2) +
+    (unitStrength(medicine) && unitStrength(mention) ? 0 : 1);
+
+  return medicines
+    .filter(medicine => isSameMedicine(medicine, mention))
+    .sort((a, b) => rank(a) - rank(b) || new Date(b.startDate) - new Date(a.startDate))[0] || null;
+};
+
+// Groups of two or more medicines that look like the same medicine
+const groupDuplicates = (medicines) => {
+  const groups = [];
+  medicines.forEach(medicine => {
+    const group = groups.find(members => isSameMedicine(members[0], medicine));
+    if (group) group.push(medicine);
+    else groups.push([medicine]);
+  });
+  return groups.filter(group => group.length > 1);
+};
+
+module.exports = {
+  isSameMedicine,
+  findMatchingMedicine,
+  groupDuplicates
+};
@@ -0,0 +1,298 @@
+const Food = require('../models/Food');
+const bundledFoods = require('../data/foods');
+const { canonicalFoodName } = require('./ai/ruleParser');
+const { parseQuantity, standardGrams, isCountUnit } = require('./quantity');
+const { findRecipe, recipeServings, nutritionForRecipe } = require('./recipes');
+const { DEFAULT_TIMEZONE, storedDay, weekStart } = require('./timeOfDay');
+
+// Nutrients tracked per food item, all per serving in the food database.
+// Sodium is in milligrams, the others (besides calories) in grams.
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium'];
+
+// Daily targets for users who have not set their own
+const DEFAULT_NUTRITION_TARGETS = {
+  calories: 2000,
+  protein: 50,
+  carbs: 275,
+  fat: 70,
+  fiber: 28,
+  sugar: 50,
+  sodium: 2300
+};
+
+// Nutrients whose target is an upper limit rather than an amount to reach
+const LIMIT_NUTRIENTS = ['sugar', 'sodium'];
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Names to try for a food item: as written, then the parser's canonical name
+const lookupNames = (name) => {
+  const names = [normalizeName(name)];
+  const canonical = canonicalFoodName(name);
+  if (canonical) names.push(canonical.toLowerCase());
+  return [...new Set(names)].filter(Boolean);
+};
+
+const findBundledFood = (names) => bundledFoods.find(food =>
+  [food.name, ...food.aliases].some(alias => names.includes(alias.toLowerCase()))
+);
+
+// Find a food by name or alias: the foods collection first, so seeded and
+// edited entries win, then the bundled database
+const findFood = async (name) => {
+  const names = lookupNames(name);
+  if (names.length === 0) return null;
+
+  const food = await Food.findOne({ searchNames: { $in: names } }).lean();
+  return food || findBundledFood(names) || null;
+};
+
+// Nutrition for a number of servings of a food. Nutrients the food has no
+// value for are left out rather than counted as zero.
+const nutritionFor = (food, servings = 1) => {
+  const nutrition = {};
+  NUTRIENTS.forEach(nutrient => {
+    if (food[nutrient] !== undefined && food[nutrient] !== null) {
+      nutrition[nutrient] = round(food[nutrient] * servings);
+    }
+  });
+  return nutrition;
+};
+
+// Number of servings of a food a parsed quantity amounts to. The same unit
+// as the food's serving ("2 bowls" of a food served "1 bowl") or any two
+// counted units ("3 rotis" of a food served "1 piece") divide directly;
+// otherwise the quantity is converted to grams and compared with the
+// serving's weight. Counts of a food with no comparable size are taken as
+// one serving each.
+const servingsFor = (food, quantity) => {
+  if (!quantity) return 1;
+  if (quantity.unit === 'serving') return quantity.amount;
+
+  const serving = parseQuantity(food.serving && food.serving.description);
+  if (serving && (serving.unit === quantity.unit || (isCountUnit(serving.unit) && isCountUnit(quantity.unit)))) {
+    return round(quantity.amount / serving.amount, 2);
+  }
+
+  const grams = standardGrams(quantity);
+  if (grams !== undefined && food.serving && food.serving.grams) {
+    return round(grams / food.serving.grams, 2);
+  }
+
+  return quantity.amount;
+};
+
+// Normalized amount of a food item: the parsed quantity, the servings of the
+// matched food it amounts to and its weight in grams (ml for drinks) where
+// that can be worked out
+const measureFoodItem = (quantity, food) => {
+  const parsed = parseQuantity(quantity);
+  const measure = {
+    amount: parsed ? parsed.amount : undefined,
+    unit: parsed ? parsed.unit : undefined
+  };
+
+  if (food) {
+    measure.servings = servingsFor(food, parsed);
+    if (parsed && ['g', 'ml'].includes(parsed.unit)) {
+      measure.grams = parsed.amount;
+    } else if (food.serving && food.serving.grams) {
+      measure.grams = round(measure.servings * food.serving.grams);
+    }
+  } else if (parsed) {
+    measure.grams = standardGrams(parsed);
+  }
+
+  return measure;
+};
+
+// Fill in nutrition for a food item made from one of the user's recipes
+const applyRecipe = (item, recipe) => {
+  const servings = recipeServings(recipe, item);
+  const nutrition = nutritionForRecipe(recipe, servings);
+  NUTRIENTS.forEach(nutrient => {
+    if (item[nutrient] === undefined || item[nutrient] === null) {
+      item[nutrient] = nutrition[nutrient];
+    }
+  });
+  item.recipeId = recipe._id;
+  item.servings = servings;
+  item.grams = recipe.gramsPerServing ? round(servings * recipe.gramsPerServing) : undefined;
+  item.nutritionSource = 'recipe';
+  return item;
+};
+
+// Fill in nutrition for meal food items from the food database, scaled to the
+// item's quantity. With a `userId`, items naming one of the user's recipes
+// (by `recipeId` or by name) use the recipe instead. Values sent with an item
+// are kept; missing ones come from the matched food. Items with no match keep
+// what they have, and `estimatedCalories` (a guessed total for the whole meal,
+// e.g. from the AI parser) is split between those that have no calories at all.
+const resolveFoodItems = async (foodItems, { estimatedCalories, userId } = {}) => {
+  const resolved = [];
+
+  for (const item of foodItems || []) {
+    const plain = item && typeof item.toObject === 'function' ? item.toObject() : { ...item };
+
+    const recipe = userId ? await findRecipe(userId, plain) : null;
+    if (recipe) {
+      const parsed = parseQuantity(plain.quantity);
+      plain.amount = parsed ? parsed.amount : undefined;
+      plain.unit = parsed ? parsed.unit : undefined;
+      resolved.push(applyRecipe(plain, recipe));
+      continue;
+    }
+    delete plain.recipeId;
+
+    const food = await findFood(plain.name);
+    const measure = measureFoodItem(plain.quantity, food);
+    Object.assign(plain, measure);
+
+    if (food) {
+      const nutrition = nutritionFor(food, measure.servings);
+      NUTRIENTS.forEach(nutrient => {
+        if (plain[nutrient] === undefined || plain[nutrient] === null) {
+          plain[nutrient] = nutrition[nutrient];
+        }
+      });
+      plain.foodId = food._id;
+      plain.nutritionSource = 'database';
+    } else {
+      plain.nutritionSource = plain.calories !== undefined && plain.calories !== null ? 'manual' : 'unknown';
+    }
+
+    resolved.push(plain);
+  }
+
+  const unknown = resolved.filter(item => item.nutritionSource === 'unknown');
+  if (estimatedCalories > 0 && unknown.length > 0) {
+    const share = round(estimatedCalories / unknown.length, 0);
+    unknown.forEach(item => {
+      item.calories = share;
+      item.nutritionSource = 'estimate';
+    });
+  }
+
+  return resolved;
+};
+
+// A user's daily targets, with defaults for anything they have not set
+const nutritionTargetsFor = (user) => {
+  const targets = { ...DEFAULT_NUTRITION_TARGETS };
+  const custom = (user && user.nutritionTargets) || {};
+  NUTRIENTS.forEach(nutrient => {
+    if (custom[nutrient] !== undefined && custom[nutrient] !== null) {
+      targets[nutrient] = custom[nutrient];
+    }
+  });
+  return targets;
+};
+
+// Total intake of every nutrient across meals
+const sumNutrition = (meals) => {
+  const totals = {};
+  NUTRIENTS.forEach(nutrient => {
+    totals[nutrient] = round(meals.reduce((sum, meal) => sum + (nutrient === 'calories'
+      ? meal.totalCalories || 0
+      : (meal.totalNutrition && meal.totalNutrition[nutrient]) || 0), 0));
+  });
+  return totals;
+};
+
+// Intake against daily targets, per nutrient. `days` scales the targets for
+// totals over several days.
+const compareWithTargets = (intake, targets, days = 1) => {
+  const comparison = {};
+  NUTRIENTS.forEach(nutrient => {
+    const target = round(targets[nutrient] * days);
+    const limit = LIMIT_NUTRIENTS.includes(nutrient);
+    comparison[nutrient] = {
+      intake: intake[nutrient] || 0,
+      target,
+      type: limit ? 'limit' : 'goal',
+      remaining: round(Math.max(target - (intake[nutrient] || 0), 0)),
+      percent: target > 0 ? Math.round(((intake[nutrient] || 0) / target) * 100) : null,
+      onTrack: limit ? (intake[nutrient] || 0) <= target : (intake[nutrient] || 0) >= target
+    };
+  });
+  return comparison;
+};
+
+// Intake against targets for each day with meals, and for each week (Monday
+// to Sunday) as totals and as an average over the days logged. Meals count on
+// their calendar day in the user's timezone.
+const summarizeIntake = (meals, targets, { timeZone = DEFAULT_TIMEZONE } = {}) => {
+  const byDay = {};
+  meals.forEach(meal => {
+    const key = storedDay(meal.date, timeZone);
+    (byDay[key] = byDay[key] || []).push(meal);
+  });
+
+  const daily = Object.keys(byDay).sort().map(date => {
+    const intake = sumNutrition(byDay[date]);
+    return { date, mealCount: byDay[date].length, intake, vsTarget: compareWithTargets(intake, targets) };
+  });
+
+  const byWeek = {};
+  daily.forEach(day => {
+    const key = weekStart(day.date);
+    (byWeek[key] = byWeek[key] || []).push(day);
+  });
+
+  const weekly = Object.keys(byWeek).sort().map(weekStart => {
+    const days = byWeek[weekStart];
+    const intake = {};
+    const dailyAverage = {};
+    NUTRIENTS.forEach(nutrient => {
+      intake[nutrient] = round(days.reduce((sum, day) => sum + day.intake[nutrient], 0));
+      dailyAverage[nutrient] = round(intake[nutrient] / days.length);
+    });
+    return {
+      weekStart,
+      daysLogged: days.length,
+      intake,
+      dailyAverage,
+      vsTarget: compareWithTargets(dailyAverage, targets)
+    };
+  });
+
+  return { daily, weekly };
+};
+
+// Search foods by name or alias, falling back to the bundled database
+const searchFoods = async ({ q, category, region, limit = 20 } = {}) => {
+  const query = {};
+  if (q) {
+    query.searchNames = { $regex: normalizeName(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+  }
+  if (category) query.category = category;
+  if (region) query.region = region;
+
+  const foods = await Food.find(query).sort({ name: 1 }).limit(limit).lean();
+  if (foods.length > 0 || (await Food.estimatedDocumentCount()) > 0) {
+    return foods;
+  }
+
+  const needle = q ? normalizeName(q) : '';
+  return bundledFoods
+    .filter(food => !needle || [food.name, ...food.aliases].some(alias => alias.toLowerCase().includes(needle)))
+    .filter(food => (!category || food.category === category) && (!region || food.region === region))
+    .slice(0, limit);
+};
+
+module.exports = {
+  NUTRIENTS,
+  DEFAULT_NUTRITION_TARGETS,
+  findFood,
+  nutritionFor,
+  servingsFor,
+  measureFoodItem,
+  resolveFoodItems,
+  nutritionTargetsFor,
+  sumNutrition,
+  compareWithTargets,
+  summarizeIntake,
+  searchFoods
+};
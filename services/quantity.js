@@ -0,0 +1,134 @@
+// Parse free-text food quantities ("2 cups", "1/2 plate", "200g", "3 rotis")
+// into a numeric amount and a normalized unit.
+
+// Normalized unit -> spellings
+const UNIT_ALIASES = {
+  g: ['g', 'gm', 'gms', 'gr', 'gram', 'grams', 'gramme', 'grammes'],
+  kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+  ml: ['ml', 'millilitre', 'millilitres', 'milliliter', 'milliliters'],
+  l: ['l', 'ltr', 'litre', 'litres', 'liter', 'liters'],
+  cup: ['cup', 'cups', 'mug', 'mugs'],
+  glass: ['glass', 'glasses', 'gilas'],
+  bowl: ['bowl', 'bowls', 'katori', 'katoris'],
+  plate: ['plate', 'plates', 'thali', 'thalis'],
+  piece: ['piece', 'pieces', 'pc', 'pcs', 'nos', 'unit', 'units', 'whole'],
+  roti: ['roti', 'rotis', 'chapati', 'chapatis', 'phulka', 'phulkas'],
+  slice: ['slice', 'slices'],
+  tbsp: ['tbsp', 'tablespoon', 'tablespoons', 'spoon', 'spoons'],
+  tsp: ['tsp', 'teaspoon', 'teaspoons'],
+  handful: ['handful', 'handfuls'],
+  serving: ['serving', 'servings', 'portion', 'portions', 'helping', 'helpings']
+};
+
+// Metric units are converted to grams or millilitres
+const METRIC_FACTORS = { kg: { unit: 'g', factor: 1000 }, l: { unit: 'ml', factor: 1000 } };
+
+// Typical weight (or volume) in grams of one household measure, used when a
+// food's own serving is described differently
+const STANDARD_GRAMS = {
+  g: 1,
+  ml: 1,
+  cup: 240,
+  glass: 250,
+  bowl: 200,
+  plate: 250,
+  roti: 40,
+  slice: 30,
+  tbsp: 15,
+  tsp: 5,
+  handful: 28
+};
+
+// Units that count things; "3 rotis" of a food served "1 piece" is 3 servings
+const COUNT_UNITS = ['piece', 'roti', 'slice'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12,
+  half: 0.5, quarter: 0.25, dozen: 12
+};
+
+const UNICODE_FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3 };
+
+const UNIT_LOOKUP = Object.fromEntries(
+  Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map(alias => [alias, unit]))
+);
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// "1 1/2", "1/2", "½", "1½", "2.5", "2-3" (midpoint) or a number word
+const AMOUNT_PATTERN = /^(\d+(?:\.\d+)?\s*[-–]\s*\d+(?:\.\d+)?|\d+\s+\d+\/\d+|\d+\/\d+|\d*[½¼¾⅓⅔]|\d+(?:\.\d+)?)/;
+
+const parseAmount = (token) => {
+  if (/[-–]/.test(token)) {
+    const [low, high] = token.split(/[-–]/).map(part => parseFloat(part));
+    return (low + high) / 2;
+  }
+  const fraction = /^(?:(\d+)\s+)?(\d+)\/(\d+)$/.exec(token);
+  if (fraction) {
+    return (parseInt(fraction[1] || '0') + parseInt(fraction[2]) / parseInt(fraction[3]));
+  }
+  const unicode = /^(\d*)([½¼¾⅓⅔])$/.exec(token);
+  if (unicode) {
+    return parseInt(unicode[1] || '0') + UNICODE_FRACTIONS[unicode[2]];
+  }
+  return parseFloat(token);
+};
+
+// Parse a quantity string into { amount, unit }. The unit is one of the keys
+// of UNIT_ALIASES (kg and l converted to g and ml); a number followed by an
+// unknown word ("2 eggs") counts pieces. Returns null when there is no amount.
+const parseQuantity = (text) => {
+  let value = String(text || '').trim().toLowerCase();
+  if (!value) return null;
+
+  let amount;
+  const numeric = AMOUNT_PATTERN.exec(value);
+  if (numeric) {
+    amount = parseAmount(numeric[1].replace(/\s+/g, ' '));
+    value = value.slice(numeric[0].length).trim();
+  } else {
+    const word = /^([a-z]+)\b\s*(?:of\s+)?/.exec(value);
+    if (!word || NUMBER_WORDS[word[1]] === undefined) {
+      // A bare unit ("cup of tea", "plate") means one of it
+      const unitOnly = /^([a-z]+)/.exec(value);
+      return unitOnly && UNIT_LOOKUP[unitOnly[1]] ? { amount: 1, unit: UNIT_LOOKUP[unitOnly[1]] } : null;
+    }
+    amount = NUMBER_WORDS[word[1]];
+    value = value.slice(word[0].length).trim();
+    // "half a cup", "a dozen eggs"
+    const multiplier = /^(a|an|half|dozen)\b\s*/.exec(value);
+    if (multiplier) {
+      amount *= NUMBER_WORDS[multiplier[1]];
+      value = value.slice(multiplier[0].length).trim();
+    }
+  }
+
+  if (!Number.isFinite(amount) || amount <= 0) return null;
+
+  const unitWord = /^([a-z]+)/.exec(value);
+  let unit = unitWord ? UNIT_LOOKUP[unitWord[1]] : undefined;
+  if (!unit) {
+    unit = 'piece';
+  }
+
+  if (METRIC_FACTORS[unit]) {
+    amount *= METRIC_FACTORS[unit].factor;
+    unit = METRIC_FACTORS[unit].unit;
+  }
+
+  return { amount: round(amount), unit };
+};
+
+// Grams (or ml) for an amount of a household measure, if it has a typical size
+const standardGrams = ({ amount, unit }) => (
+  STANDARD_GRAMS[unit] !== undefined ? round(amount * STANDARD_GRAMS[unit], 1) : undefined
+);
+
+const isCountUnit = (unit) => COUNT_UNITS.includes(unit);
+
+module.exports = {
+  parseQuantity,
+  standardGrams,
+  isCountUnit
+};
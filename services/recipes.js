@@ -0,0 +1,101 @@
+const Recipe = require('../models/Recipe');
+const ingredients = require('../data/ingredients');
+const { parseQuantity, standardGrams } = require('./quantity');
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium'];
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Find an ingredient by name or alias, also trying a simple singular
+// ("onions" -> "onion", "tomatoes" -> "tomato")
+const findIngredient = (name) => {
+  const normalized = normalizeName(name);
+  const names = [normalized, normalized.replace(/es$/, ''), normalized.replace(/s$/, '')];
+  return ingredients.find(ingredient =>
+    [ingredient.name, ...ingredient.aliases].some(alias => names.includes(alias.toLowerCase()))
+  ) || null;
+};
+
+// Weight in grams of a quantity of an ingredient: metric amounts directly,
+// then the ingredient's own unit weights, then generic household measures
+const ingredientGrams = (quantity, ingredient) => {
+  const parsed = parseQuantity(quantity);
+  if (!parsed) return undefined;
+  if (['g', 'ml'].includes(parsed.unit)) return parsed.amount;
+  if (ingredient && ingredient.units[parsed.unit] !== undefined) {
+    return round(parsed.amount * ingredient.units[parsed.unit]);
+  }
+  return standardGrams(parsed);
+};
+
+// Work out weight and nutrition for each recipe ingredient from the bundled
+// ingredient table. Ingredients that cannot be matched, or whose quantity
+// cannot be turned into grams, are kept without nutrition.
+const resolveIngredients = (recipeIngredients) => (recipeIngredients || []).map(({ name, quantity }) => {
+  const ingredient = findIngredient(name);
+  const grams = ingredientGrams(quantity, ingredient);
+  const resolved = { name, quantity, grams };
+
+  if (ingredient && grams !== undefined) {
+    resolved.matchedIngredient = ingredient.name;
+    NUTRIENTS.forEach(nutrient => {
+      resolved[nutrient] = round(ingredient.per100g[nutrient] * grams / 100);
+    });
+  }
+
+  return resolved;
+});
+
+// A user's recipe by ID, or by name for food items logged without one
+const findRecipe = async (userId, { recipeId, name }) => {
+  if (recipeId) {
+    const recipe = await Recipe.findOne({ _id: recipeId, userId }).lean();
+    if (recipe) return recipe;
+  }
+  if (!name) return null;
+  return Recipe.findOne({ userId, searchName: normalizeName(name) }).lean();
+};
+
+// Servings of a recipe a food item amounts to: an explicit `servings` count,
+// else its quantity ("2 servings", "1.5", "300 g", "1 bowl") against the
+// recipe's serving weight
+const recipeServings = (recipe, { servings, quantity }) => {
+  if (servings !== undefined && servings !== null && servings !== '') return parseFloat(servings);
+
+  const parsed = parseQuantity(quantity);
+  if (!parsed) return 1;
+  if (['serving', 'piece', 'plate'].includes(parsed.unit) || !recipe.gramsPerServing) return parsed.amount;
+
+  const grams = standardGrams(parsed);
+  return grams !== undefined ? round(grams / recipe.gramsPerServing, 2) : parsed.amount;
+};
+
+// Nutrition for a number of servings of a recipe
+const nutritionForRecipe = (recipe, servings = 1) => {
+  const nutrition = {};
+  NUTRIENTS.forEach(nutrient => {
+    nutrition[nutrient] = round((recipe.nutritionPerServing[nutrient] || 0) * servings);
+  });
+  return nutrition;
+};
+
+// Search the ingredient table by name or alias
+const searchIngredients = ({ q, category, limit = 20 } = {}) => {
+  const needle = q ? normalizeName(q) : '';
+  return ingredients
+    .filter(ingredient => !needle || [ingredient.name, ...ingredient.aliases].some(alias => alias.toLowerCase().includes(needle)))
+    .filter(ingredient => !category || ingredient.category === category)
+    .slice(0, limit);
+};
+
+module.exports = {
+  findIngredient,
+  ingredientGrams,
+  resolveIngredients,
+  findRecipe,
+  recipeServings,
+  nutritionForRecipe,
+  searchIngredients
+};
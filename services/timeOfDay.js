@@ -0,0 +1,158 @@
+// Exact times of day alongside the four morning/noon/evening/night slots.
+// Clock times are "HH:mm" strings in the user's timezone; instants are Dates.
+
+const SLOTS = ['morning', 'noon', 'evening', 'night'];
+
+// Typical time of day in each slot, used when nothing more precise is known
+const SLOT_TIMES = {
+  morning: '08:00',
+  noon: '13:00',
+  evening: '18:00',
+  night: '21:00'
+};
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+const CLOCK_PATTERN = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const slotForHour = (hour) => {
+  if (hour >= 4 && hour < 11) return 'morning';
+  if (hour >= 11 && hour < 16) return 'noon';
+  if (hour >= 16 && hour < 20) return 'evening';
+  return 'night';
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Normalize "7:45", "07:45", "7:45 pm" or "7pm" to "HH:mm"; null if invalid
+const parseClockTime = (value) => {
+  const match = CLOCK_PATTERN.exec(String(value || '').trim());
+  if (!match || (!match[2] && !match[3])) return null;
+
+  let hour = parseInt(match[1]);
+  const minute = parseInt(match[2] || '0');
+  const meridiem = match[3] && match[3].toLowerCase();
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) return null;
+
+  return `${pad(hour)}:${pad(minute)}`;
+};
+
+const isClockTime = (value) => parseClockTime(value) !== null;
+
+const slotForClock = (clock) => slotForHour(parseInt(parseClockTime(clock).split(':')[0]));
+
+// Calendar day ("YYYY-MM-DD"), clock time and hour of an instant in a timezone
+const zonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    clock: `${parts.hour}:${parts.minute}`,
+    hour: parseInt(parts.hour)
+  };
+};
+
+const slotForDate = (date, timeZone = DEFAULT_TIMEZONE) => slotForHour(zonedParts(date, timeZone).hour);
+
+// Minutes the timezone is ahead of UTC at an instant
+const offsetMinutes = (timestamp, timeZone) => {
+  const { day, clock } = zonedParts(new Date(timestamp), timeZone);
+  return (Date.parse(`${day}T${clock}:00Z`) - Math.floor(timestamp / 60000) * 60000) / 60000;
+};
+
+// The instant a wall-clock time on a calendar day happens in a timezone.
+// The offset is checked twice so days with a DST change come out right.
+const zonedDateTime = (day, clock, timeZone = DEFAULT_TIMEZONE) => {
+  const wallClock = Date.parse(`${day}T${parseClockTime(clock)}:00Z`);
+  let timestamp = wallClock - offsetMinutes(wallClock, timeZone) * 60000;
+  const corrected = wallClock - offsetMinutes(timestamp, timeZone) * 60000;
+  if (corrected !== timestamp) timestamp = corrected;
+  return new Date(timestamp);
+};
+
+// Calendar day a request's `date` refers to: a bare "YYYY-MM-DD" as is,
+// a full timestamp in the user's timezone, and today when missing
+const calendarDay = (date, timeZone = DEFAULT_TIMEZONE) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  return zonedParts(date ? new Date(date) : new Date(), timeZone).day;
+};
+
+// Calendar day of a stored date: one saved from a bare "YYYY-MM-DD" sits at
+// UTC midnight and is that day whatever the timezone, anything else is read
+// in the user's timezone
+const storedDay = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const value = new Date(date);
+  return value.getTime() % 86400000 === 0
+    ? value.toISOString().slice(0, 10)
+    : zonedParts(value, timeZone).day;
+};
+
+// The calendar day `days` days after (or before, when negative) `day`
+const shiftDay = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Monday of the week a calendar day falls in
+const weekStart = (day) => shiftDay(day, -((new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+// Work out the slot, exact instant and date of a record from what was sent.
+// `at` is either a clock time on `date`'s day or a full ISO timestamp; the
+// slot, when not given, is derived from it in the user's timezone.
+const resolveTiming = ({ date, slot, at }, timeZone = DEFAULT_TIMEZONE) => {
+  let exact;
+  if (at && isClockTime(at)) {
+    exact = zonedDateTime(calendarDay(date, timeZone), at, timeZone);
+  } else if (at) {
+    exact = new Date(at);
+  }
+
+  return {
+    date: date ? new Date(date) : exact || new Date(),
+    slot: slot || (exact ? slotForDate(exact, timeZone) : undefined),
+    at: exact
+  };
+};
+
+module.exports = {
+  SLOTS,
+  SLOT_TIMES,
+  DEFAULT_TIMEZONE,
+  slotForHour,
+  isValidTimeZone,
+  parseClockTime,
+  isClockTime,
+  slotForClock,
+  zonedParts,
+  slotForDate,
+  zonedDateTime,
+  calendarDay,
+  storedDay,
+  shiftDay,
+  weekStart,
+  resolveTiming
+};
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Medicine = require('../models/Medicine');
+const { analyzeAdherence } = require('../services/adherence');
+const { doseDate } = require('../services/medicationSchedule');
+const { zonedDateTime } = require('../services/timeOfDay');
+
+const timeZone = 'Asia/Kolkata';
+
+const dose = (day, status, clock, extra = {}) => ({
+  date: doseDate(day),
+  time: 'morning',
+  scheduledTime: '08:00',
+  status,
+  taken: ['taken', 'delayed', 'partial'].includes(status),
+  takenAt: clock ? zonedDateTime(day, clock, timeZone) : undefined,
+  ...extra
+});
+
+const metformin = (takenStatus) => new Medicine({
+  userId: '64b000000000000000000000',
+  name: 'Metformin',
+  dosage: '500mg',
+  time: 'morning',
+  scheduledTime: '08:00',
+  startDate: new Date('2026-03-01T00:00:00Z'),
+  takenStatus
+});
+
+const analyze = (medicine, nowClock = '08:30') => analyzeAdherence([medicine], {
+  fromDay: '2026-03-01',
+  toDay: '2026-03-05',
+  timeZone,
+  now: zonedDateTime('2026-03-05', nowClock, timeZone)
+});
+
+test('unlogged doses are missed once their grace period is over', () => {
+  const { overall, medicines: [medicine] } = analyze(metformin([
+    dose('2026-03-01', 'taken', '08:10'),
+    dose('2026-03-02', 'taken', '10:00'),
+    dose('2026-03-03', 'skipped', null, { reason: 'side-effects' })
+  ]));
+
+  assert.deepEqual(
+    [overall.expected, overall.onTime, overall.late, overall.skipped, overall.missed, overall.pending],
+    [5, 1, 1, 1, 1, 1]
+  );
+  assert.deepEqual(overall.reasons, { 'side-effects': 1 });
+  assert.deepEqual(medicine.missedDoses.map(missed => [missed.date, missed.logged]), [['2026-03-04', false]]);
+  assert.deepEqual(medicine.lateDoses.map(late => [late.date, late.delayMinutes]), [['2026-03-02', 120]]);
+});
+
+test('rates leave out pending doses', () => {
+  const { overall } = analyze(metformin([
+    dose('2026-03-01', 'taken', '08:00'),
+    dose('2026-03-02', 'taken', '08:00'),
+    dose('2026-03-03', 'taken', '08:00'),
+    dose('2026-03-04', 'partial', '08:00')
+  ]));
+
+  assert.equal(overall.pending, 1);
+  assert.equal(overall.partial, 1);
+  assert.equal(overall.adherenceRate, 100);
+  assert.equal(overall.onTimeRate, 100);
+});
+
+test('doses recorded as delayed count as late', () => {
+  const { overall } = analyze(metformin([dose('2026-03-05', 'delayed', '08:20')]), '09:00');
+
+  assert.equal(overall.late, 1);
+  assert.equal(overall.missed, 4);
+  assert.equal(overall.adherenceRate, 20);
+});
+
+test('days after today are left out', () => {
+  const result = analyzeAdherence([metformin([])], {
+    fromDay: '2026-03-01',
+    toDay: '2026-03-31',
+    timeZone,
+    now: zonedDateTime('2026-03-02', '12:00', timeZone)
+  });
+
+  assert.deepEqual(result.period, { startDate: '2026-03-01', endDate: '2026-03-02' });
+  assert.deepEqual(result.weekly.map(week => [week.weekStart, week.expected]), [['2026-02-23', 1], ['2026-03-02', 1]]);
+});
+
+test('entries recorded at a time of day count on their day in the user\'s timezone', () => {
+  // Logged at 01:30 on 2 March in India, which is still 1 March in UTC
+  const { medicines: [medicine] } = analyze(metformin([
+    { date: new Date('2026-03-01T20:00:00Z'), time: 'morning', taken: true, takenAt: new Date('2026-03-02T02:30:00Z') }
+  ]));
+
+  assert.deepEqual(medicine.missedDoses.map(missed => missed.date), ['2026-03-01', '2026-03-03', '2026-03-04']);
+});
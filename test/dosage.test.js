@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDosage, resolveDosage, doseStrength, formatDosage } = require('../services/dosage');
+
+test('parses counts, forms and strengths', () => {
+  assert.deepEqual(parseDosage('500mg'), { amount: 1, unit: 'dose', strength: { value: 500, unit: 'mg' } });
+  assert.deepEqual(parseDosage('2 tablets'), { amount: 2, unit: 'tablet', form: 'tablet' });
+  assert.deepEqual(parseDosage('650 mg tab'), {
+    amount: 1,
+    unit: 'tablet',
+    form: 'tablet',
+    strength: { value: 650, unit: 'mg' }
+  });
+  assert.deepEqual(parseDosage('half tablet'), { amount: 0.5, unit: 'tablet', form: 'tablet' });
+  assert.deepEqual(parseDosage('2 puffs'), { amount: 2, unit: 'puff', form: 'inhaler' });
+});
+
+test('reads liquid strengths per ml without counting them as the dose', () => {
+  assert.deepEqual(parseDosage('5 ml of 250mg/5ml'), {
+    amount: 5,
+    unit: 'ml',
+    form: 'syrup',
+    strength: { value: 250, unit: 'mg', per: 5 }
+  });
+});
+
+test('returns null without an amount or strength', () => {
+  assert.equal(parseDosage('as directed'), null);
+  assert.equal(parseDosage(''), null);
+});
+
+test('dose strength is in milligrams or IU', () => {
+  assert.deepEqual(doseStrength(parseDosage('2 tablets of 500mg')), { value: 1000, unit: 'mg' });
+  assert.deepEqual(doseStrength(parseDosage('2 x 500mg')), { value: 1000, unit: 'mg' });
+  assert.deepEqual(doseStrength(parseDosage('0.5 g')), { value: 500, unit: 'mg' });
+  assert.deepEqual(doseStrength(parseDosage('5 ml of 250mg/5ml')), { value: 250, unit: 'mg' });
+  assert.deepEqual(doseStrength(parseDosage('10 units')), { value: 10, unit: 'iu' });
+  assert.equal(doseStrength(parseDosage('2 tablets')), undefined);
+});
+
+test('a schedule dosage takes the medicine\'s strength', () => {
+  assert.deepEqual(resolveDosage('2 tablets', { form: 'tablet', strength: { value: 500, unit: 'mg' } }), {
+    amount: 2,
+    unit: 'tablet',
+    form: 'tablet',
+    strength: { value: 500, unit: 'mg' }
+  });
+});
+
+test('formats details for display', () => {
+  assert.equal(formatDosage(parseDosage('2 tablets of 500mg')), '2 tablets (500 mg)');
+  assert.equal(formatDosage(parseDosage('2 x 500mg')), '2 x 500 mg');
+  assert.equal(formatDosage(parseDosage('5 ml of 250mg/5ml')), '5 ml (250 mg/5ml)');
+  assert.equal(formatDosage(parseDosage('1000 IU')), '1000 IU');
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeFasting, mealTime } = require('../services/fasting');
+const { zonedDateTime } = require('../services/timeOfDay');
+
+const timeZone = 'Asia/Kolkata';
+
+const meal = (day, time, clock) => ({
+  date: new Date(`${day}T00:00:00Z`),
+  time,
+  eatenAt: clock ? zonedDateTime(day, clock, timeZone) : undefined
+});
+
+test('meals are placed at the most precise time known', () => {
+  assert.equal(mealTime(meal('2026-03-03', 'noon', '12:30'), timeZone).source, 'exact');
+
+  const logged = { ...meal('2026-03-03', 'noon'), createdAt: new Date('2026-03-03T07:00:00Z') };
+  assert.deepEqual(mealTime(logged, timeZone), { at: logged.createdAt, source: 'logged' });
+
+  // Logged the next morning, so the slot's usual time is used instead
+  const late = { ...meal('2026-03-03', 'noon'), createdAt: new Date('2026-03-04T03:00:00Z') };
+  assert.deepEqual(mealTime(late, timeZone), { at: zonedDateTime('2026-03-03', '13:00', timeZone), source: 'slot' });
+});
+
+test('daily windows and fasts end on the day they are counted', () => {
+  const { daily } = analyzeFasting([
+    meal('2026-03-01', 'night', '20:00'),
+    meal('2026-03-02', 'noon', '12:00'),
+    meal('2026-03-02', 'evening', '19:00'),
+    meal('2026-03-03', 'morning'),
+    meal('2026-03-03', 'night', '20:00')
+  ], { timeZone, fromDay: '2026-03-02' });
+
+  assert.deepEqual(daily.map(day => [day.date, day.eatingWindowHours, day.overnightFastHours, day.metTarget, day.estimated]), [
+    ['2026-03-02', 7, 16, true, false],
+    ['2026-03-03', 12, 13, false, true]
+  ]);
+});
+
+test('a daytime fast counts towards the target', () => {
+  const { daily } = analyzeFasting([
+    meal('2026-03-02', 'morning', '04:30'),
+    meal('2026-03-02', 'evening', '18:30')
+  ], { timeZone, targetHours: 14 });
+
+  assert.equal(daily[0].longestFastHours, 14);
+  assert.equal(daily[0].metTarget, true);
+});
+
+test('streaks need consecutive days meeting the target', () => {
+  const meals = ['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-05', '2026-03-06'].flatMap(day => [
+    meal(day, 'noon', '12:00'),
+    meal(day, 'evening', '19:00')
+  ]);
+  const { summary, weekly } = analyzeFasting(meals, { timeZone });
+
+  assert.equal(summary.longestStreak, 2);
+  assert.equal(summary.currentStreak, 1);
+  assert.deepEqual(weekly.map(week => [week.weekStart, week.daysTracked]), [['2026-02-23', 1], ['2026-03-02', 4]]);
+});
@@ -0,0 +1,14 @@
+// Set environment variables for the length of test `t`; undefined unsets one
+const useEnv = (t, values) => {
+  const previous = {};
+  const apply = (entries) => Object.entries(entries).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+
+  Object.keys(values).forEach(key => { previous[key] = process.env[key]; });
+  apply(values);
+  t.after(() => apply(previous));
+};
+
+module.exports = { useEnv };
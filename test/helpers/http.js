@@ -0,0 +1,16 @@
+// Stand-in for an Express response, so controllers can be called directly.
+// The status and JSON body sent are kept on it.
+const mockResponse = () => {
+  const res = { statusCode: 200, body: undefined };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+module.exports = { mockResponse };
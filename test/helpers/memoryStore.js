@@ -0,0 +1,167 @@
+// In-memory stand-in for the MongoDB collections the services use, so tests
+// can run them without a server. It covers the queries and updates the
+// services make, not the full query language; the connection has no
+// replica set, so code taking transactions falls back to its own rollback.
+
+const mongoose = require('mongoose');
+
+const { BSON } = mongoose.mongo;
+
+// Deep copy that keeps ObjectIds and Dates, as a round trip to the server would
+const copy = (value) => BSON.deserialize(BSON.serialize(value));
+
+const get = (document, path) => path.split('.').reduce((value, key) => {
+  if (value === undefined || value === null) return undefined;
+  if (Array.isArray(value) && !/^\d+$/.test(key)) return value.map(item => item && item[key]);
+  return value[key];
+}, document);
+
+const same = (a, b) => {
+  if (a === undefined || a === null) return b === undefined || b === null;
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+  return String(a) === String(b);
+};
+
+const matchesValue = (value, condition) => {
+  const values = Array.isArray(value) ? value : [value];
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) &&
+    !mongoose.isValidObjectId(condition) && Object.keys(condition).some(key => key.startsWith('$'))) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$ne': return !values.some(item => same(item, operand));
+        case '$in': return operand.some(option => values.some(item => same(item, option)));
+        case '$nin': return !operand.some(option => values.some(item => same(item, option)));
+        case '$exists': return (value !== undefined && value !== null) === operand;
+        case '$lt': return values.some(item => item !== undefined && item !== null && item < operand);
+        case '$lte': return values.some(item => item !== undefined && item !== null && item <= operand);
+        case '$gt': return values.some(item => item !== undefined && item !== null && item > operand);
+        case '$gte': return values.some(item => item !== undefined && item !== null && item >= operand);
+        case '$regex': return values.some(item => typeof item === 'string' && new RegExp(operand).test(item));
+        default: throw new Error(`memoryStore does not support ${operator}`);
+      }
+    });
+  }
+  return values.some(item => same(item, condition));
+};
+
+const matches = (document, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(option => matches(document, option));
+  if (key === '$and') return condition.every(option => matches(document, option));
+  return matchesValue(get(document, key), condition);
+});
+
+// Compare rows by a sort specification such as { date: -1, name: 1 }
+const byOrder = (order) => (a, b) => {
+  for (const [path, direction] of Object.entries(order)) {
+    const [x, y] = [get(a, path), get(b, path)];
+    if (x < y) return -direction;
+    if (x > y) return direction;
+  }
+  return 0;
+};
+
+// A query that can be chained like a Mongoose one and awaited. `run` gets
+// the rows to return in order and hands them back in the shape wanted.
+const query = (run) => {
+  let lean = false;
+  let order = {};
+  let limit = Infinity;
+  const chain = {
+    session: () => chain,
+    select: () => chain,
+    sort: (spec) => { order = spec; return chain; },
+    limit: (count) => { limit = count; return chain; },
+    lean: () => { lean = true; return chain; },
+    then: (resolve, reject) => Promise.resolve()
+      .then(() => run(lean, rows => rows.sort(byOrder(order)).slice(0, limit)))
+      .then(resolve, reject)
+  };
+  return chain;
+};
+
+const applyUpdate = (document, update, { arrayFilters = [] } = {}) => {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+  Object.entries(operators.$set || {}).forEach(([path, value]) => { document[path] = value; });
+  Object.keys(operators.$unset || {}).forEach(path => {
+    const filtered = /^(\w+)\.\$\[(\w+)\]\.(\w+)$/.exec(path);
+    if (!filtered) {
+      delete document[path];
+      return;
+    }
+    const [, array, name, field] = filtered;
+    const filter = arrayFilters.find(candidate => Object.keys(candidate)[0].startsWith(`${name}.`));
+    (document[array] || []).forEach(item => {
+      const itemFilter = {};
+      Object.entries(filter).forEach(([key, value]) => { itemFilter[key.slice(name.length + 1)] = value; });
+      if (matches(item, itemFilter)) delete item[field];
+    });
+  });
+  return document;
+};
+
+// Replace the persistence methods of `models` for the length of test `t`.
+// Documents are stored as plain objects and hydrated on the way out, so a
+// change only sticks once it is saved. Returns the store: a Map per model name.
+const useMemoryStore = (t, models) => {
+  const collections = {};
+
+  models.forEach(Model => {
+    const rows = collections[Model.modelName] = new Map();
+    const all = (filter) => [...rows.values()].filter(row => matches(row, filter));
+    const hydrate = (row, lean) => (lean ? copy(row) : Model.hydrate(copy(row)));
+
+    t.mock.method(Model, 'find', (filter) => query((lean, arrange) => arrange(all(filter)).map(row => hydrate(row, lean))));
+    t.mock.method(Model, 'findOne', (filter) => query((lean, arrange) => {
+      const [row] = arrange(all(filter));
+      return row ? hydrate(row, lean) : null;
+    }));
+    t.mock.method(Model, 'findById', (id) => query(lean => {
+      const row = rows.get(String(id));
+      return row ? hydrate(row, lean) : null;
+    }));
+    t.mock.method(Model, 'exists', (filter) => query(() => {
+      const [row] = all(filter);
+      return row ? { _id: row._id } : null;
+    }));
+    t.mock.method(Model, 'countDocuments', async (filter) => all(filter).length);
+    t.mock.method(Model, 'estimatedDocumentCount', async () => rows.size);
+    t.mock.method(Model, 'deleteOne', async (filter) => {
+      const [row] = all(filter);
+      if (row) rows.delete(String(row._id));
+      return { deletedCount: row ? 1 : 0 };
+    });
+    t.mock.method(Model, 'deleteMany', async (filter) => {
+      const matched = all(filter);
+      matched.forEach(row => rows.delete(String(row._id)));
+      return { deletedCount: matched.length };
+    });
+    t.mock.method(Model, 'updateOne', async (filter, update, options) => {
+      const [row] = all(filter);
+      if (row) applyUpdate(row, update, options);
+      return { matchedCount: row ? 1 : 0, modifiedCount: row ? 1 : 0 };
+    });
+    t.mock.method(Model, 'updateMany', async (filter, update, options) => {
+      const matched = all(filter);
+      matched.forEach(row => applyUpdate(row, update, options));
+      return { matchedCount: matched.length, modifiedCount: matched.length };
+    });
+    t.mock.method(Model.collection, 'replaceOne', async (filter, replacement) => {
+      rows.set(String(filter._id), copy(replacement));
+      return { acknowledged: true };
+    });
+    const save = async function() {
+      // The schema's save middleware, which validates first
+      await new Promise((resolve, reject) => Model.schema.s.hooks.execPre('save', this, [{}], error => (error ? reject(error) : resolve())));
+      rows.set(String(this._id), copy(this.toObject({ depopulate: true })));
+      this.isNew = false;
+      return this;
+    };
+    t.mock.method(Model.prototype, 'save', save);
+    // Model.create saves through the alias
+    t.mock.method(Model.prototype, '$save', save);
+  });
+
+  return collections;
+};
+
+module.exports = { useMemoryStore };
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findDrug, checkInteractions, hasWarnings } = require('../services/interactions');
+
+const medicine = (_id, name) => ({ _id, name });
+
+// [severity, first medicine, second medicine] of each interaction found
+const pairs = (result) => result.interactions.map(({ severity, medicines: [a, b] }) => [severity, a.name, b.name]);
+
+test('drugs are found by brand or alias inside names with a strength', () => {
+  assert.equal(findDrug('Crocin 500mg').name, 'Paracetamol');
+  assert.equal(findDrug('Dolo 650').name, 'Paracetamol');
+  assert.equal(findDrug('Ecosprin 75').name, 'Aspirin');
+  assert.equal(findDrug('Dolomite'), null);
+});
+
+test('interactions are reported most severe first', () => {
+  const result = checkInteractions([
+    medicine('a', 'Warfarin'),
+    medicine('b', 'Crocin'),
+    medicine('c', 'Brufen 400')
+  ]);
+
+  assert.deepEqual(pairs(result), [
+    ['major', 'Warfarin', 'Brufen 400'],
+    ['minor', 'Warfarin', 'Crocin']
+  ]);
+  assert.equal(hasWarnings(result), true);
+});
+
+test('the same drug class interacts, but a shared ingredient is a duplicate instead', () => {
+  const result = checkInteractions([
+    medicine('a', 'Brufen'),
+    medicine('b', 'Voveran'),
+    medicine('c', 'Combiflam')
+  ]);
+
+  assert.deepEqual(pairs(result), [
+    ['moderate', 'Brufen', 'Voveran'],
+    ['moderate', 'Voveran', 'Combiflam']
+  ]);
+  assert.deepEqual(result.duplicates, [
+    { ingredient: 'ibuprofen', medicines: [{ medicineId: 'a', name: 'Brufen' }, { medicineId: 'c', name: 'Combiflam' }] }
+  ]);
+});
+
+test('medicines are checked against the user\'s conditions', () => {
+  const result = checkInteractions([medicine('a', 'Brufen 400'), medicine('b', 'Crocin')], { conditions: ['CKD stage 3'] });
+
+  assert.deepEqual(result.conditionWarnings.map(warning => [warning.medicine.name, warning.between[1], warning.severity]), [
+    ['Brufen 400', 'kidney disease', 'major']
+  ]);
+});
+
+test('a candidate is only checked against the existing medicines', () => {
+  const result = checkInteractions([medicine('a', 'Warfarin'), medicine('b', 'Brufen')], {
+    candidate: { name: 'Calpol 500' }
+  });
+
+  assert.deepEqual(pairs(result), [['minor', 'Calpol 500', 'Warfarin']]);
+  assert.deepEqual(result.unrecognized, []);
+  assert.deepEqual(checkInteractions([], { candidate: { name: 'Kesar tonic' } }).unrecognized, ['Kesar tonic']);
+  assert.equal(hasWarnings(checkInteractions([medicine('a', 'Metformin')], { candidate: { name: 'Vitamin C' } })), false);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Medicine = require('../models/Medicine');
+const { forecastSupply } = require('../services/inventory');
+const { doseDate } = require('../services/medicationSchedule');
+const { zonedDateTime } = require('../services/timeOfDay');
+
+const timeZone = 'Asia/Kolkata';
+const now = zonedDateTime('2026-03-02', '07:00', timeZone);
+
+const medicine = (fields) => new Medicine({
+  userId: '64b000000000000000000000',
+  name: 'Metformin',
+  dosage: '500mg',
+  time: 'morning',
+  startDate: new Date('2026-03-01T00:00:00Z'),
+  ...fields
+});
+
+const forecast = (fields) => forecastSupply(medicine(fields), { timeZone, now });
+
+test('medicines without a tracked stock have no forecast', () => {
+  assert.equal(forecast({}), null);
+});
+
+test('scheduled medicines run out on the first day a dose cannot be covered', () => {
+  const supply = forecast({ frequency: 'twice-daily', inventory: { stock: 9 } });
+
+  assert.deepEqual(
+    [supply.unitsPerDose, supply.dosesLeft, supply.daysLeft, supply.runOutDate],
+    [1, 9, 4, '2026-03-06']
+  );
+});
+
+test('doses already recorded today are not taken out again', () => {
+  const taken = medicine({ frequency: 'twice-daily', inventory: { stock: 9 } });
+  taken.takenStatus.push({ date: doseDate('2026-03-02'), time: 'morning', status: 'taken', taken: true });
+
+  assert.equal(forecastSupply(taken, { timeZone, now }).runOutDate, '2026-03-07');
+});
+
+test('a dose takes the dosage amount when units per dose are not set', () => {
+  const supply = forecast({
+    dosage: '2 tablets',
+    dosageDetails: { amount: 2, unit: 'tablet', form: 'tablet' },
+    inventory: { stock: 9 }
+  });
+
+  assert.deepEqual([supply.unitsPerDose, supply.dosesLeft, supply.runOutDate], [2, 4, '2026-03-06']);
+  assert.equal(forecast({ dosageDetails: { amount: 2, unit: 'tablet' }, inventory: { stock: 9, unitsPerDose: 1 } }).unitsPerDose, 1);
+});
+
+test('stock outlasting the course has no run-out date', () => {
+  const supply = forecast({ endDate: new Date('2026-03-04T00:00:00Z'), inventory: { stock: 10 } });
+
+  assert.deepEqual([supply.dosesLeft, supply.runOutDate], [3, null]);
+});
+
+test('as-needed medicines are projected from their recent use', () => {
+  const supply = forecast({
+    frequency: 'as-needed',
+    inventory: { stock: 10 },
+    takenStatus: ['2026-02-10', '2026-02-20', '2026-03-01'].map(day => ({
+      date: doseDate(day),
+      time: 'morning',
+      status: 'taken',
+      taken: true
+    }))
+  });
+
+  assert.deepEqual([supply.dailyUse, supply.daysLeft, supply.runOutDate], [0.1, 100, '2026-06-10']);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../models/Job');
+const {
+  registerJobHandler,
+  runNextJob,
+  retryDelay,
+  startWorker,
+  stopWorker,
+  isWorkerRunning
+} = require('../services/jobQueue');
+
+const BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS) || 30000;
+
+// Run one claimed job and return the update recording its outcome
+const runClaimed = async (t, job) => {
+  t.mock.method(Job, 'findOneAndUpdate', async () => job);
+  const updateOne = t.mock.method(Job, 'updateOne', async () => ({}));
+  t.mock.method(console, 'error', () => {});
+
+  await runNextJob();
+  assert.equal(updateOne.mock.callCount(), 1);
+  return updateOne.mock.calls[0].arguments;
+};
+
+const claimedJob = (type, attempts, maxAttempts = 3) => ({
+  _id: 'job-1',
+  type,
+  attempts,
+  maxAttempts,
+  lockedAt: new Date('2026-01-01T00:00:00Z'),
+  payload: {}
+});
+
+registerJobHandler('test-succeeds', async () => ({ done: true }));
+registerJobHandler('test-fails', async () => {
+  throw new Error('provider unavailable');
+});
+
+test('retry delay doubles after every attempt', () => {
+  assert.deepEqual([1, 2, 3, 4].map(retryDelay), [BASE_MS, BASE_MS * 2, BASE_MS * 4, BASE_MS * 8]);
+});
+
+test('a successful job is completed with its result', async (t) => {
+  const job = claimedJob('test-succeeds', 1);
+  const [filter, update] = await runClaimed(t, job);
+
+  assert.deepEqual(filter, { _id: job._id, status: 'running', lockedAt: job.lockedAt });
+  assert.equal(update.$set.status, 'completed');
+  assert.deepEqual(update.$set.result, { done: true });
+});
+
+test('a failed attempt is queued again with backoff', async (t) => {
+  const before = Date.now();
+  const [, update] = await runClaimed(t, claimedJob('test-fails', 2));
+
+  assert.equal(update.$set.status, 'queued');
+  assert.equal(update.$set.lastError, 'provider unavailable');
+  assert.ok(update.$set.runAt.getTime() >= before + BASE_MS * 2);
+  assert.ok(update.$set.runAt.getTime() <= Date.now() + BASE_MS * 2);
+});
+
+test('the final failed attempt marks the job failed', async (t) => {
+  const [, update] = await runClaimed(t, claimedJob('test-fails', 3));
+
+  assert.equal(update.$set.status, 'failed');
+  assert.equal(update.$set.runAt, undefined);
+});
+
+test('nothing runs when no job is due', async (t) => {
+  t.mock.method(Job, 'findOneAndUpdate', async () => null);
+  assert.equal(await runNextJob(), null);
+});
+
+test('the worker reports whether it is polling', (t) => {
+  t.mock.method(console, 'log', () => {});
+
+  assert.equal(isWorkerRunning(), false);
+  startWorker({ pollInterval: 60000 });
+  assert.equal(isWorkerRunning(), true);
+  stopWorker();
+  assert.equal(isWorkerRunning(), false);
+});
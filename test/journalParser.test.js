@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { parseJournalText } = require('../services/ai/journalParser');
+const { useEnv } = require('./helpers/env');
+
+const text = 'Had dal chawal for lunch';
+
+test('LLM_PROVIDER=none always uses the rule-based parser', async (t) => {
+  useEnv(t, { LLM_PROVIDER: 'none' });
+  const { parsedData, parser } = await parseJournalText(text);
+
+  assert.deepEqual(parser, { method: 'rules' });
+  assert.deepEqual(parsedData.meals[0].items, ['Dal', 'Rice']);
+});
+
+test('LLM output is used when it is JSON', async (t) => {
+  useEnv(t, { LLM_PROVIDER: 'stub', LLM_MODEL: undefined, LLM_STUB_RESPONSE: '{"meals":[{"time":"noon","items":["khichdi"]}]}' });
+  const { parsedData, parser, aiResponse } = await parseJournalText(text);
+
+  assert.deepEqual(parser, { method: 'llm', provider: 'stub', model: 'stub' });
+  assert.deepEqual(parsedData.meals[0].items, ['khichdi']);
+  assert.ok(aiResponse.includes('khichdi'));
+});
+
+test('falls back to the rules when the LLM fails or does not return JSON', async (t) => {
+  useEnv(t, { LLM_PROVIDER: 'openai', OPENAI_API_URL: undefined });
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(axios, 'post', async () => {
+    throw new Error('connect ECONNREFUSED');
+  });
+
+  const unreachable = await parseJournalText(text);
+  assert.deepEqual(unreachable.parser, { method: 'rules', fallbackReason: 'connect ECONNREFUSED' });
+  assert.deepEqual(unreachable.parsedData.meals[0].items, ['Dal', 'Rice']);
+
+  process.env.LLM_PROVIDER = 'stub';
+  process.env.LLM_STUB_RESPONSE = 'Sorry, I cannot help with that.';
+  const notJson = await parseJournalText(text);
+  assert.deepEqual(notJson.parser, { method: 'rules', fallbackReason: 'Failed to parse AI response as JSON' });
+  assert.equal(notJson.aiResponse, 'Sorry, I cannot help with that.');
+});
+
+test('without fallbackOnError LLM failures are thrown for the job to retry', async (t) => {
+  useEnv(t, { LLM_PROVIDER: 'stub', LLM_STUB_RESPONSE: 'not json' });
+
+  await assert.rejects(parseJournalText(text, { fallbackOnError: false }));
+});
@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isProcessingStale } = require('../services/journalProcessor');
+
+const now = new Date('2026-03-02T10:00:00Z');
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+test('entries left processing past the timeout are stale', () => {
+  assert.equal(isProcessingStale({ processingStatus: 'processing', updatedAt: minutesAgo(6) }, now), true);
+  assert.equal(isProcessingStale({ processingStatus: 'processing', updatedAt: minutesAgo(1) }, now), false);
+  assert.equal(isProcessingStale({ processingStatus: 'completed', updatedAt: minutesAgo(60) }, now), false);
+});
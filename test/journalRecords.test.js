@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Journal = require('../models/Journal');
+const Meal = require('../models/Meal');
+const Medicine = require('../models/Medicine');
+const BodyStat = require('../models/BodyStat');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const {
+  buildDerivedDocuments,
+  materializeParsedData,
+  reconcileParsedData,
+  deleteJournalWithRecords
+} = require('../services/journalRecords');
+const { parseJournal } = require('../services/ai/ruleParser');
+const { useMemoryStore } = require('./helpers/memoryStore');
+
+const userId = new mongoose.Types.ObjectId();
+
+const parsedData = {
+  medicines: [{ name: 'Amoxicillin', time: 'morning', dosage: '250mg' }],
+  bodyStats: { sleepHours: 7 },
+  tests: [{ testName: 'Fasting Blood Sugar', result: '110', resultValue: 110, unit: 'mg/dL' }]
+};
+
+// A journal in the store and the store itself
+const setUp = (t) => {
+  const store = useMemoryStore(t, [Journal, Meal, Medicine, BodyStat, Test, User]);
+  const journal = { _id: new mongoose.Types.ObjectId(), userId, date: new Date('2026-03-01T08:00:00Z'), rawText: 'entry' };
+  store.Journal.set(String(journal._id), { ...journal });
+  store.User.set(String(userId), { _id: userId, timezone: 'Asia/Kolkata' });
+  t.mock.method(console, 'error', () => {});
+  return { store, journal };
+};
+
+const records = (store, name) => [...store[name].values()];
+
+test('materializing again updates records in place instead of duplicating them', async (t) => {
+  const { store, journal } = setUp(t);
+
+  await materializeParsedData(journal, parsedData);
+  const [medicine] = records(store, 'Medicine');
+  // A dose logged on the derived medicine since must survive
+  medicine.takenStatus.push({ date: new Date('2026-03-01T00:00:00Z'), time: 'morning', taken: true, status: 'taken' });
+
+  await materializeParsedData(journal, { ...parsedData, medicines: [{ ...parsedData.medicines[0], dosage: '500mg' }] });
+
+  assert.deepEqual([store.Medicine.size, store.BodyStat.size, store.Test.size], [1, 1, 1]);
+  const [updated] = records(store, 'Medicine');
+  assert.equal(String(updated._id), String(medicine._id));
+  assert.equal(updated.dosage, '500mg');
+  assert.equal(updated.takenStatus.length, 1);
+});
+
+test('a failure part way restores the records as they were', async (t) => {
+  const { store, journal } = setUp(t);
+  await materializeParsedData(journal, parsedData);
+
+  // Saving the new test result fails after the medicine and body stats were written
+  t.mock.method(Test.prototype, 'save', async () => { throw new Error('write failed'); });
+  await assert.rejects(materializeParsedData(journal, {
+    medicines: [{ name: 'Ibuprofen', time: 'night', dosage: '400mg' }],
+    bodyStats: { sleepHours: 5 },
+    tests: [{ testName: 'HbA1c', result: '6.1', resultValue: 6.1 }]
+  }), /write failed/);
+
+  assert.deepEqual(records(store, 'Medicine').map(record => record.name), ['Amoxicillin']);
+  assert.equal(records(store, 'BodyStat')[0].sleepHours, 7);
+  assert.deepEqual(records(store, 'Test').map(record => record.testName), ['Fasting Blood Sugar']);
+  assert.equal(store.Journal.get(String(journal._id)).recordsLockedUntil, undefined);
+});
+
+test('a journal whose records are being updated is refused with 409', async (t) => {
+  const { store, journal } = setUp(t);
+  store.Journal.get(String(journal._id)).recordsLockedUntil = new Date(Date.now() + 60000);
+
+  await assert.rejects(materializeParsedData(journal, parsedData), error => error.statusCode === 409);
+  assert.equal(store.Medicine.size, 0);
+});
+
+test('reconciling reports what was created, updated, removed and unchanged', async (t) => {
+  const { journal } = setUp(t);
+  await materializeParsedData(journal, parsedData);
+
+  const changes = await reconcileParsedData(journal, {
+    medicines: [{ name: 'Amoxicillin', time: 'morning', dosage: '250mg' }, { name: 'Cetirizine', time: 'night', dosage: '10mg' }],
+    bodyStats: { sleepHours: 8 }
+  });
+
+  assert.deepEqual(changes.created, { meals: 0, medicines: 1, bodyStats: 0, tests: 0 });
+  assert.deepEqual(changes.updated, { meals: 0, medicines: 0, bodyStats: 1, tests: 0 });
+  assert.deepEqual(changes.removed, { meals: 0, medicines: 0, bodyStats: 0, tests: 1 });
+  assert.deepEqual(changes.unchanged, { meals: 0, medicines: 1, bodyStats: 0, tests: 0 });
+});
+
+test('cascading deletion keeps a derived medicine holding doses from elsewhere', async (t) => {
+  const { store, journal } = setUp(t);
+  await materializeParsedData(journal, {
+    medicines: [{ name: 'Amoxicillin', time: 'morning', dosage: '250mg' }, { name: 'Cetirizine', time: 'night', dosage: '10mg' }]
+  });
+  const amoxicillin = records(store, 'Medicine').find(record => record.name === 'Amoxicillin');
+  amoxicillin.takenStatus.push({ date: new Date('2026-03-02T00:00:00Z'), time: 'morning', taken: true, status: 'taken' });
+
+  const affected = await deleteJournalWithRecords(journal, 'cascade');
+
+  assert.equal(affected.keptMedicines, 1);
+  assert.equal(affected.medicines, 1);
+  assert.deepEqual(records(store, 'Medicine').map(record => [record.name, record.journalEntryId]), [['Amoxicillin', undefined]]);
+  assert.equal(store.Journal.size, 0);
+});
+
+test('a medicine mentioned twice is added once with a dose for the later mention', async (t) => {
+  t.mock.method(Medicine, 'find', async () => []);
+  const parsed = parseJournal('Took metformin 500mg in the morning. Took metformin 500mg at night');
+  assert.equal(parsed.medicines.length, 2);
+
+  const documents = await buildDerivedDocuments({ _id: new mongoose.Types.ObjectId(), userId }, parsed);
+
+  assert.deepEqual(documents.medicines.map(medicine => [medicine.name, medicine.time]), [['Metformin', 'morning']]);
+  assert.equal(documents.doses.length, 1);
+  assert.equal(documents.doses[0].medicine, documents.medicines[0]);
+  assert.equal(documents.doses[0].time, 'night');
+});
+
+test('the later mention is recorded as a dose on the medicine the first one added', async (t) => {
+  const { store, journal } = setUp(t);
+
+  const created = await materializeParsedData(journal, parseJournal('Took metformin 500mg in the morning. Took metformin 500mg at night'));
+
+  assert.equal(created.medicines, 1);
+  assert.equal(created.doses, 1);
+  const [medicine] = records(store, 'Medicine');
+  // A once-daily medicine has its one dose taken, in its own slot
+  assert.deepEqual(medicine.takenStatus.map(entry => [entry.time, String(entry.journalEntryId)]), [['morning', String(journal._id)]]);
+});
+
+test('a mention of a medicine the user has records a dose on it', async (t) => {
+  const { store, journal } = setUp(t);
+  const existing = new Medicine({ userId, name: 'Glycomet', dosage: '500mg', time: 'morning' });
+  await existing.save();
+
+  const created = await materializeParsedData(journal, parseJournal('Took metformin 500mg in the morning'));
+
+  assert.deepEqual([created.medicines, created.doses], [0, 1]);
+  assert.equal(store.Medicine.size, 1);
+  assert.equal(store.Medicine.get(String(existing._id)).takenStatus.length, 1);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLanguage, generateTags } = require('../services/language');
+
+test('detects scripts and romanized languages', () => {
+  assert.equal(detectLanguage('Had dal and rice for lunch').code, 'en');
+  assert.equal(detectLanguage('subah nun chai aur girda khaya').code, 'ur-Latn');
+  assert.equal(detectLanguage('aaz khyov bati te nadru').code, 'ks-Latn');
+  assert.equal(detectLanguage('میں نے صبح چائے پی').code, 'ur');
+  assert.equal(detectLanguage('मैंने सुबह चाय पी').code, 'hi');
+});
+
+test('flags romanized text mixed with English', () => {
+  assert.deepEqual(detectLanguage('aaj subah dal khaya and took my tablet'), {
+    code: 'ur-Latn',
+    script: 'latin',
+    mixed: true
+  });
+});
+
+test('tags whole words and their English endings', () => {
+  assert.deepEqual(generateTags('walked 2km and took my pills'), ['medicine', 'exercise']);
+  assert.deepEqual(generateTags('drank 3 glasses of paani'), ['hydration']);
+  assert.deepEqual(generateTags('went running'), ['exercise']);
+});
+
+test('does not tag words that only start with a keyword', () => {
+  assert.deepEqual(generateTags('slept on a new pillow'), []);
+  assert.deepEqual(generateTags('sat on a chair'), []);
+  assert.deepEqual(generateTags('started atenolol'), []);
+});
+
+test('tags romanized spelling variants and other scripts', () => {
+  assert.deepEqual(generateTags('subah nun chai aur girda khaya'), ['food']);
+  assert.deepEqual(generateTags('pani piya'), ['hydration']);
+  assert.deepEqual(generateTags('دوائی لی'), ['medicine']);
+});
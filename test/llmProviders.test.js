@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { getProvider, providerNames } = require('../services/ai');
+const { useEnv } = require('./helpers/env');
+
+const messages = [{ role: 'user', content: 'Had dal chawal for lunch' }];
+
+test('LLM_PROVIDER selects the provider, Perplexity when unset', (t) => {
+  useEnv(t, { LLM_PROVIDER: undefined, LLM_MODEL: undefined });
+  assert.equal(getProvider().name, 'perplexity');
+
+  process.env.LLM_PROVIDER = 'Ollama';
+  assert.deepEqual([getProvider().name, getProvider().model], ['ollama', 'llama3.1']);
+  assert.deepEqual(providerNames, ['perplexity', 'openai', 'ollama', 'stub']);
+});
+
+test('LLM_MODEL overrides the provider\'s default model', (t) => {
+  useEnv(t, { LLM_MODEL: 'gpt-4o' });
+  assert.equal(getProvider('openai').model, 'gpt-4o');
+});
+
+test('an unknown provider is an error naming the supported ones', () => {
+  assert.throws(() => getProvider('gemini'), /Unknown LLM provider "gemini". Expected one of: perplexity, openai, ollama, stub/);
+});
+
+test('OpenAI-compatible providers post chat completions with their key', async (t) => {
+  useEnv(t, { LLM_MODEL: undefined, OPENAI_API_URL: 'http://localhost:8080/v1/chat/completions', OPENAI_API_KEY: 'key' });
+  const post = t.mock.method(axios, 'post', async () => ({ data: { choices: [{ message: { content: '{"meals":[]}' } }] } }));
+
+  const content = await getProvider('openai').complete({ messages, maxTokens: 100 });
+
+  const [url, body, options] = post.mock.calls[0].arguments;
+  assert.equal(content, '{"meals":[]}');
+  assert.equal(url, 'http://localhost:8080/v1/chat/completions');
+  assert.deepEqual(body, { model: 'gpt-4o-mini', messages, max_tokens: 100, temperature: 0.1 });
+  assert.equal(options.headers.Authorization, 'Bearer key');
+});
+
+test('Ollama is called through its native chat API in JSON mode', async (t) => {
+  useEnv(t, { LLM_MODEL: undefined, OLLAMA_URL: 'http://ollama:11434/' });
+  const post = t.mock.method(axios, 'post', async () => ({ data: { message: { content: '{}' } } }));
+
+  assert.equal(await getProvider('ollama').complete({ messages }), '{}');
+
+  const [url, body] = post.mock.calls[0].arguments;
+  assert.equal(url, 'http://ollama:11434/api/chat');
+  assert.deepEqual([body.stream, body.format, body.options.num_predict], [false, 'json', 2000]);
+});
+
+test('the stub provider returns LLM_STUB_RESPONSE or an empty extraction', async (t) => {
+  useEnv(t, { LLM_STUB_RESPONSE: undefined });
+  const stub = getProvider('stub');
+  assert.deepEqual(JSON.parse(await stub.complete({ messages })).meals, []);
+
+  process.env.LLM_STUB_RESPONSE = '{"notes":"stubbed"}';
+  assert.equal(await stub.complete({ messages }), '{"notes":"stubbed"}');
+});
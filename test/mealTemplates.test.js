@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Food = require('../models/Food');
+const Meal = require('../models/Meal');
+const MealTemplate = require('../models/MealTemplate');
+const Recipe = require('../models/Recipe');
+const { logFromTemplate, getFrequentMeals } = require('../controllers/mealTemplateController');
+const { zonedDateTime } = require('../services/timeOfDay');
+const { useMemoryStore } = require('./helpers/memoryStore');
+const { mockResponse } = require('./helpers/http');
+
+const userId = new mongoose.Types.ObjectId();
+const user = { id: String(userId), timezone: 'Asia/Kolkata' };
+
+const setUp = (t) => {
+  t.mock.method(console, 'error', () => {});
+  return useMemoryStore(t, [Food, Meal, MealTemplate, Recipe]);
+};
+
+const seed = (store, Model, fields) => {
+  const document = new Model({ userId, ...fields });
+  store[Model.modelName].set(String(document._id), document.toObject());
+  return document;
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+test('logging from a template copies its foods and counts the use', async (t) => {
+  const store = setUp(t);
+  const template = seed(store, MealTemplate, {
+    name: 'Kashmiri breakfast',
+    time: 'morning',
+    notes: 'usual',
+    foodItems: [{ name: 'Kahwa', quantity: '1 cup', calories: 60 }, { name: 'Girda', quantity: '1 piece', calories: 250 }]
+  });
+
+  const res = mockResponse();
+  await logFromTemplate({ user, params: { id: String(template._id) }, body: { date: '2026-03-02', eatenAt: '13:15' } }, res);
+
+  assert.equal(res.statusCode, 201);
+  const [meal] = store.Meal.values();
+  assert.deepEqual(meal.foodItems.map(item => [item.name, item.calories]), [['Kahwa', 60], ['Girda', 250]]);
+  assert.equal(meal.time, 'noon');
+  assert.equal(meal.eatenAt.getTime(), zonedDateTime('2026-03-02', '13:15', user.timezone).getTime());
+  assert.equal(meal.notes, 'usual');
+  assert.equal(store.MealTemplate.get(String(template._id)).usageCount, 1);
+});
+
+test('a template without a default time needs one when logged', async (t) => {
+  const store = setUp(t);
+  const template = seed(store, MealTemplate, { name: 'Snack', foodItems: [{ name: 'Kahwa', quantity: '1 cup' }] });
+
+  const res = mockResponse();
+  await logFromTemplate({ user, params: { id: String(template._id) }, body: {} }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(store.Meal.size, 0);
+});
+
+test('meals with the same foods are grouped into frequent meals', async (t) => {
+  const store = setUp(t);
+  const dalChawal = (days, time, quantity) => seed(store, Meal, {
+    date: daysAgo(days),
+    time,
+    totalCalories: 400,
+    foodItems: [{ name: 'Dal', quantity }, { name: 'Rice', quantity: '1 plate' }]
+  });
+  dalChawal(1, 'noon', '1 bowl');
+  dalChawal(3, 'night', '2 bowls');
+  dalChawal(5, 'noon', '1 bowl');
+  seed(store, Meal, { date: daysAgo(2), time: 'morning', foodItems: [{ name: 'Poha', quantity: '1 plate' }] });
+  const template = seed(store, MealTemplate, {
+    name: 'Lunch',
+    foodItems: [{ name: 'rice', quantity: '1 plate' }, { name: 'dal', quantity: '1 bowl' }]
+  });
+
+  const res = mockResponse();
+  await getFrequentMeals({ user, query: {} }, res);
+
+  assert.equal(res.statusCode, 200);
+  const [frequent, ...others] = res.body.data.frequentMeals;
+  assert.equal(others.length, 0);
+  assert.deepEqual(
+    [frequent.signature, frequent.count, frequent.time, frequent.averageCalories, String(frequent.templateId)],
+    ['dal + rice', 3, 'noon', 400, String(template._id)]
+  );
+  assert.equal(frequent.foodItems[0].quantity, '1 bowl');
+});
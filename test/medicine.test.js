@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Medicine = require('../models/Medicine');
+
+const medicine = (fields) => new Medicine({
+  userId: '64b000000000000000000000',
+  name: 'Metformin',
+  dosage: '500mg',
+  time: 'morning',
+  startDate: new Date('2026-03-01T00:00:00Z'),
+  ...fields
+});
+
+test('merging takes over doses, matching days in the owner\'s timezone', async (t) => {
+  // Logged at 22:00 on 1 March in New York, which is already 2 March in UTC
+  const target = medicine({ takenStatus: [{ date: new Date('2026-03-02T03:00:00Z'), time: 'morning', taken: false, status: 'missed' }] });
+  const duplicate = medicine({
+    name: 'Glycomet',
+    takenStatus: [
+      { date: new Date('2026-03-01T00:00:00Z'), time: 'morning', taken: true, status: 'taken' },
+      { date: new Date('2026-03-02T00:00:00Z'), time: 'morning', taken: true, status: 'taken' }
+    ]
+  });
+  t.mock.method(target, 'save', async function() { return this; });
+
+  await target.mergeFrom([duplicate], { timeZone: 'America/New_York' });
+
+  assert.deepEqual(target.takenStatus.map(entry => [entry.date.toISOString().slice(0, 10), entry.status]), [
+    ['2026-03-01', 'taken'],
+    ['2026-03-02', 'taken']
+  ]);
+  assert.equal(target.history[target.history.length - 1].event, 'merged');
+});
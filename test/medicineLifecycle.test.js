@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Medicine = require('../models/Medicine');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { completeExpiredCourses, scheduleCourseSweep } = require('../services/medicineLifecycle');
+const { runNextJob } = require('../services/jobQueue');
+const { useMemoryStore } = require('./helpers/memoryStore');
+
+// 07:30 on 5 March in India, still 21:00 on 4 March in New York
+const now = new Date('2026-03-05T02:00:00Z');
+
+const setUp = (t) => {
+  const store = useMemoryStore(t, [Medicine, User, Job]);
+  const seedUser = (timezone) => {
+    const user = new User({ name: 'Test', email: `${timezone.replace('/', '.')}@example.com`, password: 'secret1', timezone });
+    store.User.set(String(user._id), user.toObject());
+    return user._id;
+  };
+  const users = { india: seedUser('Asia/Kolkata'), newYork: seedUser('America/New_York') };
+
+  // A medicine whose course ends on `endDay`; `fields` set to undefined are left out
+  const seedMedicine = (userId, endDay, fields = {}) => {
+    const medicine = new Medicine({
+      userId,
+      name: 'Amoxicillin',
+      dosage: '500mg',
+      time: 'morning',
+      startDate: new Date('2026-02-26T00:00:00Z'),
+      endDate: new Date(`${endDay}T00:00:00Z`)
+    });
+    const row = { ...medicine.toObject(), ...fields };
+    Object.keys(fields).filter(key => fields[key] === undefined).forEach(key => delete row[key]);
+    store.Medicine.set(String(medicine._id), row);
+    return String(medicine._id);
+  };
+
+  return { store, users, seedMedicine };
+};
+
+test('courses are completed once their end date has passed in the user\'s timezone', async (t) => {
+  const { store, users, seedMedicine } = setUp(t);
+  const ended = seedMedicine(users.india, '2026-03-04');
+  const endsToday = seedMedicine(users.newYork, '2026-03-04');
+  const paused = seedMedicine(users.india, '2026-03-01', { status: 'paused' });
+  const legacy = seedMedicine(users.india, '2026-03-01', { status: undefined });
+  const deactivated = seedMedicine(users.india, '2026-03-01', { status: undefined, isActive: false });
+
+  assert.deepEqual(await completeExpiredCourses(now), { completed: 2 });
+
+  const statusOf = (id) => store.Medicine.get(id).status;
+  assert.deepEqual([ended, endsToday, paused, legacy, deactivated].map(statusOf), ['completed', 'active', 'paused', 'completed', undefined]);
+
+  const completed = store.Medicine.get(ended);
+  assert.equal(completed.isActive, false);
+  assert.deepEqual(completed.history.map(event => event.event), ['completed']);
+  assert.equal(completed.offPeriods[0].startDate.getTime(), now.getTime());
+});
+
+test('only one sweep is queued at a time', async (t) => {
+  const { store } = setUp(t);
+
+  const job = await scheduleCourseSweep(now);
+  assert.equal(job.type, 'complete-medicine-courses');
+  assert.equal(await scheduleCourseSweep(now), null);
+  assert.equal(store.Job.size, 1);
+});
+
+test('a failed sweep still queues the next one', async (t) => {
+  const { store } = setUp(t);
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(Medicine, 'find', () => Promise.reject(new Error('connection lost')));
+  const claimed = new Job({
+    type: 'complete-medicine-courses',
+    status: 'running',
+    attempts: 1,
+    lockedAt: new Date()
+  });
+  store.Job.set(String(claimed._id), claimed.toObject());
+  t.mock.method(Job, 'findOneAndUpdate', async () => claimed);
+
+  await runNextJob();
+
+  const jobs = [...store.Job.values()];
+  assert.equal(store.Job.get(String(claimed._id)).lastError, 'connection lost');
+  const next = jobs.find(job => !job._id.equals(claimed._id) && job.status === 'queued');
+  assert.ok(next.runAt > new Date(Date.now() + 59 * 60 * 1000));
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isSameMedicine, findMatchingMedicine, groupDuplicates } = require('../services/medicineMatching');
+
+const same = (a, b) => isSameMedicine(typeof a === 'string' ? { name: a } : a, typeof b === 'string' ? { name: b } : b);
+
+test('names match without strengths and forms, and with small typos', () => {
+  assert.equal(same('metformin', 'Metformin 500mg'), true);
+  assert.equal(same('Crocin 500 mg tablets', 'crocin'), true);
+  assert.equal(same('amoxycillin', 'amoxicillin'), true);
+  assert.equal(same('Metformn', 'Metformin'), true);
+});
+
+test('different drugs with similar names do not match', () => {
+  assert.equal(same('Prednisone', 'Prednisolone'), false);
+  assert.equal(same('Vitamin D', 'Vitamin C'), false);
+  assert.equal(same('Vitamin D 1000 IU', 'Vitamin B 1000 IU'), false);
+  assert.equal(same('Insulin glargine', 'Insulin lispro'), false);
+  assert.equal(same('Vitamin B12', 'Vitamin B6'), false);
+});
+
+test('strengths conflict only when both are given', () => {
+  assert.equal(same({ name: 'Metformin', dosage: '500mg' }, { name: 'metformin', dosage: '1000mg' }), false);
+  assert.equal(same({ name: 'Metformin', dosage: '2 tablets of 500mg' }, { name: 'metformin', dosage: '500 mg' }), true);
+  assert.equal(same({ name: 'Metformin', dosage: '500mg' }, { name: 'metformin', dosage: '1 tablet' }), true);
+});
+
+test('a mention matches the closest record', () => {
+  const medicines = [
+    { name: 'Metformn', dosage: '500mg', startDate: '2026-01-01' },
+    { name: 'Metformin', dosage: '1 tablet', startDate: '2026-02-01' },
+    { name: 'Metformin', dosage: '500mg', startDate: '2026-01-15' }
+  ];
+
+  assert.equal(findMatchingMedicine(medicines, { name: 'metformin', dosage: '500 mg' }), medicines[2]);
+  assert.equal(findMatchingMedicine(medicines, { name: 'Prednisolone' }), null);
+});
+
+test('duplicates are grouped', () => {
+  const groups = groupDuplicates([
+    { name: 'Vitamin D 1000 IU' },
+    { name: 'Vitamin C' },
+    { name: 'vitamin d' }
+  ]);
+
+  assert.deepEqual(groups.map(group => group.map(medicine => medicine.name)), [['Vitamin D 1000 IU', 'vitamin d']]);
+});
+
+test('a generic name matches its brands but not products named after it', () => {
+  assert.equal(same('Glycomet', 'Metformin'), true);
+  assert.equal(same('Crocin 500mg', 'Paracetamol'), true);
+  assert.equal(same('Insulin glargine', 'Insulin'), false);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Food = require('../models/Food');
+const {
+  findFood,
+  nutritionFor,
+  resolveFoodItems,
+  searchFoods,
+  DEFAULT_NUTRITION_TARGETS,
+  nutritionTargetsFor,
+  compareWithTargets,
+  summarizeIntake
+} = require('../services/nutrition');
+const { useMemoryStore } = require('./helpers/memoryStore');
+
+// A food saved in the foods collection, with the lookup names saving it sets
+const seedFood = (store, fields) => {
+  const food = new Food({ serving: { description: '1 cup' }, ...fields });
+  food.searchNames = [food.name, ...food.aliases].map(name => name.toLowerCase());
+  store.Food.set(String(food._id), food.toObject());
+  return food;
+};
+
+test('foods are found in the collection first, then in the bundled database', async (t) => {
+  const store = useMemoryStore(t, [Food]);
+
+  assert.equal((await findFood('Noon chai')).name, 'Nun Chai');
+  assert.equal((await findFood('chawal')).name, 'Rice');
+  assert.equal(await findFood('mystery stew'), null);
+
+  const seeded = seedFood(store, { name: 'Nun Chai', aliases: ['noon chai'], calories: 150 });
+  const food = await findFood('noon chai');
+  assert.deepEqual([String(food._id), food.calories], [String(seeded._id), 150]);
+});
+
+test('nutrition is scaled to the number of servings', () => {
+  const nutrition = nutritionFor({ calories: 120, protein: 4, fat: 7 }, 2);
+
+  assert.deepEqual([nutrition.calories, nutrition.protein, nutrition.fat], [240, 8, 14]);
+});
+
+test('meal items take missing nutrition from the database and share the estimate when unknown', async (t) => {
+  useMemoryStore(t, [Food]);
+  const items = await resolveFoodItems([
+    { name: 'Kahwa' },
+    { name: 'Nun Chai', calories: 100 },
+    { name: 'Home-made soup', calories: 50 },
+    { name: 'Mystery stew' },
+    { name: 'Mystery curry' }
+  ], { estimatedCalories: 300 });
+
+  assert.deepEqual(items.map(item => [item.nutritionSource, item.calories]), [
+    ['database', 60],
+    ['database', 100],
+    ['manual', 50],
+    ['estimate', 150],
+    ['estimate', 150]
+  ]);
+  assert.equal(items[1].protein, 4);
+});
+
+test('search uses the collection once it is seeded', async (t) => {
+  const store = useMemoryStore(t, [Food]);
+
+  const bundled = await searchFoods({ q: 'chai', region: 'kashmiri' });
+  assert.deepEqual(bundled.map(food => food.name), ['Nun Chai']);
+
+  seedFood(store, { name: 'Masala Chai', aliases: ['chai'], calories: 90 });
+  assert.deepEqual((await searchFoods({ q: 'chai' })).map(food => food.name), ['Masala Chai']);
+});
+
+const meal = (date, calories, protein) => ({
+  date: new Date(date),
+  totalCalories: calories,
+  totalNutrition: { protein }
+});
+
+test('targets the user has not set fall back to the defaults', () => {
+  const targets = nutritionTargetsFor({ nutritionTargets: { calories: 1800, protein: null } });
+
+  assert.equal(targets.calories, 1800);
+  assert.equal(targets.protein, DEFAULT_NUTRITION_TARGETS.protein);
+  assert.deepEqual(nutritionTargetsFor(null), DEFAULT_NUTRITION_TARGETS);
+});
+
+test('goals are met by reaching them and limits by staying under them', () => {
+  const comparison = compareWithTargets({ protein: 40, sodium: 2500 }, DEFAULT_NUTRITION_TARGETS);
+
+  assert.deepEqual(comparison.protein, { intake: 40, target: 50, type: 'goal', remaining: 10, percent: 80, onTrack: false });
+  assert.equal(comparison.sodium.type, 'limit');
+  assert.equal(comparison.sodium.onTrack, false);
+  assert.equal(comparison.sugar.onTrack, true);
+  assert.equal(compareWithTargets({ protein: 300 }, DEFAULT_NUTRITION_TARGETS, 7).protein.target, 350);
+});
+
+test('meals count on their day in the user\'s timezone', () => {
+  const meals = [
+    meal('2026-03-01T00:00:00Z', 500, 20),
+    // 01:30 on 2 March in India, still 1 March in UTC
+    meal('2026-03-01T20:00:00Z', 300, 10),
+    meal('2026-03-02T00:00:00Z', 400, 15)
+  ];
+  const { daily, weekly } = summarizeIntake(meals, DEFAULT_NUTRITION_TARGETS, { timeZone: 'Asia/Kolkata' });
+
+  assert.deepEqual(daily.map(day => [day.date, day.mealCount, day.intake.calories]), [
+    ['2026-03-01', 1, 500],
+    ['2026-03-02', 2, 700]
+  ]);
+  assert.deepEqual(weekly.map(week => [week.weekStart, week.daysLogged, week.dailyAverage.protein]), [
+    ['2026-02-23', 1, 20],
+    ['2026-03-02', 1, 25]
+  ]);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractJson, validateParsedData } = require('../services/ai/parsedDataSchema');
+
+const fields = (errors) => errors.map(error => error.field);
+
+test('extractJson strips code fences and text around the object', () => {
+  assert.deepEqual(extractJson('Sure!\n```json\n{"meals": []}\n```\nAnything else?'), { meals: [] });
+  assert.throws(() => extractJson('no json here'), /No JSON object/);
+  assert.throws(() => extractJson(undefined), /not a string/);
+});
+
+test('coerces time of day synonyms and reports them', () => {
+  const { parsedData, errors } = validateParsedData({
+    meals: [{ time: 'afternoon', items: ['dal'] }],
+    medicines: [{ name: 'Metformin', time: 'after dinner', dosage: '500mg' }]
+  });
+
+  assert.equal(parsedData.meals[0].time, 'noon');
+  assert.equal(parsedData.medicines[0].time, 'night');
+  assert.deepEqual(fields(errors), ['meals[0].time', 'medicines[0].time']);
+});
+
+test('drops items that cannot be repaired', () => {
+  const { parsedData, errors } = validateParsedData({
+    meals: [{ time: 'noon', items: [] }],
+    medicines: [{ dosage: '1' }]
+  });
+
+  assert.deepEqual(parsedData.meals, []);
+  assert.deepEqual(parsedData.medicines, []);
+  assert.deepEqual(fields(errors), ['meals[0].items', 'medicines[0].name']);
+});
+
+test('normalizes body stat units and enums', () => {
+  const { parsedData } = validateParsedData({
+    bodyStats: { waterIntakeLiters: '1500 ml', weightKg: '165 lbs', sleepHours: '7h 30m', mood: 'great', energy: 'normal' }
+  });
+
+  assert.deepEqual(parsedData.bodyStats, {
+    waterIntakeLiters: 1.5,
+    weightKg: 74.8,
+    sleepHours: 7.5,
+    mood: 'excellent',
+    energy: 'medium'
+  });
+});
+
+test('adds structured dosage details to medicines', () => {
+  const { parsedData } = validateParsedData({
+    medicines: [{ name: 'Augmentin', time: 'morning', dosage: '2 tablets of 500mg' }]
+  });
+
+  assert.deepEqual(parsedData.medicines[0].dosageDetails, {
+    amount: 2,
+    unit: 'tablet',
+    form: 'tablet',
+    strength: { value: 500, unit: 'mg' }
+  });
+});
+
+test('defaults a missing time of day from the entry date in the user\'s timezone', () => {
+  // 20:30 in India, 15:00 in UTC
+  const date = new Date('2026-01-01T15:00:00Z');
+  const timeOf = (timeZone) => validateParsedData({ meals: [{ items: ['rice'] }] }, { date, timeZone }).parsedData.meals[0].time;
+
+  assert.equal(timeOf('Asia/Kolkata'), 'night');
+  assert.equal(timeOf('UTC'), 'noon');
+});
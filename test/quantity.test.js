@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuantity, standardGrams, isCountUnit } = require('../services/quantity');
+
+test('parses numbers, fractions and ranges', () => {
+  assert.deepEqual(parseQuantity('2 cups'), { amount: 2, unit: 'cup' });
+  assert.deepEqual(parseQuantity('1/2 plate'), { amount: 0.5, unit: 'plate' });
+  assert.deepEqual(parseQuantity('1 1/2 katori'), { amount: 1.5, unit: 'bowl' });
+  assert.deepEqual(parseQuantity('½ glass'), { amount: 0.5, unit: 'glass' });
+  assert.deepEqual(parseQuantity('2-3 pieces'), { amount: 2.5, unit: 'piece' });
+});
+
+test('parses number words and bare units', () => {
+  assert.deepEqual(parseQuantity('two glasses'), { amount: 2, unit: 'glass' });
+  assert.deepEqual(parseQuantity('half a cup'), { amount: 0.5, unit: 'cup' });
+  assert.deepEqual(parseQuantity('a dozen eggs'), { amount: 12, unit: 'piece' });
+  assert.deepEqual(parseQuantity('cup of tea'), { amount: 1, unit: 'cup' });
+});
+
+test('converts metric units and counts unknown words as pieces', () => {
+  assert.deepEqual(parseQuantity('200g'), { amount: 200, unit: 'g' });
+  assert.deepEqual(parseQuantity('1.5 kg'), { amount: 1500, unit: 'g' });
+  assert.deepEqual(parseQuantity('3 rotis'), { amount: 3, unit: 'roti' });
+  assert.deepEqual(parseQuantity('2 eggs'), { amount: 2, unit: 'piece' });
+});
+
+test('returns null without a positive amount', () => {
+  assert.equal(parseQuantity(''), null);
+  assert.equal(parseQuantity('some rice'), null);
+  assert.equal(parseQuantity('0 g'), null);
+});
+
+test('standard grams cover household measures only', () => {
+  assert.equal(standardGrams({ amount: 2, unit: 'cup' }), 480);
+  assert.equal(standardGrams({ amount: 2, unit: 'piece' }), undefined);
+  assert.equal(isCountUnit('roti'), true);
+  assert.equal(isCountUnit('bowl'), false);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Food = require('../models/Food');
+const Recipe = require('../models/Recipe');
+const { findIngredient, ingredientGrams, resolveIngredients, recipeServings } = require('../services/recipes');
+const { resolveFoodItems } = require('../services/nutrition');
+const { useMemoryStore } = require('./helpers/memoryStore');
+
+const userId = new mongoose.Types.ObjectId();
+
+const roganJosh = () => new Recipe({
+  userId,
+  name: 'Rogan Josh',
+  servings: 4,
+  ingredients: resolveIngredients([
+    { name: 'Mutton', quantity: '500 g' },
+    { name: 'mustard oil', quantity: '2 tbsp' },
+    { name: 'onions', quantity: '2' },
+    { name: 'Kesar', quantity: '1 pinch' }
+  ])
+});
+
+test('ingredients are found by name, alias or plural', () => {
+  assert.equal(findIngredient('Gosht').name, 'Mutton');
+  assert.equal(findIngredient('tomatoes').name, 'Tomato');
+  assert.equal(findIngredient('saffron'), null);
+});
+
+test('ingredient quantities are weighed by their own unit weights first', () => {
+  const oil = findIngredient('mustard oil');
+
+  assert.equal(ingredientGrams('2 tbsp', oil), 28);
+  assert.equal(ingredientGrams('2 tbsp', null), 30);
+  assert.equal(ingredientGrams('250 ml', oil), 250);
+  assert.equal(ingredientGrams('to taste', oil), undefined);
+});
+
+test('a recipe adds up its ingredients and divides them into servings', async (t) => {
+  const store = useMemoryStore(t, [Recipe]);
+  const recipe = roganJosh();
+  await recipe.save();
+
+  const saved = store.Recipe.get(String(recipe._id));
+  assert.deepEqual([saved.totalNutrition.calories, saved.totalNutrition.protein], [1805.5, 127.4]);
+  assert.deepEqual([saved.nutritionPerServing.calories, saved.gramsPerServing], [451.4, 187]);
+  assert.deepEqual(saved.unmatchedIngredients, ['Kesar']);
+});
+
+test('meal items naming a recipe take its nutrition for the servings eaten', async (t) => {
+  useMemoryStore(t, [Food, Recipe]);
+  const recipe = roganJosh();
+  await recipe.save();
+
+  const [bowl, servings] = await resolveFoodItems([
+    { name: 'rogan josh', quantity: '1 bowl' },
+    { name: 'Rogan Josh', quantity: '2 servings' }
+  ], { userId });
+
+  assert.deepEqual([bowl.nutritionSource, String(bowl.recipeId), bowl.servings, bowl.calories], ['recipe', String(recipe._id), 1.07, 483]);
+  assert.deepEqual([servings.servings, servings.calories], [2, 902.8]);
+  assert.equal(recipeServings(recipe, { servings: '1.5', quantity: '1 bowl' }), 1.5);
+});
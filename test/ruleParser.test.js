@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseJournal } = require('../services/ai/ruleParser');
+
+const medicines = (text) => parseJournal(text).medicines.map(({ name, time, dosage }) => ({ name, time, dosage }));
+
+test('splits meals by time of day', () => {
+  const { meals } = parseJournal('Had nun chai and girda for breakfast, dal chawal for lunch');
+
+  assert.deepEqual(meals.map(meal => [meal.time, meal.items]), [
+    ['morning', ['Nun Chai', 'Girda']],
+    ['noon', ['Dal', 'Rice']]
+  ]);
+});
+
+test('extracts known medicines with their dosage and slot', () => {
+  assert.deepEqual(medicines('Took metformin 500mg in the morning'), [
+    { name: 'Metformin', time: 'morning', dosage: '500mg' }
+  ]);
+});
+
+test('extracts unknown medicines introduced by a medicine verb', () => {
+  assert.deepEqual(medicines('took zincovit 50 mg at night'), [
+    { name: 'Zincovit', time: 'night', dosage: '50 mg' }
+  ]);
+  assert.deepEqual(medicines('had zincovit 1 tablet after lunch'), [
+    { name: 'Zincovit', time: 'noon', dosage: '1 tablet' }
+  ]);
+});
+
+test('does not read drinks as unknown medicines', () => {
+  assert.deepEqual(medicines('had water 500 ml in the morning'), []);
+  assert.deepEqual(medicines('had juice 200 ml at noon'), []);
+});
+
+test('does not give a mention without a dose the next mention\'s dosage', () => {
+  assert.deepEqual(medicines('took metformin and aspirin 75mg in the morning'), [
+    { name: 'Metformin', time: 'morning', dosage: '1 dose' },
+    { name: 'Aspirin', time: 'morning', dosage: '75mg' }
+  ]);
+});
+
+test('spans point at the text each item came from', () => {
+  const text = 'Slept 7 hours. Took metformin 500mg at night';
+  const { medicines: [medicine], bodyStats } = parseJournal(text);
+
+  const [span] = medicine.sourceSpans;
+  assert.equal(text.slice(span.start, span.end), 'metformin 500mg');
+  assert.equal(bodyStats.sleepHours, 7);
+});
+
+test('reads body stats and tests', () => {
+  const { bodyStats, tests } = parseJournal('Drank 3 glasses of water, weight 75 kg, fasting sugar 110');
+
+  assert.equal(bodyStats.waterIntakeLiters, 0.75);
+  assert.equal(bodyStats.weightKg, 75);
+  assert.deepEqual(tests.map(item => [item.testName, item.resultValue]), [['Fasting Blood Sugar', 110]]);
+});
+
+test('items with no time of day take the entry\'s time in the user\'s timezone', () => {
+  // 08:30 in India, 03:00 in UTC
+  const date = new Date('2026-01-01T03:00:00Z');
+  const timeOf = (timeZone) => parseJournal('Took metformin 500mg', { date, timeZone }).medicines[0].time;
+
+  assert.equal(timeOf('Asia/Kolkata'), 'morning');
+  assert.equal(timeOf('UTC'), 'night');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  slotForHour,
+  parseClockTime,
+  zonedDateTime,
+  calendarDay,
+  storedDay,
+  weekStart,
+  resolveTiming
+} = require('../services/timeOfDay');
+
+test('slots cover the whole day', () => {
+  assert.deepEqual([4, 10, 11, 15, 16, 19, 20, 3].map(slotForHour),
+    ['morning', 'morning', 'noon', 'noon', 'evening', 'evening', 'night', 'night']);
+});
+
+test('clock times need minutes or am/pm', () => {
+  assert.equal(parseClockTime('7:45 pm'), '19:45');
+  assert.equal(parseClockTime('7pm'), '19:00');
+  assert.equal(parseClockTime('07:05'), '07:05');
+  assert.equal(parseClockTime('7'), null);
+  assert.equal(parseClockTime('13 pm'), null);
+  assert.equal(parseClockTime('24:00'), null);
+});
+
+test('wall-clock times convert to instants across DST changes', () => {
+  assert.equal(zonedDateTime('2026-03-01', '21:00', 'Asia/Kolkata').toISOString(), '2026-03-01T15:30:00.000Z');
+  assert.equal(zonedDateTime('2026-03-07', '09:00', 'America/New_York').toISOString(), '2026-03-07T14:00:00.000Z');
+  assert.equal(zonedDateTime('2026-03-09', '09:00', 'America/New_York').toISOString(), '2026-03-09T13:00:00.000Z');
+});
+
+test('calendar days are read in the user\'s timezone', () => {
+  assert.equal(calendarDay('2026-03-01T20:00:00Z', 'Asia/Kolkata'), '2026-03-02');
+  assert.equal(calendarDay('2026-03-01', 'America/New_York'), '2026-03-01');
+  // A bare day stored at UTC midnight stays that day everywhere
+  assert.equal(storedDay(new Date('2026-03-01T00:00:00Z'), 'America/New_York'), '2026-03-01');
+  assert.equal(storedDay(new Date('2026-03-01T02:00:00Z'), 'America/New_York'), '2026-02-28');
+  assert.equal(weekStart('2026-03-01'), '2026-02-23');
+});
+
+test('an exact time fills in a missing slot', () => {
+  assert.deepEqual(resolveTiming({ date: '2026-03-01', at: '07:45' }, 'Asia/Kolkata'), {
+    date: new Date('2026-03-01T00:00:00Z'),
+    slot: 'morning',
+    at: new Date('2026-03-01T02:15:00Z')
+  });
+  assert.equal(resolveTiming({ date: '2026-03-01', slot: 'noon' }).at, undefined);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validationResult } = require('express-validator');
+const { medicineValidation, medicineUpdateValidation } = require('../middleware/validate');
+
+const errorsFor = async (rules, body) => {
+  const req = { body };
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+  return validationResult(req).array().map(error => error.path);
+};
+
+test('a new medicine needs its name, dosage and time', async () => {
+  assert.deepEqual(await errorsFor(medicineValidation, { notes: 'after food' }), ['name', 'dosage', 'time']);
+});
+
+test('an update checks only the fields sent', async () => {
+  assert.deepEqual(await errorsFor(medicineUpdateValidation, { notes: 'after food' }), []);
+  assert.deepEqual(await errorsFor(medicineUpdateValidation, { name: '', duration: 0 }), ['name', 'duration']);
+});